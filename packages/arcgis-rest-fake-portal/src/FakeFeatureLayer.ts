@@ -0,0 +1,459 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import {
+  cleanUrl,
+  GeometryType,
+  IFeature,
+  IField,
+  ISpatialReference
+} from "@esri/arcgis-rest-request";
+import {
+  copy,
+  createError,
+  IFakeRequest,
+  parseBoolean,
+  parseList
+} from "./helpers.js";
+import { parseWhere } from "./where.js";
+
+/**
+ * Options for the `FakeFeatureLayer` constructor.
+ */
+export interface IFakeFeatureLayerOptions {
+  /**
+   * The URL of the layer, for example `https://services.arcgis.com/orgId/arcgis/rest/services/Trees/FeatureServer/0`.
+   */
+  url: string;
+
+  /**
+   * The fields of the layer. An `esriFieldTypeOID` field named after `objectIdField` is added if it is missing.
+   */
+  fields?: IField[];
+
+  /**
+   * The features the layer starts with. Features without an object id are assigned one. Object ids must be unique.
+   */
+  features?: IFeature[];
+
+  /**
+   * Defaults to `"Layer"`.
+   */
+  name?: string;
+
+  /**
+   * Defaults to `"OBJECTID"`.
+   */
+  objectIdField?: string;
+
+  /**
+   * Defaults to `"esriGeometryPoint"`.
+   */
+  geometryType?: GeometryType;
+
+  /**
+   * Defaults to WGS84 (`{ wkid: 4326 }`).
+   */
+  spatialReference?: ISpatialReference;
+
+  /**
+   * The maximum number of features returned by a single query. Defaults to `1000`.
+   */
+  maxRecordCount?: number;
+
+  /**
+   * When `true` requests must include a token issued by the {@linkcode FakePortal} the layer was added to. Defaults to `false`.
+   */
+  secured?: boolean;
+}
+
+interface IEditResult {
+  objectId: number;
+  success: boolean;
+  error?: { code: number; description: string };
+}
+
+/**
+ * An in-memory feature layer that answers the `query`, `applyEdits`, `addFeatures`, `updateFeatures` and `deleteFeatures` operations of the [Feature Service REST API](https://developers.arcgis.com/rest/services-reference/enterprise/feature-service.htm). Create layers with {@linkcode FakePortal.addFeatureLayer}.
+ *
+ * Queries support `where`, `objectIds`, `outFields`, `returnGeometry`, `returnIdsOnly`, `returnCountOnly`, `orderByFields`, `resultOffset` and `resultRecordCount`. Spatial filters and statistics are ignored.
+ *
+ * Like a real layer, added features are always assigned a new object id and edits honor `rollbackOnFailure`, which defaults to `true`: if any edit of a request fails none of them are applied and the request responds with an error.
+ */
+export class FakeFeatureLayer {
+  /**
+   * The URL of the layer.
+   */
+  public readonly url: string;
+
+  /**
+   * The name of the layer.
+   */
+  public readonly name: string;
+
+  /**
+   * The name of the object id field.
+   */
+  public readonly objectIdField: string;
+
+  /**
+   * The geometry type of the layer.
+   */
+  public readonly geometryType: GeometryType;
+
+  /**
+   * The spatial reference of the layer.
+   */
+  public readonly spatialReference: ISpatialReference;
+
+  /**
+   * The maximum number of features returned by a single query.
+   */
+  public readonly maxRecordCount: number;
+
+  /**
+   * Whether requests to the layer require a token.
+   */
+  public readonly secured: boolean;
+
+  /**
+   * The fields of the layer.
+   */
+  public readonly fields: IField[];
+
+  private store: IFeature[] = [];
+  private nextObjectId = 1;
+
+  constructor(options: IFakeFeatureLayerOptions) {
+    this.url = cleanUrl(options.url);
+    this.name = options.name || "Layer";
+    this.objectIdField = options.objectIdField || "OBJECTID";
+    this.geometryType = options.geometryType || "esriGeometryPoint";
+    this.spatialReference = options.spatialReference || { wkid: 4326 };
+    this.maxRecordCount = options.maxRecordCount || 1000;
+    this.secured = !!options.secured;
+
+    const fields = copy(options.fields || []);
+    if (!fields.some((field) => field.name === this.objectIdField)) {
+      fields.unshift({
+        name: this.objectIdField,
+        type: "esriFieldTypeOID",
+        alias: this.objectIdField
+      } as IField);
+    }
+    this.fields = fields;
+
+    (options.features || []).forEach((feature) => {
+      const objectId = feature.attributes
+        ? feature.attributes[this.objectIdField]
+        : undefined;
+
+      if (typeof objectId !== "number") {
+        this.add(feature);
+      } else if (this.find(objectId)) {
+        throw new Error(
+          `The ${this.objectIdField} ${objectId} is used by more than one feature.`
+        );
+      } else {
+        this.insert(feature, objectId);
+      }
+    });
+  }
+
+  /**
+   * The URL of the feature service that contains the layer.
+   */
+  get serviceUrl() {
+    return this.url.replace(/\/\d+$/, "");
+  }
+
+  /**
+   * The id of the layer within its service.
+   */
+  get id() {
+    const match = this.url.match(/\/(\d+)$/);
+    return match ? Number(match[1]) : 0;
+  }
+
+  /**
+   * Returns a copy of the features currently stored in the layer.
+   */
+  get features(): IFeature[] {
+    return copy(this.store);
+  }
+
+  /**
+   * Returns the layer definition returned by `getLayer`.
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      type: "Feature Layer",
+      geometryType: this.geometryType,
+      objectIdField: this.objectIdField,
+      fields: copy(this.fields),
+      maxRecordCount: this.maxRecordCount,
+      extent: { spatialReference: this.spatialReference },
+      capabilities: "Create,Delete,Query,Update,Editing"
+    };
+  }
+
+  /**
+   * Answers a request for the layer or one of its operations.
+   *
+   * @param request The decoded request. Its URL must be the URL of the layer or start with it.
+   * @returns The response body or `undefined` if the layer does not support the operation.
+   * @internal
+   */
+  handle(request: IFakeRequest) {
+    if (request.url === this.url) {
+      return this.toJSON();
+    }
+
+    const operation = request.url.slice(this.url.length + 1);
+    const { params } = request;
+
+    try {
+      return this.handleOperation(operation, params);
+    } catch (e: any) {
+      return createError(400, "Unable to complete operation.", [e.message]);
+    }
+  }
+
+  private handleOperation(
+    operation: string,
+    params: { [key: string]: string }
+  ) {
+    switch (operation) {
+      case "query":
+        return this.query(params);
+      case "addFeatures":
+        return this.edit(params, () => ({
+          addResults: parseList(params.features).map(this.add)
+        }));
+      case "updateFeatures":
+        return this.edit(params, () => ({
+          updateResults: parseList(params.features).map(this.update)
+        }));
+      case "deleteFeatures":
+        return this.deleteFeatures(params);
+      case "applyEdits":
+        return this.edit(params, () => ({
+          addResults: parseList(params.adds).map(this.add),
+          updateResults: parseList(params.updates).map(this.update),
+          deleteResults: parseList(params.deletes).map(this.delete)
+        }));
+      default:
+        return /^\d+$/.test(operation)
+          ? this.getFeature(Number(operation))
+          : undefined;
+    }
+  }
+
+  private query(params: { [key: string]: string }) {
+    const matches = this.filter(params);
+
+    if (parseBoolean(params.returnCountOnly, false)) {
+      return { count: matches.length };
+    }
+
+    if (parseBoolean(params.returnIdsOnly, false)) {
+      return {
+        objectIdFieldName: this.objectIdField,
+        objectIds: matches.map(
+          (feature) => feature.attributes[this.objectIdField]
+        )
+      };
+    }
+
+    const offset = Number(params.resultOffset) || 0;
+    const count = Math.min(
+      Number(params.resultRecordCount) || this.maxRecordCount,
+      this.maxRecordCount
+    );
+    const page = matches.slice(offset, offset + count);
+    const outFields = parseList(params.outFields || "*").map(String);
+    const returnGeometry = parseBoolean(params.returnGeometry, true);
+
+    const response: any = {
+      objectIdFieldName: this.objectIdField,
+      geometryType: this.geometryType,
+      spatialReference: this.spatialReference,
+      fields: this.fields.filter(
+        (field) =>
+          outFields.indexOf("*") > -1 || outFields.indexOf(field.name) > -1
+      ),
+      features: page.map((feature) => {
+        const attributes: { [key: string]: any } = {};
+        Object.keys(feature.attributes)
+          .filter(
+            (name) =>
+              outFields.indexOf("*") > -1 || outFields.indexOf(name) > -1
+          )
+          .forEach((name) => {
+            attributes[name] = feature.attributes[name];
+          });
+
+        return returnGeometry && feature.geometry
+          ? { attributes, geometry: copy(feature.geometry) }
+          : { attributes };
+      })
+    };
+
+    if (offset + count < matches.length) {
+      response.exceededTransferLimit = true;
+    }
+
+    return response;
+  }
+
+  /**
+   * Returns copies of the features matching the `where` and `objectIds` parameters in `orderByFields` order.
+   */
+  private filter(params: { [key: string]: string }) {
+    const where = parseWhere(params.where);
+    let matches = this.store.filter((feature) => where(feature.attributes));
+
+    if (params.objectIds) {
+      const objectIds = parseList(params.objectIds);
+      matches = matches.filter(
+        (feature) =>
+          objectIds.indexOf(feature.attributes[this.objectIdField]) > -1
+      );
+    }
+
+    parseList(params.orderByFields)
+      .reverse()
+      .forEach((orderBy: string) => {
+        const [field, order] = orderBy.split(/\s+/);
+        const direction = /^desc$/i.test(order) ? -1 : 1;
+
+        matches = matches
+          .map((feature, index) => ({ feature, index }))
+          .sort((a, b) => {
+            const valueA = a.feature.attributes[field];
+            const valueB = b.feature.attributes[field];
+            return valueA === valueB
+              ? a.index - b.index
+              : (valueA < valueB ? -1 : 1) * direction;
+          })
+          .map(({ feature }) => feature);
+      });
+
+    return matches.map(copy);
+  }
+
+  private getFeature(objectId: number) {
+    const feature = this.find(objectId);
+
+    return feature
+      ? { feature: copy(feature) }
+      : createError(404, "Requested object not found.");
+  }
+
+  private deleteFeatures(params: { [key: string]: string }) {
+    if (!params.where && !params.objectIds) {
+      return createError(400, "Unable to delete features.", [
+        "'where' or 'objectIds' parameter is required"
+      ]);
+    }
+
+    return this.edit(params, () => ({
+      deleteResults: this.filter(params).map((feature) =>
+        this.delete(feature.attributes[this.objectIdField])
+      )
+    }));
+  }
+
+  /**
+   * Applies the edits of a request and undoes all of them if one failed and `rollbackOnFailure` is not `false`.
+   */
+  private edit(
+    params: { [key: string]: string },
+    apply: () => { [key: string]: IEditResult[] }
+  ) {
+    const store = copy(this.store);
+    const nextObjectId = this.nextObjectId;
+    const results = apply();
+
+    const failed = Object.keys(results).some((key) =>
+      results[key].some((result) => !result.success)
+    );
+
+    if (failed && parseBoolean(params.rollbackOnFailure, true)) {
+      this.store = store;
+      this.nextObjectId = nextObjectId;
+      return createError(400, "Unable to complete operation.", [
+        "Operation rolled back."
+      ]);
+    }
+
+    return results;
+  }
+
+  private find(objectId: number) {
+    return this.store.find(
+      (feature) => feature.attributes[this.objectIdField] === objectId
+    );
+  }
+
+  /**
+   * Adds a feature with a new object id. Like a real layer, an object id sent by the client is ignored.
+   */
+  private add = (feature: IFeature): IEditResult => {
+    return this.insert(feature, this.nextObjectId);
+  };
+
+  private insert(feature: IFeature, objectId: number): IEditResult {
+    this.nextObjectId = Math.max(this.nextObjectId, objectId + 1);
+    this.store.push({
+      ...copy(feature),
+      attributes: {
+        ...copy(feature.attributes),
+        [this.objectIdField]: objectId
+      }
+    });
+
+    return { objectId, success: true };
+  }
+
+  private update = (feature: IFeature): IEditResult => {
+    const objectId = feature.attributes[this.objectIdField];
+    const existing = this.find(objectId);
+
+    if (!existing) {
+      return missingObject(objectId);
+    }
+
+    existing.attributes = {
+      ...existing.attributes,
+      ...copy(feature.attributes)
+    };
+
+    if (feature.geometry) {
+      existing.geometry = copy(feature.geometry);
+    }
+
+    return { objectId, success: true };
+  };
+
+  private delete = (objectId: number): IEditResult => {
+    const existing = this.find(objectId);
+
+    if (!existing) {
+      return missingObject(objectId);
+    }
+
+    this.store.splice(this.store.indexOf(existing), 1);
+    return { objectId, success: true };
+  };
+}
+
+function missingObject(objectId: number): IEditResult {
+  return {
+    objectId,
+    success: false,
+    error: { code: 1019, description: "Object is missing." }
+  };
+}
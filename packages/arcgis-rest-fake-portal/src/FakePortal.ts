@@ -0,0 +1,577 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { cleanUrl, IGroup, IUser } from "@esri/arcgis-rest-request";
+import { IItem } from "@esri/arcgis-rest-portal";
+import {
+  FakeFeatureLayer,
+  IFakeFeatureLayerOptions
+} from "./FakeFeatureLayer.js";
+import {
+  copy,
+  createError,
+  createResponse,
+  IFakeRequest,
+  parseRequest
+} from "./helpers.js";
+import { parseSearch, SearchFilter } from "./search.js";
+
+/**
+ * Options for the `FakePortal` constructor.
+ */
+export interface IFakePortalOptions {
+  /**
+   * The URL of the portal's REST API. Defaults to `https://www.arcgis.com/sharing/rest`.
+   */
+  portal?: string;
+}
+
+/**
+ * A user that can sign in to a {@linkcode FakePortal}.
+ */
+export interface IFakeUser extends Partial<IUser> {
+  username: string;
+
+  /**
+   * The password accepted by `generateToken`.
+   */
+  password?: string;
+}
+
+/**
+ * An item to add to a {@linkcode FakePortal}. Missing `id`, `created` and `modified` values are generated.
+ */
+export interface IFakeItem extends Partial<IItem> {
+  /**
+   * The data returned by `getItemData`.
+   */
+  data?: any;
+}
+
+type Route = (
+  match: RegExpMatchArray,
+  params: { [key: string]: string },
+  username: string
+) => any;
+
+const NO_PERMISSION =
+  "You do not have permissions to access this resource or perform this operation.";
+
+/**
+ * Parameters of `addItem` and `updateItem` requests that are not stored on the item.
+ */
+const RESERVED_ITEM_PARAMS = [
+  "f",
+  "token",
+  "text",
+  "file",
+  "dataUrl",
+  "async",
+  "multipart",
+  "filename",
+  "overwrite",
+  "clearEmptyFields"
+];
+
+/**
+ * An in-memory stand in for an ArcGIS Online or ArcGIS Enterprise portal and the feature layers it hosts. Pass {@linkcode FakePortal.fetch} as the `fetch` option of a request or set it as a default with `setDefaultRequestOptions` so every request made by `@esri/arcgis-rest-js`, including token requests, is answered by the fake instead of the network.
+ *
+ * ```js
+ * import { setDefaultRequestOptions, ArcGISIdentityManager } from "@esri/arcgis-rest-request";
+ * import { searchItems } from "@esri/arcgis-rest-portal";
+ * import { queryFeatures } from "@esri/arcgis-rest-feature-service";
+ * import { FakePortal } from "@esri/arcgis-rest-fake-portal";
+ *
+ * const portal = new FakePortal();
+ * portal.addUser({ username: "casey", password: "secret" });
+ * portal.addItem({ owner: "casey", title: "Parks", type: "Feature Service", tags: ["parks"] });
+ *
+ * const layer = portal.addFeatureLayer({
+ *   url: "https://services.arcgis.com/org/arcgis/rest/services/Parks/FeatureServer/0",
+ *   fields: [{ name: "NAME", type: "esriFieldTypeString" }],
+ *   features: [{ attributes: { NAME: "Central" } }]
+ * });
+ *
+ * setDefaultRequestOptions({ fetch: portal.fetch });
+ *
+ * const authentication = await ArcGISIdentityManager.signIn({ username: "casey", password: "secret" });
+ * await searchItems("tags:parks"); // => { total: 1, results: [{ title: "Parks", ... }] }
+ * await queryFeatures({ url: layer.url, where: "NAME LIKE 'C%'" });
+ * ```
+ *
+ * The fake supports `generateToken`, `community/self`, `community/users/:username`, `search`, `content/items/:id`, `content/items/:id/data`, `addItem`, `updateItem`, `deleteItem`, `community/groups` and `community/groups/:id`. Requests for other URLs respond with `404 Not Found`. Items and groups that are not `public` are only returned to requests with a token. `private` items are only returned to their owner.
+ */
+export class FakePortal {
+  /**
+   * The URL of the portal's REST API.
+   */
+  public readonly portal: string;
+
+  private users: { [username: string]: IFakeUser } = {};
+  private tokens: { [token: string]: { username: string; expires: number } } =
+    {};
+  private itemStore: IItem[] = [];
+  private itemData: { [id: string]: any } = {};
+  private groupStore: IGroup[] = [];
+  private layers: FakeFeatureLayer[] = [];
+  private idCount = 0;
+
+  private routes: Array<[RegExp, Route]> = [
+    [/^\/generateToken$/, (match, params) => this.generateToken(params)],
+    [/^\/community\/self$/, (match, params, username) => this.self(username)],
+    [
+      /^\/community\/users\/([^/]+)$/,
+      ([, username]) => this.getUserResponse(username)
+    ],
+    [
+      /^\/search$/,
+      (match, params, username) => this.search(this.itemStore, params, username)
+    ],
+    [
+      /^\/content\/items\/([^/]+)$/,
+      ([, id], params, username) => this.getItemResponse(id, username)
+    ],
+    [
+      /^\/content\/items\/([^/]+)\/data$/,
+      ([, id], params, username) => this.getItemDataResponse(id, username)
+    ],
+    [
+      /^\/content\/users\/([^/]+)(?:\/([^/]+))?\/addItem$/,
+      ([, owner, folderId], params, username) =>
+        this.createItem(owner, folderId, params, username)
+    ],
+    [
+      /^\/content\/users\/([^/]+)(?:\/[^/]+)?\/items\/([^/]+)\/update$/,
+      ([, owner, id], params, username) =>
+        this.updateItem(owner, id, params, username)
+    ],
+    [
+      /^\/content\/users\/([^/]+)(?:\/[^/]+)?\/items\/([^/]+)\/delete$/,
+      ([, owner, id], params, username) => this.deleteItem(owner, id, username)
+    ],
+    [
+      /^\/community\/groups$/,
+      (match, params, username) =>
+        this.search(this.groupStore, params, username)
+    ],
+    [
+      /^\/community\/groups\/([^/]+)$/,
+      ([, id], params, username) => this.getGroupResponse(id, username)
+    ]
+  ];
+
+  constructor(options: IFakePortalOptions = {}) {
+    this.portal = cleanUrl(
+      options.portal || "https://www.arcgis.com/sharing/rest"
+    );
+  }
+
+  /**
+   * Returns copies of the items in the portal.
+   */
+  get items(): IItem[] {
+    return copy(this.itemStore);
+  }
+
+  /**
+   * Returns copies of the groups in the portal.
+   */
+  get groups(): IGroup[] {
+    return copy(this.groupStore);
+  }
+
+  /**
+   * A `fetch` compatible function that answers requests from the fake portal and its feature layers.
+   */
+  fetch = (input: RequestInfo, init?: RequestInit): Promise<Response> => {
+    return new Promise((resolve) => {
+      const body = this.handle(parseRequest(input, init));
+
+      resolve(
+        body === undefined ? createResponse("", 404) : createResponse(body)
+      );
+    });
+  };
+
+  /**
+   * Adds a user that can sign in with `username` and `password`.
+   *
+   * @returns The user without its password.
+   */
+  addUser(user: IFakeUser): IUser {
+    this.users[user.username] = {
+      created: Date.now(),
+      modified: Date.now(),
+      ...copy(user)
+    };
+
+    return this.getUser(user.username);
+  }
+
+  /**
+   * Issues a token for `username` without a `generateToken` request. The token can be used as an API key.
+   *
+   * @param username A user added with {@linkcode FakePortal.addUser}.
+   * @param expiration How long the token is valid in minutes. Defaults to 60.
+   * @returns The token.
+   */
+  createToken(username: string, expiration = 60) {
+    if (!this.users[username]) {
+      throw new Error(`The user ${username} has not been added to the portal.`);
+    }
+
+    const token = `FAKE_TOKEN_${Object.keys(this.tokens).length + 1}`;
+    this.tokens[token] = {
+      username,
+      expires: Date.now() + expiration * 60 * 1000
+    };
+
+    return token;
+  }
+
+  /**
+   * Adds an item to the portal.
+   *
+   * @returns A copy of the added item.
+   */
+  addItem(item: IFakeItem): IItem {
+    const { data, ...properties } = item;
+    const now = Date.now();
+    const added = {
+      id: this.generateId(),
+      created: now,
+      modified: now,
+      tags: [],
+      typeKeywords: [],
+      ...copy(properties)
+    } as IItem;
+
+    this.itemStore.push(added);
+
+    if (data !== undefined) {
+      this.itemData[added.id] = copy(data);
+    }
+
+    return copy(added);
+  }
+
+  /**
+   * Adds a group to the portal.
+   *
+   * @returns A copy of the added group.
+   */
+  addGroup(group: Partial<IGroup>): IGroup {
+    const now = Date.now();
+    const added = {
+      id: this.generateId(),
+      created: now,
+      modified: now,
+      access: "public",
+      tags: [],
+      ...copy(group)
+    } as IGroup;
+
+    this.groupStore.push(added);
+    return copy(added);
+  }
+
+  /**
+   * Adds a feature layer that is answered by the fake. The layer's URL does not need to be on the portal's host.
+   *
+   * @param options Options for the layer or an existing layer.
+   * @returns The layer, which can be used to inspect the features it contains.
+   */
+  addFeatureLayer(
+    options: IFakeFeatureLayerOptions | FakeFeatureLayer
+  ): FakeFeatureLayer {
+    const layer =
+      options instanceof FakeFeatureLayer
+        ? options
+        : new FakeFeatureLayer(options);
+
+    this.layers.push(layer);
+    return layer;
+  }
+
+  private handle(request: IFakeRequest) {
+    const { params } = request;
+    let username: string;
+
+    if (params.token) {
+      const session = this.tokens[params.token];
+
+      if (!session || session.expires < Date.now()) {
+        return createError(498, "Invalid token.");
+      }
+
+      username = session.username;
+    }
+
+    for (const layer of this.layers) {
+      if (
+        request.url === layer.url ||
+        request.url.indexOf(`${layer.url}/`) === 0
+      ) {
+        return layer.secured && !username
+          ? createError(499, "Token Required.")
+          : layer.handle(request);
+      }
+    }
+
+    const serviceLayers = this.layers.filter(
+      (layer) => layer.serviceUrl === request.url
+    );
+
+    if (serviceLayers.length) {
+      return {
+        serviceDescription: "",
+        layers: serviceLayers.map((layer) => ({
+          id: layer.id,
+          name: layer.name,
+          geometryType: layer.geometryType
+        })),
+        tables: []
+      };
+    }
+
+    if (request.url.toLowerCase().indexOf(this.portal.toLowerCase()) !== 0) {
+      return undefined;
+    }
+
+    const path = request.url.slice(this.portal.length);
+
+    for (const [pattern, route] of this.routes) {
+      const match = path.match(pattern);
+
+      if (match) {
+        return route(match, params, username);
+      }
+    }
+
+    return undefined;
+  }
+
+  private generateId() {
+    this.idCount++;
+    return `${this.idCount}`.padStart(32, "0");
+  }
+
+  private canView(
+    record: { access?: string; owner?: string },
+    username: string
+  ) {
+    return (
+      !record.access ||
+      record.access === "public" ||
+      (!!username && (record.access !== "private" || record.owner === username))
+    );
+  }
+
+  private getUser(username: string): IUser {
+    const { password, ...user } = this.users[username];
+    return copy(user) as IUser;
+  }
+
+  private generateToken(params: { [key: string]: string }) {
+    const user = this.users[params.username];
+
+    if (!user || user.password !== params.password) {
+      return createError(400, "Unable to generate token.", [
+        "Invalid username or password."
+      ]);
+    }
+
+    const expiration = Number(params.expiration) || 60;
+    const token = this.createToken(params.username, expiration);
+
+    return { token, expires: this.tokens[token].expires, ssl: true };
+  }
+
+  private self(username: string) {
+    return username
+      ? this.getUser(username)
+      : createError(499, "Token Required.");
+  }
+
+  private getUserResponse(username: string) {
+    return this.users[username]
+      ? this.getUser(username)
+      : createError(400, "User does not exist or is inaccessible.");
+  }
+
+  private findItem(id: string, username: string) {
+    return this.itemStore.find(
+      (item) => item.id === id && this.canView(item, username)
+    );
+  }
+
+  private getItemResponse(id: string, username: string) {
+    const item = this.findItem(id, username);
+
+    return item
+      ? copy(item)
+      : createError(400, "Item does not exist or is inaccessible.");
+  }
+
+  private getItemDataResponse(id: string, username: string) {
+    if (!this.findItem(id, username)) {
+      return createError(400, "Item does not exist or is inaccessible.");
+    }
+
+    const data = this.itemData[id];
+    return data === undefined ? {} : copy(data);
+  }
+
+  private getGroupResponse(id: string, username: string) {
+    const group = this.groupStore.find(
+      (record) => record.id === id && this.canView(record, username)
+    );
+
+    return group
+      ? copy(group)
+      : createError(400, "Group does not exist or is inaccessible.");
+  }
+
+  private search(
+    records: Array<IItem | IGroup>,
+    params: { [key: string]: string },
+    username: string
+  ) {
+    let filter: SearchFilter;
+
+    try {
+      filter = parseSearch(params.q);
+    } catch (e: any) {
+      return createError(400, "Invalid query.", [e.message]);
+    }
+
+    const start = Number(params.start) || 1;
+    const num = params.num === undefined ? 10 : Number(params.num);
+    const { sortField } = params;
+    const direction = params.sortOrder === "desc" ? -1 : 1;
+
+    let matches = records.filter(
+      (record) => this.canView(record, username) && filter(record)
+    );
+
+    if (sortField) {
+      matches = matches.slice().sort((a: any, b: any) => {
+        const valueA = a[sortField];
+        const valueB = b[sortField];
+        return valueA === valueB ? 0 : (valueA < valueB ? -1 : 1) * direction;
+      });
+    }
+
+    const nextStart = start + num;
+
+    return {
+      query: params.q || "",
+      total: matches.length,
+      start,
+      num,
+      nextStart: num > 0 && nextStart <= matches.length ? nextStart : -1,
+      results: copy(matches.slice(start - 1, start - 1 + num))
+    };
+  }
+
+  private checkOwner(owner: string, username: string) {
+    if (!username) {
+      return createError(499, "Token Required.");
+    }
+
+    if (owner !== username) {
+      return createError(403, NO_PERMISSION);
+    }
+
+    return undefined;
+  }
+
+  private parseItem(params: { [key: string]: string }) {
+    const item: { [key: string]: any } = {};
+
+    Object.keys(params)
+      .filter((key) => RESERVED_ITEM_PARAMS.indexOf(key) === -1)
+      .forEach((key) => {
+        const value = params[key];
+
+        if (["tags", "typeKeywords", "categories"].indexOf(key) > -1) {
+          item[key] = value ? value.split(",") : [];
+        } else if (/^[[{]/.test(value)) {
+          item[key] = JSON.parse(value);
+        } else {
+          item[key] = value;
+        }
+      });
+
+    if (params.text !== undefined) {
+      item.data = /^[[{]/.test(params.text)
+        ? JSON.parse(params.text)
+        : params.text;
+    }
+
+    return item as IFakeItem;
+  }
+
+  private createItem(
+    owner: string,
+    folderId: string,
+    params: { [key: string]: string },
+    username: string
+  ) {
+    const error = this.checkOwner(owner, username);
+
+    if (error) {
+      return error;
+    }
+
+    const item = this.addItem({
+      access: "private",
+      ...this.parseItem(params),
+      owner,
+      ownerFolder: folderId || null
+    });
+
+    return { success: true, id: item.id, folder: folderId || null };
+  }
+
+  private updateItem(
+    owner: string,
+    id: string,
+    params: { [key: string]: string },
+    username: string
+  ) {
+    const error = this.checkOwner(owner, username);
+    const item = this.findItem(id, username);
+
+    if (error || !item) {
+      return (
+        error || createError(400, "Item does not exist or is inaccessible.")
+      );
+    }
+
+    const { data, ...changes } = this.parseItem(params);
+    Object.assign(item, changes, { id, owner, modified: Date.now() });
+
+    if (data !== undefined) {
+      this.itemData[id] = data;
+    }
+
+    return { success: true, id };
+  }
+
+  private deleteItem(owner: string, id: string, username: string) {
+    const error = this.checkOwner(owner, username);
+    const item = this.findItem(id, username);
+
+    if (error || !item) {
+      return (
+        error || createError(400, "Item does not exist or is inaccessible.")
+      );
+    }
+
+    this.itemStore.splice(this.itemStore.indexOf(item), 1);
+    delete this.itemData[id];
+
+    return { success: true, itemId: id };
+  }
+}
@@ -0,0 +1,132 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { cleanUrl, decodeQueryString } from "@esri/arcgis-rest-request";
+
+/**
+ * A request received by the fake portal with its query string and form encoded body decoded into `params`.
+ */
+export interface IFakeRequest {
+  /**
+   * The HTTP method of the request.
+   */
+  method: string;
+
+  /**
+   * The URL of the request without its query string.
+   */
+  url: string;
+
+  /**
+   * The decoded query string and body parameters of the request.
+   */
+  params: { [key: string]: string };
+}
+
+/**
+ * A handler that answers a request to a path it owns. Handlers return `undefined` for requests they do not handle.
+ */
+export type FakeRequestHandler = (request: IFakeRequest) => any;
+
+/**
+ * Decodes the URL, query string and form encoded body passed to `fetch`. Multipart bodies are not decoded because the fake portal does not support uploading files.
+ *
+ * @internal
+ */
+export function parseRequest(
+  input: RequestInfo,
+  init: RequestInit = {}
+): IFakeRequest {
+  const [url, query] = (typeof input === "string" ? input : input.url).split(
+    "?"
+  );
+
+  return {
+    method: (init.method || "GET").toUpperCase(),
+    url: cleanUrl(url),
+    params: {
+      ...decodeQueryString(query),
+      ...(typeof init.body === "string" ? decodeQueryString(init.body) : {})
+    }
+  };
+}
+
+/**
+ * Creates the JSON body the ArcGIS REST API returns for errors.
+ *
+ * @internal
+ */
+export function createError(
+  code: number,
+  message: string,
+  details: string[] = []
+) {
+  return { error: { code, message, details } };
+}
+
+/**
+ * Creates a `Response` for the fake `fetch`.
+ *
+ * @internal
+ */
+export function createResponse(body: any, status = 200): Response {
+  const text = typeof body === "string" ? body : JSON.stringify(body);
+  const statusText = status === 200 ? "OK" : "Not Found";
+
+  /* istanbul ignore else - Response is available in all supported browsers and in Node.js 18+ */
+  if (typeof Response !== "undefined") {
+    return new Response(text, {
+      status,
+      statusText,
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  /* istanbul ignore next */
+  return {
+    ok: status === 200,
+    status,
+    statusText,
+    headers: { get: (): string => null },
+    json: () => Promise.resolve(JSON.parse(text)),
+    text: () => Promise.resolve(text)
+  } as any;
+}
+
+/**
+ * Parses a parameter that was encoded as a JSON string or a comma separated list.
+ *
+ * @internal
+ */
+export function parseList(value: string): any[] {
+  if (!value) {
+    return [];
+  }
+
+  if (value.charAt(0) === "[") {
+    return JSON.parse(value);
+  }
+
+  return value.split(",").map((entry) => {
+    const trimmed = entry.trim();
+    return /^-?\d+(\.\d+)?$/.test(trimmed) ? Number(trimmed) : trimmed;
+  });
+}
+
+/**
+ * Parses a boolean parameter.
+ *
+ * @internal
+ */
+export function parseBoolean(value: string, defaultValue: boolean) {
+  return value === undefined ? defaultValue : value === "true";
+}
+
+/**
+ * Returns a deep copy of a JSON value so callers cannot modify the fake's store.
+ *
+ * @internal
+ */
+export function copy<T>(value: T): T {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
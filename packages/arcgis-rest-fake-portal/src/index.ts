@@ -0,0 +1,6 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+export * from "./FakePortal.js";
+export * from "./FakeFeatureLayer.js";
+export { IFakeRequest } from "./helpers.js";
@@ -0,0 +1,181 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+/**
+ * A function that returns `true` if an item, group or user matches a search query.
+ */
+export type SearchFilter = (record: { [key: string]: any }) => boolean;
+
+/**
+ * Fields that are searched by terms that do not specify a field.
+ */
+const DEFAULT_FIELDS = [
+  "title",
+  "tags",
+  "typeKeywords",
+  "snippet",
+  "description",
+  "type",
+  "owner",
+  "username",
+  "fullName"
+];
+
+const TOKEN_PATTERN = /\(|\)|"[^"]*"|\[[^\]]*\]|[^\s()"[\]:]+:|[^\s()"[\]]+/g;
+
+function matchesValue(value: any, term: string): boolean {
+  if (value === null || value === undefined) {
+    return false;
+  }
+
+  if (Array.isArray(value)) {
+    return value.some((entry) => matchesValue(entry, term));
+  }
+
+  const range = term.match(/^\[\s*(\S+)\s+TO\s+(\S+)\s*\]$/i);
+
+  if (range) {
+    const [, min, max] = range;
+    return (
+      (min === "*" || value >= Number(min)) &&
+      (max === "*" || value <= Number(max))
+    );
+  }
+
+  if (typeof value === "number") {
+    return value === Number(term);
+  }
+
+  const expression = term
+    .replace(/^"|"$/g, "")
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+
+  return new RegExp(expression, "i").test(String(value));
+}
+
+function matchesTerm(field: string, term: string): SearchFilter {
+  return (record) =>
+    field
+      ? matchesValue(record[field], term)
+      : DEFAULT_FIELDS.some((name) => matchesValue(record[name], term));
+}
+
+/**
+ * Parses the subset of the portal [search syntax](https://developers.arcgis.com/rest/users-groups-and-items/search-reference.htm) created by `SearchQueryBuilder`: terms, `field:term`, quoted phrases, `*` wildcards, `[min TO max]` ranges, `AND`, `OR`, `NOT` and parentheses. Terms that are not separated by an operator must all match.
+ */
+class SearchParser {
+  private position = 0;
+
+  constructor(private tokens: string[]) {}
+
+  parse(): SearchFilter {
+    const filter = this.parseOr();
+
+    if (this.position < this.tokens.length) {
+      throw new Error(`Unexpected ${this.tokens[this.position]}`);
+    }
+
+    return filter;
+  }
+
+  private peek() {
+    return this.tokens[this.position];
+  }
+
+  private parseOr(): SearchFilter {
+    let left = this.parseAnd();
+
+    while (this.peek() === "OR") {
+      this.position++;
+      const a = left;
+      const b = this.parseAnd();
+      left = (record) => a(record) || b(record);
+    }
+
+    return left;
+  }
+
+  private parseAnd(): SearchFilter {
+    let left = this.parseNot();
+
+    while (
+      this.peek() !== undefined &&
+      this.peek() !== "OR" &&
+      this.peek() !== ")"
+    ) {
+      const negate = this.peek() === "NOT";
+
+      if (this.peek() === "AND" || negate) {
+        this.position++;
+      }
+
+      const a = left;
+      const b = this.parseNot();
+      left = negate
+        ? (record) => a(record) && !b(record)
+        : (record) => a(record) && b(record);
+    }
+
+    return left;
+  }
+
+  private parseNot(): SearchFilter {
+    if (this.peek() === "NOT") {
+      this.position++;
+      const filter = this.parseNot();
+      return (record) => !filter(record);
+    }
+
+    return this.parseTerm();
+  }
+
+  private parseTerm(): SearchFilter {
+    const token = this.tokens[this.position++];
+
+    if (token === undefined || token === ")") {
+      throw new Error("Unexpected end of search query");
+    }
+
+    if (token === "(") {
+      const filter = this.parseOr();
+
+      if (this.tokens[this.position++] !== ")") {
+        throw new Error("Expected )");
+      }
+
+      return filter;
+    }
+
+    if (token[token.length - 1] === ":") {
+      const term = this.tokens[this.position++];
+
+      if (term === undefined || term === "(" || term === ")") {
+        throw new Error(`Expected a term after ${token}`);
+      }
+
+      return matchesTerm(token.slice(0, -1), term);
+    }
+
+    return matchesTerm(undefined, token);
+  }
+}
+
+/**
+ * Parses a search query into a function that tests records against it.
+ *
+ * @param q The search query. Empty queries match every record.
+ * @returns A function that returns `true` for matching records.
+ * @throws An error if the query cannot be parsed.
+ * @internal
+ */
+export function parseSearch(q: string): SearchFilter {
+  const tokens = (q || "").match(TOKEN_PATTERN) || [];
+
+  if (!tokens.length) {
+    return () => true;
+  }
+
+  return new SearchParser(tokens).parse();
+}
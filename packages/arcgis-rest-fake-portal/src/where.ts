@@ -0,0 +1,296 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+/**
+ * A function that returns `true` if a feature's attributes match a where clause.
+ */
+export type WhereFilter = (attributes: { [key: string]: any }) => boolean;
+
+type Operand = (attributes: { [key: string]: any }) => any;
+
+const TOKEN_PATTERN =
+  /\s*(?:('(?:[^']|'')*')|(-?\d+(?:\.\d+)?)|(<>|!=|<=|>=|=|<|>|\(|\)|,)|([A-Za-z_][A-Za-z0-9_.]*))/y;
+
+const KEYWORDS = ["AND", "OR", "NOT", "LIKE", "IN", "IS", "NULL", "BETWEEN"];
+
+interface IToken {
+  type: "string" | "number" | "symbol" | "keyword" | "field";
+  value: string;
+}
+
+function tokenize(where: string): IToken[] {
+  const tokens: IToken[] = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < where.length) {
+    if (/^\s*$/.test(where.slice(TOKEN_PATTERN.lastIndex))) {
+      break;
+    }
+
+    const match = TOKEN_PATTERN.exec(where);
+
+    if (!match) {
+      throw new Error(`Unexpected character in where clause: ${where}`);
+    }
+
+    const [, string, number, symbol, word] = match;
+
+    if (string !== undefined) {
+      tokens.push({
+        type: "string",
+        value: string.slice(1, -1).replace(/''/g, "'")
+      });
+    } else if (number !== undefined) {
+      tokens.push({ type: "number", value: number });
+    } else if (symbol !== undefined) {
+      tokens.push({ type: "symbol", value: symbol });
+    } else if (KEYWORDS.indexOf(word.toUpperCase()) > -1) {
+      tokens.push({ type: "keyword", value: word.toUpperCase() });
+    } else {
+      tokens.push({ type: "field", value: word });
+    }
+  }
+
+  return tokens;
+}
+
+function getValue(attributes: { [key: string]: any }, field: string) {
+  const key = Object.keys(attributes).find(
+    (name) => name.toLowerCase() === field.toLowerCase()
+  );
+
+  if (key === undefined) {
+    throw new Error(`Invalid field: ${field}`);
+  }
+
+  return attributes[key];
+}
+
+function compare(a: any, b: any, operator: string) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return false;
+  }
+
+  // like the server, a number is compared to a string as a number, for example `OBJECTID = '1'`
+  if (typeof a === "number" && typeof b === "string") {
+    b = Number(b);
+  } else if (typeof a === "string" && typeof b === "number") {
+    a = Number(a);
+  }
+
+  switch (operator) {
+    case "=":
+      return a === b;
+    case "<>":
+    case "!=":
+      return a !== b;
+    case "<":
+      return a < b;
+    case "<=":
+      return a <= b;
+    case ">":
+      return a > b;
+    default:
+      return a >= b;
+  }
+}
+
+function like(value: any, pattern: string) {
+  if (value === null || value === undefined) {
+    return false;
+  }
+
+  const expression = pattern
+    .split("")
+    .map((char) =>
+      char === "%"
+        ? ".*"
+        : char === "_"
+        ? "."
+        : char.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+    )
+    .join("");
+
+  return new RegExp(`^${expression}$`, "i").test(String(value));
+}
+
+/**
+ * A recursive descent parser for the subset of SQL-92 supported in where clauses by the fake feature layer: comparisons, `LIKE`, `IN`, `BETWEEN`, `IS NULL` and `AND`/`OR`/`NOT` with parentheses.
+ */
+class WhereParser {
+  private position = 0;
+
+  constructor(private tokens: IToken[]) {}
+
+  parse(): WhereFilter {
+    const filter = this.parseOr();
+
+    if (this.position < this.tokens.length) {
+      throw new Error(`Unexpected ${this.tokens[this.position].value}`);
+    }
+
+    return filter;
+  }
+
+  private peek(value: string) {
+    const token = this.tokens[this.position];
+    return !!token && token.type !== "string" && token.value === value;
+  }
+
+  private accept(value: string) {
+    if (this.peek(value)) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+
+  private expect(value: string) {
+    if (!this.accept(value)) {
+      throw new Error(`Expected ${value}`);
+    }
+  }
+
+  private parseOr(): WhereFilter {
+    let left = this.parseAnd();
+
+    while (this.accept("OR")) {
+      const a = left;
+      const b = this.parseAnd();
+      left = (attributes) => a(attributes) || b(attributes);
+    }
+
+    return left;
+  }
+
+  private parseAnd(): WhereFilter {
+    let left = this.parseNot();
+
+    while (this.accept("AND")) {
+      const a = left;
+      const b = this.parseNot();
+      left = (attributes) => a(attributes) && b(attributes);
+    }
+
+    return left;
+  }
+
+  private parseNot(): WhereFilter {
+    if (this.accept("NOT")) {
+      const filter = this.parseNot();
+      return (attributes) => !filter(attributes);
+    }
+
+    return this.parsePredicate();
+  }
+
+  private parsePredicate(): WhereFilter {
+    if (this.accept("(")) {
+      const filter = this.parseOr();
+      this.expect(")");
+      return filter;
+    }
+
+    const left = this.parseOperand();
+
+    if (this.accept("IS")) {
+      const negate = this.accept("NOT");
+      this.expect("NULL");
+      return (attributes) => {
+        const value = left(attributes);
+        return (value === null || value === undefined) !== negate;
+      };
+    }
+
+    const negate = this.accept("NOT");
+
+    if (this.accept("LIKE")) {
+      const pattern = this.parseOperand();
+      return (attributes) =>
+        like(left(attributes), pattern(attributes)) !== negate;
+    }
+
+    if (this.accept("IN")) {
+      this.expect("(");
+      const values = [this.parseOperand()];
+      while (this.accept(",")) {
+        values.push(this.parseOperand());
+      }
+      this.expect(")");
+
+      return (attributes) => {
+        const value = left(attributes);
+        return (
+          values.some((operand) => compare(value, operand(attributes), "=")) !==
+          negate
+        );
+      };
+    }
+
+    if (this.accept("BETWEEN")) {
+      const min = this.parseOperand();
+      this.expect("AND");
+      const max = this.parseOperand();
+
+      return (attributes) => {
+        const value = left(attributes);
+        return (
+          (compare(value, min(attributes), ">=") &&
+            compare(value, max(attributes), "<=")) !== negate
+        );
+      };
+    }
+
+    if (negate) {
+      throw new Error("Expected LIKE, IN or BETWEEN after NOT");
+    }
+
+    const token = this.tokens[this.position++];
+
+    if (!token || token.type !== "symbol" || /[(),]/.test(token.value)) {
+      throw new Error("Expected a comparison operator");
+    }
+
+    const right = this.parseOperand();
+    return (attributes) =>
+      compare(left(attributes), right(attributes), token.value);
+  }
+
+  private parseOperand(): Operand {
+    const token = this.tokens[this.position++];
+
+    if (!token) {
+      throw new Error("Unexpected end of where clause");
+    }
+
+    switch (token.type) {
+      case "string":
+        return () => token.value;
+      case "number":
+        return () => Number(token.value);
+      case "field":
+        return (attributes) => getValue(attributes, token.value);
+      default:
+        if (token.value === "NULL") {
+          return (): any => null;
+        }
+        throw new Error(`Unexpected ${token.value}`);
+    }
+  }
+}
+
+/**
+ * Parses a where clause into a function that tests feature attributes against it.
+ *
+ * @param where The where clause. Empty where clauses match every feature.
+ * @returns A function that returns `true` for matching attributes. The function throws if the where clause references a field that does not exist.
+ * @throws An error if the where clause cannot be parsed.
+ * @internal
+ */
+export function parseWhere(where: string): WhereFilter {
+  if (!where || !where.trim()) {
+    return () => true;
+  }
+
+  return new WhereParser(tokenize(where)).parse();
+}
@@ -0,0 +1,375 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import {
+  ArcGISIdentityManager,
+  getDefaultRequestOptions,
+  IRequestOptions,
+  request,
+  setDefaultRequestOptions
+} from "@esri/arcgis-rest-request";
+import {
+  addFeatures,
+  applyEdits,
+  deleteFeatures,
+  getFeature,
+  getLayer,
+  getService,
+  queryFeatures,
+  updateFeatures
+} from "@esri/arcgis-rest-feature-service";
+import { FakeFeatureLayer, FakePortal } from "../src/index.js";
+
+const serviceUrl =
+  "https://services.arcgis.com/org/arcgis/rest/services/Parks/FeatureServer";
+
+describe("FakeFeatureLayer", () => {
+  let portal: FakePortal;
+  let layer: FakeFeatureLayer;
+  let defaults: IRequestOptions;
+
+  beforeEach(() => {
+    portal = new FakePortal();
+    layer = portal.addFeatureLayer({
+      url: `${serviceUrl}/0`,
+      name: "Parks",
+      fields: [
+        { name: "NAME", type: "esriFieldTypeString" },
+        { name: "ACRES", type: "esriFieldTypeDouble" }
+      ] as any,
+      features: [
+        {
+          attributes: { NAME: "Central", ACRES: 10 },
+          geometry: { x: 1, y: 2 }
+        },
+        { attributes: { NAME: "Riverside", ACRES: 4 } },
+        { attributes: { OBJECTID: 10, NAME: "Hilltop", ACRES: 25 } }
+      ] as any
+    });
+
+    defaults = getDefaultRequestOptions();
+    setDefaultRequestOptions({ ...defaults, fetch: portal.fetch });
+  });
+
+  afterEach(() => {
+    setDefaultRequestOptions(defaults);
+  });
+
+  it("should describe the layer and service", () => {
+    expect(layer.id).toBe(0);
+    expect(layer.serviceUrl).toBe(serviceUrl);
+    expect(layer.fields.map((field) => field.name)).toEqual([
+      "OBJECTID",
+      "NAME",
+      "ACRES"
+    ]);
+
+    return getLayer({ url: layer.url })
+      .then((definition) => {
+        expect(definition.name).toBe("Parks");
+        expect(definition.objectIdField).toBe("OBJECTID");
+        expect(definition.geometryType).toBe("esriGeometryPoint");
+        return getService({ url: serviceUrl });
+      })
+      .then((service) => {
+        expect(service.layers).toEqual([
+          { id: 0, name: "Parks", geometryType: "esriGeometryPoint" }
+        ]);
+      });
+  });
+
+  it("should use defaults for layers without options", () => {
+    const other = new FakeFeatureLayer({
+      url: "https://example.com/arcgis/rest/services/Areas/FeatureServer",
+      objectIdField: "FID",
+      fields: [{ name: "FID", type: "esriFieldTypeOID" }] as any,
+      features: [{ geometry: { rings: [] } }] as any,
+      geometryType: "esriGeometryPolygon",
+      spatialReference: { wkid: 102100 },
+      maxRecordCount: 2000
+    });
+
+    expect(other.id).toBe(0);
+    expect(other.name).toBe("Layer");
+    expect(other.fields.length).toBe(1);
+    expect(other.features).toEqual([
+      { geometry: { rings: [] }, attributes: { FID: 1 } }
+    ] as any);
+    expect(other.maxRecordCount).toBe(2000);
+    expect(layer.geometryType).toBe("esriGeometryPoint");
+    expect(layer.spatialReference).toEqual({ wkid: 4326 });
+    expect(layer.maxRecordCount).toBe(1000);
+    expect(portal.addFeatureLayer(other)).toBe(other);
+  });
+
+  it("should reject features with duplicate object ids", () => {
+    expect(
+      () =>
+        new FakeFeatureLayer({
+          url: serviceUrl,
+          features: [
+            { attributes: { OBJECTID: 1 } },
+            { attributes: { OBJECTID: 1 } }
+          ] as any
+        })
+    ).toThrowError("The OBJECTID 1 is used by more than one feature.");
+  });
+
+  it("should query features", () => {
+    return queryFeatures({ url: layer.url, where: "ACRES > 5" })
+      .then((response: any) => {
+        expect(response.objectIdFieldName).toBe("OBJECTID");
+        expect(response.features).toEqual([
+          {
+            attributes: { NAME: "Central", ACRES: 10, OBJECTID: 1 },
+            geometry: { x: 1, y: 2 }
+          },
+          { attributes: { OBJECTID: 10, NAME: "Hilltop", ACRES: 25 } }
+        ] as any);
+        expect(response.exceededTransferLimit).toBeUndefined();
+
+        return queryFeatures({
+          url: layer.url,
+          outFields: ["NAME"],
+          orderByFields: "ACRES DESC",
+          returnGeometry: false,
+          resultOffset: 1,
+          resultRecordCount: 1
+        });
+      })
+      .then((response: any) => {
+        expect(response.fields.map((field: any) => field.name)).toEqual([
+          "NAME"
+        ]);
+        expect(response.features).toEqual([
+          { attributes: { NAME: "Central" } }
+        ] as any);
+        expect(response.exceededTransferLimit).toBe(true);
+
+        return queryFeatures({
+          url: layer.url,
+          objectIds: [1, 2],
+          orderByFields: "NAME",
+          returnIdsOnly: true
+        });
+      })
+      .then((response) => {
+        expect(response).toEqual({
+          objectIdFieldName: "OBJECTID",
+          objectIds: [1, 2]
+        } as any);
+
+        return queryFeatures({ url: layer.url, returnCountOnly: true });
+      })
+      .then((response) => {
+        expect(response).toEqual({ count: 3 } as any);
+      });
+  });
+
+  it("should sort features that have equal values in their original order", () => {
+    return addFeatures({
+      url: layer.url,
+      features: [{ attributes: { NAME: "Central", ACRES: 1 } }]
+    })
+      .then(() => {
+        return queryFeatures({
+          url: layer.url,
+          orderByFields: "NAME, ACRES DESC",
+          returnIdsOnly: true
+        });
+      })
+      .then((response: any) => {
+        expect(response.objectIds).toEqual([1, 11, 10, 2]);
+      });
+  });
+
+  it("should reject invalid queries", () => {
+    return queryFeatures({ url: layer.url, where: "MISSING = 1" })
+      .then(() => {
+        fail("queryFeatures should have been rejected");
+      })
+      .catch((e) => {
+        expect(e.message).toBe("400: Unable to complete operation.");
+        expect(e.response.error.details).toEqual(["Invalid field: MISSING"]);
+      });
+  });
+
+  it("should get features", () => {
+    return getFeature({ url: layer.url, id: 2 })
+      .then((feature) => {
+        expect(feature.attributes.NAME).toBe("Riverside");
+        return getFeature({ url: layer.url, id: 3 });
+      })
+      .then(() => {
+        fail("getFeature should have been rejected");
+      })
+      .catch((e) => {
+        expect(e.message).toBe("404: Requested object not found.");
+      });
+  });
+
+  it("should add, update and delete features", () => {
+    return addFeatures({
+      url: layer.url,
+      features: [{ attributes: { NAME: "Lakeside", ACRES: 3 } }]
+    })
+      .then((response) => {
+        expect(response.addResults).toEqual([{ objectId: 11, success: true }]);
+
+        return updateFeatures({
+          url: layer.url,
+          features: [
+            {
+              attributes: { OBJECTID: 11, ACRES: 5 },
+              geometry: { x: 3, y: 4 }
+            },
+            { attributes: { OBJECTID: 99, ACRES: 5 } }
+          ] as any,
+          rollbackOnFailure: false
+        });
+      })
+      .then((response) => {
+        expect(response.updateResults).toEqual([
+          { objectId: 11, success: true },
+          {
+            objectId: 99,
+            success: false,
+            error: { code: 1019, description: "Object is missing." }
+          }
+        ] as any);
+        expect(layer.features[3]).toEqual({
+          attributes: { NAME: "Lakeside", ACRES: 5, OBJECTID: 11 },
+          geometry: { x: 3, y: 4 }
+        } as any);
+
+        return deleteFeatures({ url: layer.url, where: "ACRES < 6" } as any);
+      })
+      .then((response) => {
+        expect(response.deleteResults).toEqual([
+          { objectId: 2, success: true },
+          { objectId: 11, success: true }
+        ]);
+
+        return deleteFeatures({ url: layer.url, objectIds: [1] });
+      })
+      .then((response) => {
+        expect(response.deleteResults).toEqual([
+          { objectId: 1, success: true }
+        ]);
+        expect(layer.features.length).toBe(1);
+
+        return deleteFeatures({ url: layer.url } as any);
+      })
+      .then(() => {
+        fail("deleteFeatures should have been rejected");
+      })
+      .catch((e) => {
+        expect(e.message).toBe("400: Unable to delete features.");
+      });
+  });
+
+  it("should apply edits", () => {
+    return applyEdits({
+      url: layer.url,
+      adds: [{ attributes: { NAME: "Lakeside" } }],
+      updates: [{ attributes: { OBJECTID: 1, NAME: "Central Park" } }],
+      deletes: [2, 42],
+      rollbackOnFailure: false
+    }).then((response) => {
+      expect(response.addResults).toEqual([{ objectId: 11, success: true }]);
+      expect(response.updateResults).toEqual([{ objectId: 1, success: true }]);
+      expect(response.deleteResults).toEqual([
+        { objectId: 2, success: true },
+        {
+          objectId: 42,
+          success: false,
+          error: { code: 1019, description: "Object is missing." }
+        }
+      ] as any);
+      expect(layer.features.map((feature) => feature.attributes.NAME)).toEqual([
+        "Central Park",
+        "Hilltop",
+        "Lakeside"
+      ]);
+    });
+  });
+
+  it("should assign new object ids to added features", () => {
+    return addFeatures({
+      url: layer.url,
+      features: [
+        { attributes: { OBJECTID: 1, NAME: "Lakeside" } },
+        { attributes: { OBJECTID: 50, NAME: "Meadow" } }
+      ]
+    }).then((response) => {
+      expect(response.addResults).toEqual([
+        { objectId: 11, success: true },
+        { objectId: 12, success: true }
+      ]);
+      expect(
+        layer.features.map((feature) => feature.attributes.OBJECTID)
+      ).toEqual([1, 2, 10, 11, 12]);
+    });
+  });
+
+  it("should roll back edits when one of them fails", () => {
+    return applyEdits({
+      url: layer.url,
+      adds: [{ attributes: { NAME: "Lakeside" } }],
+      updates: [{ attributes: { OBJECTID: 1, NAME: "Central Park" } }],
+      deletes: [2, 42]
+    })
+      .then(() => {
+        fail("applyEdits should have been rejected");
+      })
+      .catch((e) => {
+        expect(e.message).toBe("400: Unable to complete operation.");
+        expect(e.response.error.details).toEqual(["Operation rolled back."]);
+        expect(
+          layer.features.map((feature) => feature.attributes.NAME)
+        ).toEqual(["Central", "Riverside", "Hilltop"]);
+
+        return addFeatures({
+          url: layer.url,
+          features: [{ attributes: { NAME: "Lakeside" } }]
+        });
+      })
+      .then((response: any) => {
+        expect(response.addResults).toEqual([{ objectId: 11, success: true }]);
+      });
+  });
+
+  it("should respond with 404 for unknown operations", () => {
+    return queryFeatures({ url: `${layer.url}/queryTopFeatures` })
+      .then(() => {
+        fail("request should have been rejected");
+      })
+      .catch((e) => {
+        expect(e.message).toBe("HTTP 404: Not Found");
+      });
+  });
+
+  it("should require a token for secured layers", () => {
+    portal.addUser({ username: "casey", password: "secret" });
+    const secured = portal.addFeatureLayer({
+      url: `${serviceUrl}/1`,
+      secured: true
+    });
+    const authentication = new ArcGISIdentityManager({
+      username: "casey",
+      token: portal.createToken("casey")
+    });
+
+    return queryFeatures({ url: secured.url })
+      .then(() => {
+        fail("queryFeatures should have been rejected");
+      })
+      .catch((e) => {
+        expect(e.code).toBe(499);
+        return request(`${secured.url}/query`, { authentication });
+      })
+      .then((response: any) => {
+        expect(response.features).toEqual([]);
+      });
+  });
+});
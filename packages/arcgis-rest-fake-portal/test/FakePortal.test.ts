@@ -0,0 +1,466 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import {
+  ApiKeyManager,
+  ArcGISIdentityManager,
+  getDefaultRequestOptions,
+  IRequestOptions,
+  request,
+  setDefaultRequestOptions
+} from "@esri/arcgis-rest-request";
+import {
+  createItem,
+  getGroup,
+  getItem,
+  getItemData,
+  getUser,
+  removeItem,
+  searchGroups,
+  searchItems,
+  SearchQueryBuilder,
+  updateItem
+} from "@esri/arcgis-rest-portal";
+import { FakePortal } from "../src/index.js";
+
+const portalUrl = "https://www.arcgis.com/sharing/rest";
+
+describe("FakePortal", () => {
+  let portal: FakePortal;
+  let defaults: IRequestOptions;
+
+  beforeEach(() => {
+    portal = new FakePortal();
+    portal.addUser({
+      username: "casey",
+      password: "secret",
+      fullName: "Casey"
+    });
+    portal.addUser({ username: "jo", password: "password" });
+
+    defaults = getDefaultRequestOptions();
+    setDefaultRequestOptions({ ...defaults, fetch: portal.fetch });
+  });
+
+  afterEach(() => {
+    setDefaultRequestOptions(defaults);
+  });
+
+  function authenticateAs(username: string) {
+    return new ArcGISIdentityManager({
+      username,
+      token: portal.createToken(username)
+    });
+  }
+
+  describe("authentication", () => {
+    it("should sign in with a username and password", () => {
+      return ArcGISIdentityManager.signIn({
+        username: "casey",
+        password: "secret"
+      })
+        .then((session) => {
+          expect(session.token).toBe("FAKE_TOKEN_1");
+          return session.getUser();
+        })
+        .then((user) => {
+          expect(user.username).toBe("casey");
+          expect(user.fullName).toBe("Casey");
+          expect((user as any).password).toBeUndefined();
+        });
+    });
+
+    it("should generate tokens", () => {
+      return request(`${portalUrl}/generateToken`, {
+        params: { username: "jo", password: "password" }
+      })
+        .then((response) => {
+          expect(response.token).toBe("FAKE_TOKEN_1");
+          expect(response.expires).toBeGreaterThan(Date.now() + 59 * 60000);
+          return request(`${portalUrl}/generateToken`, {
+            params: { username: "nobody", password: "password" }
+          });
+        })
+        .then(() => {
+          fail("request should have been rejected");
+        })
+        .catch((e) => {
+          expect(e.message).toBe("400: Unable to generate token.");
+        });
+    });
+
+    it("should reject invalid passwords", () => {
+      return ArcGISIdentityManager.signIn({
+        username: "casey",
+        password: "wrong"
+      })
+        .then(() => {
+          fail("signIn should have been rejected");
+        })
+        .catch((e) => {
+          expect(e.name).toBe("ArcGISTokenRequestError");
+          expect(e.message).toContain("Unable to generate token.");
+        });
+    });
+
+    it("should reject invalid and expired tokens", () => {
+      const expired = portal.createToken("casey", -1);
+
+      return request(`${portalUrl}/community/self`, {
+        authentication: ApiKeyManager.fromKey("nope")
+      })
+        .then(() => {
+          fail("request should have been rejected");
+        })
+        .catch((e) => {
+          expect(e.code).toBe(498);
+          return request(`${portalUrl}/community/self`, {
+            authentication: ApiKeyManager.fromKey(expired)
+          });
+        })
+        .then(() => {
+          fail("request should have been rejected");
+        })
+        .catch((e) => {
+          expect(e.message).toBe("498: Invalid token.");
+        });
+    });
+
+    it("should require a token for community/self", () => {
+      return request(`${portalUrl}/community/self`)
+        .then(() => {
+          fail("request should have been rejected");
+        })
+        .catch((e) => {
+          expect(e.code).toBe(499);
+        });
+    });
+
+    it("should not create tokens for unknown users", () => {
+      expect(() => portal.createToken("nobody")).toThrowError(
+        "The user nobody has not been added to the portal."
+      );
+    });
+
+    it("should get users", () => {
+      const authentication = authenticateAs("casey");
+
+      return getUser({ username: "jo", authentication })
+        .then((user) => {
+          expect(user.username).toBe("jo");
+          return getUser("nobody");
+        })
+        .then(() => {
+          fail("getUser should have been rejected");
+        })
+        .catch((e) => {
+          expect(e.message).toBe(
+            "400: User does not exist or is inaccessible."
+          );
+        });
+    });
+  });
+
+  describe("items", () => {
+    it("should search items", () => {
+      portal.addItem({ owner: "casey", title: "Parks", tags: ["parks"] });
+      portal.addItem({ owner: "casey", title: "Lakes", tags: ["water"] });
+      portal.addItem({ owner: "jo", title: "Trails", access: "private" });
+      portal.addItem({ owner: "casey", title: "Drafts", access: "private" });
+
+      const q = new SearchQueryBuilder().match("casey").in("owner");
+
+      return searchItems(q)
+        .then((response) => {
+          // private items are not visible without a token
+          expect(response.total).toBe(2);
+          expect(response.results.map((item) => item.title)).toEqual([
+            "Parks",
+            "Lakes"
+          ]);
+          expect(response.nextStart).toBe(-1);
+
+          return searchItems({
+            q: "",
+            num: 1,
+            sortField: "title",
+            sortOrder: "desc"
+          });
+        })
+        .then((response) => {
+          expect(response.total).toBe(2);
+          expect(response.results[0].title).toBe("Parks");
+          expect(response.nextStart).toBe(2);
+          return response.nextPage();
+        })
+        .then((response) => {
+          expect(response.start).toBe(2);
+          expect(response.results[0].title).toBe("Lakes");
+          expect(response.nextStart).toBe(-1);
+
+          return searchItems({
+            q: "",
+            sortField: "owner",
+            authentication: authenticateAs("jo")
+          });
+        })
+        .then((response) => {
+          // other users' private items are not visible
+          expect(response.results.map((item) => item.title)).toEqual([
+            "Parks",
+            "Lakes",
+            "Trails"
+          ]);
+        });
+    });
+
+    it("should reject invalid search queries", () => {
+      return searchItems("(parks")
+        .then(() => {
+          fail("searchItems should have been rejected");
+        })
+        .catch((e) => {
+          expect(e.message).toBe("400: Invalid query.");
+          expect(e.response.error.details).toEqual(["Expected )"]);
+        });
+    });
+
+    it("should get items and their data", () => {
+      const { id } = portal.addItem({
+        owner: "casey",
+        title: "Map",
+        data: { operationalLayers: [] }
+      });
+      const empty = portal.addItem({ owner: "casey", title: "Empty" });
+      const secret = portal.addItem({ owner: "casey", access: "org" });
+
+      return getItem(id)
+        .then((item) => {
+          expect(item.title).toBe("Map");
+          expect(item.tags).toEqual([]);
+          return getItemData(id);
+        })
+        .then((data) => {
+          expect(data).toEqual({ operationalLayers: [] });
+          return getItemData(empty.id);
+        })
+        .then((data) => {
+          expect(data).toEqual({});
+          return getItem(secret.id, {
+            authentication: authenticateAs("jo")
+          });
+        })
+        .then((item) => {
+          expect(item.id).toBe(secret.id);
+          return getItem(secret.id);
+        })
+        .then(() => {
+          fail("getItem should have been rejected");
+        })
+        .catch((e) => {
+          expect(e.message).toBe(
+            "400: Item does not exist or is inaccessible."
+          );
+          return getItemData("missing");
+        })
+        .then(() => {
+          fail("getItemData should have been rejected");
+        })
+        .catch((e) => {
+          expect(e.code).toBe(400);
+        });
+    });
+
+    it("should create, update and remove items", () => {
+      let authentication: ArcGISIdentityManager;
+      let id: string;
+
+      return ArcGISIdentityManager.signIn({
+        username: "casey",
+        password: "secret"
+      })
+        .then((session) => {
+          authentication = session;
+          return createItem({
+            item: {
+              title: "Notes",
+              type: "Web Map",
+              tags: ["a", "b"],
+              properties: { color: "red" },
+              text: { version: 1 }
+            } as any,
+            authentication
+          });
+        })
+        .then((response) => {
+          expect(response.success).toBe(true);
+          id = response.id;
+
+          return getItem(id, { authentication });
+        })
+        .then((item) => {
+          expect(item.owner).toBe("casey");
+          expect(item.access).toBe("private");
+          expect(item.tags).toEqual(["a", "b"]);
+          expect(item.properties).toEqual({ color: "red" });
+
+          return updateItem({
+            item: { id, title: "Renamed", tags: [], text: "plain" } as any,
+            authentication
+          });
+        })
+        .then((response) => {
+          expect(response).toEqual({ success: true, id });
+          expect(portal.items[0].title).toBe("Renamed");
+          expect(portal.items[0].tags).toEqual([]);
+
+          return request(`${portalUrl}/content/items/${id}/data`, {
+            authentication,
+            params: { f: "text" }
+          });
+        })
+        .then((data) => {
+          expect(data).toBe("plain");
+
+          return updateItem({ item: { id, description: "x" }, authentication });
+        })
+        .then(() => {
+          return removeItem({ id, authentication });
+        })
+        .then((response) => {
+          expect(response).toEqual({ success: true, itemId: id });
+          expect(portal.items).toEqual([]);
+        });
+    });
+
+    it("should create items in folders", () => {
+      const authentication = authenticateAs("casey");
+
+      return request(`${portalUrl}/content/users/casey/folder1/addItem`, {
+        authentication,
+        params: { title: "In a folder" }
+      }).then((response) => {
+        expect(response.folder).toBe("folder1");
+        expect(portal.items[0].ownerFolder).toBe("folder1");
+      });
+    });
+
+    it("should only allow owners to change items", () => {
+      const { id } = portal.addItem({ owner: "casey", title: "Mine" });
+      const authentication = authenticateAs("jo");
+
+      return request(`${portalUrl}/content/users/casey/addItem`, {
+        params: { title: "Nope" }
+      })
+        .then(() => {
+          fail("createItem should have been rejected");
+        })
+        .catch((e) => {
+          expect(e.code).toBe(499);
+          return updateItem({
+            item: { id, title: "Nope" },
+            owner: "casey",
+            authentication
+          });
+        })
+        .then(() => {
+          fail("updateItem should have been rejected");
+        })
+        .catch((e) => {
+          expect(e.code).toBe(403);
+          return updateItem({
+            item: { id: "missing" },
+            owner: "jo",
+            authentication
+          });
+        })
+        .then(() => {
+          fail("updateItem should have been rejected");
+        })
+        .catch((e) => {
+          expect(e.code).toBe(400);
+          return removeItem({ id, owner: "casey", authentication });
+        })
+        .then(() => {
+          fail("removeItem should have been rejected");
+        })
+        .catch((e) => {
+          expect(e.code).toBe(403);
+          return removeItem({ id: "missing", owner: "jo", authentication });
+        })
+        .then(() => {
+          fail("removeItem should have been rejected");
+        })
+        .catch((e) => {
+          expect(e.code).toBe(400);
+          expect(portal.items.length).toBe(1);
+        });
+    });
+  });
+
+  describe("groups", () => {
+    it("should search and get groups", () => {
+      const group = portal.addGroup({ title: "Parks Team", owner: "casey" });
+      portal.addGroup({ title: "Secret", owner: "casey", access: "private" });
+
+      return searchGroups("parks")
+        .then((response) => {
+          expect(response.total).toBe(1);
+          expect(response.results[0].id).toBe(group.id);
+          expect(portal.groups.length).toBe(2);
+
+          return getGroup(group.id);
+        })
+        .then((response) => {
+          expect(response.title).toBe("Parks Team");
+          return getGroup(portal.groups[1].id);
+        })
+        .then(() => {
+          fail("getGroup should have been rejected");
+        })
+        .catch((e) => {
+          expect(e.message).toBe(
+            "400: Group does not exist or is inaccessible."
+          );
+        });
+    });
+  });
+
+  it("should respond with 404 for unknown URLs", () => {
+    return request(`${portalUrl}/portals/self`)
+      .then(() => {
+        fail("request should have been rejected");
+      })
+      .catch((e) => {
+        expect(e.message).toBe("HTTP 404: Not Found");
+        return request("https://example.com/arcgis/rest/info");
+      })
+      .then(() => {
+        fail("request should have been rejected");
+      })
+      .catch((e) => {
+        expect(e.message).toBe("HTTP 404: Not Found");
+      });
+  });
+
+  it("should support Request objects and custom portal URLs", () => {
+    const enterprise = new FakePortal({
+      portal: "https://gis.example.com/portal/sharing/rest/"
+    });
+    enterprise.addItem({ id: "abc", title: "Enterprise" });
+
+    return enterprise
+      .fetch(
+        new Request(
+          "https://gis.example.com/portal/sharing/rest/content/items/abc?f=json"
+        )
+      )
+      .then((response) => response.json())
+      .then((item) => {
+        expect(enterprise.portal).toBe(
+          "https://gis.example.com/portal/sharing/rest"
+        );
+        expect(item.title).toBe("Enterprise");
+      });
+  });
+});
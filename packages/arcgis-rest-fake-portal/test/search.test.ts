@@ -0,0 +1,73 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { parseSearch } from "../src/search.js";
+
+const item = {
+  id: "abc123",
+  owner: "casey",
+  title: "City Parks",
+  type: "Web Mapping Application",
+  tags: ["parks", "recreation"],
+  created: 1600000000000,
+  numViews: 5,
+  description: null as string
+};
+
+function matches(q: string) {
+  return parseSearch(q)(item);
+}
+
+describe("parseSearch", () => {
+  it("should match everything when the query is empty", () => {
+    expect(matches(undefined)).toBe(true);
+    expect(matches("")).toBe(true);
+  });
+
+  it("should match terms in the default fields", () => {
+    expect(matches("parks")).toBe(true);
+    expect(matches("city parks")).toBe(true);
+    expect(matches("lakes")).toBe(false);
+    expect(matches("rec*")).toBe(true);
+  });
+
+  it("should match fields", () => {
+    expect(matches("owner:casey")).toBe(true);
+    expect(matches("owner: casey")).toBe(true);
+    expect(matches('type:"Web Mapping Application"')).toBe(true);
+    expect(matches("tags:parks")).toBe(true);
+    expect(matches("tags:lakes")).toBe(false);
+    expect(matches("description:parks")).toBe(false);
+    expect(matches("numViews:5")).toBe(true);
+    expect(matches("created:[1500000000000 TO 1700000000000]")).toBe(true);
+    expect(matches("created:[1700000000000 TO *]")).toBe(false);
+    expect(matches("created:[* TO 1700000000000]")).toBe(true);
+  });
+
+  it("should combine terms", () => {
+    expect(matches("owner:casey AND tags:lakes")).toBe(false);
+    expect(matches("owner:casey OR tags:lakes")).toBe(true);
+    expect(matches("owner:casey NOT tags:lakes")).toBe(true);
+    expect(matches("NOT owner:casey")).toBe(false);
+    expect(
+      matches("owner:casey AND (type:Application OR type:Dashboard)")
+    ).toBe(true);
+  });
+
+  it("should throw for invalid queries", () => {
+    expect(() => parseSearch("owner:casey)")).toThrowError("Unexpected )");
+    expect(() => parseSearch("(owner:casey")).toThrowError("Expected )");
+    expect(() => parseSearch("owner:casey AND")).toThrowError(
+      "Unexpected end of search query"
+    );
+    expect(() => parseSearch("()")).toThrowError(
+      "Unexpected end of search query"
+    );
+    expect(() => parseSearch("owner:")).toThrowError(
+      "Expected a term after owner:"
+    );
+    expect(() => parseSearch("owner:)")).toThrowError(
+      "Expected a term after owner:"
+    );
+  });
+});
@@ -0,0 +1,92 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { parseWhere } from "../src/where.js";
+
+const attributes = {
+  OBJECTID: 1,
+  NAME: "O'Brien Park",
+  ACRES: 12.5,
+  TYPE: "Park",
+  CODE: "7",
+  NOTES: null as string
+};
+
+function matches(where: string) {
+  return parseWhere(where)(attributes);
+}
+
+describe("parseWhere", () => {
+  it("should match everything when the where clause is empty", () => {
+    expect(matches(undefined)).toBe(true);
+    expect(matches("  ")).toBe(true);
+    expect(matches("1=1")).toBe(true);
+    expect(matches("1=0")).toBe(false);
+    expect(matches("OBJECTID = 1 ")).toBe(true);
+  });
+
+  it("should compare values", () => {
+    expect(matches("objectid = 1")).toBe(true);
+    expect(matches("NAME = 'O''Brien Park'")).toBe(true);
+    expect(matches("TYPE <> 'Park'")).toBe(false);
+    expect(matches("TYPE != 'Lake'")).toBe(true);
+    expect(matches("ACRES < 20")).toBe(true);
+    expect(matches("ACRES <= 12.5")).toBe(true);
+    expect(matches("ACRES > 20")).toBe(false);
+    expect(matches("ACRES >= -1")).toBe(true);
+    expect(matches("NOTES = 'x'")).toBe(false);
+    expect(matches("TYPE = NULL")).toBe(false);
+  });
+
+  it("should compare numbers and strings as numbers", () => {
+    expect(matches("OBJECTID = '1'")).toBe(true);
+    expect(matches("OBJECTID <> '1'")).toBe(false);
+    expect(matches("CODE = 7")).toBe(true);
+    expect(matches("CODE > 10")).toBe(false);
+  });
+
+  it("should support LIKE, IN, BETWEEN and IS NULL", () => {
+    expect(matches("NAME LIKE 'o''brien%'")).toBe(true);
+    expect(matches("TYPE LIKE 'P_rk'")).toBe(true);
+    expect(matches("TYPE NOT LIKE 'P%'")).toBe(false);
+    expect(matches("NOTES LIKE '%'")).toBe(false);
+    expect(matches("TYPE IN ('Lake', 'Park')")).toBe(true);
+    expect(matches("OBJECTID NOT IN (2, 3)")).toBe(true);
+    expect(matches("ACRES BETWEEN 10 AND 15")).toBe(true);
+    expect(matches("ACRES NOT BETWEEN 10 AND 15")).toBe(false);
+    expect(matches("NOTES IS NULL")).toBe(true);
+    expect(matches("NAME IS NOT NULL")).toBe(true);
+    expect(matches("NOTES = NULL")).toBe(false);
+  });
+
+  it("should combine conditions", () => {
+    expect(matches("TYPE = 'Lake' OR ACRES > 10 AND OBJECTID = 1")).toBe(true);
+    expect(matches("(TYPE = 'Lake' OR ACRES > 10) AND OBJECTID = 2")).toBe(
+      false
+    );
+    expect(matches("NOT TYPE = 'Lake'")).toBe(true);
+  });
+
+  it("should throw for invalid where clauses", () => {
+    expect(() => matches("MISSING = 1")).toThrowError("Invalid field: MISSING");
+    expect(() => parseWhere("TYPE = #")).toThrowError(/Unexpected character/);
+    expect(() => parseWhere("TYPE = 'Park')")).toThrowError("Unexpected )");
+    expect(() => parseWhere("(TYPE = 'Park'")).toThrowError("Expected )");
+    expect(() => parseWhere("TYPE NOT = 'Park'")).toThrowError(
+      "Expected LIKE, IN or BETWEEN after NOT"
+    );
+    expect(() => parseWhere("TYPE 'Park'")).toThrowError(
+      "Expected a comparison operator"
+    );
+    expect(() => parseWhere("TYPE (1)")).toThrowError(
+      "Expected a comparison operator"
+    );
+    expect(() => parseWhere("TYPE")).toThrowError(
+      "Expected a comparison operator"
+    );
+    expect(() => parseWhere("TYPE =")).toThrowError(
+      "Unexpected end of where clause"
+    );
+    expect(() => parseWhere("TYPE = AND")).toThrowError("Unexpected AND");
+  });
+});
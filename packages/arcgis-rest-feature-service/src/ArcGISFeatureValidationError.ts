@@ -0,0 +1,73 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import type { IFeatureValidationReport } from "./validateFeatures.js";
+
+/**
+ * This error is thrown by {@linkcode addFeatures}, {@linkcode updateFeatures}, {@linkcode applyEdits} and {@linkcode applyEditsInBatches} with `validate: true` when features do not match the fields of the layer. The request is not sent.
+ *
+ * ```js
+ * import { applyEdits } from "@esri/arcgis-rest-feature-service";
+ *
+ * applyEdits({ url, adds, updates, validate: true }).catch((e) => {
+ *   if (e.name === "ArcGISFeatureValidationError") {
+ *     e.adds.forEach(({ index, errors }) => console.log(index, errors));
+ *   }
+ * });
+ * ```
+ */
+export class ArcGISFeatureValidationError extends Error {
+  /**
+   * The name of this error. Will always be `"ArcGISFeatureValidationError"` to conform with the [`Error`](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error) class.
+   */
+  public name: string;
+
+  /**
+   * Formatted error message. See the [`Error`](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error) class for more details.
+   */
+  public message: string;
+
+  /**
+   * The features to add that are not valid.
+   */
+  public adds: IFeatureValidationReport[];
+
+  /**
+   * The features to update that are not valid.
+   */
+  public updates: IFeatureValidationReport[];
+
+  /**
+   * Create a new `ArcGISFeatureValidationError` object.
+   *
+   * @param adds - The reports of the features to add that are not valid.
+   * @param updates - The reports of the features to update that are not valid.
+   */
+  constructor(
+    adds: IFeatureValidationReport[],
+    updates: IFeatureValidationReport[]
+  ) {
+    const describe = (name: string, report: IFeatureValidationReport) =>
+      `${name}[${report.index}]: ${report.errors
+        .map(({ message }) => message)
+        .join(" ")}`;
+
+    super(
+      `Invalid features: ${adds
+        .map((report) => describe("adds", report))
+        .concat(updates.map((report) => describe("updates", report)))
+        .join(" ")}`
+    );
+
+    // restore prototype chain, see https://stackoverflow.com/questions/41102060/typescript-extending-error-class
+    // we don't need to check for Object.setPrototypeOf as in the answers because we are ES2017 now.
+    // Also see https://github.com/Microsoft/TypeScript-wiki/blob/main/Breaking-Changes.md#extending-built-ins-like-error-array-and-map-may-no-longer-work
+    // and https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error#custom_error_types
+    const actualProto = new.target.prototype;
+    Object.setPrototypeOf(this, actualProto);
+
+    this.name = "ArcGISFeatureValidationError";
+    this.adds = adds;
+    this.updates = updates;
+  }
+}
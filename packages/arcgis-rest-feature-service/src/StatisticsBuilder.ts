@@ -0,0 +1,239 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { IFeatureSet, IParamBuilder } from "@esri/arcgis-rest-request";
+
+import { IStatisticDefinition } from "./helpers.js";
+
+/**
+ * `StatisticsBuilder` can be used to construct the `outStatistics` param of {@linkcode queryFeatures} and {@linkcode queryBins} and to turn the statistics in the response into plain objects.
+ *
+ * Every statistic is named, so the objects returned by {@linkcode StatisticsBuilder.toObjects} are typed with the names of the statistics and do not depend on the names the server assigns.
+ *
+ * ```js
+ * import { queryFeatures, StatisticsBuilder } from '@esri/arcgis-rest-feature-service';
+ *
+ * const statistics = new StatisticsBuilder()
+ *   .count("OBJECTID", "trees")
+ *   .avg("HEIGHT", "averageHeight")
+ *   .percentileCont("HEIGHT", "medianHeight", 0.5);
+ *
+ * queryFeatures({
+ *   url,
+ *   outStatistics: statistics,
+ *   groupByFieldsForStatistics: "STATUS"
+ * }).then((response) => {
+ *   statistics.toObjects(response);
+ *   // [{ STATUS: "Alive", trees: 1520, averageHeight: 12.5, medianHeight: 11 }, ...]
+ * });
+ * ```
+ */
+export class StatisticsBuilder<
+  T extends { [name: string]: number } = Record<never, number>
+> implements IParamBuilder
+{
+  private statistics: IStatisticDefinition[] = [];
+
+  /**
+   * Counts the values of a field that are not null.
+   *
+   * @param onStatisticField The field or expression to count.
+   * @param outStatisticFieldName The name of the statistic in the results.
+   */
+  public count<K extends string>(
+    onStatisticField: string,
+    outStatisticFieldName: K
+  ) {
+    return this.add<K>("count", onStatisticField, outStatisticFieldName);
+  }
+
+  /**
+   * Sums the values of a field.
+   *
+   * @param onStatisticField The field or expression to sum.
+   * @param outStatisticFieldName The name of the statistic in the results.
+   */
+  public sum<K extends string>(
+    onStatisticField: string,
+    outStatisticFieldName: K
+  ) {
+    return this.add<K>("sum", onStatisticField, outStatisticFieldName);
+  }
+
+  /**
+   * The lowest value of a field.
+   *
+   * @param onStatisticField The field or expression.
+   * @param outStatisticFieldName The name of the statistic in the results.
+   */
+  public min<K extends string>(
+    onStatisticField: string,
+    outStatisticFieldName: K
+  ) {
+    return this.add<K>("min", onStatisticField, outStatisticFieldName);
+  }
+
+  /**
+   * The highest value of a field.
+   *
+   * @param onStatisticField The field or expression.
+   * @param outStatisticFieldName The name of the statistic in the results.
+   */
+  public max<K extends string>(
+    onStatisticField: string,
+    outStatisticFieldName: K
+  ) {
+    return this.add<K>("max", onStatisticField, outStatisticFieldName);
+  }
+
+  /**
+   * The average of the values of a field.
+   *
+   * @param onStatisticField The field or expression.
+   * @param outStatisticFieldName The name of the statistic in the results.
+   */
+  public avg<K extends string>(
+    onStatisticField: string,
+    outStatisticFieldName: K
+  ) {
+    return this.add<K>("avg", onStatisticField, outStatisticFieldName);
+  }
+
+  /**
+   * The standard deviation of the values of a field.
+   *
+   * @param onStatisticField The field or expression.
+   * @param outStatisticFieldName The name of the statistic in the results.
+   */
+  public stddev<K extends string>(
+    onStatisticField: string,
+    outStatisticFieldName: K
+  ) {
+    return this.add<K>("stddev", onStatisticField, outStatisticFieldName);
+  }
+
+  /**
+   * The variance of the values of a field.
+   *
+   * @param onStatisticField The field or expression.
+   * @param outStatisticFieldName The name of the statistic in the results.
+   */
+  public var<K extends string>(
+    onStatisticField: string,
+    outStatisticFieldName: K
+  ) {
+    return this.add<K>("var", onStatisticField, outStatisticFieldName);
+  }
+
+  /**
+   * The continuous percentile of the values of a field, interpolated between values.
+   *
+   * ```js
+   * new StatisticsBuilder().percentileCont("HEIGHT", "medianHeight", 0.5);
+   * ```
+   *
+   * @param onStatisticField The field or expression.
+   * @param outStatisticFieldName The name of the statistic in the results.
+   * @param value The percentile, between `0` and `1`.
+   * @param orderBy The order of the values. Defaults to `"asc"`.
+   */
+  public percentileCont<K extends string>(
+    onStatisticField: string,
+    outStatisticFieldName: K,
+    value: number,
+    orderBy?: "asc" | "desc"
+  ) {
+    return this.add<K>(
+      "percentile_cont",
+      onStatisticField,
+      outStatisticFieldName,
+      { value, orderBy }
+    );
+  }
+
+  /**
+   * The discrete percentile of the values of a field, one of the values of the field.
+   *
+   * @param onStatisticField The field or expression.
+   * @param outStatisticFieldName The name of the statistic in the results.
+   * @param value The percentile, between `0` and `1`.
+   * @param orderBy The order of the values. Defaults to `"asc"`.
+   */
+  public percentileDisc<K extends string>(
+    onStatisticField: string,
+    outStatisticFieldName: K,
+    value: number,
+    orderBy?: "asc" | "desc"
+  ) {
+    return this.add<K>(
+      "percentile_disc",
+      onStatisticField,
+      outStatisticFieldName,
+      { value, orderBy }
+    );
+  }
+
+  /**
+   * Returns the statistic definitions. Called internally when the request is made.
+   */
+  public toParam() {
+    return this.statistics.map((statistic) => ({ ...statistic }));
+  }
+
+  /**
+   * Turns the features of a statistics query into plain objects with the statistics by name and the values of the `groupByFieldsForStatistics`. Servers may return the names of the statistics in upper or lower case, they are matched without case.
+   *
+   * @param response The response of the query.
+   * @returns An object for each group.
+   */
+  public toObjects(
+    response: IFeatureSet
+  ): Array<T & { [groupByField: string]: any }> {
+    const names = this.statistics.map(
+      ({ outStatisticFieldName }) => outStatisticFieldName
+    );
+
+    return response.features.map(({ attributes }) =>
+      Object.keys(attributes).reduce((result: any, key) => {
+        const name =
+          names.find(
+            (candidate) => candidate.toLowerCase() === key.toLowerCase()
+          ) || key;
+
+        result[name] = attributes[key];
+        return result;
+      }, {})
+    );
+  }
+
+  /**
+   * Returns a new instance of `StatisticsBuilder` with the statistics of the current instance.
+   */
+  public clone(): StatisticsBuilder<T> {
+    const builder = new StatisticsBuilder<T>();
+    builder.statistics = this.toParam();
+    return builder;
+  }
+
+  private add<K extends string>(
+    statisticType: IStatisticDefinition["statisticType"],
+    onStatisticField: string,
+    outStatisticFieldName: K,
+    statisticParameters?: IStatisticDefinition["statisticParameters"]
+  ): StatisticsBuilder<T & { [name in K]: number }> {
+    if (!/^\w+$/.test(outStatisticFieldName)) {
+      throw new Error(
+        `${outStatisticFieldName} is not a valid statistic name. Use only letters, numbers and underscores.`
+      );
+    }
+
+    this.statistics.push({
+      statisticType,
+      onStatisticField,
+      outStatisticFieldName,
+      ...(statisticParameters ? { statisticParameters } : {})
+    });
+
+    return this as any;
+  }
+}
@@ -0,0 +1,131 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import {
+  request,
+  Job,
+  IJobInfo,
+  IJobOptions,
+  IJobWaitOptions,
+  JOB_STATUSES
+} from "@esri/arcgis-rest-request";
+
+import { downloadReplica, IDownloadReplicaOptions } from "./downloadReplica.js";
+
+/**
+ * The status of a replica job as returned by the `statusUrl` of an asynchronous {@linkcode createReplica}, {@linkcode synchronizeReplica} or {@linkcode extractChanges} request.
+ */
+export interface ISyncJobInfo extends IJobInfo {
+  /**
+   * The status returned by the service, for example `"ExportingData"` or `"CompletedWithErrors"`. `status` is the matching {@linkcode JOB_STATUSES}.
+   */
+  syncStatus: string;
+  /**
+   * The URL of the replica or of the edits that were downloaded, set once the job completes.
+   */
+  resultUrl?: string;
+  replicaName?: string;
+  replicaID?: string;
+  submissionTime?: number;
+  lastUpdatedTime?: number;
+  transportType?: string;
+  responseType?: string;
+}
+
+/**
+ * Options for the replica requests that can run as a {@linkcode SyncJob}.
+ */
+export interface ISyncJobRequestOptions
+  extends Pick<
+    IJobOptions,
+    "pollingRate" | "maxPollingRate" | "pollingBackoff" | "startMonitoring"
+  > {
+  /**
+   * Run the request as a job. The request then resolves with a {@linkcode SyncJob} that is polled until the replica is ready. Defaults to `false`.
+   */
+  async?: boolean;
+}
+
+/**
+ * Maps the status of a replica job to a {@linkcode JOB_STATUSES}. Every status that is not listed is a step of a job that is running, for example `"ExportingData"`.
+ */
+const SYNC_STATUSES: { [status: string]: JOB_STATUSES } = {
+  Pending: JOB_STATUSES.Submitted,
+  Completed: JOB_STATUSES.Success,
+  CompletedWithErrors: JOB_STATUSES.Success,
+  Failed: JOB_STATUSES.Failed
+};
+
+/**
+ * A replica job of a feature service. Returned by {@linkcode createReplica}, {@linkcode synchronizeReplica} and {@linkcode extractChanges} when `async` is `true`.
+ *
+ * ```js
+ * import { createReplica } from '@esri/arcgis-rest-feature-service';
+ *
+ * const job = await createReplica({ url, layers: [0, 1], geometry, async: true });
+ * const replica = await job.downloadResult();
+ * ```
+ *
+ * The job is polled like any other {@linkcode Job}: use {@linkcode Job.waitForCompletion}, {@linkcode Job.statusUpdates} or the status events to follow it. Jobs that complete with errors have a {@linkcode JOB_STATUSES.Success} status, the errors are in the result. Replica jobs cannot be cancelled and do not have GP results, use {@linkcode SyncJob.downloadResult} instead of {@linkcode Job.getAllResults}.
+ */
+export class SyncJob extends Job {
+  /**
+   * Creates a {@linkcode SyncJob} from the `statusUrl` returned by an asynchronous replica request, for example one that was saved before the app was closed.
+   *
+   * @param statusUrl The URL of the job status, ending with `/jobs/<job id>`.
+   * @param options Options for polling the job and its authentication.
+   * @returns A new instance of {@linkcode SyncJob}.
+   */
+  static fromStatusUrl(
+    statusUrl: string,
+    options: Partial<IJobOptions> = {}
+  ): SyncJob {
+    const match = statusUrl.match(/^(.+)\/jobs\/([^/?]+)\/?$/);
+
+    if (!match) {
+      throw new Error(`${statusUrl} is not the status URL of a replica job.`);
+    }
+
+    return new SyncJob({ ...options, url: match[1], id: match[2] });
+  }
+
+  /**
+   * Retrieves the status of the replica job.
+   *
+   * @returns The job information with its {@linkcode JOB_STATUSES} and the fields returned by the service.
+   */
+  getJobInfo(): Promise<ISyncJobInfo> {
+    return request(`${this.url}/jobs/${this.id}`, {
+      authentication: this.authentication
+    }).then((rawJobInfo: any) => ({
+      ...rawJobInfo,
+      id: this.id,
+      status: SYNC_STATUSES[rawJobInfo.status] || JOB_STATUSES.Executing,
+      syncStatus: rawJobInfo.status
+    }));
+  }
+
+  /**
+   * Waits for the job to complete and downloads its result with {@linkcode downloadReplica}. Rejects with an {@linkcode ArcGISJobError} if the job fails.
+   *
+   * @param options Options for reading the result and waiting for the job.
+   * @returns A Promise that will resolve with the replica or the downloaded edits.
+   */
+  downloadResult(options: IDownloadReplicaOptions & IJobWaitOptions = {}) {
+    const { timeout, cancelOnAbort, ...downloadOptions } = options;
+
+    return this.waitForCompletion(options).then((jobInfo) =>
+      downloadReplica((jobInfo as ISyncJobInfo).resultUrl, {
+        authentication: this.authentication,
+        ...downloadOptions
+      })
+    );
+  }
+
+  /**
+   * Replica jobs cannot be cancelled. Always rejects.
+   */
+  cancelJob(): Promise<any> {
+    return Promise.reject(new Error("Replica jobs cannot be cancelled."));
+  }
+}
@@ -0,0 +1,524 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { IField, IParamBuilder, warn } from "@esri/arcgis-rest-request";
+
+import { IGetLayerOptions } from "./helpers.js";
+import { getLayer } from "./getLayer.js";
+
+/**
+ * Values that can be compared with a field in a {@linkcode WhereClauseBuilder}.
+ */
+export type WhereClauseValue = string | number | Date;
+
+/**
+ * Options for a new {@linkcode WhereClauseBuilder}.
+ */
+export interface IWhereClauseBuilderOptions {
+  /**
+   * The fields of the layer, for example from {@linkcode getLayer}. When set, field names must be fields of the layer and values must match the type of the field.
+   */
+  fields?: IField[];
+}
+
+const NUMBER_FIELD_TYPES = [
+  "esriFieldTypeOID",
+  "esriFieldTypeSmallInteger",
+  "esriFieldTypeInteger",
+  "esriFieldTypeBigInteger",
+  "esriFieldTypeSingle",
+  "esriFieldTypeDouble"
+];
+
+const STRING_FIELD_TYPES = [
+  "esriFieldTypeString",
+  "esriFieldTypeGUID",
+  "esriFieldTypeGlobalID"
+];
+
+const DATE_FIELD_TYPES = [
+  "esriFieldTypeDate",
+  "esriFieldTypeDateOnly",
+  "esriFieldTypeTimestampOffset"
+];
+
+/**
+ * Returns the type of values that can be compared with a field or `undefined` if any value can be used.
+ */
+function getValueType(field: IField) {
+  if (NUMBER_FIELD_TYPES.indexOf(field.type) > -1) {
+    return "number";
+  }
+
+  if (STRING_FIELD_TYPES.indexOf(field.type) > -1) {
+    return "string";
+  }
+
+  if (DATE_FIELD_TYPES.indexOf(field.type) > -1) {
+    return "date";
+  }
+}
+
+/**
+ * Escapes the `%` and `_` wildcards and the `\` escape character of LIKE patterns.
+ */
+function escapeLike(value: string) {
+  return value.replace(/[\\%_]/g, "\\$&");
+}
+
+/**
+ * `WhereClauseBuilder` can be used to construct the `where` param of {@linkcode queryFeatures}, {@linkcode deleteFeatures} and the other feature queries or the `definitionExpression` of {@linkcode queryRelated} without concatenating values into SQL.
+ *
+ * By chaining methods, it helps build complex where clauses in [standardized SQL](https://doc.arcgis.com/en/arcgis-online/reference/sql-agol.htm). Strings are quoted, numbers are checked and dates are written as `TIMESTAMP` literals, so user input cannot change the meaning of the query.
+ *
+ * ```js
+ * const where = new WhereClauseBuilder()
+ *   .field("STATUS")
+ *   .in(["Alive", "Dormant"])
+ *   .and()
+ *   .field("PLANTED")
+ *   .between(new Date("2020-01-01"), new Date("2021-01-01"))
+ *   .and()
+ *   .startGroup()
+ *     .field("NAME")
+ *     .contains(userInput)
+ *     .or()
+ *     .field("NAME")
+ *     .isNull()
+ *   .endGroup();
+ *
+ * queryFeatures({ url, where }).then((response) => {
+ *   console.log(response.features);
+ * });
+ * ```
+ *
+ * Will query features matching
+ * ```
+ * STATUS IN ('Alive', 'Dormant') AND PLANTED BETWEEN TIMESTAMP '2020-01-01 00:00:00' AND TIMESTAMP '2021-01-01 00:00:00' AND (NAME LIKE '%oak%' OR NAME IS NULL)
+ * ```
+ *
+ * Conditions that are not joined with {@linkcode WhereClauseBuilder.and} or {@linkcode WhereClauseBuilder.or} are joined with `AND`. Use {@linkcode WhereClauseBuilder.fromLayer} to check field names and value types against the fields of the layer. Invalid field names and values throw an error, other mistakes are reported with a warning like {@linkcode SearchQueryBuilder}.
+ */
+export class WhereClauseBuilder implements IParamBuilder {
+  /**
+   * Creates a `WhereClauseBuilder` that checks field names and value types against the fields returned by {@linkcode getLayer}.
+   *
+   * ```js
+   * const builder = await WhereClauseBuilder.fromLayer({ url });
+   *
+   * builder.field("HEIGHT").greaterThan("10"); // throws, HEIGHT is a double field
+   * ```
+   *
+   * @param requestOptions Options for the {@linkcode getLayer} request.
+   * @returns A Promise that will resolve with the builder.
+   */
+  static fromLayer(requestOptions: IGetLayerOptions) {
+    return getLayer(requestOptions).then(
+      (layer) => new WhereClauseBuilder({ fields: layer.fields })
+    );
+  }
+
+  private where = "";
+  private openGroups = 0;
+  private hasOperand = false;
+  private currentField: IField;
+  private fields: IField[];
+
+  /**
+   * @param options Options for the builder.
+   */
+  constructor(options: IWhereClauseBuilderOptions = {}) {
+    this.fields = options.fields;
+  }
+
+  /**
+   * Sets the field of the following conditions.
+   *
+   * ```js
+   * const where = new WhereClauseBuilder()
+   *   .field("HEIGHT")
+   *   .greaterThan(10)
+   *   .lessThan(20)
+   * ```
+   *
+   * @param name The name of the field.
+   */
+  public field(this: WhereClauseBuilder, name: string) {
+    if (this.fields) {
+      const field = this.fields.find(
+        (candidate) => candidate.name.toLowerCase() === name.toLowerCase()
+      );
+
+      if (!field) {
+        throw new Error(`The layer does not have a field named ${name}.`);
+      }
+
+      this.currentField = field;
+    } else {
+      if (!/^[A-Za-z_][\w.]*$/.test(name)) {
+        throw new Error(`${name} is not a valid field name.`);
+      }
+
+      this.currentField = { name } as IField;
+    }
+
+    return this;
+  }
+
+  /**
+   * Adds a `field = value` condition.
+   */
+  public equals(this: WhereClauseBuilder, value: WhereClauseValue) {
+    return this.compare("=", value);
+  }
+
+  /**
+   * Adds a `field <> value` condition.
+   */
+  public notEquals(this: WhereClauseBuilder, value: WhereClauseValue) {
+    return this.compare("<>", value);
+  }
+
+  /**
+   * Adds a `field > value` condition.
+   */
+  public greaterThan(this: WhereClauseBuilder, value: WhereClauseValue) {
+    return this.compare(">", value);
+  }
+
+  /**
+   * Adds a `field >= value` condition.
+   */
+  public greaterThanOrEqual(this: WhereClauseBuilder, value: WhereClauseValue) {
+    return this.compare(">=", value);
+  }
+
+  /**
+   * Adds a `field < value` condition.
+   */
+  public lessThan(this: WhereClauseBuilder, value: WhereClauseValue) {
+    return this.compare("<", value);
+  }
+
+  /**
+   * Adds a `field <= value` condition.
+   */
+  public lessThanOrEqual(this: WhereClauseBuilder, value: WhereClauseValue) {
+    return this.compare("<=", value);
+  }
+
+  /**
+   * Adds a `field IN (values)` condition.
+   *
+   * ```js
+   * const where = new WhereClauseBuilder()
+   *   .field("STATUS")
+   *   .in(["Alive", "Dormant"])
+   * ```
+   *
+   * @param values The values to match, at least one.
+   */
+  public in(this: WhereClauseBuilder, values: WhereClauseValue[]) {
+    return this.addCondition(`IN (${this.formatValues(values, "in")})`);
+  }
+
+  /**
+   * Adds a `field NOT IN (values)` condition.
+   *
+   * @param values The values to exclude, at least one.
+   */
+  public notIn(this: WhereClauseBuilder, values: WhereClauseValue[]) {
+    return this.addCondition(`NOT IN (${this.formatValues(values, "notIn")})`);
+  }
+
+  /**
+   * Adds a `field BETWEEN from AND to` condition. Both values are included.
+   *
+   * @param from The lowest value.
+   * @param to The highest value.
+   */
+  public between(
+    this: WhereClauseBuilder,
+    from: WhereClauseValue,
+    to: WhereClauseValue
+  ) {
+    const field = this.getField();
+
+    return this.addCondition(
+      `BETWEEN ${this.formatValue(field, from)} AND ${this.formatValue(
+        field,
+        to
+      )}`
+    );
+  }
+
+  /**
+   * Adds a `field IS NULL` condition.
+   */
+  public isNull(this: WhereClauseBuilder) {
+    return this.addCondition("IS NULL");
+  }
+
+  /**
+   * Adds a `field IS NOT NULL` condition.
+   */
+  public isNotNull(this: WhereClauseBuilder) {
+    return this.addCondition("IS NOT NULL");
+  }
+
+  /**
+   * Adds a `field LIKE pattern` condition. `%` and `_` in the pattern are wildcards, use {@linkcode WhereClauseBuilder.contains}, {@linkcode WhereClauseBuilder.startsWith} or {@linkcode WhereClauseBuilder.endsWith} to match user input.
+   *
+   * @param pattern The pattern to match.
+   */
+  public like(this: WhereClauseBuilder, pattern: string) {
+    return this.addLike(pattern, false);
+  }
+
+  /**
+   * Adds a condition that matches values containing `value`. Wildcards in `value` are escaped.
+   *
+   * ```js
+   * const where = new WhereClauseBuilder()
+   *   .field("NOTES")
+   *   .contains("50%")
+   * // NOTES LIKE '%50\%%' ESCAPE '\'
+   * ```
+   *
+   * @param value The text to look for.
+   */
+  public contains(this: WhereClauseBuilder, value: string) {
+    const escaped = escapeLike(value);
+    return this.addLike(`%${escaped}%`, escaped !== value);
+  }
+
+  /**
+   * Adds a condition that matches values starting with `value`. Wildcards in `value` are escaped.
+   *
+   * @param value The text values start with.
+   */
+  public startsWith(this: WhereClauseBuilder, value: string) {
+    const escaped = escapeLike(value);
+    return this.addLike(`${escaped}%`, escaped !== value);
+  }
+
+  /**
+   * Adds a condition that matches values ending with `value`. Wildcards in `value` are escaped.
+   *
+   * @param value The text values end with.
+   */
+  public endsWith(this: WhereClauseBuilder, value: string) {
+    const escaped = escapeLike(value);
+    return this.addLike(`%${escaped}`, escaped !== value);
+  }
+
+  /**
+   * Joins two conditions with `AND`.
+   */
+  public and(this: WhereClauseBuilder) {
+    return this.addOperator("AND");
+  }
+
+  /**
+   * Joins two conditions with `OR`.
+   */
+  public or(this: WhereClauseBuilder) {
+    return this.addOperator("OR");
+  }
+
+  /**
+   * Negates the next condition or group.
+   *
+   * ```js
+   * const where = new WhereClauseBuilder()
+   *   .not()
+   *   .startGroup()
+   *     .field("STATUS")
+   *     .equals("Dead")
+   *     .or()
+   *     .field("HEIGHT")
+   *     .lessThan(1)
+   *   .endGroup()
+   * ```
+   */
+  public not(this: WhereClauseBuilder) {
+    this.startOperand();
+    this.where += "NOT ";
+    return this;
+  }
+
+  /**
+   * Starts a group of conditions.
+   */
+  public startGroup(this: WhereClauseBuilder) {
+    this.startOperand();
+    this.where += "(";
+    this.openGroups++;
+    return this;
+  }
+
+  /**
+   * Ends a group of conditions.
+   */
+  public endGroup(this: WhereClauseBuilder) {
+    if (this.openGroups <= 0) {
+      warn(
+        `\`endGroup()\` was called without calling \`startGroup()\` first. Your where clause was not modified.`
+      );
+      return this;
+    }
+
+    this.where += ")";
+    this.openGroups--;
+    this.hasOperand = true;
+    return this;
+  }
+
+  /**
+   * Returns the where clause, `1=1` if no condition was added. Called internally when the request is made.
+   */
+  public toParam() {
+    let where = this.where.replace(/(\s*\b(AND|OR|NOT)\s*|\()+$/, "");
+    // empty groups at the end were removed with the operators
+    const openGroups =
+      this.openGroups - (this.where.slice(where.length).split("(").length - 1);
+
+    if (where !== this.where) {
+      warn(
+        `The where clause ended with an operator or an empty group that was removed.`
+      );
+    }
+
+    if (openGroups > 0) {
+      warn(
+        `Automatically closing ${openGroups} group(s). You can use \`endGroup()\` to remove this warning.`
+      );
+      where += ")".repeat(openGroups);
+    }
+
+    return where || "1=1";
+  }
+
+  /**
+   * Returns a new instance of `WhereClauseBuilder` based on the current instance.
+   */
+  public clone(): WhereClauseBuilder {
+    return Object.assign(new WhereClauseBuilder(), this);
+  }
+
+  private getField() {
+    if (!this.currentField) {
+      throw new Error("Call `field()` before adding a condition.");
+    }
+
+    return this.currentField;
+  }
+
+  /**
+   * Returns the SQL literal of a value after checking it can be compared with the field.
+   */
+  private formatValue(field: IField, value: WhereClauseValue) {
+    const valueType = value instanceof Date ? "date" : typeof value;
+    const fieldValueType = getValueType(field);
+
+    if (
+      ["string", "number", "date"].indexOf(valueType) < 0 ||
+      (fieldValueType && fieldValueType !== valueType)
+    ) {
+      throw new Error(
+        `${value} cannot be compared with the field ${field.name}${
+          field.type ? ` of type ${field.type}` : ""
+        }.`
+      );
+    }
+
+    if (valueType === "string") {
+      return `'${(value as string).replace(/'/g, "''")}'`;
+    }
+
+    if (valueType === "number") {
+      if (!isFinite(value as number)) {
+        throw new Error(`${value} cannot be used in a where clause.`);
+      }
+
+      return String(value);
+    }
+
+    if (isNaN((value as Date).getTime())) {
+      throw new Error(`Invalid dates cannot be used in a where clause.`);
+    }
+
+    const iso = (value as Date).toISOString();
+
+    // date only fields are not part of FieldType yet
+    return (field.type as string) === "esriFieldTypeDateOnly"
+      ? `DATE '${iso.slice(0, 10)}'`
+      : `TIMESTAMP '${iso.slice(0, 10)} ${iso.slice(11, 19)}'`;
+  }
+
+  private formatValues(values: WhereClauseValue[], method: string) {
+    const field = this.getField();
+
+    if (!values || !values.length) {
+      throw new Error(`\`${method}()\` requires at least one value.`);
+    }
+
+    return values.map((value) => this.formatValue(field, value)).join(", ");
+  }
+
+  private compare(operator: string, value: WhereClauseValue) {
+    return this.addCondition(
+      `${operator} ${this.formatValue(this.getField(), value)}`
+    );
+  }
+
+  private addLike(pattern: string, escaped: boolean) {
+    const field = this.getField();
+    const valueType = getValueType(field);
+
+    if (valueType && valueType !== "string") {
+      throw new Error(
+        `LIKE cannot be used with the field ${field.name} of type ${field.type}.`
+      );
+    }
+
+    const literal = this.formatValue(
+      { ...field, type: "esriFieldTypeString" },
+      pattern
+    );
+
+    return this.addCondition(`LIKE ${literal}${escaped ? " ESCAPE '\\'" : ""}`);
+  }
+
+  private addCondition(condition: string) {
+    const field = this.getField();
+
+    this.startOperand();
+    this.where += `${field.name} ${condition}`;
+    this.hasOperand = true;
+    return this;
+  }
+
+  /**
+   * Joins the next condition or group to the previous one with `AND` if no operator was added.
+   */
+  private startOperand() {
+    if (this.hasOperand) {
+      this.where += " AND ";
+      this.hasOperand = false;
+    }
+  }
+
+  private addOperator(operator: string) {
+    if (!this.hasOperand) {
+      warn(
+        `\`${operator.toLowerCase()}()\` was called without a condition before it. Your where clause was not modified.`
+      );
+      return this;
+    }
+
+    this.where += ` ${operator} `;
+    this.hasOperand = false;
+    return this;
+  }
+}
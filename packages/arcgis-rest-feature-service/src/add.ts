@@ -7,18 +7,25 @@ import {
   appendCustomParams,
   IFeature
 } from "@esri/arcgis-rest-request";
+import type { Feature } from "geojson";
 
 import { ISharedEditOptions, IEditFeatureResult } from "./helpers.js";
+import { IGeoJSONEditOptions, toArcGISFeatures } from "./geojson.js";
+import { IValidateEditsOptions } from "./validateFeatures.js";
+import { validateEdits } from "./utils/validate-edits.js";
 
 /**
  * Add features request options. See the [REST Documentation](https://developers.arcgis.com/rest/services-reference/add-features.htm) for more information.
  *
  */
-export interface IAddFeaturesOptions extends ISharedEditOptions {
+export interface IAddFeaturesOptions
+  extends ISharedEditOptions,
+    IGeoJSONEditOptions,
+    IValidateEditsOptions {
   /**
-   * Array of JSON features to add.
+   * Array of JSON features to add. GeoJSON features can be passed with `format: "geojson"`.
    */
-  features: IFeature[];
+  features: IFeature[] | Feature[];
 }
 
 /**
@@ -45,12 +52,23 @@ export function addFeatures(
 ): Promise<{ addResults: IEditFeatureResult[] }> {
   const url = `${cleanUrl(requestOptions.url)}/addFeatures`;
 
+  const features = toArcGISFeatures(requestOptions.features, requestOptions);
+
   // edit operations are POST only
   const options = appendCustomParams<IAddFeaturesOptions>(
-    requestOptions,
+    {
+      ...requestOptions,
+      features
+    },
     ["features", "gdbVersion", "returnEditMoment", "rollbackOnFailure"],
     { params: { ...requestOptions.params } }
   );
 
+  if (requestOptions.validate) {
+    return validateEdits(requestOptions, { adds: features }).then(() =>
+      request(url, options)
+    );
+  }
+
   return request(url, options);
 }
@@ -16,7 +16,11 @@ export interface IAddAttachmentOptions extends IGetLayerOptions {
   /**
    * File to be attached.
    */
-  attachment: File;
+  attachment?: File;
+  /**
+   * The `itemID` of a file uploaded with {@linkcode uploadAttachmentFile}, to attach files larger than the maximum size of a request instead of `attachment`.
+   */
+  uploadId?: string;
 }
 
 /**
@@ -44,8 +48,9 @@ export function addAttachment(
     ...requestOptions
   };
 
-  // `attachment` --> params: {}
+  // `attachment` and `uploadId` --> params: {}
   options.params.attachment = requestOptions.attachment;
+  options.params.uploadId = requestOptions.uploadId;
 
   return request(
     `${cleanUrl(options.url)}/${options.featureId}/addAttachment`,
@@ -7,22 +7,29 @@ import {
   appendCustomParams,
   IFeature
 } from "@esri/arcgis-rest-request";
+import type { Feature } from "geojson";
 
 import { ISharedEditOptions, IApplyEditsResult } from "./helpers.js";
+import { IGeoJSONEditOptions, toArcGISFeatures } from "./geojson.js";
+import { IValidateEditsOptions } from "./validateFeatures.js";
+import { validateEdits } from "./utils/validate-edits.js";
 
 /**
  * Apply edits request options. See the [REST Documentation](https://developers.arcgis.com/rest/services-reference/apply-edits-feature-service-layer-.htm) for more information.
  *
  */
-export interface IApplyEditsOptions extends ISharedEditOptions {
+export interface IApplyEditsOptions
+  extends ISharedEditOptions,
+    IGeoJSONEditOptions,
+    IValidateEditsOptions {
   /**
-   * Array of JSON features to add.
+   * Array of JSON features to add. GeoJSON features can be passed with `format: "geojson"`.
    */
-  adds?: IFeature[];
+  adds?: IFeature[] | Feature[];
   /**
-   * Array of JSON features to update.
+   * Array of JSON features to update. GeoJSON features can be passed with `format: "geojson"`.
    */
-  updates?: IFeature[];
+  updates?: IFeature[] | Feature[];
   /**
    * Array of objectIds or globalIds to delete.
    */
@@ -74,9 +81,16 @@ export function applyEdits(
 ): Promise<IApplyEditsResult> {
   const url = `${cleanUrl(requestOptions.url)}/applyEdits`;
 
+  const adds = toArcGISFeatures(requestOptions.adds, requestOptions);
+  const updates = toArcGISFeatures(requestOptions.updates, requestOptions);
+
   // edit operations are POST only
   const options = appendCustomParams<IApplyEditsOptions>(
-    requestOptions,
+    {
+      ...requestOptions,
+      adds,
+      updates
+    },
     [
       "adds",
       "updates",
@@ -91,5 +105,11 @@ export function applyEdits(
     { params: { ...requestOptions.params } }
   );
 
+  if (requestOptions.validate) {
+    return validateEdits(requestOptions, { adds, updates }).then(() =>
+      request(url, options)
+    );
+  }
+
   return request(url, options);
 }
@@ -0,0 +1,273 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { IFeature, isTransientError } from "@esri/arcgis-rest-request";
+import type { Feature } from "geojson";
+
+import { applyEdits, IApplyEditsOptions } from "./applyEdits.js";
+import { IApplyEditsResult, IEditFeatureResult } from "./helpers.js";
+import { toArcGISFeatures } from "./geojson.js";
+import { chunk } from "./utils/chunk.js";
+import { validateEdits } from "./utils/validate-edits.js";
+
+const DEFAULT_BATCH_SIZE = 500;
+
+/**
+ * Describes the progress of {@linkcode applyEditsInBatches}. Passed to `onProgress` after each batch.
+ */
+export interface IApplyEditsProgress {
+  /**
+   * The number of batches that have been sent.
+   */
+  batchesCompleted: number;
+  /**
+   * The total number of batches.
+   */
+  batchCount: number;
+  /**
+   * The number of adds, updates and deletes that have been sent.
+   */
+  editsCompleted: number;
+  /**
+   * The total number of adds, updates and deletes.
+   */
+  editCount: number;
+  /**
+   * The number of edits that failed so far.
+   */
+  failureCount: number;
+}
+
+/**
+ * An add, update or delete that was not applied by {@linkcode applyEditsInBatches}.
+ */
+export interface IEditFailure {
+  type: "add" | "update" | "delete";
+  /**
+   * The position of the edit in `adds`, `updates` or `deletes`.
+   */
+  index: number;
+  /**
+   * The feature that was added or updated or the object id or global id that was deleted.
+   */
+  edit: IFeature | Feature | number | string;
+  /**
+   * The reason the edit failed. `code` is the error code returned by the service, if any.
+   */
+  error: {
+    code?: number | string;
+    description: string;
+  };
+}
+
+/**
+ * Options for {@linkcode applyEditsInBatches}. Attachments cannot be edited in batches.
+ */
+export interface IApplyEditsInBatchesOptions
+  extends Omit<IApplyEditsOptions, "attachments"> {
+  /**
+   * The maximum number of adds, updates and deletes sent in each request. Must be a positive integer. Defaults to `500`.
+   */
+  batchSize?: number;
+  /**
+   * Called after each batch with the progress of the edits.
+   */
+  onProgress?: (progress: IApplyEditsProgress) => void;
+}
+
+/**
+ * The merged results of every batch of {@linkcode applyEditsInBatches}.
+ */
+export interface IApplyEditsInBatchesResult extends IApplyEditsResult {
+  /**
+   * Every edit that was not applied and why.
+   */
+  failures: IEditFailure[];
+}
+
+interface IBatchEdit {
+  type: IEditFailure["type"];
+  index: number;
+  edit: IFeature | Feature | number | string;
+}
+
+const RESULT_KEYS = {
+  add: "addResults",
+  update: "updateResults",
+  delete: "deleteResults"
+} as const;
+
+/**
+ * Decides if a batch that includes adds is sent again. Only `429` and `503` errors are retried because the server rejects those requests without applying them. A batch that timed out with a `502` or `504` error may have been applied, and sending it again would add its features twice.
+ */
+function retryAdds(code: string | number, error: any) {
+  return isTransientError(error) && /^(HTTP )?(429|503)$/.test(String(code));
+}
+
+/**
+ * Returns the result for an edit that was not applied.
+ */
+function getFailedResult(
+  { type, edit }: IBatchEdit,
+  error: IEditFailure["error"]
+) {
+  const id = type === "delete" ? edit : undefined;
+
+  return {
+    objectId: typeof id === "number" ? id : undefined,
+    globalId: typeof id === "string" ? id : undefined,
+    success: false,
+    error
+  } as IEditFeatureResult;
+}
+
+/**
+ * Applies a large number of adds, updates and deletes with {@linkcode applyEdits} in batches of `batchSize` edits, one batch at a time. Batches that fail with a transient error are sent again with the [`retry`](../../arcgis-rest-request/IRequestOptions#retry) option of the request, which is on by default. Batches that include adds are only sent again after `429` and `503` errors, which the server returns without applying the edits, unless `retry` has its own `retryOn`.
+ *
+ * ```js
+ * import { applyEditsInBatches } from '@esri/arcgis-rest-feature-service';
+ *
+ * applyEditsInBatches({
+ *   url,
+ *   adds: features,
+ *   batchSize: 250,
+ *   rollbackOnFailure: false,
+ *   onProgress: ({ editsCompleted, editCount }) => console.log(`${editsCompleted} of ${editCount}`)
+ * }).then(({ failures }) => {
+ *   failures.forEach(({ type, index, error }) => console.log(type, index, error.description));
+ * });
+ * ```
+ *
+ * Every batch is applied in its own request, so `rollbackOnFailure` only rolls back the batch that failed. Since `rollbackOnFailure` defaults to `true` no more batches are sent once a batch fails: the edits of that batch and of the remaining batches are reported as failures. Set `rollbackOnFailure: false` to send every batch and only report the edits that failed.
+ *
+ * With `validate: true` every add and update is validated before the first batch is sent, so the request rejects with an {@linkcode ArcGISFeatureValidationError} without applying any edit.
+ *
+ * The `addResults`, `updateResults` and `deleteResults` of the response are in the same order as `adds`, `updates` and `deletes` and include a result with `success: false` for the edits that were not applied.
+ *
+ * @param requestOptions - Options for the request.
+ * @returns A Promise that will resolve with the merged results of every batch.
+ */
+export async function applyEditsInBatches(
+  requestOptions: IApplyEditsInBatchesOptions
+): Promise<IApplyEditsInBatchesResult> {
+  const {
+    adds = [],
+    updates = [],
+    deletes = [],
+    batchSize = DEFAULT_BATCH_SIZE,
+    onProgress,
+    ...options
+  } = requestOptions;
+  const rollbackOnFailure = options.rollbackOnFailure !== false;
+  const retry = options.retry === undefined ? true : options.retry;
+
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error("batchSize must be a positive integer.");
+  }
+
+  if (options.validate) {
+    await validateEdits(options, {
+      adds: toArcGISFeatures(adds, options),
+      updates: toArcGISFeatures(updates, options)
+    });
+  }
+
+  const edits: IBatchEdit[] = [
+    ...adds.map((edit, index) => ({ type: "add" as const, index, edit })),
+    ...updates.map((edit, index) => ({ type: "update" as const, index, edit })),
+    ...(deletes as Array<number | string>).map((edit, index) => ({
+      type: "delete" as const,
+      index,
+      edit
+    }))
+  ];
+  const batches = chunk(edits, batchSize);
+  const result: IApplyEditsInBatchesResult = {
+    addResults: [],
+    updateResults: [],
+    deleteResults: [],
+    failures: []
+  };
+  let editsCompleted = 0;
+  let failedBatch = false;
+
+  const fail = (edit: IBatchEdit, error: IEditFailure["error"]) => {
+    result[RESULT_KEYS[edit.type]].push(getFailedResult(edit, error));
+    result.failures.push({ ...edit, error });
+  };
+
+  for (const [batchIndex, batch] of batches.entries()) {
+    if (failedBatch) {
+      // the edits of an earlier batch were rolled back, do not apply the rest
+      batch.forEach((edit) =>
+        fail(edit, {
+          description:
+            "Not sent because an earlier batch failed and rollbackOnFailure is true."
+        })
+      );
+      continue;
+    }
+
+    const ofType = (type: IBatchEdit["type"]): any[] => {
+      const list = batch
+        .filter((edit) => edit.type === type)
+        .map(({ edit }) => edit);
+      return list.length ? list : undefined;
+    };
+
+    const batchAdds = ofType("add");
+
+    try {
+      const response = await applyEdits({
+        ...options,
+        retry:
+          retry && batchAdds
+            ? { retryOn: retryAdds, ...(retry === true ? {} : retry) }
+            : retry,
+        validate: false,
+        adds: batchAdds,
+        updates: ofType("update"),
+        deletes: ofType("delete")
+      });
+      const positions = { add: 0, update: 0, delete: 0 };
+      const results: IEditFeatureResult[] = batch.map(
+        ({ type }) => response[RESULT_KEYS[type]][positions[type]++]
+      );
+      const batchFailed = results.some((editResult) => !editResult.success);
+
+      batch.forEach((edit, i) => {
+        if (results[i].success && !(rollbackOnFailure && batchFailed)) {
+          result[RESULT_KEYS[edit.type]].push(results[i]);
+        } else {
+          fail(
+            edit,
+            results[i].error || {
+              description:
+                "Rolled back because another edit in the batch failed."
+            }
+          );
+        }
+      });
+      failedBatch = rollbackOnFailure && batchFailed;
+    } catch (e: any) {
+      batch.forEach((edit) =>
+        fail(edit, { code: e.code, description: e.message })
+      );
+      failedBatch = rollbackOnFailure;
+    }
+
+    editsCompleted += batch.length;
+
+    if (onProgress) {
+      onProgress({
+        batchesCompleted: batchIndex + 1,
+        batchCount: batches.length,
+        editsCompleted,
+        editCount: edits.length,
+        failureCount: result.failures.length
+      });
+    }
+  }
+
+  return result;
+}
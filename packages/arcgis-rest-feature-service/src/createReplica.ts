@@ -0,0 +1,181 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import {
+  request,
+  appendCustomParams,
+  IFeature,
+  IGeometry,
+  IExtent,
+  GeometryType,
+  ISpatialReference
+} from "@esri/arcgis-rest-request";
+
+import {
+  IGetLayerOptions,
+  ILayerServerGen,
+  parseServiceUrl
+} from "./helpers.js";
+import { SyncJob, ISyncJobRequestOptions } from "./SyncJob.js";
+import { toSyncJob } from "./utils/to-sync-job.js";
+
+/**
+ * Create replica request options. See the [REST Documentation](https://developers.arcgis.com/rest/services-reference/enterprise/create-replica.htm) for more information.
+ */
+export interface ICreateReplicaOptions
+  extends IGetLayerOptions,
+    ISyncJobRequestOptions {
+  /**
+   * The ids of the layers and tables to include in the replica.
+   */
+  layers: number[];
+  /**
+   * The name of the replica.
+   */
+  replicaName?: string;
+  /**
+   * Which features of each layer to include, keyed by layer id.
+   */
+  layerQueries?: {
+    [layerId: string]: {
+      queryOption?: "all" | "none" | "useFilter";
+      where?: string;
+      useGeometry?: boolean;
+      includeRelated?: boolean;
+    };
+  };
+  /**
+   * The area of the replica. Only features that intersect it are included.
+   */
+  geometry?: IGeometry | IExtent;
+  geometryType?: GeometryType;
+  inSR?: string | ISpatialReference;
+  /**
+   * The spatial reference of the replica.
+   */
+  replicaSR?: string | ISpatialReference;
+  /**
+   * `"esriTransportTypeUrl"` returns the `responseUrl` of the replica, which can be downloaded with {@linkcode downloadReplica}. `"esriTransportTypeEmbedded"` returns the features in the response. Defaults to `"esriTransportTypeUrl"`.
+   */
+  transportType?: "esriTransportTypeUrl" | "esriTransportTypeEmbedded";
+  returnAttachments?: boolean;
+  returnAttachmentsDataByUrl?: boolean;
+  attachmentsSyncDirection?: "none" | "upload" | "bidirectional";
+  /**
+   * Whether the replica is synchronized as a whole or layer by layer. Use `"none"` to create a snapshot that cannot be synchronized. Defaults to `"perReplica"`.
+   */
+  syncModel?: "none" | "perReplica" | "perLayer";
+  syncDirection?: "download" | "upload" | "bidirectional" | "snapshot";
+  /**
+   * The format of the replica, JSON or a mobile geodatabase. Defaults to `"json"`.
+   */
+  dataFormat?: "json" | "sqlite";
+  /**
+   * Additional replica options, for example `{ registerExistingData: true }`.
+   */
+  replicaOptions?: { [key: string]: any };
+}
+
+/**
+ * The layers of a replica that was created with `transportType: "esriTransportTypeEmbedded"`.
+ */
+export interface IReplicaLayer {
+  id: number;
+  features: IFeature[];
+  attachments?: any[];
+}
+
+/**
+ * Create replica response.
+ */
+export interface ICreateReplicaResponse {
+  replicaName?: string;
+  replicaID: string;
+  transportType?: "esriTransportTypeUrl" | "esriTransportTypeEmbedded";
+  /**
+   * The URL of the replica when `transportType` is `"esriTransportTypeUrl"`.
+   */
+  responseUrl?: string;
+  /**
+   * The server generation of the replica when `syncModel` is `"perReplica"`.
+   */
+  replicaServerGen?: number;
+  /**
+   * The server generation of each layer when `syncModel` is `"perLayer"`.
+   */
+  layerServerGens?: ILayerServerGen[];
+  /**
+   * The layers of the replica when `transportType` is `"esriTransportTypeEmbedded"`.
+   */
+  layers?: IReplicaLayer[];
+}
+
+/**
+ * Creates a replica of the layers of a sync enabled feature service that can be used offline and synchronized with {@linkcode synchronizeReplica}. See the [REST Documentation](https://developers.arcgis.com/rest/services-reference/enterprise/create-replica.htm) for more information.
+ *
+ * ```js
+ * import { createReplica, downloadReplica } from '@esri/arcgis-rest-feature-service';
+ *
+ * createReplica({
+ *   url: "https://sampleserver6.arcgisonline.com/arcgis/rest/services/Sync/WildfireSync/FeatureServer",
+ *   replicaName: "fieldCrew",
+ *   layers: [0, 1],
+ *   geometry: { xmin: -117.5, ymin: 34, xmax: -117, ymax: 34.5, spatialReference: { wkid: 4326 } },
+ *   geometryType: "esriGeometryEnvelope"
+ * })
+ *   .then(({ replicaID, responseUrl }) => downloadReplica(responseUrl));
+ * ```
+ *
+ * Large replicas should be created with `async: true`. The request then resolves with a {@linkcode SyncJob}:
+ *
+ * ```js
+ * const job = await createReplica({ url, layers: [0, 1], dataFormat: "sqlite", async: true });
+ * const geodatabase = await job.downloadResult();
+ * ```
+ *
+ * @param requestOptions - Options for the request.
+ * @returns A Promise that will resolve with the replica or a {@linkcode SyncJob} if `async` is `true`.
+ */
+export function createReplica(
+  requestOptions: ICreateReplicaOptions & { async: true }
+): Promise<SyncJob>;
+export function createReplica(
+  requestOptions: ICreateReplicaOptions
+): Promise<ICreateReplicaResponse>;
+export function createReplica(
+  requestOptions: ICreateReplicaOptions
+): Promise<any> {
+  const url = `${parseServiceUrl(requestOptions.url)}/createReplica`;
+
+  const options = appendCustomParams<ICreateReplicaOptions>(
+    {
+      transportType: "esriTransportTypeUrl",
+      syncModel: "perReplica",
+      dataFormat: "json",
+      ...requestOptions
+    },
+    [
+      "replicaName",
+      "layers",
+      "layerQueries",
+      "geometry",
+      "geometryType",
+      "inSR",
+      "replicaSR",
+      "transportType",
+      "returnAttachments",
+      "returnAttachmentsDataByUrl",
+      "attachmentsSyncDirection",
+      "syncModel",
+      "syncDirection",
+      "dataFormat",
+      "replicaOptions",
+      "async"
+    ],
+    { params: { ...requestOptions.params } }
+  );
+
+  return request(url, options).then((response) =>
+    requestOptions.async ? toSyncJob(response, requestOptions) : response
+  );
+}
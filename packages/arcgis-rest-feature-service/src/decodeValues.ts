@@ -6,6 +6,7 @@ import { IRequestOptions, IField, IFeature } from "@esri/arcgis-rest-request";
 import { IQueryFeaturesResponse } from "./query.js";
 import { getLayer } from "./getLayer.js";
 import { ILayerDefinition } from "./helpers.js";
+import { extractCodedValueDomains } from "./utils/extract-coded-value-domains.js";
 
 /**
  * Request options to fetch a feature by id.
@@ -103,16 +104,6 @@ export function decodeValues(
   });
 }
 
-function extractCodedValueDomains(fields: IField[]) {
-  return fields.reduce((domains, field) => {
-    const domain = field.domain;
-    if (domain && domain.type === "codedValue") {
-      domains[field.name] = domain;
-    }
-    return domains;
-  }, {} as { [index: string]: any });
-}
-
 // TODO: add type for domain?
 function decodeValue(value: any, domain: any) {
   const codedValue = domain.codedValues.find((d: any) => {
@@ -0,0 +1,70 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import {
+  request,
+  cleanUrl,
+  IUserRequestOptions
+} from "@esri/arcgis-rest-request";
+
+/**
+ * The layers, tables, fields and indexes to delete with {@linkcode deleteFromServiceDefinition}. Layers and tables are deleted from a service, fields and indexes from a layer.
+ */
+export interface IDeleteFromDefinition {
+  layers?: Array<{ id: number }>;
+  tables?: Array<{ id: number }>;
+  fields?: Array<{ name: string }>;
+  indexes?: Array<{ name: string }>;
+}
+
+export interface IDeleteFromServiceDefinitionOptions
+  extends IUserRequestOptions {
+  deleteFromDefinition?: IDeleteFromDefinition;
+}
+
+export interface IDeleteFromServiceDefinitionResult {
+  success: boolean;
+}
+
+/**
+ * Delete layer(s) and/or table(s) from a hosted feature service or field(s) and/or index(es) from one of its layers. See the [REST Documentation](https://developers.arcgis.com/rest/services-reference/online/delete-from-definition-feature-service-.htm) for more information.
+ *
+ * ```js
+ * import { deleteFromServiceDefinition } from '@esri/arcgis-rest-feature-service';
+ * //
+ * deleteFromServiceDefinition(serviceurl, {
+ *   authentication: ArcGISIdentityManager,
+ *   deleteFromDefinition: { layers: [{ id: 1 }] }
+ * });
+ * //
+ * deleteFromServiceDefinition(`${serviceurl}/0`, {
+ *   authentication: ArcGISIdentityManager,
+ *   deleteFromDefinition: { fields: [{ name: "crew" }] }
+ * });
+ * ```
+ *
+ * @param url - URL of feature service or layer
+ * @param requestOptions - Options for the request
+ * @returns A Promise that resolves with success or error
+ */
+export function deleteFromServiceDefinition(
+  url: string,
+  requestOptions: IDeleteFromServiceDefinitionOptions
+): Promise<IDeleteFromServiceDefinitionResult> {
+  const adminUrl = `${cleanUrl(url).replace(
+    `/rest/services`,
+    `/rest/admin/services`
+  )}/deleteFromDefinition`;
+
+  requestOptions.params = {
+    deleteFromDefinition: {},
+    ...requestOptions.params
+  };
+
+  if (requestOptions.deleteFromDefinition) {
+    requestOptions.params.deleteFromDefinition =
+      requestOptions.deleteFromDefinition;
+  }
+
+  return request(adminUrl, requestOptions);
+}
@@ -0,0 +1,188 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { request, cleanUrl } from "@esri/arcgis-rest-request";
+import { queryFeatures, IQueryResponse } from "./query.js";
+import { chunk } from "./utils/chunk.js";
+import { mapWithConcurrency } from "./utils/map-with-concurrency.js";
+import {
+  queryAttachments,
+  IQueryAttachmentsOptions,
+  IQueriedAttachmentInfo
+} from "./queryAttachments.js";
+
+/**
+ * An attachment passed to the `sink` of {@linkcode downloadAttachments}.
+ */
+export interface IDownloadedAttachment {
+  parentObjectId: number;
+  parentGlobalId?: string;
+  attachment: IQueriedAttachmentInfo;
+  /**
+   * The contents of the attachment, read as set by `readAs`.
+   */
+  data: any;
+}
+
+/**
+ * Where {@linkcode downloadAttachments} writes the attachments, for example a directory or a zip file.
+ */
+export interface IAttachmentSink {
+  /**
+   * Writes an attachment. The next attachment is downloaded once the returned Promise resolves.
+   */
+  write(attachment: IDownloadedAttachment): void | Promise<void>;
+}
+
+/**
+ * Options for {@linkcode downloadAttachments}.
+ */
+export interface IDownloadAttachmentsOptions
+  extends Omit<
+    IQueryAttachmentsOptions,
+    "returnCountOnly" | "orderByFields" | "resultOffset" | "resultRecordCount"
+  > {
+  sink: IAttachmentSink;
+  /**
+   * The number of attachments downloaded at the same time. Defaults to `4`.
+   */
+  concurrency?: number;
+  /**
+   * The number of features whose attachments are queried at once. Defaults to `500`.
+   */
+  batchSize?: number;
+  /**
+   * How the attachments are read, see [Body](https://developer.mozilla.org/en-US/docs/Web/API/Response#instance_methods). Use `"body"` to pass the stream of the response to the sink without reading the attachment in memory. Defaults to `"blob"`.
+   */
+  readAs?: "arrayBuffer" | "blob" | "body";
+}
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_BATCH_SIZE = 500;
+
+/**
+ * Downloads the attachments of the features of a layer that match the query and writes them to a `sink`. The attachments of `batchSize` features are queried at once with {@linkcode queryAttachments} and up to `concurrency` attachments are downloaded at the same time. The features are selected by `objectIds`, `globalIds` or `definitionExpression`.
+ *
+ * ```js
+ * import { downloadAttachments } from '@esri/arcgis-rest-feature-service';
+ * import { createWriteStream } from "fs";
+ * import { Readable } from "stream";
+ * import { pipeline } from "stream/promises";
+ *
+ * // write each attachment to a directory
+ * const count = await downloadAttachments({
+ *   url: "https://sampleserver6.arcgisonline.com/arcgis/rest/services/ServiceRequest/FeatureServer/0",
+ *   definitionExpression: "status = 'Closed'",
+ *   attachmentTypes: ["image/jpeg"],
+ *   readAs: "body",
+ *   sink: {
+ *     write: ({ parentObjectId, attachment, data }) =>
+ *       pipeline(Readable.from(data), createWriteStream(`photos/${parentObjectId}-${attachment.id}-${attachment.name}`))
+ *   }
+ * });
+ *
+ * // or add them to a zip file with JSZip
+ * const zip = new JSZip();
+ * await downloadAttachments({
+ *   url,
+ *   objectIds: [1, 2, 3],
+ *   sink: {
+ *     write: ({ parentObjectId, attachment, data }) => {
+ *       zip.file(`${parentObjectId}/${attachment.name}`, data);
+ *     }
+ *   }
+ * });
+ * ```
+ *
+ * @param requestOptions - Options for the request.
+ * @returns A Promise that will resolve with the number of attachments written to the sink.
+ */
+export async function downloadAttachments(
+  requestOptions: IDownloadAttachmentsOptions
+): Promise<number> {
+  const {
+    sink,
+    concurrency = DEFAULT_CONCURRENCY,
+    batchSize = DEFAULT_BATCH_SIZE,
+    readAs = "blob",
+    ...queryOptions
+  } = requestOptions;
+
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error("concurrency must be a positive integer.");
+  }
+
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error("batchSize must be a positive integer.");
+  }
+
+  const url = cleanUrl(queryOptions.url);
+  let batches: Array<Partial<IQueryAttachmentsOptions>>;
+
+  if (queryOptions.globalIds) {
+    batches = chunk(queryOptions.globalIds, batchSize).map((globalIds) => ({
+      globalIds
+    }));
+  } else {
+    const { objectIds }: IQueryResponse = queryOptions.objectIds
+      ? queryOptions
+      : await (queryFeatures({
+          ...queryOptions,
+          params: {},
+          where: queryOptions.definitionExpression,
+          returnIdsOnly: true
+        }) as Promise<any>);
+
+    batches = chunk(objectIds || [], batchSize).map((objectIds) => ({
+      objectIds
+    }));
+  }
+
+  let count = 0;
+
+  for (const batch of batches) {
+    // the ids are sent in the body because they do not fit in a URL
+    const { attachmentGroups } = await queryAttachments({
+      ...queryOptions,
+      ...batch,
+      httpMethod: "POST"
+    });
+    const attachments = attachmentGroups.reduce(
+      (all, { parentObjectId, parentGlobalId, attachmentInfos }) =>
+        all.concat(
+          attachmentInfos.map((attachment) => ({
+            parentObjectId,
+            parentGlobalId,
+            attachment
+          }))
+        ),
+      []
+    );
+
+    const downloads = mapWithConcurrency(
+      attachments,
+      concurrency,
+      async (attachment: Omit<IDownloadedAttachment, "data">) => {
+        const response: Response = await request(
+          `${url}/${attachment.parentObjectId}/attachments/${attachment.attachment.id}`,
+          {
+            ...queryOptions,
+            httpMethod: "GET",
+            rawResponse: true,
+            params: { f: null }
+          }
+        );
+        const data =
+          readAs === "body" ? response.body : await response[readAs]();
+
+        await sink.write({ ...attachment, data });
+      }
+    );
+
+    for await (const download of downloads) {
+      count++;
+    }
+  }
+
+  return count;
+}
@@ -0,0 +1,49 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { request, IRequestOptions } from "@esri/arcgis-rest-request";
+
+/**
+ * Options for {@linkcode downloadReplica}.
+ */
+export interface IDownloadReplicaOptions extends IRequestOptions {
+  /**
+   * How the replica should be read, see [Body](https://developer.mozilla.org/en-US/docs/Web/API/Response#instance_methods). Defaults to `"json"` for `.json` files and `"blob"` for SQLite geodatabases and other files.
+   */
+  readAs?: "arrayBuffer" | "blob" | "json" | "text";
+}
+
+/**
+ * Downloads a replica or the edits of a synchronization from the `responseUrl` returned by {@linkcode createReplica} and {@linkcode synchronizeReplica} or the `resultUrl` of a {@linkcode SyncJob}. Pass `authentication` to download replicas of secured services.
+ *
+ * ```js
+ * import { createReplica, downloadReplica } from '@esri/arcgis-rest-feature-service';
+ *
+ * const { responseUrl } = await createReplica({ url, layers: [0], dataFormat: "sqlite", authentication });
+ * const geodatabase = await downloadReplica(responseUrl, { authentication });
+ * ```
+ *
+ * @param url The URL of the replica.
+ * @param requestOptions Options for the request.
+ * @returns A Promise that will resolve with the contents of the replica.
+ */
+export function downloadReplica(
+  url: string,
+  requestOptions: IDownloadReplicaOptions = {}
+): Promise<any> {
+  if (!url) {
+    return Promise.reject(
+      new Error("The replica does not have a url to download.")
+    );
+  }
+
+  const { readAs = /\.json(\?|$)/i.test(url) ? "json" : "blob", ...options } =
+    requestOptions;
+
+  return request(url, {
+    ...options,
+    httpMethod: "GET",
+    rawResponse: true,
+    params: { ...options.params, f: null }
+  }).then((response: Response) => response[readAs]());
+}
@@ -0,0 +1,76 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { IRequestOptions, IField, IFeature } from "@esri/arcgis-rest-request";
+
+import { getLayer } from "./getLayer.js";
+import { extractCodedValueDomains } from "./utils/extract-coded-value-domains.js";
+
+/**
+ * Request options to encode the coded domain values of features.
+ */
+export interface IEncodeValuesOptions extends IRequestOptions {
+  /**
+   * Layer service url.
+   */
+  url?: string;
+  /**
+   * The features to encode.
+   */
+  features: IFeature[];
+  /**
+   * If a fieldset is provided, no internal metadata check will be issued to gather info about coded value domains.
+   */
+  fields?: IField[];
+}
+
+/**
+ * ```js
+ * import { encodeValues, addFeatures } from '@esri/arcgis-rest-feature-service';
+ * //
+ * const url = `https://sampleserver6.arcgisonline.com/arcgis/rest/services/ServiceRequest/FeatureServer/0`
+ * encodeValues({
+ *   url,
+ *   features: [{ attributes: { requesttype: "Graffiti" } }]
+ * })
+ *   .then(features => addFeatures({ url, features }))
+ * ```
+ * Replaces the descriptions of coded domain values in features with their codes, the counterpart of {@linkcode decodeValues}. Values that are already codes or are not in the domain are not changed.
+ *
+ * @param requestOptions - Options for the request.
+ * @returns A Promise that will resolve with the encoded features.
+ */
+export function encodeValues(
+  requestOptions: IEncodeValuesOptions
+): Promise<IFeature[]> {
+  const fields = requestOptions.fields
+    ? Promise.resolve(requestOptions.fields)
+    : getLayer({
+        ...requestOptions,
+        url: requestOptions.url,
+        params: {},
+        httpMethod: "GET"
+      }).then((metadata) => metadata.fields);
+
+  return fields.then((layerFields) => {
+    const domains = extractCodedValueDomains(layerFields);
+
+    // don't mutate original features
+    return requestOptions.features.map((feature) => {
+      const encodedAttributes: { [index: string]: any } = {};
+
+      Object.keys(feature.attributes).forEach((key) => {
+        const value = feature.attributes[key];
+        const domain = domains[key];
+        const codedValue =
+          domain &&
+          !domain.codedValues.some((d: any) => d.code === value) &&
+          domain.codedValues.find((d: any) => d.name === value);
+
+        encodedAttributes[key] = codedValue ? codedValue.code : value;
+      });
+
+      return { ...feature, attributes: encodedAttributes };
+    });
+  });
+}
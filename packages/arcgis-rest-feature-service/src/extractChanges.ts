@@ -0,0 +1,214 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import {
+  request,
+  appendCustomParams,
+  IFeature,
+  IGeometry,
+  IExtent,
+  GeometryType,
+  ISpatialReference
+} from "@esri/arcgis-rest-request";
+
+import {
+  IGetLayerOptions,
+  ILayerServerGen,
+  parseServiceUrl
+} from "./helpers.js";
+import { SyncJob, ISyncJobRequestOptions } from "./SyncJob.js";
+import { toSyncJob } from "./utils/to-sync-job.js";
+
+/**
+ * Extract changes request options. See the [REST Documentation](https://developers.arcgis.com/rest/services-reference/enterprise/extract-changes-feature-service-.htm) for more information.
+ */
+export interface IExtractChangesOptions
+  extends IGetLayerOptions,
+    ISyncJobRequestOptions {
+  /**
+   * The ids of the layers and tables whose changes are returned. Change tracking must be enabled on the service.
+   */
+  layers: number[];
+  /**
+   * The server generation of each layer the changes are returned from, as returned in the `layerServerGens` of the previous response.
+   */
+  layerServerGens?: Array<Pick<ILayerServerGen, "id" | "serverGen">>;
+  /**
+   * The server generations the changes are returned between, as `[minServerGen, serverGen]`. Use `layerServerGens` to follow layers separately.
+   */
+  serverGens?: [number, number];
+  /**
+   * Which changes of each layer are returned, keyed by layer id.
+   */
+  layerQueries?: {
+    [layerId: string]: {
+      queryOption?: "all" | "none" | "useFilter";
+      where?: string;
+      useGeometry?: boolean;
+      includeRelated?: boolean;
+    };
+  };
+  /**
+   * Only return the changes of features that intersect the geometry.
+   */
+  geometry?: IGeometry | IExtent;
+  geometryType?: GeometryType;
+  inSR?: string | ISpatialReference;
+  /**
+   * Return the added features. Defaults to `true`.
+   */
+  returnInserts?: boolean;
+  /**
+   * Return the updated features. Defaults to `true`.
+   */
+  returnUpdates?: boolean;
+  /**
+   * Return the ids of the deleted features. Defaults to `true`.
+   */
+  returnDeletes?: boolean;
+  /**
+   * Return the object ids of the changed features instead of the features.
+   */
+  returnIdsOnly?: boolean;
+  /**
+   * Return the extent of the changes instead of the features.
+   */
+  returnExtentOnly?: boolean;
+  returnAttachments?: boolean;
+  attachmentsByUrl?: boolean;
+  /**
+   * Return updates only if one of these fields changed.
+   */
+  fieldsToCompare?: string[];
+  /**
+   * Return whether the geometry of each updated feature changed.
+   */
+  returnHasGeometryUpdates?: boolean;
+  /**
+   * `"esriTransportTypeEmbedded"` returns the changes in the response. `"esriTransportTypeUrl"` returns the `responseUrl` of the changes, which can be downloaded with {@linkcode downloadReplica}. Defaults to `"esriTransportTypeEmbedded"`.
+   */
+  transportType?: "esriTransportTypeUrl" | "esriTransportTypeEmbedded";
+  /**
+   * The format of the changes. Defaults to `"json"`.
+   */
+  dataFormat?: "json" | "sqlite";
+}
+
+/**
+ * The changes of a layer returned by {@linkcode extractChanges}.
+ */
+export interface IExtractChangesLayerEdits {
+  /**
+   * The id of the layer.
+   */
+  id: number;
+  /**
+   * The changed features, unless `returnIdsOnly` is `true`.
+   */
+  features?: {
+    adds?: IFeature[];
+    updates?: IFeature[];
+    /**
+     * The object ids or global ids of the deleted features.
+     */
+    deleteIds?: Array<number | string>;
+  };
+  /**
+   * The object ids of the changed features if `returnIdsOnly` is `true`.
+   */
+  objectIds?: {
+    adds?: number[];
+    updates?: number[];
+    deletes?: number[];
+  };
+}
+
+/**
+ * Extract changes response.
+ */
+export interface IExtractChangesResponse {
+  /**
+   * The server generation of each layer at the time of the request. Pass them as the `layerServerGens` of the next request to only return the changes made since this one.
+   */
+  layerServerGens: Array<ILayerServerGen & { minServerGen?: number }>;
+  transportType?: "esriTransportTypeUrl" | "esriTransportTypeEmbedded";
+  /**
+   * The URL of the changes when `transportType` is `"esriTransportTypeUrl"`.
+   */
+  responseUrl?: string;
+  /**
+   * The changes of each layer when `transportType` is `"esriTransportTypeEmbedded"`.
+   */
+  edits?: IExtractChangesLayerEdits[];
+  /**
+   * The extent of the changes if `returnExtentOnly` is `true`.
+   */
+  extent?: IExtent;
+}
+
+/**
+ * Returns the features that were added, updated and deleted in the layers of a feature service since a server generation, so a copy of the layers can be kept up to date without reloading them. See the [REST Documentation](https://developers.arcgis.com/rest/services-reference/enterprise/extract-changes-feature-service-.htm) for more information.
+ *
+ * ```js
+ * import { extractChanges } from '@esri/arcgis-rest-feature-service';
+ *
+ * const { edits, layerServerGens } = await extractChanges({
+ *   url: "https://services.arcgis.com/f8b/arcgis/rest/services/Wildfire/FeatureServer",
+ *   layers: [0],
+ *   layerServerGens: [{ id: 0, serverGen: 1520 }]
+ * });
+ * // save layerServerGens for the next request
+ * ```
+ *
+ * Pass `async: true` to extract the changes in a {@linkcode SyncJob} and read them with {@linkcode SyncJob.downloadResult}. Use {@linkcode watchLayerChanges} to request the changes on a schedule.
+ *
+ * @param requestOptions - Options for the request. The `url` can be the url of the service or of one of its layers.
+ * @returns A Promise that will resolve with the changes or a {@linkcode SyncJob} if `async` is `true`.
+ */
+export function extractChanges(
+  requestOptions: IExtractChangesOptions & { async: true }
+): Promise<SyncJob>;
+export function extractChanges(
+  requestOptions: IExtractChangesOptions
+): Promise<IExtractChangesResponse>;
+export function extractChanges(
+  requestOptions: IExtractChangesOptions
+): Promise<any> {
+  const url = `${parseServiceUrl(requestOptions.url)}/extractChanges`;
+
+  const options = appendCustomParams<IExtractChangesOptions>(
+    {
+      returnInserts: true,
+      returnUpdates: true,
+      returnDeletes: true,
+      transportType: "esriTransportTypeEmbedded",
+      ...requestOptions
+    },
+    [
+      "layers",
+      "layerServerGens",
+      "serverGens",
+      "layerQueries",
+      "geometry",
+      "geometryType",
+      "inSR",
+      "returnInserts",
+      "returnUpdates",
+      "returnDeletes",
+      "returnIdsOnly",
+      "returnExtentOnly",
+      "returnAttachments",
+      "attachmentsByUrl",
+      "fieldsToCompare",
+      "returnHasGeometryUpdates",
+      "transportType",
+      "dataFormat",
+      "async"
+    ],
+    { params: { ...requestOptions.params } }
+  );
+
+  return request(url, options).then((response) =>
+    requestOptions.async ? toSyncJob(response, requestOptions) : response
+  );
+}
@@ -0,0 +1,240 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import {
+  arcgisToGeoJSON as terraformerArcGISToGeoJSON,
+  geojsonToArcGIS as terraformerGeoJSONToArcGIS
+} from "@terraformer/arcgis";
+import type {
+  Feature,
+  FeatureCollection,
+  Geometry,
+  GeoJsonObject
+} from "geojson";
+import {
+  IExtent,
+  IFeature,
+  IFeatureSet,
+  IGeometry,
+  IMultipoint,
+  IPoint,
+  IPolygon,
+  IPolyline,
+  ISpatialReference
+} from "@esri/arcgis-rest-request";
+
+const WGS84 = 4326;
+
+/**
+ * A named coordinate reference system as written in the `crs` member of GeoJSON objects before [RFC 7946](https://www.rfc-editor.org/rfc/rfc7946). Only added to converted objects that are not in WGS84, for example `{ type: "name", properties: { name: "EPSG:3857" } }`.
+ */
+export interface IGeoJSONCrs {
+  type: "name";
+  properties: {
+    name: string;
+  };
+}
+
+/**
+ * A GeoJSON object that may name its coordinate reference system.
+ */
+export type GeoJSONWithCrs<T extends GeoJsonObject> = T & { crs?: IGeoJSONCrs };
+
+/**
+ * Options for the edit functions that accept GeoJSON features.
+ */
+export interface IGeoJSONEditOptions {
+  /**
+   * The format of the features. Use `"geojson"` to pass GeoJSON features, they are converted to Esri JSON with {@linkcode geojsonToArcGIS} before they are sent. Defaults to `"json"`.
+   */
+  format?: "json" | "geojson";
+  /**
+   * The attribute that the `id` of GeoJSON features is written to. Defaults to `"OBJECTID"`.
+   */
+  idAttribute?: string;
+}
+
+/**
+ * Returns the crs member for a spatial reference or `undefined` for WGS84, the default of GeoJSON.
+ */
+function spatialReferenceToCrs(spatialReference: ISpatialReference) {
+  const wkid =
+    spatialReference && (spatialReference.latestWkid || spatialReference.wkid);
+
+  if (!wkid || wkid === WGS84) {
+    return undefined;
+  }
+
+  return {
+    type: "name",
+    properties: { name: `EPSG:${wkid}` }
+  } as IGeoJSONCrs;
+}
+
+/**
+ * Returns the spatial reference of a crs member. Accepts `EPSG:<code>` and `urn:ogc:def:crs:EPSG::<code>` names and defaults to WGS84.
+ */
+function crsToSpatialReference(crs: IGeoJSONCrs): ISpatialReference {
+  const match = crs && crs.properties.name.match(/EPSG:+(\d+)$/i);
+
+  return { wkid: match ? Number(match[1]) : WGS84 };
+}
+
+/**
+ * Returns a copy of a geometry without its spatial reference, which is converted to a crs member separately.
+ */
+function withoutSpatialReference(geometry: IGeometry) {
+  return geometry && { ...geometry, spatialReference: undefined as any };
+}
+
+/**
+ * Converts an Esri JSON feature set, feature or geometry to GeoJSON. Feature sets are converted to a `FeatureCollection`, features to a `Feature` and geometries to the matching GeoJSON geometry:
+ *
+ * - points to `Point` and multipoints to `MultiPoint`
+ * - polylines to `LineString` or `MultiLineString` if they have several paths
+ * - polygons and envelopes to `Polygon` or `MultiPolygon` if they have several outer rings. Outer rings are wound counterclockwise and holes clockwise as required by [RFC 7946](https://www.rfc-editor.org/rfc/rfc7946#section-3.1.6), holes are assigned to the outer ring that contains them.
+ *
+ * The `id` of features is read from `idAttribute`, the `objectIdFieldName` of the feature set, `OBJECTID` or `FID`. Coordinates are not projected: objects with a spatial reference other than WGS84 get a `crs` member naming it.
+ *
+ * ```js
+ * import { queryFeatures, arcgisToGeoJSON } from '@esri/arcgis-rest-feature-service';
+ *
+ * queryFeatures({ url, outSR: 4326 })
+ *   .then((featureSet) => map.addSource("trees", { type: "geojson", data: arcgisToGeoJSON(featureSet) }));
+ * ```
+ *
+ * @param input - The feature set, feature or geometry to convert.
+ * @param idAttribute - The attribute to use as the `id` of features.
+ * @returns The GeoJSON object.
+ */
+export function arcgisToGeoJSON(
+  input: IFeatureSet,
+  idAttribute?: string
+): GeoJSONWithCrs<FeatureCollection>;
+export function arcgisToGeoJSON(
+  input: IFeature,
+  idAttribute?: string
+): GeoJSONWithCrs<Feature>;
+export function arcgisToGeoJSON(
+  input: IPoint | IMultipoint | IPolyline | IPolygon | IExtent,
+  idAttribute?: string
+): GeoJSONWithCrs<Geometry>;
+export function arcgisToGeoJSON(input: any, idAttribute?: string): any {
+  let spatialReference: ISpatialReference = input.spatialReference;
+  let geojson: any;
+
+  // terraformer only warns about spatial references, they are written to the crs member instead
+  if (Array.isArray(input.features)) {
+    const features = input.features.map((feature: IFeature) => ({
+      ...feature,
+      geometry: withoutSpatialReference(feature.geometry)
+    }));
+
+    geojson = terraformerArcGISToGeoJSON(
+      { ...input, spatialReference: undefined, features },
+      idAttribute || input.objectIdFieldName
+    );
+  } else if (input.attributes || input.geometry) {
+    spatialReference = input.geometry && input.geometry.spatialReference;
+    geojson = terraformerArcGISToGeoJSON(
+      { ...input, geometry: withoutSpatialReference(input.geometry) },
+      idAttribute
+    );
+  } else {
+    geojson = terraformerArcGISToGeoJSON(
+      withoutSpatialReference(input),
+      idAttribute
+    );
+  }
+
+  const crs = spatialReferenceToCrs(spatialReference);
+
+  return crs ? { ...geojson, crs } : geojson;
+}
+
+/**
+ * Sets the spatial reference of a converted geometry.
+ */
+function setSpatialReference(
+  geometry: IGeometry,
+  spatialReference: ISpatialReference
+) {
+  if (geometry) {
+    geometry.spatialReference = spatialReference;
+  }
+}
+
+/**
+ * Converts a GeoJSON `FeatureCollection`, `Feature` or geometry to Esri JSON. Feature collections are converted to an array of features, features to a feature with the `properties` as its `attributes` and geometries to the matching Esri JSON geometry:
+ *
+ * - `Point` to a point and `MultiPoint` to a multipoint
+ * - `LineString` and `MultiLineString` to a polyline
+ * - `Polygon` and `MultiPolygon` to a polygon. Outer rings are wound clockwise and holes counterclockwise as required by ArcGIS.
+ *
+ * The `id` of features is written to the `idAttribute` attribute. Geometries are in WGS84 (`wkid: 4326`) unless the object has a `crs` member naming an EPSG code.
+ *
+ * ```js
+ * import { addFeatures, geojsonToArcGIS } from '@esri/arcgis-rest-feature-service';
+ *
+ * addFeatures({ url, features: geojsonToArcGIS(featureCollection) });
+ * ```
+ *
+ * @param input - The GeoJSON object to convert.
+ * @param idAttribute - The attribute the `id` of features is written to. Defaults to `"OBJECTID"`.
+ * @returns The Esri JSON features or geometry.
+ */
+export function geojsonToArcGIS(
+  input: GeoJSONWithCrs<FeatureCollection>,
+  idAttribute?: string
+): IFeature[];
+export function geojsonToArcGIS(
+  input: GeoJSONWithCrs<Feature>,
+  idAttribute?: string
+): IFeature;
+export function geojsonToArcGIS(
+  input: GeoJSONWithCrs<Geometry>,
+  idAttribute?: string
+): IGeometry;
+export function geojsonToArcGIS(
+  input: GeoJSONWithCrs<GeoJsonObject>,
+  idAttribute?: string
+): any {
+  if (input.type === "GeometryCollection") {
+    throw new Error(
+      "GeometryCollection geometries cannot be converted to Esri JSON."
+    );
+  }
+
+  const spatialReference = crsToSpatialReference(input.crs);
+  const result = terraformerGeoJSONToArcGIS(input as any, idAttribute);
+
+  if (input.type === "FeatureCollection") {
+    (result as any as IFeature[]).forEach((feature) =>
+      setSpatialReference(feature.geometry, spatialReference)
+    );
+  } else if (input.type === "Feature") {
+    setSpatialReference((result as IFeature).geometry, spatialReference);
+  } else {
+    setSpatialReference(result, spatialReference);
+  }
+
+  return result;
+}
+
+/**
+ * Converts the features of an edit request to Esri JSON if `format` is `"geojson"`.
+ *
+ * @internal
+ */
+export function toArcGISFeatures(
+  features: IFeature[] | Feature[],
+  options: IGeoJSONEditOptions
+): IFeature[] {
+  if (options.format !== "geojson" || !features) {
+    return features as IFeature[];
+  }
+
+  return (features as Feature[]).map((feature) =>
+    geojsonToArcGIS(feature, options.idAttribute)
+  );
+}
@@ -11,6 +11,7 @@ import {
   IField,
   IFeature
 } from "@esri/arcgis-rest-request";
+import type { WhereClauseBuilder } from "./WhereClauseBuilder.js";
 
 /**
  * The spatial relationship used to compare input geometries
@@ -37,9 +38,9 @@ export interface IGetLayerOptions extends IRequestOptions {
 
 export interface ISharedQueryOptions extends IGetLayerOptions {
   /**
-   * A where clause for the query. Defaults to "1=1"
+   * A where clause for the query. Defaults to "1=1". Use a {@linkcode WhereClauseBuilder} to build it from user input.
    */
-  where?: string;
+  where?: string | WhereClauseBuilder;
   geometry?: IGeometry;
   geometryType?: GeometryType;
   // NOTE: either WKID or ISpatialReference
@@ -60,7 +61,7 @@ export interface IEditFeatureResult {
   error?: {
     code: number;
     description: string;
-  }
+  };
 }
 
 /**
@@ -84,6 +85,32 @@ export interface IApplyEditsResult {
   };
 }
 
+/**
+ * The server generation of a layer in a replica. Returned by {@linkcode createReplica} and {@linkcode synchronizeReplica} and passed back with `syncLayers` to synchronize with a `syncModel` of `"perLayer"`. Also returned by {@linkcode extractChanges}.
+ */
+export interface ILayerServerGen {
+  id: number;
+  serverGen: number;
+  /**
+   * The generation of the sibling replica of a replica that was created with `syncDirection: "bidirectional"`.
+   */
+  serverSibGen?: number;
+}
+
+/**
+ * The results of the edits that were uploaded to a layer with {@linkcode synchronizeReplica}.
+ */
+export interface ISyncLayerEditResult extends Partial<IApplyEditsResult> {
+  /**
+   * The id of the layer.
+   */
+  id: number;
+  /**
+   * The time the edits were applied, returned if `returnEditMoment` was set when the replica was created.
+   */
+  editMoment?: number;
+}
+
 /**
  * Common add, update, and delete features options.
  */
@@ -255,6 +282,8 @@ export interface IFeatureServiceDefinition {
   units: string;
   syncEnabled: boolean;
   returnServiceEditsHaveSR?: boolean;
+  /** The current server generation of a service that tracks changes, see {@linkcode extractChanges}. */
+  serverGens?: { minServerGen: number; serverGen: number };
   validationSystemLayers: {
     validationPointErrorlayerId: number;
     validationLineErrorlayerId: number;
@@ -756,6 +785,8 @@ export interface ILayerDefinition extends IHasZM {
   onlyAllowTrueCurveUpdatesByTrueCurveClients?: boolean;
   supportsApplyEditsWithGlobalIds?: boolean;
   subtypeField?: string;
+  /** The subtypes of the layer when `subtypeField` is set. Each subtype has a `code` and the `domains` of its fields. */
+  subtypes?: any[];
   indexes?: any[];
   dateFieldsTimeReference?: {
     timeZone?: string;
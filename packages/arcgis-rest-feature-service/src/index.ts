@@ -5,9 +5,18 @@ export * from "./add.js";
 export * from "./addAttachment.js";
 export * from "./addToServiceDefinition.js";
 export * from "./applyEdits.js";
+export * from "./applyEditsInBatches.js";
+export * from "./ArcGISFeatureValidationError.js";
 export * from "./createFeatureService.js";
+export * from "./createReplica.js";
 export * from "./decodeValues.js";
 export * from "./delete.js";
+export * from "./deleteFromServiceDefinition.js";
+export * from "./downloadAttachments.js";
+export * from "./downloadReplica.js";
+export * from "./encodeValues.js";
+export * from "./extractChanges.js";
+export * from "./geojson.js";
 export * from "./deleteAttachments.js";
 export * from "./getAllLayersAndTables.js";
 export * from "./getAttachments.js";
@@ -17,10 +26,25 @@ export * from "./getServiceAdminInfo.js";
 export * from "./getViewSources.js";
 export * from "./helpers.js";
 export * from "./query.js";
+export * from "./queryAllFeatures.js";
+export * from "./queryAnalytic.js";
+export * from "./queryAttachments.js";
+export * from "./queryBins.js";
+export * from "./queryDomains.js";
 export * from "./queryRelated.js";
+export * from "./queryTopFeatures.js";
+export * from "./schemaChanges.js";
+export * from "./StatisticsBuilder.js";
+export * from "./synchronizeReplica.js";
+export * from "./SyncJob.js";
+export * from "./unregisterReplica.js";
 export * from "./update.js";
 export * from "./updateAttachment.js";
 export * from "./updateServiceDefinition.js";
+export * from "./uploadAttachmentFile.js";
+export * from "./validateFeatures.js";
+export * from "./watchLayerChanges.js";
+export * from "./WhereClauseBuilder.js";
 
 // Types that are used in this package are re-exported for convenience and
 // to make the links work correctly in the documentation pages.
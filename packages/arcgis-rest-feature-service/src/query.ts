@@ -11,12 +11,15 @@ import {
   Units,
   IExtent
 } from "@esri/arcgis-rest-request";
+import type { FeatureCollection } from "geojson";
 
 import {
   IGetLayerOptions,
   ISharedQueryOptions,
   IStatisticDefinition
 } from "./helpers.js";
+import { arcgisToGeoJSON, IGeoJSONCrs } from "./geojson.js";
+import type { StatisticsBuilder } from "./StatisticsBuilder.js";
 
 /**
  * Request options to fetch a feature by id.
@@ -55,7 +58,10 @@ export interface IQueryFeaturesOptions extends ISharedQueryOptions {
   returnExtentOnly?: boolean;
   orderByFields?: string;
   groupByFieldsForStatistics?: string;
-  outStatistics?: IStatisticDefinition[];
+  /**
+   * The statistics to compute. Use a {@linkcode StatisticsBuilder} to name them and read the results as plain objects.
+   */
+  outStatistics?: IStatisticDefinition[] | StatisticsBuilder<any>;
   returnZ?: boolean;
   returnM?: boolean;
   multipatchOption?: "xyFootprint";
@@ -76,6 +82,10 @@ export interface IQueryFeaturesOptions extends ISharedQueryOptions {
    * and parse the response yourself using `response.arrayBuffer()`
    */
   f?: "json" | "geojson" | "pbf";
+  /**
+   * Use `"geojson"` to query the layer as Esri JSON and convert the features to a GeoJSON `FeatureCollection` with {@linkcode arcgisToGeoJSON}, for servers that do not support `f: "geojson"`. `outSR` defaults to `4326` and count, id and extent only responses are not converted. Ignored with `rawResponse: true`. Defaults to `"json"`.
+   */
+  format?: "json" | "geojson";
   /**
    * someday...
    *
@@ -88,6 +98,16 @@ export interface IQueryFeaturesResponse extends IFeatureSet {
   exceededTransferLimit?: boolean;
 }
 
+/**
+ * The response of {@linkcode queryFeatures} with `format: "geojson"`.
+ */
+export interface IQueryFeaturesGeoJSONResponse extends FeatureCollection {
+  crs?: IGeoJSONCrs;
+  properties?: {
+    exceededTransferLimit?: boolean;
+  };
+}
+
 export interface IQueryResponse {
   count?: number;
   extent?: IExtent;
@@ -145,12 +165,21 @@ export function getFeature(
  *   .then(result)
  * ```
  *
+ * Pass `format: "geojson"` to get a GeoJSON `FeatureCollection` that can be added to Mapbox GL or Leaflet maps.
+ *
  * @param requestOptions - Options for the request
  * @returns A Promise that will resolve with the query response.
  */
+export function queryFeatures(
+  requestOptions: IQueryFeaturesOptions & { format: "geojson" }
+): Promise<IQueryFeaturesGeoJSONResponse | IQueryResponse>;
 export function queryFeatures(
   requestOptions: IQueryFeaturesOptions
-): Promise<IQueryFeaturesResponse | IQueryResponse> {
+): Promise<IQueryFeaturesResponse | IQueryResponse>;
+export function queryFeatures(
+  requestOptions: IQueryFeaturesOptions
+): Promise<any> {
+  const isGeoJSON = requestOptions.format === "geojson";
   const queryOptions = appendCustomParams<IQueryFeaturesOptions>(
     requestOptions,
     [
@@ -197,10 +226,32 @@ export function queryFeatures(
         // set default query parameters
         where: "1=1",
         outFields: "*",
+        // GeoJSON coordinates are in WGS84 unless another crs is named
+        ...(isGeoJSON ? { outSR: 4326 } : {}),
         ...requestOptions.params
       }
     }
   );
+  const url = `${cleanUrl(requestOptions.url)}/query`;
+
+  if (!isGeoJSON) {
+    return request(url, queryOptions);
+  }
 
-  return request(`${cleanUrl(requestOptions.url)}/query`, queryOptions);
+  // query Esri JSON and convert it here since not every server supports f=geojson
+  queryOptions.params.f = "json";
+
+  return request(url, queryOptions).then((response) => {
+    if (requestOptions.rawResponse || !response.features) {
+      return response;
+    }
+
+    const geojson: IQueryFeaturesGeoJSONResponse = arcgisToGeoJSON(response);
+
+    if (response.exceededTransferLimit) {
+      geojson.properties = { exceededTransferLimit: true };
+    }
+
+    return geojson;
+  });
 }
@@ -0,0 +1,214 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { IFeature } from "@esri/arcgis-rest-request";
+import { ILayerDefinition } from "./helpers.js";
+import { getLayer } from "./getLayer.js";
+import {
+  queryFeatures,
+  IQueryFeaturesOptions,
+  IQueryFeaturesResponse,
+  IQueryResponse
+} from "./query.js";
+import { chunk } from "./utils/chunk.js";
+import { mapWithConcurrency } from "./utils/map-with-concurrency.js";
+
+/**
+ * Options for {@linkcode queryAllFeatures} and {@linkcode iterateFeatures}.
+ */
+export interface IQueryAllFeaturesOptions extends IQueryFeaturesOptions {
+  /**
+   * The number of pages requested at the same time. Defaults to `4`.
+   */
+  concurrency?: number;
+
+  /**
+   * The number of features requested in each page. Defaults to the `maxRecordCount` of the layer, which is also the largest page size.
+   */
+  pageSize?: number;
+
+  /**
+   * The definition of the layer, if it has already been fetched with {@linkcode getLayer}. Used to find out if the layer supports pagination, its `maxRecordCount` and its object id field.
+   */
+  layerDefinition?: ILayerDefinition;
+}
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_PAGE_SIZE = 1000;
+
+/**
+ * Yields each page of the query. Pages are requested with `resultOffset` and `resultRecordCount` if the layer supports pagination and by batches of object ids otherwise.
+ */
+async function* iteratePages(
+  requestOptions: IQueryAllFeaturesOptions
+): AsyncGenerator<IQueryFeaturesResponse> {
+  const {
+    concurrency = DEFAULT_CONCURRENCY,
+    pageSize: requestedPageSize,
+    layerDefinition,
+    ...queryOptions
+  } = requestOptions;
+
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error("concurrency must be a positive integer.");
+  }
+
+  const layer =
+    layerDefinition ||
+    (await getLayer({ ...queryOptions, params: {}, httpMethod: "GET" }));
+  // servers return at most maxRecordCount features, whatever the page size
+  const pageSize = Math.min(
+    requestedPageSize || layer.maxRecordCount || DEFAULT_PAGE_SIZE,
+    layer.maxRecordCount || Infinity
+  );
+  const query = (options: Partial<IQueryFeaturesOptions>) =>
+    queryFeatures({ ...queryOptions, ...options }) as Promise<any>;
+
+  if (
+    layer.advancedQueryCapabilities &&
+    layer.advancedQueryCapabilities.supportsPagination
+  ) {
+    const { count }: IQueryResponse = await query({ returnCountOnly: true });
+    // pages must be sorted so features are not skipped or repeated
+    const orderByFields = queryOptions.orderByFields || layer.objectIdField;
+    const offsets = [];
+
+    // always request the first page so the response includes the fields of the layer
+    for (let offset = 0; offset === 0 || offset < count; offset += pageSize) {
+      offsets.push(offset);
+    }
+
+    const queryPage = async (
+      resultOffset: number,
+      resultRecordCount: number
+    ): Promise<IQueryFeaturesResponse> => {
+      const page = await query({
+        orderByFields,
+        resultOffset,
+        resultRecordCount
+      });
+      const received = page.features.length;
+
+      if (!isIncomplete(page, resultRecordCount)) {
+        return page;
+      }
+
+      const rest = await queryPage(
+        resultOffset + received,
+        resultRecordCount - received
+      );
+      return { ...page, features: page.features.concat(rest.features) };
+    };
+
+    yield* mapWithConcurrency(offsets, concurrency, (resultOffset) =>
+      queryPage(resultOffset, pageSize)
+    );
+    return;
+  }
+
+  const { objectIds }: IQueryResponse = await query({ returnIdsOnly: true });
+  const batches = chunk(
+    (objectIds || []).sort((a, b) => a - b),
+    pageSize
+  );
+
+  if (!batches.length) {
+    yield await query({});
+    return;
+  }
+
+  const queryBatch = async (
+    batch: number[]
+  ): Promise<IQueryFeaturesResponse> => {
+    // the ids are sent in the body because they do not fit in a URL
+    const page = await query({ objectIds: batch, httpMethod: "POST" });
+
+    if (!isIncomplete(page, batch.length)) {
+      return page;
+    }
+
+    const received = page.features.map(
+      (feature: IFeature) => feature.attributes[layer.objectIdField]
+    );
+    const rest = await queryBatch(
+      batch.filter((id) => received.indexOf(id) === -1)
+    );
+    return { ...page, features: page.features.concat(rest.features) };
+  };
+
+  yield* mapWithConcurrency(batches, concurrency, queryBatch);
+}
+
+/**
+ * Returns `true` if the server returned fewer features than requested because the page exceeded its transfer limit, for example when the features are too large. The rest of the page has to be requested again.
+ */
+function isIncomplete(page: IQueryFeaturesResponse, requested: number) {
+  if (!page.exceededTransferLimit || page.features.length >= requested) {
+    return false;
+  }
+
+  if (!page.features.length) {
+    throw new Error(
+      "The server did not return any features for a page that exceeded its transfer limit."
+    );
+  }
+
+  return true;
+}
+
+/**
+ * Queries every feature of a layer that matches the query and yields the features as they are received. Use it to process large layers without loading every feature in memory. See {@linkcode queryAllFeatures} for how the features are requested.
+ *
+ * ```js
+ * import { iterateFeatures } from '@esri/arcgis-rest-feature-service';
+ *
+ * for await (const feature of iterateFeatures({ url, where: "STATE_NAME = 'Alaska'" })) {
+ *   output.write(JSON.stringify(feature) + "\n");
+ * }
+ * ```
+ *
+ * @param requestOptions - Options for the request.
+ * @returns An async iterator of the features.
+ */
+export async function* iterateFeatures(
+  requestOptions: IQueryAllFeaturesOptions
+): AsyncGenerator<IFeature> {
+  for await (const page of iteratePages(requestOptions)) {
+    for (const feature of page.features) {
+      yield feature;
+    }
+  }
+}
+
+/**
+ * Queries every feature of a layer that matches the query, without the `maxRecordCount` limit of {@linkcode queryFeatures}. Layers that support pagination are queried page by page with `resultOffset` and `resultRecordCount`. Other layers are queried for their object ids first and then by batches of `maxRecordCount` ids. Up to `concurrency` pages are requested at the same time. When the server returns part of a page because it exceeded its transfer limit, the rest of the page is requested again.
+ *
+ * ```js
+ * import { queryAllFeatures } from '@esri/arcgis-rest-feature-service';
+ *
+ * queryAllFeatures({
+ *   url: "https://sampleserver6.arcgisonline.com/arcgis/rest/services/Census/MapServer/3",
+ *   where: "STATE_NAME = 'Alaska'",
+ *   concurrency: 2
+ * })
+ *   .then(({ features }) => console.log(features.length))
+ * ```
+ *
+ * Only JSON responses (`f: "json"`) are supported. The layer is fetched with {@linkcode getLayer} first unless `layerDefinition` is passed.
+ *
+ * @param requestOptions - Options for the request.
+ * @returns A Promise that will resolve with the response of the first page and the features of every page.
+ */
+export async function queryAllFeatures(
+  requestOptions: IQueryAllFeaturesOptions
+): Promise<IQueryFeaturesResponse> {
+  let response: IQueryFeaturesResponse;
+  const features: IFeature[] = [];
+
+  for await (const page of iteratePages(requestOptions)) {
+    response = response || page;
+    features.push(...page.features);
+  }
+
+  return { ...response, features, exceededTransferLimit: false };
+}
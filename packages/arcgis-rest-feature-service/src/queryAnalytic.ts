@@ -0,0 +1,152 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import {
+  request,
+  cleanUrl,
+  appendCustomParams
+} from "@esri/arcgis-rest-request";
+
+import { ISharedQueryOptions } from "./helpers.js";
+import { IQueryFeaturesOptions, IQueryFeaturesResponse } from "./query.js";
+
+/**
+ * A window function computed by {@linkcode queryAnalytic}.
+ */
+export interface IAnalyticDefinition {
+  /**
+   * The analytic function, an aggregate like `"avg"` computed over the window of each feature or a ranking and offset function like `"rank"` or `"lag"`.
+   */
+  analyticType:
+    | "count"
+    | "sum"
+    | "min"
+    | "max"
+    | "avg"
+    | "stddev"
+    | "var"
+    | "percentile_cont"
+    | "percentile_disc"
+    | "ntile"
+    | "cume_dist"
+    | "percent_rank"
+    | "rank"
+    | "dense_rank"
+    | "row_number"
+    | "lag"
+    | "lead"
+    | "first_value"
+    | "last_value";
+  /**
+   * The field or expression the function is computed on.
+   */
+  onAnalyticField: string;
+  /**
+   * The partitions, order and window of the function.
+   */
+  analyticParameters?: {
+    /**
+     * The fields the features are partitioned by, for example `"State"`.
+     */
+    partitionBy?: string;
+    /**
+     * The order of the features in each partition, for example `"Population DESC"`.
+     */
+    orderBy?: string;
+    /**
+     * The rows before and after each feature that are part of its window, for example `[2, 0]`.
+     */
+    window?: [number | string, number | string];
+    /**
+     * The value of `percentile_cont` and `percentile_disc`, the number of groups of `ntile` or the offset of `lag` and `lead`.
+     */
+    value?: number;
+    [key: string]: any;
+  };
+  /**
+   * The name of the field of the result in the response.
+   */
+  outAnalyticFieldName: string;
+}
+
+/**
+ * Query analytic request options. See the [REST Documentation](https://developers.arcgis.com/rest/services-reference/online/query-analytic-feature-service-layer-.htm) for more information.
+ */
+export interface IQueryAnalyticOptions
+  extends ISharedQueryOptions,
+    Pick<
+      IQueryFeaturesOptions,
+      | "objectIds"
+      | "time"
+      | "distance"
+      | "units"
+      | "outFields"
+      | "orderByFields"
+      | "resultOffset"
+      | "resultRecordCount"
+      | "sqlFormat"
+      | "f"
+    > {
+  outAnalytics: IAnalyticDefinition[];
+}
+
+/**
+ * Computes window functions like moving averages and rankings over the features of a hosted feature layer. Each feature is returned with the result of each function. See the [REST Documentation](https://developers.arcgis.com/rest/services-reference/online/query-analytic-feature-service-layer-.htm) for more information.
+ *
+ * ```js
+ * import { queryAnalytic } from '@esri/arcgis-rest-feature-service';
+ *
+ * queryAnalytic({
+ *   url: "https://services.arcgis.com/V6ZHFr6zdgNZuVG0/arcgis/rest/services/USA_Cities/FeatureServer/0",
+ *   outFields: ["NAME", "ST", "POPULATION"],
+ *   outAnalytics: [{
+ *     analyticType: "rank",
+ *     onAnalyticField: "POPULATION",
+ *     analyticParameters: { partitionBy: "ST", orderBy: "POPULATION DESC" },
+ *     outAnalyticFieldName: "RANK_IN_STATE"
+ *   }]
+ * })
+ *   .then(response)
+ * ```
+ *
+ * @param requestOptions - Options for the request
+ * @returns A Promise that will resolve with the features and the results of the functions.
+ */
+export function queryAnalytic(
+  requestOptions: IQueryAnalyticOptions
+): Promise<IQueryFeaturesResponse> {
+  const queryOptions = appendCustomParams<IQueryAnalyticOptions>(
+    requestOptions,
+    [
+      "outAnalytics",
+      "where",
+      "objectIds",
+      "time",
+      "distance",
+      "units",
+      "outFields",
+      "geometry",
+      "geometryType",
+      "spatialRel",
+      "inSR",
+      "orderByFields",
+      "resultOffset",
+      "resultRecordCount",
+      "sqlFormat",
+      "f"
+    ],
+    {
+      httpMethod: "GET",
+      params: {
+        // set default query parameters
+        where: "1=1",
+        outFields: "*",
+        ...requestOptions.params
+      }
+    }
+  );
+
+  const url = `${cleanUrl(requestOptions.url)}/queryAnalytic`;
+
+  return request(url, queryOptions);
+}
@@ -0,0 +1,146 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import {
+  request,
+  cleanUrl,
+  appendCustomParams,
+  IField
+} from "@esri/arcgis-rest-request";
+
+import { IGetLayerOptions } from "./helpers.js";
+import { IAttachmentInfo } from "./getAttachments.js";
+import type { WhereClauseBuilder } from "./WhereClauseBuilder.js";
+
+/**
+ * Query attachments request options. See the [REST Documentation](https://developers.arcgis.com/rest/services-reference/enterprise/query-attachments-feature-service-layer-.htm) for more information.
+ */
+export interface IQueryAttachmentsOptions extends IGetLayerOptions {
+  /**
+   * The object ids of the features whose attachments are returned.
+   */
+  objectIds?: number[];
+  /**
+   * The global ids of the features whose attachments are returned.
+   */
+  globalIds?: string[];
+  /**
+   * A where clause for the features whose attachments are returned. Defaults to `"1=1"`.
+   */
+  definitionExpression?: string | WhereClauseBuilder;
+  /**
+   * A where clause for the attachments, for example `"name LIKE '%.jpg'"`.
+   */
+  attachmentsDefinitionExpression?: string;
+  /**
+   * The content types of the returned attachments, for example `["image/jpeg", "image/png"]`.
+   */
+  attachmentTypes?: string[];
+  /**
+   * The keywords of the returned attachments.
+   */
+  keywords?: string[];
+  /**
+   * The minimum and maximum size in bytes of the returned attachments.
+   */
+  size?: [number, number];
+  /**
+   * Return the url of each attachment.
+   */
+  returnUrl?: boolean;
+  /**
+   * Return the EXIF metadata of image attachments.
+   */
+  returnMetadata?: boolean;
+  returnCountOnly?: boolean;
+  orderByFields?: string;
+  resultOffset?: number;
+  resultRecordCount?: number;
+}
+
+/**
+ * An attachment returned by {@linkcode queryAttachments}.
+ */
+export interface IQueriedAttachmentInfo extends IAttachmentInfo {
+  globalId?: string;
+  keywords?: string;
+  /**
+   * The url of the attachment, if `returnUrl` was `true`.
+   */
+  url?: string;
+  /**
+   * The EXIF metadata of the attachment, if `returnMetadata` was `true`.
+   */
+  exifInfo?: Array<{ name: string; tags: Array<{ name: string; value: any }> }>;
+}
+
+/**
+ * The attachments of a feature returned by {@linkcode queryAttachments}.
+ */
+export interface IAttachmentGroup {
+  parentObjectId: number;
+  parentGlobalId?: string;
+  attachmentInfos: IQueriedAttachmentInfo[];
+}
+
+/**
+ * Query attachments response.
+ */
+export interface IQueryAttachmentsResponse {
+  fields?: IField[];
+  attachmentGroups?: IAttachmentGroup[];
+  count?: number;
+}
+
+/**
+ * Query the attachments of many features of a layer at once, by object id, global id or a where clause, instead of calling {@linkcode getAttachments} for each feature. See the [REST Documentation](https://developers.arcgis.com/rest/services-reference/enterprise/query-attachments-feature-service-layer-.htm) for more information.
+ *
+ * ```js
+ * import { queryAttachments } from '@esri/arcgis-rest-feature-service';
+ *
+ * queryAttachments({
+ *   url: "https://sampleserver6.arcgisonline.com/arcgis/rest/services/ServiceRequest/FeatureServer/0",
+ *   definitionExpression: "status = 'Closed'",
+ *   attachmentTypes: ["image/jpeg"],
+ *   size: [0, 5000000]
+ * })
+ *   .then(({ attachmentGroups }) => attachmentGroups)
+ * ```
+ *
+ * @param requestOptions - Options for the request
+ * @returns A Promise that will resolve with the attachments of each feature.
+ */
+export function queryAttachments(
+  requestOptions: IQueryAttachmentsOptions
+): Promise<IQueryAttachmentsResponse> {
+  const queryOptions = appendCustomParams<IQueryAttachmentsOptions>(
+    requestOptions,
+    [
+      "objectIds",
+      "globalIds",
+      "definitionExpression",
+      "attachmentsDefinitionExpression",
+      "attachmentTypes",
+      "keywords",
+      "size",
+      "returnUrl",
+      "returnMetadata",
+      "returnCountOnly",
+      "orderByFields",
+      "resultOffset",
+      "resultRecordCount"
+    ],
+    {
+      httpMethod: "GET",
+      params: {
+        // set default query parameters
+        definitionExpression: "1=1",
+        ...requestOptions.params
+      }
+    }
+  );
+
+  const url = `${cleanUrl(requestOptions.url)}/queryAttachments`;
+
+  return request(url, queryOptions);
+}
@@ -0,0 +1,185 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import {
+  request,
+  cleanUrl,
+  appendCustomParams,
+  IFeatureSet
+} from "@esri/arcgis-rest-request";
+
+import { ISharedQueryOptions, IStatisticDefinition } from "./helpers.js";
+import { IQueryFeaturesOptions } from "./query.js";
+import type { StatisticsBuilder } from "./StatisticsBuilder.js";
+
+/**
+ * How the features are binned by {@linkcode queryBins}.
+ *
+ * ```js
+ * // bins of 10 meters from 0 to 100
+ * { type: "fixedIntervalBin", parameters: { field: "HEIGHT", start: 0, end: 100, interval: 10 } }
+ * // a bin for each month of 2023
+ * { type: "dateBin", parameters: { field: "PLANTED", start: "2023-01-01", end: "2024-01-01", unit: "months", number: 1 } }
+ * ```
+ */
+export interface IBinDefinition {
+  type:
+    | "autoIntervalBin"
+    | "fixedIntervalBin"
+    | "fixedBoundariesBin"
+    | "dateBin";
+  parameters: {
+    /**
+     * The field whose values are binned. Either `field` or `expression` is required.
+     */
+    field?: string;
+    /**
+     * A SQL expression whose values are binned.
+     */
+    expression?: string;
+    /**
+     * The type of the values of `expression`.
+     */
+    expressionValueType?: string;
+    /**
+     * The lowest value of the first bin.
+     */
+    start?: number | string;
+    /**
+     * The highest value of the last bin.
+     */
+    end?: number | string;
+    /**
+     * The number of bins of an `"autoIntervalBin"`.
+     */
+    numberOfBins?: number;
+    /**
+     * The size of the bins of a `"fixedIntervalBin"`.
+     */
+    interval?: number;
+    /**
+     * The boundaries of the bins of a `"fixedBoundariesBin"`.
+     */
+    boundaries?: Array<number | string>;
+    /**
+     * The unit of the bins of a `"dateBin"`.
+     */
+    unit?:
+      | "years"
+      | "quarters"
+      | "months"
+      | "weeks"
+      | "days"
+      | "hours"
+      | "minutes"
+      | "seconds";
+    /**
+     * The number of `unit`s in each bin of a `"dateBin"`.
+     */
+    number?: number;
+    [key: string]: any;
+  };
+}
+
+/**
+ * Query bins request options. See the [REST Documentation](https://developers.arcgis.com/rest/services-reference/online/query-bins-feature-service-layer-.htm) for more information.
+ */
+export interface IQueryBinsOptions
+  extends ISharedQueryOptions,
+    Pick<
+      IQueryFeaturesOptions,
+      | "objectIds"
+      | "time"
+      | "distance"
+      | "units"
+      | "resultOffset"
+      | "resultRecordCount"
+      | "returnExceededLimitFeatures"
+      | "quantizationParameters"
+      | "f"
+    > {
+  bin: IBinDefinition;
+  /**
+   * The statistics of each bin. The number of features of each bin is returned as `frequency` by default.
+   */
+  outStatistics?: IStatisticDefinition[] | StatisticsBuilder<any>;
+  /**
+   * The name of the lower boundary of each bin in the response. Defaults to `"lowerBoundary"`.
+   */
+  lowerBoundaryAlias?: string;
+  /**
+   * The name of the upper boundary of each bin in the response. Defaults to `"upperBoundary"`.
+   */
+  upperBoundaryAlias?: string;
+  /**
+   * The order of the bins.
+   */
+  orderBy?: "ASC" | "DESC";
+}
+
+/**
+ * Query bins response. Each feature is a bin with the `lowerBoundary`, `upperBoundary` and `frequency` of the bin and the `outStatistics`.
+ */
+export interface IQueryBinsResponse extends IFeatureSet {
+  exceededTransferLimit?: boolean;
+}
+
+/**
+ * Query the number of features and other statistics of a hosted feature layer in bins of values, for example to draw a histogram. See the [REST Documentation](https://developers.arcgis.com/rest/services-reference/online/query-bins-feature-service-layer-.htm) for more information.
+ *
+ * ```js
+ * import { queryBins } from '@esri/arcgis-rest-feature-service';
+ *
+ * queryBins({
+ *   url: "https://services.arcgis.com/V6ZHFr6zdgNZuVG0/arcgis/rest/services/Landscape_Trees/FeatureServer/0",
+ *   bin: {
+ *     type: "fixedIntervalBin",
+ *     parameters: { field: "HEIGHT", start: 0, end: 100, interval: 10 }
+ *   }
+ * })
+ *   .then(({ features }) => features.map(({ attributes }) => attributes.frequency))
+ * ```
+ *
+ * @param requestOptions - Options for the request
+ * @returns A Promise that will resolve with the bins.
+ */
+export function queryBins(
+  requestOptions: IQueryBinsOptions
+): Promise<IQueryBinsResponse> {
+  const queryOptions = appendCustomParams<IQueryBinsOptions>(
+    requestOptions,
+    [
+      "bin",
+      "where",
+      "objectIds",
+      "time",
+      "distance",
+      "units",
+      "geometry",
+      "geometryType",
+      "spatialRel",
+      "inSR",
+      "outStatistics",
+      "lowerBoundaryAlias",
+      "upperBoundaryAlias",
+      "orderBy",
+      "resultOffset",
+      "resultRecordCount",
+      "returnExceededLimitFeatures",
+      "quantizationParameters",
+      "f"
+    ],
+    {
+      httpMethod: "GET",
+      params: {
+        // set default query parameters
+        where: "1=1",
+        ...requestOptions.params
+      }
+    }
+  );
+
+  const url = `${cleanUrl(requestOptions.url)}/queryBins`;
+
+  return request(url, queryOptions);
+}
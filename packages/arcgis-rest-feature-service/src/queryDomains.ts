@@ -0,0 +1,60 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import {
+  request,
+  appendCustomParams,
+  IDomain
+} from "@esri/arcgis-rest-request";
+
+import { IGetLayerOptions, parseServiceUrl } from "./helpers.js";
+
+/**
+ * Query domains request options. See the [REST Documentation](https://developers.arcgis.com/rest/services-reference/enterprise/query-domains-feature-service-.htm) for more information.
+ */
+export interface IQueryDomainsOptions extends IGetLayerOptions {
+  /**
+   * The ids of the layers and tables whose domains are returned.
+   */
+  layers: number[];
+}
+
+/**
+ * Query domains response.
+ */
+export interface IQueryDomainsResponse {
+  domains: IDomain[];
+}
+
+/**
+ * Query the domains of the fields and subtypes of layers and tables of a feature service at once. See the [REST Documentation](https://developers.arcgis.com/rest/services-reference/enterprise/query-domains-feature-service-.htm) for more information.
+ *
+ * ```js
+ * import { queryDomains } from '@esri/arcgis-rest-feature-service';
+ *
+ * queryDomains({
+ *   url: "https://sampleserver6.arcgisonline.com/arcgis/rest/services/ServiceRequest/FeatureServer",
+ *   layers: [0, 1]
+ * })
+ *   .then(({ domains }) => domains.map(({ name }) => name))
+ * ```
+ *
+ * @param requestOptions - Options for the request. The `url` can be the url of the service or of one of its layers.
+ * @returns A Promise that will resolve with the domains.
+ */
+export function queryDomains(
+  requestOptions: IQueryDomainsOptions
+): Promise<IQueryDomainsResponse> {
+  const url = `${parseServiceUrl(requestOptions.url)}/queryDomains`;
+
+  const options = appendCustomParams<IQueryDomainsOptions>(
+    requestOptions,
+    ["layers"],
+    {
+      httpMethod: "GET",
+      params: { ...requestOptions.params }
+    }
+  );
+
+  return request(url, options);
+}
@@ -13,6 +13,7 @@ import {
 } from "@esri/arcgis-rest-request";
 
 import { IGetLayerOptions } from "./helpers.js";
+import { WhereClauseBuilder } from "./WhereClauseBuilder.js";
 
 /**
  * Related record query request options. Additional arguments can be passed via the {@linkcode IQueryRelatedOptions.params} property. See the [REST Documentation](https://developers.arcgis.com/rest/services-reference/enterprise/query-related-records-feature-service-.htm) for more information and a full list of parameters.
@@ -21,7 +22,7 @@ export interface IQueryRelatedOptions extends IGetLayerOptions {
   relationshipId?: number;
   objectIds?: number[];
   outFields?: "*" | string[];
-  definitionExpression?: string;
+  definitionExpression?: string | WhereClauseBuilder;
 }
 
 /**
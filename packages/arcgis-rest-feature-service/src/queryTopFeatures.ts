@@ -0,0 +1,132 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import {
+  request,
+  cleanUrl,
+  appendCustomParams
+} from "@esri/arcgis-rest-request";
+
+import { ISharedQueryOptions } from "./helpers.js";
+import {
+  IQueryFeaturesOptions,
+  IQueryFeaturesResponse,
+  IQueryResponse
+} from "./query.js";
+
+/**
+ * Which features of each group are returned by {@linkcode queryTopFeatures}.
+ */
+export interface ITopFilter {
+  /**
+   * The fields the features are grouped by, for example `"State"` or `"State,County"`.
+   */
+  groupByFields: string;
+  /**
+   * The number of features returned from each group.
+   */
+  topCount: number;
+  /**
+   * The order of the features in each group, for example `"Population DESC"`. The first `topCount` features of each group are returned.
+   */
+  orderByFields: string;
+}
+
+/**
+ * Query top features request options. See the [REST Documentation](https://developers.arcgis.com/rest/services-reference/online/query-top-features-feature-service-layer-.htm) for more information.
+ */
+export interface IQueryTopFeaturesOptions
+  extends ISharedQueryOptions,
+    Pick<
+      IQueryFeaturesOptions,
+      | "objectIds"
+      | "time"
+      | "distance"
+      | "units"
+      | "outFields"
+      | "returnGeometry"
+      | "maxAllowableOffset"
+      | "geometryPrecision"
+      | "outSR"
+      | "returnIdsOnly"
+      | "returnCountOnly"
+      | "returnExtentOnly"
+      | "orderByFields"
+      | "returnZ"
+      | "returnM"
+      | "resultOffset"
+      | "resultRecordCount"
+      | "resultType"
+      | "f"
+    > {
+  topFilter: ITopFilter;
+}
+
+/**
+ * Query the top features of each group of a hosted feature layer, for example the three most populous cities of each state. See the [REST Documentation](https://developers.arcgis.com/rest/services-reference/online/query-top-features-feature-service-layer-.htm) for more information.
+ *
+ * ```js
+ * import { queryTopFeatures } from '@esri/arcgis-rest-feature-service';
+ *
+ * queryTopFeatures({
+ *   url: "https://services.arcgis.com/V6ZHFr6zdgNZuVG0/arcgis/rest/services/USA_Cities/FeatureServer/0",
+ *   topFilter: {
+ *     groupByFields: "ST",
+ *     topCount: 3,
+ *     orderByFields: "POPULATION DESC"
+ *   },
+ *   outFields: ["NAME", "ST", "POPULATION"]
+ * })
+ *   .then(response)
+ * ```
+ *
+ * @param requestOptions - Options for the request
+ * @returns A Promise that will resolve with the query response.
+ */
+export function queryTopFeatures(
+  requestOptions: IQueryTopFeaturesOptions
+): Promise<IQueryFeaturesResponse | IQueryResponse> {
+  const queryOptions = appendCustomParams<IQueryTopFeaturesOptions>(
+    requestOptions,
+    [
+      "topFilter",
+      "where",
+      "objectIds",
+      "time",
+      "distance",
+      "units",
+      "outFields",
+      "geometry",
+      "geometryType",
+      "spatialRel",
+      "inSR",
+      "returnGeometry",
+      "maxAllowableOffset",
+      "geometryPrecision",
+      "outSR",
+      "returnIdsOnly",
+      "returnCountOnly",
+      "returnExtentOnly",
+      "orderByFields",
+      "returnZ",
+      "returnM",
+      "resultOffset",
+      "resultRecordCount",
+      "resultType",
+      "f"
+    ],
+    {
+      httpMethod: "GET",
+      params: {
+        // set default query parameters
+        where: "1=1",
+        outFields: "*",
+        ...requestOptions.params
+      }
+    }
+  );
+
+  const url = `${cleanUrl(requestOptions.url)}/queryTopFeatures`;
+
+  return request(url, queryOptions);
+}
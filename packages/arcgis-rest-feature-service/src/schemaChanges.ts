@@ -0,0 +1,423 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { IField, IUserRequestOptions } from "@esri/arcgis-rest-request";
+
+import { ILayerDefinition, parseServiceUrl } from "./helpers.js";
+import { IAllLayersAndTablesResponse } from "./getAllLayersAndTables.js";
+import { addToServiceDefinition } from "./addToServiceDefinition.js";
+import { updateServiceDefinition } from "./updateServiceDefinition.js";
+import { deleteFromServiceDefinition } from "./deleteFromServiceDefinition.js";
+
+/**
+ * One request of a schema migration planned by {@linkcode planSchemaChanges}.
+ */
+export interface ISchemaChange {
+  operation: "addToDefinition" | "updateDefinition" | "deleteFromDefinition";
+  /**
+   * The id of the layer or table that is changed. Changes without a `layerId` add or delete layers and tables of the service.
+   */
+  layerId?: number;
+  /**
+   * The definition sent with the request, for example `{ fields: [{ name: "crew" }] }`.
+   */
+  definition: {
+    layers?: any[];
+    tables?: any[];
+    fields?: any[];
+    indexes?: any[];
+  };
+  /**
+   * A description of the change, for example `"Add fields crew, status to layer 0"`.
+   */
+  description: string;
+}
+
+export interface IApplySchemaChangesOptions extends IUserRequestOptions {
+  /**
+   * The changes returned by {@linkcode planSchemaChanges}.
+   */
+  changes: ISchemaChange[];
+  /**
+   * Resolve with the changes without sending them. Defaults to `false`.
+   */
+  dryRun?: boolean;
+}
+
+export interface ISchemaChangeResult {
+  change: ISchemaChange;
+  /**
+   * The response of the service, `undefined` for a dry run.
+   */
+  response?: { success: boolean };
+}
+
+// fields the service manages, they are never deleted
+const SYSTEM_FIELD_TYPES = [
+  "esriFieldTypeOID",
+  "esriFieldTypeGlobalID",
+  "esriFieldTypeGeometry"
+];
+
+const UPDATABLE_FIELD_KEYS: Array<keyof IField> = [
+  "alias",
+  "domain",
+  "defaultValue",
+  "editable",
+  "nullable",
+  "length"
+];
+
+/**
+ * Serializes a value with the keys of its objects sorted so equal definitions serialize the same.
+ */
+function stringify(value: any) {
+  return JSON.stringify(value, (key, nested) =>
+    nested && typeof nested === "object" && !Array.isArray(nested)
+      ? Object.keys(nested)
+          .sort()
+          .reduce((sorted: any, name) => {
+            sorted[name] = nested[name];
+            return sorted;
+          }, {})
+      : nested
+  );
+}
+
+/**
+ * Finds a field or index by name. Names are not case sensitive.
+ */
+function findByName<T extends { name: string }>(list: T[], name: string) {
+  return list.find((item) => item.name.toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * Finds the current definition of a layer by id or, for layers without an id, by name.
+ */
+function findLayer(layers: ILayerDefinition[], layer: ILayerDefinition) {
+  return layers.find((current) =>
+    layer.id === undefined
+      ? current.name === layer.name
+      : current.id === layer.id
+  );
+}
+
+/**
+ * Returns `true` for the fields that are managed by the service.
+ */
+function isSystemField(field: IField) {
+  return (
+    SYSTEM_FIELD_TYPES.indexOf(field.type) > -1 || field.editable === false
+  );
+}
+
+/**
+ * Returns the properties of a field that must be updated or `undefined` if it has not changed. Properties that are not set in the desired field are kept, a domain that is not set is removed.
+ */
+function getFieldUpdate(desired: IField, current: IField, layerId: number) {
+  if (desired.type && desired.type !== current.type) {
+    throw new Error(
+      `The type of field ${current.name} of layer ${layerId} cannot be changed from ${current.type} to ${desired.type}.`
+    );
+  }
+
+  const update: Partial<IField> = {};
+  const valueOf = (field: IField, key: keyof IField) =>
+    key === "domain" ? field.domain || null : field[key];
+
+  UPDATABLE_FIELD_KEYS.forEach((key) => {
+    const value = valueOf(desired, key);
+
+    if (
+      value !== undefined &&
+      stringify(value) !== stringify(valueOf(current, key))
+    ) {
+      (update as any)[key] = value;
+    }
+  });
+
+  return Object.keys(update).length
+    ? { name: current.name, ...update }
+    : undefined;
+}
+
+/**
+ * Returns `true` if a desired index matches the current one. `isAscending` and `isUnique` are only compared when they are set.
+ */
+function isSameIndex(desired: any, current: any) {
+  const normalize = (fields: string) => fields.replace(/\s/g, "").toLowerCase();
+
+  return (
+    normalize(desired.fields) === normalize(current.fields) &&
+    ["isAscending", "isUnique"].every(
+      (key) => desired[key] === undefined || desired[key] === current[key]
+    )
+  );
+}
+
+/**
+ * Compares the desired definition of the layers and tables of a feature service with their current definition and returns the ordered changes to migrate the service with {@linkcode applySchemaChanges}.
+ *
+ * ```js
+ * import { getAllLayersAndTables, planSchemaChanges, applySchemaChanges } from '@esri/arcgis-rest-feature-service';
+ *
+ * const current = await getAllLayersAndTables({ url, authentication });
+ * const changes = planSchemaChanges(desired, current);
+ *
+ * changes.forEach(({ description }) => console.log(description));
+ * await applySchemaChanges(url, { changes, authentication });
+ * ```
+ *
+ * Layers and tables are matched by `id`, or by `name` if the desired layer has no `id`. Fields and indexes are matched by name. The changes are ordered so nothing is added before what it replaces is deleted:
+ *
+ * 1. indexes that were removed or changed are deleted
+ * 2. fields that were removed are deleted
+ * 3. layers and tables that were removed are deleted, only if `desired` has `layers` or `tables` respectively
+ * 4. new layers and tables are added with their fields and indexes
+ * 5. new fields are added
+ * 6. fields with a different `alias`, `domain`, `defaultValue`, `editable`, `nullable` or `length` are updated
+ * 7. new and changed indexes are added
+ *
+ * Object id, global id, geometry and non-editable fields and the indexes on them are never deleted. Properties of fields that are not set in the desired definition are not changed, except `domain` which is removed. Throws if the type of a field is changed, since that requires deleting the field and its data.
+ *
+ * @param desired - The desired layers and tables.
+ * @param current - The current layers and tables, as returned by {@linkcode getAllLayersAndTables}.
+ * @returns The changes to apply.
+ */
+export function planSchemaChanges(
+  desired: Partial<IAllLayersAndTablesResponse>,
+  current: Partial<IAllLayersAndTablesResponse>
+): ISchemaChange[] {
+  const deleteIndexes: ISchemaChange[] = [];
+  const deleteFields: ISchemaChange[] = [];
+  const addFields: ISchemaChange[] = [];
+  const updateFields: ISchemaChange[] = [];
+  const addIndexes: ISchemaChange[] = [];
+  const addLayers: ISchemaChange["definition"] = {};
+  const deleteLayers: ISchemaChange["definition"] = {};
+
+  (["layers", "tables"] as const).forEach((kind) => {
+    const desiredLayers = desired[kind] || [];
+    const currentLayers = current[kind] || [];
+
+    const added = desiredLayers.filter(
+      (layer) => !findLayer(currentLayers, layer)
+    );
+    // a partial schema without layers or tables must not delete them all
+    const deleted = desired[kind]
+      ? currentLayers.filter(
+          (layer) =>
+            !desiredLayers.some(
+              (wanted) => findLayer([layer], wanted) === layer
+            )
+        )
+      : [];
+
+    if (added.length) {
+      addLayers[kind] = added;
+    }
+
+    if (deleted.length) {
+      deleteLayers[kind] = deleted.map(({ id }) => ({ id }));
+    }
+
+    desiredLayers.forEach((layer) => {
+      const existing = findLayer(currentLayers, layer);
+
+      if (!existing) {
+        return;
+      }
+
+      const layerId = existing.id;
+      const fields = layer.fields || [];
+      const currentFields = existing.fields || [];
+      const indexes = layer.indexes || [];
+      const currentIndexes = existing.indexes || [];
+      const systemFields = currentFields
+        .filter(isSystemField)
+        .map(({ name }) => name.toLowerCase());
+
+      const change = (
+        list: ISchemaChange[],
+        operation: ISchemaChange["operation"],
+        key: "fields" | "indexes",
+        items: any[],
+        description: string
+      ) => {
+        if (items.length) {
+          list.push({
+            operation,
+            layerId,
+            definition: { [key]: items },
+            description: `${description} ${items
+              .map(({ name }) => name)
+              .join(", ")} ${
+              operation === "addToDefinition" ? "to" : "of"
+            } layer ${layerId}`
+          });
+        }
+      };
+
+      change(
+        deleteIndexes,
+        "deleteFromDefinition",
+        "indexes",
+        currentIndexes
+          .filter((index) => {
+            const wanted = findByName(indexes, index.name);
+            return wanted
+              ? !isSameIndex(wanted, index)
+              : !index.fields
+                  .split(",")
+                  .every(
+                    (name: string) =>
+                      systemFields.indexOf(name.trim().toLowerCase()) > -1
+                  );
+          })
+          .map(({ name }) => ({ name })),
+        "Delete indexes"
+      );
+      change(
+        deleteFields,
+        "deleteFromDefinition",
+        "fields",
+        currentFields
+          .filter(
+            (field) => !findByName(fields, field.name) && !isSystemField(field)
+          )
+          .map(({ name }) => ({ name })),
+        "Delete fields"
+      );
+      change(
+        addFields,
+        "addToDefinition",
+        "fields",
+        fields.filter((field) => !findByName(currentFields, field.name)),
+        "Add fields"
+      );
+      change(
+        updateFields,
+        "updateDefinition",
+        "fields",
+        fields
+          .map((field) => {
+            const currentField = findByName(currentFields, field.name);
+            return currentField && getFieldUpdate(field, currentField, layerId);
+          })
+          .filter((update) => update),
+        "Update fields"
+      );
+      change(
+        addIndexes,
+        "addToDefinition",
+        "indexes",
+        indexes.filter((index) => {
+          const currentIndex = findByName(currentIndexes, index.name);
+          return !currentIndex || !isSameIndex(index, currentIndex);
+        }),
+        "Add indexes"
+      );
+    });
+  });
+
+  const serviceChange = (
+    operation: ISchemaChange["operation"],
+    definition: ISchemaChange["definition"],
+    description: string,
+    label: (layer: ILayerDefinition) => string | number
+  ): ISchemaChange[] => {
+    const layers = [...(definition.layers || []), ...(definition.tables || [])];
+
+    return layers.length
+      ? [
+          {
+            operation,
+            definition,
+            description: `${description} ${layers.map(label).join(", ")}`
+          }
+        ]
+      : [];
+  };
+
+  return [
+    ...deleteIndexes,
+    ...deleteFields,
+    ...serviceChange(
+      "deleteFromDefinition",
+      deleteLayers,
+      "Delete layers",
+      ({ id }) => id
+    ),
+    ...serviceChange(
+      "addToDefinition",
+      addLayers,
+      "Add layers",
+      ({ name }) => name
+    ),
+    ...addFields,
+    ...updateFields,
+    ...addIndexes
+  ];
+}
+
+/**
+ * Applies the changes returned by {@linkcode planSchemaChanges} to a hosted feature service with {@linkcode addToServiceDefinition}, {@linkcode updateServiceDefinition} and {@linkcode deleteFromServiceDefinition}, one change at a time.
+ *
+ * ```js
+ * import { applySchemaChanges } from '@esri/arcgis-rest-feature-service';
+ *
+ * applySchemaChanges(url, { changes, authentication, dryRun: true })
+ *   .then((results) => results.forEach(({ change }) => console.log(change.description)));
+ * ```
+ *
+ * Rejects with the error of the first change that fails. The changes before it stay applied.
+ *
+ * @param url - URL of feature service
+ * @param requestOptions - Options for the request
+ * @returns A Promise that resolves with each change and the response of the service
+ */
+export async function applySchemaChanges(
+  url: string,
+  requestOptions: IApplySchemaChangesOptions
+): Promise<ISchemaChangeResult[]> {
+  const { changes, dryRun, ...options } = requestOptions;
+  const serviceUrl = parseServiceUrl(url);
+  const results: ISchemaChangeResult[] = [];
+
+  for (const change of changes) {
+    if (dryRun) {
+      results.push({ change });
+      continue;
+    }
+
+    const changeUrl =
+      change.layerId === undefined
+        ? serviceUrl
+        : `${serviceUrl}/${change.layerId}`;
+    let response: { success: boolean };
+
+    switch (change.operation) {
+      case "addToDefinition":
+        response = await addToServiceDefinition(changeUrl, {
+          ...options,
+          params: { ...options.params, addToDefinition: change.definition }
+        });
+        break;
+      case "updateDefinition":
+        response = await updateServiceDefinition(changeUrl, {
+          ...options,
+          updateDefinition: change.definition as any
+        });
+        break;
+      default:
+        response = await deleteFromServiceDefinition(changeUrl, {
+          ...options,
+          deleteFromDefinition: change.definition
+        });
+    }
+
+    results.push({ change, response });
+  }
+
+  return results;
+}
@@ -0,0 +1,182 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import {
+  request,
+  appendCustomParams,
+  IFeature
+} from "@esri/arcgis-rest-request";
+
+import {
+  IGetLayerOptions,
+  ILayerServerGen,
+  ISyncLayerEditResult,
+  parseServiceUrl
+} from "./helpers.js";
+import { IReplicaLayer } from "./createReplica.js";
+import { SyncJob, ISyncJobRequestOptions } from "./SyncJob.js";
+import { toSyncJob } from "./utils/to-sync-job.js";
+
+/**
+ * The local edits of a layer that are uploaded with {@linkcode synchronizeReplica}.
+ */
+export interface IReplicaLayerEdits {
+  /**
+   * The id of the layer.
+   */
+  id: number;
+  adds?: IFeature[];
+  updates?: IFeature[];
+  /**
+   * The global ids of the deleted features.
+   */
+  deletes?: string[];
+  attachments?: {
+    adds?: any[];
+    updates?: any[];
+    deletes?: string[];
+  };
+}
+
+/**
+ * Synchronize replica request options. See the [REST Documentation](https://developers.arcgis.com/rest/services-reference/enterprise/synchronize-replica.htm) for more information.
+ */
+export interface ISynchronizeReplicaOptions
+  extends IGetLayerOptions,
+    ISyncJobRequestOptions {
+  /**
+   * The id of the replica returned by {@linkcode createReplica}.
+   */
+  replicaID: string;
+  /**
+   * The local edits to upload.
+   */
+  edits?: IReplicaLayerEdits[];
+  /**
+   * The `replicaServerGen` of the last synchronization of a replica with a `syncModel` of `"perReplica"`.
+   */
+  replicaServerGen?: number;
+  /**
+   * The layers to synchronize and their server generations for a replica with a `syncModel` of `"perLayer"`.
+   */
+  syncLayers?: Array<
+    Partial<ILayerServerGen> & {
+      id: number;
+      syncDirection?: "download" | "upload" | "bidirectional";
+    }
+  >;
+  syncDirection?: "download" | "upload" | "bidirectional" | "snapshot";
+  /**
+   * `"esriTransportTypeUrl"` returns the `responseUrl` of the downloaded edits, which can be downloaded with {@linkcode downloadReplica}. `"esriTransportTypeEmbedded"` returns the edits in the response. Defaults to `"esriTransportTypeUrl"`.
+   */
+  transportType?: "esriTransportTypeUrl" | "esriTransportTypeEmbedded";
+  /**
+   * Unregister the replica after it is synchronized.
+   */
+  closeReplica?: boolean;
+  /**
+   * Return the object ids and global ids of the features that were added.
+   */
+  returnIdsForAdds?: boolean;
+  returnAttachmentDatabyURL?: boolean;
+  /**
+   * Only apply the edits if every edit succeeds. Defaults to the setting of the service.
+   */
+  rollbackOnFailure?: boolean;
+  /**
+   * The format of the downloaded edits. Defaults to `"json"`.
+   */
+  dataFormat?: "json" | "sqlite";
+}
+
+/**
+ * Synchronize replica response.
+ */
+export interface ISynchronizeReplicaResponse {
+  replicaName?: string;
+  replicaID: string;
+  transportType?: "esriTransportTypeUrl" | "esriTransportTypeEmbedded";
+  /**
+   * The URL of the downloaded edits when `transportType` is `"esriTransportTypeUrl"`.
+   */
+  responseUrl?: string;
+  /**
+   * The new server generation of a replica with a `syncModel` of `"perReplica"`. Pass it with the next synchronization.
+   */
+  replicaServerGen?: number;
+  /**
+   * The new server generation of each layer of a replica with a `syncModel` of `"perLayer"`.
+   */
+  layerServerGens?: ILayerServerGen[];
+  /**
+   * The results of the uploaded edits of each layer.
+   */
+  edits?: ISyncLayerEditResult[];
+  /**
+   * The downloaded edits when `transportType` is `"esriTransportTypeEmbedded"`.
+   */
+  layers?: IReplicaLayer[];
+}
+
+/**
+ * Uploads the local edits of a replica and downloads the edits that were made on the server since the last synchronization. See the [REST Documentation](https://developers.arcgis.com/rest/services-reference/enterprise/synchronize-replica.htm) for more information.
+ *
+ * ```js
+ * import { synchronizeReplica } from '@esri/arcgis-rest-feature-service';
+ *
+ * synchronizeReplica({
+ *   url: "https://sampleserver6.arcgisonline.com/arcgis/rest/services/Sync/WildfireSync/FeatureServer",
+ *   replicaID: "{0A4ABF39-8F1A-4B5A-9C4E-5A58C5E1C2D3}",
+ *   replicaServerGen: 1520,
+ *   edits: [{
+ *     id: 0,
+ *     adds: [{ geometry: { x: -117.2, y: 34.1 }, attributes: { GlobalID: "{E41DCC6B-9A84-4E07-9C43-B4C67A0A83AD}" } }]
+ *   }]
+ * })
+ *   .then(({ replicaServerGen, edits }) => console.log(replicaServerGen, edits));
+ * ```
+ *
+ * Pass `async: true` to synchronize in a {@linkcode SyncJob}.
+ *
+ * @param requestOptions - Options for the request.
+ * @returns A Promise that will resolve with the results of the synchronization or a {@linkcode SyncJob} if `async` is `true`.
+ */
+export function synchronizeReplica(
+  requestOptions: ISynchronizeReplicaOptions & { async: true }
+): Promise<SyncJob>;
+export function synchronizeReplica(
+  requestOptions: ISynchronizeReplicaOptions
+): Promise<ISynchronizeReplicaResponse>;
+export function synchronizeReplica(
+  requestOptions: ISynchronizeReplicaOptions
+): Promise<any> {
+  const url = `${parseServiceUrl(requestOptions.url)}/synchronizeReplica`;
+
+  // edit operations are POST only
+  const options = appendCustomParams<ISynchronizeReplicaOptions>(
+    {
+      transportType: "esriTransportTypeUrl",
+      syncDirection: "bidirectional",
+      ...requestOptions
+    },
+    [
+      "replicaID",
+      "edits",
+      "replicaServerGen",
+      "syncLayers",
+      "syncDirection",
+      "transportType",
+      "closeReplica",
+      "returnIdsForAdds",
+      "returnAttachmentDatabyURL",
+      "rollbackOnFailure",
+      "dataFormat",
+      "async"
+    ],
+    { params: { ...requestOptions.params } }
+  );
+
+  return request(url, options).then((response) =>
+    requestOptions.async ? toSyncJob(response, requestOptions) : response
+  );
+}
@@ -0,0 +1,46 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { request, appendCustomParams } from "@esri/arcgis-rest-request";
+
+import { IGetLayerOptions, parseServiceUrl } from "./helpers.js";
+
+/**
+ * Unregister replica request options.
+ */
+export interface IUnregisterReplicaOptions extends IGetLayerOptions {
+  /**
+   * The id of the replica to unregister. Use `"*"` to unregister every replica of the service.
+   */
+  replicaID: string;
+}
+
+/**
+ * Unregisters a replica that was created with {@linkcode createReplica}. The replica can no longer be synchronized. See the [REST Documentation](https://developers.arcgis.com/rest/services-reference/enterprise/unregister-replica.htm) for more information.
+ *
+ * ```js
+ * import { unregisterReplica } from '@esri/arcgis-rest-feature-service';
+ *
+ * unregisterReplica({
+ *   url: "https://sampleserver6.arcgisonline.com/arcgis/rest/services/Sync/WildfireSync/FeatureServer",
+ *   replicaID: "{0A4ABF39-8F1A-4B5A-9C4E-5A58C5E1C2D3}"
+ * })
+ *   .then(({ success }) => console.log(success));
+ * ```
+ *
+ * @param requestOptions - Options for the request.
+ * @returns A Promise that will resolve with the response of the service.
+ */
+export function unregisterReplica(
+  requestOptions: IUnregisterReplicaOptions
+): Promise<{ success: boolean }> {
+  const url = `${parseServiceUrl(requestOptions.url)}/unregisterReplica`;
+
+  const options = appendCustomParams<IUnregisterReplicaOptions>(
+    requestOptions,
+    ["replicaID"],
+    { params: { ...requestOptions.params } }
+  );
+
+  return request(url, options);
+}
@@ -7,18 +7,25 @@ import {
   appendCustomParams,
   IFeature
 } from "@esri/arcgis-rest-request";
+import type { Feature } from "geojson";
 
 import { ISharedEditOptions, IEditFeatureResult } from "./helpers.js";
+import { IGeoJSONEditOptions, toArcGISFeatures } from "./geojson.js";
+import { IValidateEditsOptions } from "./validateFeatures.js";
+import { validateEdits } from "./utils/validate-edits.js";
 
 /**
  * Update features request options. See the [REST Documentation](https://developers.arcgis.com/rest/services-reference/update-features.htm) for more information.
  *
  */
-export interface IUpdateFeaturesOptions extends ISharedEditOptions {
+export interface IUpdateFeaturesOptions
+  extends ISharedEditOptions,
+    IGeoJSONEditOptions,
+    IValidateEditsOptions {
   /**
-   * Array of JSON features to update.
+   * Array of JSON features to update. GeoJSON features can be passed with `format: "geojson"`.
    */
-  features: IFeature[];
+  features: IFeature[] | Feature[];
   /**
    * Optional parameter which is false by default is set by client to indicate to the server that client in true curve capable.
    */
@@ -48,9 +55,14 @@ export function updateFeatures(
 ): Promise<{ updateResults: IEditFeatureResult[] }> {
   const url = `${cleanUrl(requestOptions.url)}/updateFeatures`;
 
+  const features = toArcGISFeatures(requestOptions.features, requestOptions);
+
   // edit operations are POST only
   const options = appendCustomParams<IUpdateFeaturesOptions>(
-    requestOptions,
+    {
+      ...requestOptions,
+      features
+    },
     [
       "features",
       "gdbVersion",
@@ -61,5 +73,11 @@ export function updateFeatures(
     { params: { ...requestOptions.params } }
   );
 
+  if (requestOptions.validate) {
+    return validateEdits(requestOptions, { updates: features }).then(() =>
+      request(url, options)
+    );
+  }
+
   return request(url, options);
 }
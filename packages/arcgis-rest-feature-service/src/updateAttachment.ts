@@ -16,7 +16,11 @@ export interface IUpdateAttachmentOptions extends IGetLayerOptions {
   /**
    * File to be updated.
    */
-  attachment: File;
+  attachment?: File;
+  /**
+   * The `itemID` of a file uploaded with {@linkcode uploadAttachmentFile}, to attach files larger than the maximum size of a request instead of `attachment`.
+   */
+  uploadId?: string;
   /**
    * Unique identifier of the attachment.
    */
@@ -48,8 +52,9 @@ export function updateAttachment(
     ...requestOptions
   };
 
-  // `attachment` and `attachmentId` --> params: {}
+  // `attachment`, `uploadId` and `attachmentId` --> params: {}
   options.params.attachment = requestOptions.attachment;
+  options.params.uploadId = requestOptions.uploadId;
   options.params.attachmentId = requestOptions.attachmentId;
 
   return request(
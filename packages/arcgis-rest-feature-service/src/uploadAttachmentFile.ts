@@ -0,0 +1,101 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { request } from "@esri/arcgis-rest-request";
+import { IGetLayerOptions, parseServiceUrl } from "./helpers.js";
+
+/**
+ * Options for {@linkcode uploadAttachmentFile}.
+ */
+export interface IUploadAttachmentFileOptions extends IGetLayerOptions {
+  /**
+   * The file to upload.
+   */
+  file: Blob;
+  /**
+   * The name of the uploaded item. Defaults to the name of the file.
+   */
+  name?: string;
+  description?: string;
+  /**
+   * The size in bytes of the parts the file is uploaded in. Defaults to 5 MB.
+   */
+  partSize?: number;
+}
+
+/**
+ * A file uploaded with {@linkcode uploadAttachmentFile}.
+ */
+export interface IUploadedItem {
+  itemID: string;
+  itemName: string;
+  description?: string;
+  date: number;
+  committed: boolean;
+}
+
+const DEFAULT_PART_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Uploads a file to the uploads of a feature service in parts of `partSize` bytes, so files larger than the maximum size of a request can be attached with the `uploadId` option of {@linkcode addAttachment} and {@linkcode updateAttachment}. The upload is deleted if a part fails. The service must support `supportsAttachmentsByUploadId`. See the [REST Documentation](https://developers.arcgis.com/rest/services-reference/enterprise/uploads.htm) for more information.
+ *
+ * ```js
+ * import { uploadAttachmentFile, addAttachment } from '@esri/arcgis-rest-feature-service';
+ *
+ * const { itemID } = await uploadAttachmentFile({
+ *   url: "https://myserver.com/arcgis/rest/services/Inspections/FeatureServer/0",
+ *   file: myFileInput.files[0],
+ *   authentication
+ * });
+ *
+ * await addAttachment({
+ *   url: "https://myserver.com/arcgis/rest/services/Inspections/FeatureServer/0",
+ *   featureId: 8484,
+ *   uploadId: itemID,
+ *   authentication
+ * });
+ * ```
+ *
+ * @param requestOptions - Options for the request. The `url` can be the url of the service or of one of its layers.
+ * @returns A Promise that will resolve with the committed upload.
+ */
+export async function uploadAttachmentFile(
+  requestOptions: IUploadAttachmentFileOptions
+): Promise<IUploadedItem> {
+  const {
+    file,
+    name = (file as File).name,
+    description,
+    partSize = DEFAULT_PART_SIZE,
+    ...options
+  } = requestOptions;
+  const uploadsUrl = `${parseServiceUrl(options.url)}/uploads`;
+
+  const { item } = await request(`${uploadsUrl}/register`, {
+    ...options,
+    params: { itemName: name, description }
+  });
+  const parts: number[] = [];
+
+  try {
+    for (let start = 0; start === 0 || start < file.size; start += partSize) {
+      const partId = parts.length + 1;
+
+      await request(`${uploadsUrl}/${item.itemID}/uploadPart`, {
+        ...options,
+        params: { file: file.slice(start, start + partSize), partId }
+      });
+      parts.push(partId);
+    }
+  } catch (e) {
+    await request(`${uploadsUrl}/${item.itemID}/delete`, options);
+    throw e;
+  }
+
+  const response = await request(`${uploadsUrl}/${item.itemID}/commit`, {
+    ...options,
+    params: { parts }
+  });
+
+  return response.item;
+}
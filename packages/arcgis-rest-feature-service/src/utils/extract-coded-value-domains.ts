@@ -0,0 +1,19 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { IField } from "@esri/arcgis-rest-request";
+
+/**
+ * Returns the coded value domains of the fields by field name.
+ *
+ * @internal
+ */
+export function extractCodedValueDomains(fields: IField[]) {
+  return fields.reduce((domains, field) => {
+    const domain = field.domain;
+    if (domain && domain.type === "codedValue") {
+      domains[field.name] = domain;
+    }
+    return domains;
+  }, {} as { [index: string]: any });
+}
@@ -0,0 +1,37 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+/**
+ * Calls `fn` for each item with at most `concurrency` calls in flight and yields the results in the order of `items`.
+ *
+ * @internal
+ */
+export async function* mapWithConcurrency<T, R>(
+  items: T[],
+  concurrency: number,
+  fn: (item: T) => Promise<R>
+): AsyncGenerator<R> {
+  const pending: Array<Promise<R>> = [];
+  let next = 0;
+
+  const start = () => {
+    const promise = fn(items[next++]);
+    // rejections are thrown when the promise is awaited below
+    promise.catch((): void => undefined);
+    pending.push(promise);
+  };
+
+  while (next < items.length && pending.length < concurrency) {
+    start();
+  }
+
+  while (pending.length) {
+    const result = await pending.shift();
+
+    if (next < items.length) {
+      start();
+    }
+
+    yield result;
+  }
+}
@@ -0,0 +1,36 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { IJobOptions, IRequestOptions } from "@esri/arcgis-rest-request";
+
+import { SyncJob, ISyncJobRequestOptions } from "../SyncJob.js";
+
+const JOB_OPTION_KEYS = [
+  "pollingRate",
+  "maxPollingRate",
+  "pollingBackoff",
+  "startMonitoring"
+] as const;
+
+/**
+ * Creates the {@linkcode SyncJob} for the response of an asynchronous replica request.
+ *
+ * @internal
+ */
+export function toSyncJob(
+  response: { statusUrl: string },
+  requestOptions: ISyncJobRequestOptions & IRequestOptions
+) {
+  const jobOptions: Partial<IJobOptions> = {
+    authentication: requestOptions.authentication
+  };
+
+  // undefined options would replace the defaults of the job
+  JOB_OPTION_KEYS.forEach((key) => {
+    if (requestOptions[key] !== undefined) {
+      (jobOptions as any)[key] = requestOptions[key];
+    }
+  });
+
+  return SyncJob.fromStatusUrl(response.statusUrl, jobOptions);
+}
@@ -0,0 +1,38 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { IFeature } from "@esri/arcgis-rest-request";
+
+import { IGetLayerOptions } from "../helpers.js";
+import { getLayer } from "../getLayer.js";
+import { ArcGISFeatureValidationError } from "../ArcGISFeatureValidationError.js";
+import {
+  IValidateEditsOptions,
+  validateFeatures
+} from "../validateFeatures.js";
+
+/**
+ * Validates the features of an edit request with the `layerDefinition` of the request or the definition returned by {@linkcode getLayer}. Rejects with an {@linkcode ArcGISFeatureValidationError} if a feature is not valid.
+ *
+ * @internal
+ */
+export function validateEdits(
+  requestOptions: IValidateEditsOptions & IGetLayerOptions,
+  edits: { adds?: IFeature[]; updates?: IFeature[] }
+): Promise<void> {
+  const { layerDefinition, ...options } = requestOptions;
+  const layer = layerDefinition
+    ? Promise.resolve(layerDefinition)
+    : getLayer({ ...options, params: {}, httpMethod: "GET" });
+
+  return layer.then((definition) => {
+    const adds = validateFeatures(edits.adds || [], definition);
+    const updates = validateFeatures(edits.updates || [], definition, {
+      partial: true
+    });
+
+    if (adds.length || updates.length) {
+      throw new ArcGISFeatureValidationError(adds, updates);
+    }
+  });
+}
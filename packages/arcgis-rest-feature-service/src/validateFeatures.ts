@@ -0,0 +1,286 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { IFeature, IField, IDomain } from "@esri/arcgis-rest-request";
+
+import { ILayerDefinition } from "./helpers.js";
+
+/**
+ * Options for {@linkcode validateFeatures}.
+ */
+export interface IValidateFeaturesOptions {
+  /**
+   * Only check the attributes that are set, for features that are updated. When `false` attributes that are not nullable and have no default value are required. Defaults to `false`.
+   */
+  partial?: boolean;
+}
+
+/**
+ * Options of the edit functions to validate features before they are sent.
+ */
+export interface IValidateEditsOptions {
+  /**
+   * Check the features with {@linkcode validateFeatures} before they are sent. Rejects with an {@linkcode ArcGISFeatureValidationError} without sending the request if a feature is not valid. Defaults to `false`.
+   */
+  validate?: boolean;
+  /**
+   * The definition of the layer to validate the features with. Fetched with {@linkcode getLayer} if not set.
+   */
+  layerDefinition?: ILayerDefinition;
+}
+
+/**
+ * An attribute of a feature that is not valid.
+ */
+export interface IAttributeValidationError {
+  /**
+   * The name of the field, or of the attribute if it is not a field of the layer.
+   */
+  field: string;
+  value: any;
+  reason:
+    | "unknownField"
+    | "nullable"
+    | "type"
+    | "length"
+    | "range"
+    | "codedValue";
+  message: string;
+}
+
+/**
+ * A feature that is not valid, returned by {@linkcode validateFeatures}.
+ */
+export interface IFeatureValidationReport {
+  /**
+   * The position of the feature in the validated features.
+   */
+  index: number;
+  feature: IFeature;
+  errors: IAttributeValidationError[];
+}
+
+const INTEGER_RANGES: { [type: string]: [number, number] } = {
+  esriFieldTypeSmallInteger: [-32768, 32767],
+  esriFieldTypeInteger: [-2147483648, 2147483647],
+  esriFieldTypeBigInteger: [Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER],
+  esriFieldTypeOID: [Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER]
+};
+
+const STRING_FIELD_TYPES = [
+  "esriFieldTypeString",
+  "esriFieldTypeGUID",
+  "esriFieldTypeGlobalID",
+  "esriFieldTypeXML",
+  "esriFieldTypeDateOnly",
+  "esriFieldTypeTimeOnly",
+  "esriFieldTypeTimestampOffset"
+];
+
+// fields the service sets, they are never required
+const SYSTEM_FIELD_TYPES = ["esriFieldTypeOID", "esriFieldTypeGlobalID"];
+
+/**
+ * Returns the domains of the subtype of a feature by field name or an empty object if the layer has no subtypes.
+ */
+function getSubtypeDomains(
+  layer: ILayerDefinition,
+  attributes: { [name: string]: any }
+): { [name: string]: IDomain } {
+  const subtypeField = layer.subtypeField || layer.typeIdField;
+  const subtypes: any[] = layer.subtypes || layer.types || [];
+  const code = attributes[subtypeField];
+  const subtype = subtypes.find(
+    (candidate) =>
+      String("code" in candidate ? candidate.code : candidate.id) ===
+      String(code)
+  );
+
+  return (subtype && subtype.domains) || {};
+}
+
+/**
+ * Returns the error of a value that does not match the type of its field or `undefined`.
+ */
+function getTypeError(field: IField, value: any) {
+  const range = INTEGER_RANGES[field.type];
+
+  if (range) {
+    if (!Number.isInteger(value)) {
+      return `${field.name} must be an integer.`;
+    }
+
+    return value < range[0] || value > range[1]
+      ? `${field.name} must be between ${range[0]} and ${range[1]}.`
+      : undefined;
+  }
+
+  if (
+    (field.type === "esriFieldTypeSingle" ||
+      field.type === "esriFieldTypeDouble") &&
+    !(typeof value === "number" && isFinite(value))
+  ) {
+    return `${field.name} must be a number.`;
+  }
+
+  if (field.type === "esriFieldTypeDate" && !Number.isInteger(value)) {
+    return `${field.name} must be a date in milliseconds since the epoch.`;
+  }
+
+  if (
+    STRING_FIELD_TYPES.indexOf(field.type) > -1 &&
+    typeof value !== "string"
+  ) {
+    return `${field.name} must be a string.`;
+  }
+}
+
+/**
+ * Returns the error of a value that is not null or `undefined` if it is valid.
+ */
+function getValueError(
+  field: IField,
+  value: any,
+  domain: IDomain
+): Omit<IAttributeValidationError, "field" | "value"> {
+  const typeError = getTypeError(field, value);
+
+  if (typeError) {
+    return { reason: "type", message: typeError };
+  }
+
+  if (field.type === "esriFieldTypeString" && value.length > field.length) {
+    return {
+      reason: "length",
+      message: `${field.name} must not be longer than ${field.length} characters.`
+    };
+  }
+
+  if (domain && domain.type === "range") {
+    const [min, max] = domain.range;
+
+    return value < min || value > max
+      ? {
+          reason: "range",
+          message: `${field.name} must be between ${min} and ${max}.`
+        }
+      : undefined;
+  }
+
+  if (
+    domain &&
+    domain.type === "codedValue" &&
+    !domain.codedValues.some(({ code }) => code === value)
+  ) {
+    return {
+      reason: "codedValue",
+      message: `${field.name} must be one of ${domain.codedValues
+        .map(({ code }) => JSON.stringify(code))
+        .join(", ")}.`
+    };
+  }
+}
+
+/**
+ * Checks the attributes of features against the fields of a layer before they are added or updated. Returns a report for each feature that is not valid, an empty array if every feature is valid.
+ *
+ * ```js
+ * import { getLayer, validateFeatures } from '@esri/arcgis-rest-feature-service';
+ *
+ * const layer = await getLayer({ url });
+ * const reports = validateFeatures(features, layer);
+ *
+ * reports.forEach(({ index, errors }) => {
+ *   errors.forEach(({ message }) => console.log(`Feature ${index}: ${message}`));
+ * });
+ * ```
+ *
+ * An attribute is not valid if:
+ *
+ * - it is not a field of the layer
+ * - it is `null` and the field is not nullable
+ * - its value does not match the type of the field, dates must be in milliseconds since the epoch
+ * - it is longer than the `length` of a string field
+ * - it is outside of the range domain or not one of the codes of the coded value domain of the field
+ *
+ * The domains of the subtype of the feature are used when the layer has subtypes. Attributes that are not set are not valid if the field is not nullable, has no default value and is not set by the service, unless `partial` is `true`. Use {@linkcode encodeValues} to replace the names of coded values with their codes first.
+ *
+ * @param features - The features to validate.
+ * @param layerDefinition - The definition of the layer, as returned by {@linkcode getLayer}.
+ * @param options - Options for the validation.
+ * @returns The reports of the features that are not valid.
+ */
+export function validateFeatures(
+  features: IFeature[],
+  layerDefinition: ILayerDefinition,
+  options: IValidateFeaturesOptions = {}
+): IFeatureValidationReport[] {
+  const fields = layerDefinition.fields || [];
+  const findField = (name: string) =>
+    fields.find((field) => field.name.toLowerCase() === name.toLowerCase());
+
+  return features
+    .map((feature, index) => {
+      const errors: IAttributeValidationError[] = [];
+      // attribute values by the name of their field
+      const values: { [name: string]: any } = {};
+
+      Object.keys(feature.attributes || {}).forEach((name) => {
+        const value = feature.attributes[name];
+        const field = findField(name);
+
+        if (field) {
+          values[field.name] = value;
+        } else {
+          errors.push({
+            field: name,
+            value,
+            reason: "unknownField",
+            message: `${name} is not a field of the layer.`
+          });
+        }
+      });
+
+      const subtypeDomains = getSubtypeDomains(layerDefinition, values);
+
+      fields.forEach((field) => {
+        const value = values[field.name];
+        const subtypeDomain = subtypeDomains[field.name];
+        const domain =
+          subtypeDomain && subtypeDomain.type !== "inherited"
+            ? subtypeDomain
+            : field.domain;
+        let error: Omit<IAttributeValidationError, "field" | "value">;
+
+        if (value === undefined) {
+          const isRequired =
+            !options.partial &&
+            field.nullable === false &&
+            field.editable !== false &&
+            SYSTEM_FIELD_TYPES.indexOf(field.type) < 0 &&
+            (field.defaultValue === undefined || field.defaultValue === null);
+
+          error = isRequired
+            ? { reason: "nullable", message: `${field.name} is required.` }
+            : undefined;
+        } else if (value === null) {
+          error =
+            field.nullable === false
+              ? {
+                  reason: "nullable",
+                  message: `${field.name} cannot be null.`
+                }
+              : undefined;
+        } else {
+          error = getValueError(field, value, domain);
+        }
+
+        if (error) {
+          errors.push({ field: field.name, value, ...error });
+        }
+      });
+
+      return { index, feature, errors };
+    })
+    .filter(({ errors }) => errors.length);
+}
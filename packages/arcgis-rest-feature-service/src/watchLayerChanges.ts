@@ -0,0 +1,140 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { wait } from "@esri/arcgis-rest-request";
+
+import { ILayerServerGen, parseServiceUrl } from "./helpers.js";
+import { getService } from "./getService.js";
+import {
+  extractChanges,
+  IExtractChangesOptions,
+  IExtractChangesResponse
+} from "./extractChanges.js";
+import { ISyncJobRequestOptions } from "./SyncJob.js";
+
+/**
+ * Storage for the server generations of {@linkcode watchLayerChanges}, so changes are watched from where they were left after a restart. Every method may return a `Promise`.
+ *
+ * ```js
+ * const fileStore = {
+ *   get: () => existsSync("serverGens.json") ? JSON.parse(readFileSync("serverGens.json", "utf8")) : undefined,
+ *   set: (layerServerGens) => writeFileSync("serverGens.json", JSON.stringify(layerServerGens))
+ * };
+ * ```
+ */
+export interface IServerGenStore {
+  /**
+   * Returns the saved server generations or `undefined` if none were saved.
+   */
+  get():
+    | Array<Pick<ILayerServerGen, "id" | "serverGen">>
+    | undefined
+    | Promise<Array<Pick<ILayerServerGen, "id" | "serverGen">> | undefined>;
+
+  /**
+   * Saves the server generations.
+   */
+  set(
+    layerServerGens: Array<Pick<ILayerServerGen, "id" | "serverGen">>
+  ): void | Promise<void>;
+}
+
+/**
+ * Options for {@linkcode watchLayerChanges}.
+ */
+export interface IWatchLayerChangesOptions
+  extends Omit<
+    IExtractChangesOptions,
+    keyof ISyncJobRequestOptions | "serverGens" | "transportType" | "dataFormat"
+  > {
+  /**
+   * Where the server generations are saved. Saved server generations are used instead of `layerServerGens`.
+   */
+  store?: IServerGenStore;
+  /**
+   * The time between requests in milliseconds. Defaults to `60000`.
+   */
+  interval?: number;
+}
+
+const DEFAULT_INTERVAL = 60000;
+
+/**
+ * Requests the changes of the layers of a feature service with {@linkcode extractChanges} every `interval` milliseconds and yields each change set. The changes are requested from the server generations saved in the `store`, the `layerServerGens` option or the current server generation of the service, in that order. The server generations of a change set are saved when the next change set is requested, so a change set that was not processed because the app stopped is returned again.
+ *
+ * ```js
+ * import { watchLayerChanges } from '@esri/arcgis-rest-feature-service';
+ *
+ * const controller = new AbortController();
+ *
+ * for await (const { edits } of watchLayerChanges({
+ *   url: "https://services.arcgis.com/f8b/arcgis/rest/services/Wildfire/FeatureServer",
+ *   layers: [0, 1],
+ *   store: fileStore,
+ *   interval: 5 * 60000,
+ *   signal: controller.signal
+ * })) {
+ *   await warehouse.apply(edits);
+ * }
+ * ```
+ *
+ * Abort `signal` or `break` out of the loop to stop watching. The loop ends without an error when `signal` is aborted, even during a request.
+ *
+ * @param requestOptions - Options for the requests. The `url` can be the url of the service or of one of its layers.
+ * @returns An async iterator of the change sets.
+ */
+export async function* watchLayerChanges(
+  requestOptions: IWatchLayerChangesOptions
+): AsyncGenerator<IExtractChangesResponse> {
+  const { store, interval = DEFAULT_INTERVAL, ...options } = requestOptions;
+  const { signal } = options;
+  let layerServerGens =
+    (store && (await store.get())) || options.layerServerGens;
+
+  if (!layerServerGens) {
+    const { serverGens } = await getService({
+      ...options,
+      url: parseServiceUrl(options.url),
+      params: {},
+      httpMethod: "GET"
+    });
+
+    if (!serverGens) {
+      throw new Error(`${options.url} does not track changes.`);
+    }
+
+    layerServerGens = options.layers.map((id) => ({
+      id,
+      serverGen: serverGens.serverGen
+    }));
+  }
+
+  try {
+    while (!(signal && signal.aborted)) {
+      const changes = await extractChanges({ ...options, layerServerGens });
+
+      // the response can arrive after the signal was aborted
+      if (signal && signal.aborted) {
+        break;
+      }
+
+      yield changes;
+
+      layerServerGens = changes.layerServerGens.map(({ id, serverGen }) => ({
+        id,
+        serverGen
+      }));
+
+      if (store) {
+        await store.set(layerServerGens);
+      }
+
+      await wait(interval, signal);
+    }
+  } catch (e) {
+    // aborting stops watching, it is not an error
+    if (!(signal && signal.aborted)) {
+      throw e;
+    }
+  }
+}
@@ -0,0 +1,290 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import fetchMock from "fetch-mock";
+import { IField } from "@esri/arcgis-rest-request";
+import { WhereClauseBuilder, queryFeatures } from "../src/index.js";
+
+const layerUrl =
+  "https://services.arcgis.com/f8b/arcgis/rest/services/Trees/FeatureServer/0";
+
+const fields = [
+  { name: "OBJECTID", type: "esriFieldTypeOID" },
+  { name: "NAME", type: "esriFieldTypeString" },
+  { name: "HEIGHT", type: "esriFieldTypeDouble" },
+  { name: "PLANTED", type: "esriFieldTypeDate" },
+  { name: "INSPECTED", type: "esriFieldTypeDateOnly" },
+  { name: "SHAPE", type: "esriFieldTypeGeometry" }
+] as IField[];
+
+describe("WhereClauseBuilder", () => {
+  const originalWarn = console.warn;
+
+  beforeAll(function () {
+    console.warn = jasmine.createSpy().and.callFake(() => {
+      return;
+    });
+  });
+
+  afterAll(function () {
+    console.warn = originalWarn;
+  });
+
+  afterEach(function () {
+    fetchMock.restore();
+    (console.warn as jasmine.Spy).calls.reset();
+  });
+
+  it("should return 1=1 without conditions", () => {
+    expect(new WhereClauseBuilder().toParam()).toEqual("1=1");
+  });
+
+  it("should compare fields with values", () => {
+    const where = new WhereClauseBuilder()
+      .field("NAME")
+      .equals("Oak")
+      .or()
+      .field("NAME")
+      .notEquals("Elm")
+      .and()
+      .field("HEIGHT")
+      .greaterThan(1)
+      .greaterThanOrEqual(2)
+      .lessThan(30)
+      .lessThanOrEqual(29.5)
+      .toParam();
+
+    expect(where).toEqual(
+      "NAME = 'Oak' OR NAME <> 'Elm' AND HEIGHT > 1 AND HEIGHT >= 2 AND HEIGHT < 30 AND HEIGHT <= 29.5"
+    );
+  });
+
+  it("should add IN, BETWEEN and NULL conditions", () => {
+    const where = new WhereClauseBuilder()
+      .field("STATUS")
+      .in(["Alive", "Dormant"])
+      .field("ZONE")
+      .notIn([1, 2])
+      .field("HEIGHT")
+      .between(1, 10)
+      .field("NAME")
+      .isNull()
+      .or()
+      .field("NOTES")
+      .isNotNull()
+      .toParam();
+
+    expect(where).toEqual(
+      "STATUS IN ('Alive', 'Dormant') AND ZONE NOT IN (1, 2) AND HEIGHT BETWEEN 1 AND 10 AND NAME IS NULL OR NOTES IS NOT NULL"
+    );
+  });
+
+  it("should escape quotes and LIKE wildcards", () => {
+    const where = new WhereClauseBuilder()
+      .field("NAME")
+      .equals("O'Brien' OR 1=1 --")
+      .field("NAME")
+      .like("Oa_")
+      .field("NAME")
+      .contains("50%")
+      .field("NAME")
+      .startsWith("a\\b")
+      .field("NAME")
+      .endsWith("tree")
+      .toParam();
+
+    expect(where).toEqual(
+      "NAME = 'O''Brien'' OR 1=1 --' AND NAME LIKE 'Oa_' AND NAME LIKE '%50\\%%' ESCAPE '\\' AND NAME LIKE 'a\\\\b%' ESCAPE '\\' AND NAME LIKE '%tree'"
+    );
+  });
+
+  it("should write dates as TIMESTAMP and DATE literals", () => {
+    const where = new WhereClauseBuilder({ fields })
+      .field("PLANTED")
+      .between(
+        new Date("2020-01-01T00:00:00Z"),
+        new Date("2021-06-30T13:45:10.500Z")
+      )
+      .field("inspected")
+      .equals(new Date("2022-03-04T23:00:00Z"))
+      .toParam();
+
+    expect(where).toEqual(
+      "PLANTED BETWEEN TIMESTAMP '2020-01-01 00:00:00' AND TIMESTAMP '2021-06-30 13:45:10' AND INSPECTED = DATE '2022-03-04'"
+    );
+  });
+
+  it("should negate and group conditions", () => {
+    const where = new WhereClauseBuilder()
+      .field("HEIGHT")
+      .greaterThan(10)
+      .not()
+      .startGroup()
+      .field("STATUS")
+      .equals("Dead")
+      .or()
+      .startGroup()
+      .field("ZONE")
+      .equals(1)
+      .field("HEIGHT")
+      .lessThan(1)
+      .endGroup()
+      .endGroup()
+      .or()
+      .not()
+      .field("NAME")
+      .isNull()
+      .toParam();
+
+    expect(where).toEqual(
+      "HEIGHT > 10 AND NOT (STATUS = 'Dead' OR (ZONE = 1 AND HEIGHT < 1)) OR NOT NAME IS NULL"
+    );
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+
+  it("should remove trailing operators and empty groups, and warn user", () => {
+    const where = new WhereClauseBuilder()
+      .field("HEIGHT")
+      .greaterThan(10)
+      .and()
+      .not()
+      .startGroup()
+      .toParam();
+
+    expect(where).toEqual("HEIGHT > 10");
+    expect(console.warn).toHaveBeenCalledTimes(1);
+  });
+
+  it("should close groups on toParam(), and warn user", () => {
+    const where = new WhereClauseBuilder()
+      .startGroup()
+      .startGroup()
+      .field("HEIGHT")
+      .greaterThan(10)
+      .toParam();
+
+    expect(where).toEqual("((HEIGHT > 10))");
+    expect(console.warn).toHaveBeenCalledTimes(1);
+  });
+
+  it("should not allow operators without a condition, and warn user", () => {
+    const where = new WhereClauseBuilder()
+      .and()
+      .field("HEIGHT")
+      .greaterThan(10)
+      .or()
+      .or()
+      .field("ZONE")
+      .equals(1)
+      .toParam();
+
+    expect(where).toEqual("HEIGHT > 10 OR ZONE = 1");
+    expect(console.warn).toHaveBeenCalledTimes(2);
+  });
+
+  it("should not allow ending groups that were not started, and warn user", () => {
+    const where = new WhereClauseBuilder()
+      .field("HEIGHT")
+      .greaterThan(10)
+      .endGroup()
+      .toParam();
+
+    expect(where).toEqual("HEIGHT > 10");
+    expect(console.warn).toHaveBeenCalledTimes(1);
+  });
+
+  it("should throw for invalid field names and conditions without a field", () => {
+    const builder = new WhereClauseBuilder();
+
+    expect(() => builder.field("NAME = 1 OR 1")).toThrowError(
+      "NAME = 1 OR 1 is not a valid field name."
+    );
+    expect(() => builder.equals(1)).toThrowError(
+      "Call `field()` before adding a condition."
+    );
+    expect(() => builder.field("ZONE").in([])).toThrowError(
+      "`in()` requires at least one value."
+    );
+    expect(() => builder.field("ZONE").notIn(undefined)).toThrowError(
+      "`notIn()` requires at least one value."
+    );
+  });
+
+  it("should throw for values that cannot be used", () => {
+    const builder = new WhereClauseBuilder().field("ZONE");
+
+    expect(() => builder.equals(Infinity)).toThrowError(
+      "Infinity cannot be used in a where clause."
+    );
+    expect(() => builder.equals(new Date("not a date"))).toThrowError(
+      "Invalid dates cannot be used in a where clause."
+    );
+    expect(() => builder.equals(true as any)).toThrowError(
+      "true cannot be compared with the field ZONE."
+    );
+  });
+
+  it("should check fields and values against the fields of the layer", () => {
+    const builder = new WhereClauseBuilder({ fields });
+
+    expect(() => builder.field("COLOR")).toThrowError(
+      "The layer does not have a field named COLOR."
+    );
+    expect(() => builder.field("height").equals("10")).toThrowError(
+      "10 cannot be compared with the field HEIGHT of type esriFieldTypeDouble."
+    );
+    expect(() => builder.field("PLANTED").in([1])).toThrowError(
+      "1 cannot be compared with the field PLANTED of type esriFieldTypeDate."
+    );
+    expect(() => builder.field("HEIGHT").contains("1")).toThrowError(
+      "LIKE cannot be used with the field HEIGHT of type esriFieldTypeDouble."
+    );
+    expect(builder.field("SHAPE").isNotNull().toParam()).toEqual(
+      "SHAPE IS NOT NULL"
+    );
+  });
+
+  it("should clone the builder", () => {
+    const builder = new WhereClauseBuilder({ fields })
+      .startGroup()
+      .field("HEIGHT")
+      .greaterThan(10);
+    const clone = builder.clone().or().field("NAME").startsWith("O");
+
+    builder.endGroup();
+
+    expect(builder.toParam()).toEqual("(HEIGHT > 10)");
+    expect(clone.toParam()).toEqual("(HEIGHT > 10 OR NAME LIKE 'O%')");
+    expect(() => clone.field("COLOR")).toThrowError(
+      "The layer does not have a field named COLOR."
+    );
+  });
+
+  it("should be created from the fields of a layer", () => {
+    fetchMock.once(`begin:${layerUrl}`, { id: 0, name: "Trees", fields });
+
+    return WhereClauseBuilder.fromLayer({ url: layerUrl }).then((builder) => {
+      expect(builder.field("name").equals("Oak").toParam()).toEqual(
+        "NAME = 'Oak'"
+      );
+      expect(() => builder.field("HEIGHT").equals("Oak")).toThrowError(
+        "Oak cannot be compared with the field HEIGHT of type esriFieldTypeDouble."
+      );
+    });
+  });
+
+  it("should be used as the where param of a query", () => {
+    fetchMock.once(`begin:${layerUrl}/query`, { features: [] });
+
+    return queryFeatures({
+      url: layerUrl,
+      where: new WhereClauseBuilder().field("NAME").equals("O'Brien")
+    }).then(() => {
+      const [url]: [string, RequestInit] = fetchMock.lastCall(
+        `begin:${layerUrl}/query`
+      );
+
+      expect(url).toContain(`where=${encodeURIComponent("NAME = 'O''Brien'")}`);
+    });
+  });
+});
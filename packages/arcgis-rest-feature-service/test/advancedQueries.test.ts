@@ -0,0 +1,293 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import fetchMock from "fetch-mock";
+import {
+  queryFeatures,
+  queryTopFeatures,
+  queryBins,
+  queryAnalytic,
+  queryDomains,
+  StatisticsBuilder,
+  IQueryFeaturesResponse
+} from "../src/index.js";
+
+const serviceUrl =
+  "https://services.arcgis.com/f8b/arcgis/rest/services/Trees/FeatureServer";
+const layerUrl = `${serviceUrl}/0`;
+
+/**
+ * Returns the url and query parameters of the last GET request to `url`.
+ */
+function getQuery(url: string) {
+  const [lastUrl, options]: [string, RequestInit] = fetchMock.lastCall(
+    `begin:${url}`
+  );
+  const params = new URLSearchParams(lastUrl.split("?")[1]);
+  const result: { [key: string]: string } = {};
+  params.forEach((value, key) => (result[key] = value));
+
+  expect(options.method).toBe("GET");
+  return { url: lastUrl.split("?")[0], params: result };
+}
+
+describe("queryTopFeatures()", () => {
+  afterEach(fetchMock.restore);
+
+  it("should query the top features of each group", () => {
+    const topFilter = {
+      groupByFields: "STATUS",
+      topCount: 2,
+      orderByFields: "HEIGHT DESC"
+    };
+
+    fetchMock.once(`begin:${layerUrl}/queryTopFeatures`, {
+      features: [{ attributes: { OBJECTID: 4, STATUS: "Alive", HEIGHT: 30 } }]
+    });
+
+    return queryTopFeatures({
+      url: layerUrl,
+      topFilter,
+      returnGeometry: false
+    }).then((response) => {
+      const { url, params } = getQuery(`${layerUrl}/queryTopFeatures`);
+
+      expect(
+        (response as IQueryFeaturesResponse).features[0].attributes.OBJECTID
+      ).toBe(4);
+      expect(url).toBe(`${layerUrl}/queryTopFeatures`);
+      expect(params).toEqual({
+        f: "json",
+        where: "1=1",
+        outFields: "*",
+        topFilter: JSON.stringify(topFilter),
+        returnGeometry: "false"
+      });
+    });
+  });
+});
+
+describe("queryBins()", () => {
+  afterEach(fetchMock.restore);
+
+  it("should query bins with statistics", () => {
+    const bin = {
+      type: "fixedIntervalBin" as const,
+      parameters: { field: "HEIGHT", start: 0, end: 20, interval: 10 }
+    };
+
+    fetchMock.once(`begin:${layerUrl}/queryBins`, {
+      features: [
+        {
+          attributes: {
+            lowerBoundary: 0,
+            upperBoundary: 10,
+            frequency: 12,
+            AVGHEIGHT: 4.5
+          }
+        },
+        {
+          attributes: {
+            lowerBoundary: 10,
+            upperBoundary: 20,
+            frequency: 3,
+            AVGHEIGHT: 14
+          }
+        }
+      ]
+    });
+
+    const statistics = new StatisticsBuilder().avg("HEIGHT", "avgHeight");
+
+    return queryBins({
+      url: layerUrl,
+      where: "STATUS = 'Alive'",
+      bin,
+      outStatistics: statistics,
+      orderBy: "DESC"
+    }).then((response) => {
+      const { params } = getQuery(`${layerUrl}/queryBins`);
+
+      expect(statistics.toObjects(response)).toEqual([
+        { lowerBoundary: 0, upperBoundary: 10, frequency: 12, avgHeight: 4.5 },
+        { lowerBoundary: 10, upperBoundary: 20, frequency: 3, avgHeight: 14 }
+      ]);
+      expect(params).toEqual({
+        f: "json",
+        where: "STATUS = 'Alive'",
+        bin: JSON.stringify(bin),
+        outStatistics: JSON.stringify([
+          {
+            statisticType: "avg",
+            onStatisticField: "HEIGHT",
+            outStatisticFieldName: "avgHeight"
+          }
+        ]),
+        orderBy: "DESC"
+      });
+    });
+  });
+});
+
+describe("queryAnalytic()", () => {
+  afterEach(fetchMock.restore);
+
+  it("should query window functions", () => {
+    const outAnalytics = [
+      {
+        analyticType: "avg" as const,
+        onAnalyticField: "HEIGHT",
+        analyticParameters: {
+          partitionBy: "STATUS",
+          orderBy: "PLANTED",
+          window: [2, 0] as [number, number]
+        },
+        outAnalyticFieldName: "MOVING_AVG"
+      }
+    ];
+
+    fetchMock.once(`begin:${layerUrl}/queryAnalytic`, {
+      features: [{ attributes: { OBJECTID: 1, MOVING_AVG: 12.5 } }]
+    });
+
+    return queryAnalytic({
+      url: layerUrl,
+      outAnalytics,
+      outFields: ["OBJECTID"],
+      sqlFormat: "standard"
+    }).then((response) => {
+      const { params } = getQuery(`${layerUrl}/queryAnalytic`);
+
+      expect(response.features[0].attributes.MOVING_AVG).toBe(12.5);
+      expect(params).toEqual({
+        f: "json",
+        where: "1=1",
+        outFields: "OBJECTID",
+        outAnalytics: JSON.stringify(outAnalytics),
+        sqlFormat: "standard"
+      });
+    });
+  });
+});
+
+describe("queryDomains()", () => {
+  afterEach(fetchMock.restore);
+
+  it("should query the domains of the layers of the service", () => {
+    const domains = [
+      {
+        type: "codedValue",
+        name: "TreeStatus",
+        codedValues: [{ name: "Alive", code: "A" }]
+      }
+    ];
+
+    fetchMock.once(`begin:${serviceUrl}/queryDomains`, { domains });
+
+    return queryDomains({ url: layerUrl, layers: [0, 1] }).then((response) => {
+      const { url, params } = getQuery(`${serviceUrl}/queryDomains`);
+
+      expect(response.domains).toEqual(domains as any);
+      expect(url).toBe(`${serviceUrl}/queryDomains`);
+      expect(params).toEqual({ f: "json", layers: "0,1" });
+    });
+  });
+});
+
+describe("StatisticsBuilder", () => {
+  afterEach(fetchMock.restore);
+
+  it("should build statistic definitions", () => {
+    const statistics = new StatisticsBuilder()
+      .count("OBJECTID", "trees")
+      .sum("HEIGHT", "totalHeight")
+      .min("HEIGHT", "minHeight")
+      .max("HEIGHT", "maxHeight")
+      .stddev("HEIGHT", "stddevHeight")
+      .var("HEIGHT", "varHeight")
+      .percentileCont("HEIGHT", "medianHeight", 0.5)
+      .percentileDisc("HEIGHT", "topHeight", 0.9, "desc");
+
+    expect(statistics.toParam()).toEqual([
+      {
+        statisticType: "count",
+        onStatisticField: "OBJECTID",
+        outStatisticFieldName: "trees"
+      },
+      {
+        statisticType: "sum",
+        onStatisticField: "HEIGHT",
+        outStatisticFieldName: "totalHeight"
+      },
+      {
+        statisticType: "min",
+        onStatisticField: "HEIGHT",
+        outStatisticFieldName: "minHeight"
+      },
+      {
+        statisticType: "max",
+        onStatisticField: "HEIGHT",
+        outStatisticFieldName: "maxHeight"
+      },
+      {
+        statisticType: "stddev",
+        onStatisticField: "HEIGHT",
+        outStatisticFieldName: "stddevHeight"
+      },
+      {
+        statisticType: "var",
+        onStatisticField: "HEIGHT",
+        outStatisticFieldName: "varHeight"
+      },
+      {
+        statisticType: "percentile_cont",
+        onStatisticField: "HEIGHT",
+        outStatisticFieldName: "medianHeight",
+        statisticParameters: { value: 0.5, orderBy: undefined }
+      },
+      {
+        statisticType: "percentile_disc",
+        onStatisticField: "HEIGHT",
+        outStatisticFieldName: "topHeight",
+        statisticParameters: { value: 0.9, orderBy: "desc" }
+      }
+    ]);
+  });
+
+  it("should throw for invalid statistic names", () => {
+    expect(() =>
+      new StatisticsBuilder().count("OBJECTID", "all trees")
+    ).toThrowError(
+      "all trees is not a valid statistic name. Use only letters, numbers and underscores."
+    );
+  });
+
+  it("should be used as the outStatistics of a query and read the results", () => {
+    fetchMock.once(`begin:${layerUrl}/query`, {
+      features: [
+        { attributes: { STATUS: "Alive", TREES: 10, averageheight: 12.5 } },
+        { attributes: { STATUS: "Dead", TREES: 2, averageheight: 3 } }
+      ]
+    });
+
+    const statistics = new StatisticsBuilder().count("OBJECTID", "trees");
+    const clone = statistics.clone().avg("HEIGHT", "averageHeight");
+
+    return queryFeatures({
+      url: layerUrl,
+      outStatistics: clone,
+      groupByFieldsForStatistics: "STATUS"
+    }).then((response) => {
+      const { params } = getQuery(`${layerUrl}/query`);
+      const results = clone.toObjects(response as IQueryFeaturesResponse);
+
+      expect(results).toEqual([
+        { STATUS: "Alive", trees: 10, averageHeight: 12.5 },
+        { STATUS: "Dead", trees: 2, averageHeight: 3 }
+      ]);
+      expect(results[0].averageHeight + results[0].trees).toBe(22.5);
+      expect(statistics.toParam().length).toBe(1);
+      expect(JSON.parse(params.outStatistics).length).toBe(2);
+    });
+  });
+});
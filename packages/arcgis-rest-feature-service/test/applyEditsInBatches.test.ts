@@ -0,0 +1,303 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import fetchMock from "fetch-mock";
+import { applyEditsInBatches, IApplyEditsProgress } from "../src/index.js";
+
+const serviceUrl =
+  "https://services.arcgis.com/f8b/arcgis/rest/services/Custom/FeatureServer/0";
+
+const adds = [1, 2, 3].map((Tree_ID) => ({ attributes: { Tree_ID } }));
+const updates = [10, 11].map((OBJECTID) => ({
+  attributes: { OBJECTID, Crew: "Tom" }
+}));
+
+/**
+ * Returns the parameters sent with each applyEdits request.
+ */
+function getRequests() {
+  return fetchMock
+    .calls(`${serviceUrl}/applyEdits`)
+    .map(([, options]: [string, RequestInit]) => {
+      const params = new URLSearchParams(options.body as string);
+      return {
+        adds: params.get("adds"),
+        updates: params.get("updates"),
+        deletes: params.get("deletes")
+      };
+    });
+}
+
+describe("applyEditsInBatches()", () => {
+  afterEach(fetchMock.restore);
+
+  it("should send the edits in batches and merge the results", () => {
+    const progress: IApplyEditsProgress[] = [];
+
+    fetchMock.postOnce(`${serviceUrl}/applyEdits`, {
+      addResults: [
+        { objectId: 1, success: true },
+        { objectId: 2, success: true },
+        { objectId: 3, success: true }
+      ],
+      updateResults: [{ objectId: 10, success: true }],
+      deleteResults: []
+    });
+    fetchMock.postOnce(`${serviceUrl}/applyEdits`, {
+      addResults: [],
+      updateResults: [{ objectId: 11, success: true }],
+      deleteResults: [{ objectId: 455, success: true }]
+    });
+
+    return applyEditsInBatches({
+      url: serviceUrl,
+      adds,
+      updates,
+      deletes: [455],
+      batchSize: 4,
+      onProgress: (p) => progress.push(p)
+    }).then((response) => {
+      expect(getRequests()).toEqual([
+        {
+          adds: JSON.stringify(adds),
+          updates: JSON.stringify(updates.slice(0, 1)),
+          deletes: null
+        },
+        {
+          adds: null,
+          updates: JSON.stringify(updates.slice(1)),
+          deletes: "455"
+        }
+      ]);
+      expect(response.addResults.map((r) => r.objectId)).toEqual([1, 2, 3]);
+      expect(response.updateResults.map((r) => r.objectId)).toEqual([10, 11]);
+      expect(response.deleteResults.map((r) => r.objectId)).toEqual([455]);
+      expect(response.failures).toEqual([]);
+      expect(progress).toEqual([
+        {
+          batchesCompleted: 1,
+          batchCount: 2,
+          editsCompleted: 4,
+          editCount: 6,
+          failureCount: 0
+        },
+        {
+          batchesCompleted: 2,
+          batchCount: 2,
+          editsCompleted: 6,
+          editCount: 6,
+          failureCount: 0
+        }
+      ]);
+    });
+  });
+
+  it("should stop after a failed batch when rollbackOnFailure is true", () => {
+    fetchMock.postOnce(`${serviceUrl}/applyEdits`, {
+      addResults: [
+        { objectId: 1, success: true },
+        {
+          objectId: null,
+          success: false,
+          error: { code: 1000, description: "Invalid Tree_ID." }
+        }
+      ],
+      updateResults: [],
+      deleteResults: []
+    });
+
+    return applyEditsInBatches({
+      url: serviceUrl,
+      adds: adds.slice(0, 2),
+      deletes: ["{74100804-E229-49b8-8CDC-9B5D3EF03EDA}"],
+      batchSize: 2
+    }).then((response) => {
+      expect(getRequests().length).toBe(1);
+      expect(response.addResults.map((r) => r.success)).toEqual([false, false]);
+      expect(response.deleteResults as any[]).toEqual([
+        {
+          objectId: undefined,
+          globalId: "{74100804-E229-49b8-8CDC-9B5D3EF03EDA}",
+          success: false,
+          error: {
+            description:
+              "Not sent because an earlier batch failed and rollbackOnFailure is true."
+          }
+        }
+      ]);
+      expect(response.failures.map(({ type, index }) => [type, index])).toEqual(
+        [
+          ["add", 0],
+          ["add", 1],
+          ["delete", 0]
+        ]
+      );
+      expect(response.failures[0].error.description).toBe(
+        "Rolled back because another edit in the batch failed."
+      );
+      expect(response.failures[1].error).toEqual({
+        code: 1000,
+        description: "Invalid Tree_ID."
+      });
+      expect(response.failures[1].edit).toEqual(adds[1]);
+    });
+  });
+
+  it("should send every batch when rollbackOnFailure is false", () => {
+    fetchMock.postOnce(`${serviceUrl}/applyEdits`, {
+      addResults: [
+        { objectId: 1, success: true },
+        {
+          objectId: null,
+          success: false,
+          error: { code: 1000, description: "Invalid Tree_ID." }
+        }
+      ],
+      updateResults: [],
+      deleteResults: []
+    });
+    fetchMock.postOnce(`${serviceUrl}/applyEdits`, {
+      error: {
+        code: 400,
+        message: "Unable to perform applyEdits. Please check your parameters.",
+        details: []
+      }
+    });
+
+    return applyEditsInBatches({
+      url: serviceUrl,
+      adds: adds.slice(0, 2),
+      deletes: [455],
+      batchSize: 2,
+      rollbackOnFailure: false
+    }).then((response) => {
+      expect(getRequests().length).toBe(2);
+      expect(response.addResults.map((r) => r.success)).toEqual([true, false]);
+      expect(response.deleteResults).toEqual([
+        {
+          objectId: 455,
+          globalId: undefined,
+          success: false,
+          error: {
+            code: 400,
+            description:
+              "400: Unable to perform applyEdits. Please check your parameters."
+          }
+        }
+      ]);
+      expect(response.failures.map(({ type, index }) => [type, index])).toEqual(
+        [
+          ["add", 1],
+          ["delete", 0]
+        ]
+      );
+    });
+  });
+
+  it("should retry batches that fail with a transient error", () => {
+    fetchMock.postOnce(`${serviceUrl}/applyEdits`, 503);
+    fetchMock.postOnce(`${serviceUrl}/applyEdits`, {
+      addResults: [{ objectId: 1, success: true }],
+      updateResults: [],
+      deleteResults: []
+    });
+
+    return applyEditsInBatches({
+      url: serviceUrl,
+      adds: adds.slice(0, 1),
+      retry: { initialDelay: 0 }
+    }).then((response) => {
+      expect(getRequests().length).toBe(2);
+      expect(response.addResults).toEqual([{ objectId: 1, success: true }]);
+      expect(response.failures).toEqual([]);
+    });
+  });
+
+  it("should only retry batches with adds that were not applied", () => {
+    fetchMock.postOnce(`${serviceUrl}/applyEdits`, 504);
+
+    return applyEditsInBatches({
+      url: serviceUrl,
+      adds: adds.slice(0, 1),
+      retry: { initialDelay: 0 }
+    }).then((response) => {
+      expect(getRequests().length).toBe(1);
+      expect(response.failures.map(({ error }) => error.code)).toEqual([
+        "HTTP 504"
+      ]);
+    });
+  });
+
+  it("should retry batches without adds after a timeout", () => {
+    fetchMock.postOnce(`${serviceUrl}/applyEdits`, 504);
+    fetchMock.postOnce(`${serviceUrl}/applyEdits`, {
+      addResults: [],
+      updateResults: [{ objectId: 10, success: true }],
+      deleteResults: []
+    });
+
+    return applyEditsInBatches({
+      url: serviceUrl,
+      updates: updates.slice(0, 1),
+      retry: { initialDelay: 0 }
+    }).then((response) => {
+      expect(getRequests().length).toBe(2);
+      expect(response.failures).toEqual([]);
+    });
+  });
+
+  it("should retry batches with adds with the retryOn option", () => {
+    fetchMock.postOnce(`${serviceUrl}/applyEdits`, 504);
+    fetchMock.postOnce(`${serviceUrl}/applyEdits`, {
+      addResults: [{ objectId: 1, success: true }],
+      updateResults: [],
+      deleteResults: []
+    });
+
+    return applyEditsInBatches({
+      url: serviceUrl,
+      adds: adds.slice(0, 1),
+      retry: { initialDelay: 0, retryOn: () => true }
+    }).then((response) => {
+      expect(getRequests().length).toBe(2);
+      expect(response.failures).toEqual([]);
+    });
+  });
+
+  it("should not retry batches if retry is false", () => {
+    fetchMock.postOnce(`${serviceUrl}/applyEdits`, 503);
+
+    return applyEditsInBatches({
+      url: serviceUrl,
+      adds: adds.slice(0, 1),
+      retry: false
+    }).then((response) => {
+      expect(getRequests().length).toBe(1);
+      expect(response.failures.length).toBe(1);
+    });
+  });
+
+  [0, -1, 1.5, NaN].forEach((batchSize) => {
+    it(`should reject a batchSize of ${batchSize}`, () => {
+      return applyEditsInBatches({ url: serviceUrl, adds, batchSize }).then(
+        () => fail("applyEditsInBatches should have rejected"),
+        (e) => {
+          expect(e.message).toBe("batchSize must be a positive integer.");
+          expect(fetchMock.called()).toBe(false);
+        }
+      );
+    });
+  });
+
+  it("should resolve with empty results when there are no edits", () => {
+    return applyEditsInBatches({ url: serviceUrl }).then((response) => {
+      expect(fetchMock.called()).toBe(false);
+      expect(response).toEqual({
+        addResults: [],
+        updateResults: [],
+        deleteResults: [],
+        failures: []
+      });
+    });
+  });
+});
@@ -11,7 +11,12 @@ import {
   updateAttachment,
   IUpdateAttachmentOptions,
   deleteAttachments,
-  IDeleteAttachmentsOptions
+  IDeleteAttachmentsOptions,
+  queryAttachments,
+  downloadAttachments,
+  uploadAttachmentFile,
+  IDownloadedAttachment,
+  WhereClauseBuilder
 } from "../src/index.js";
 
 import {
@@ -186,3 +191,296 @@ describe("attachment methods", () => {
       });
   });
 });
+
+describe("queryAttachments()", () => {
+  afterEach(fetchMock.restore);
+
+  it("should query the attachments of many features", () => {
+    const attachmentGroups = [
+      {
+        parentObjectId: 1,
+        parentGlobalId: "{A}",
+        attachmentInfos: [
+          { id: 5, name: "tree.jpg", contentType: "image/jpeg", size: 1200 }
+        ]
+      }
+    ];
+    fetchMock.once(`begin:${serviceUrl}/queryAttachments`, {
+      attachmentGroups
+    });
+
+    return queryAttachments({
+      url: serviceUrl,
+      definitionExpression: new WhereClauseBuilder()
+        .field("STATUS")
+        .equals("Open"),
+      attachmentTypes: ["image/jpeg", "image/png"],
+      keywords: ["bark"],
+      size: [1000, 5000],
+      returnUrl: true
+    }).then((response) => {
+      const [url, options]: [string, RequestInit] = fetchMock.lastCall(
+        `begin:${serviceUrl}/queryAttachments`
+      );
+
+      expect(response.attachmentGroups).toEqual(attachmentGroups);
+      expect(options.method).toBe("GET");
+      expect(url).toBe(
+        `${serviceUrl}/queryAttachments?f=json&definitionExpression=STATUS%20%3D%20'Open'&attachmentTypes=image%2Fjpeg%2Cimage%2Fpng&keywords=bark&size=1000%2C5000&returnUrl=true`
+      );
+    });
+  });
+});
+
+describe("downloadAttachments()", () => {
+  afterEach(fetchMock.restore);
+
+  /**
+   * Returns a fetch that responds to queries with `objectIds`, to `queryAttachments` with the attachments of each requested feature and to other requests with the url.
+   */
+  function mockFetch(
+    attachmentCounts: { [objectId: number]: number },
+    objectIds?: number[]
+  ) {
+    return jasmine
+      .createSpy("fetch")
+      .and.callFake((url: string, options: RequestInit) => {
+        if (url.startsWith(`${serviceUrl}/query?`)) {
+          return Promise.resolve({
+            ok: true,
+            status: 200,
+            json: () => Promise.resolve({ objectIds })
+          });
+        }
+
+        if (!url.endsWith("/queryAttachments")) {
+          const contents = url.split("?")[0];
+          return Promise.resolve({
+            ok: true,
+            status: 200,
+            body: `stream of ${contents}`,
+            blob: () => Promise.resolve(`blob of ${contents}`),
+            arrayBuffer: () => Promise.resolve(`buffer of ${contents}`)
+          });
+        }
+
+        const params = new URLSearchParams(options.body as string);
+        const ids = (params.get("objectIds") || params.get("globalIds")).split(
+          ","
+        );
+        const attachmentGroups = ids.map((id, i) => ({
+          parentObjectId: Number(id) || i + 1,
+          parentGlobalId: Number(id) ? undefined : id,
+          attachmentInfos: Array.from(
+            { length: attachmentCounts[Number(id) || i + 1] || 0 },
+            (_, j) => ({ id: j + 1, name: `${j + 1}.jpg` })
+          )
+        }));
+
+        return Promise.resolve({
+          ok: true,
+          status: 200,
+          json: () => Promise.resolve({ attachmentGroups })
+        });
+      });
+  }
+
+  it("should download the attachments of the features of a where clause in batches", () => {
+    const fetch = mockFetch({ 1: 2, 2: 0, 3: 1 }, [3, 1, 2]);
+    const written: IDownloadedAttachment[] = [];
+
+    return downloadAttachments({
+      url: serviceUrl,
+      definitionExpression: "STATUS = 'Open'",
+      attachmentTypes: ["image/jpeg"],
+      batchSize: 2,
+      concurrency: 2,
+      readAs: "arrayBuffer",
+      fetch,
+      sink: {
+        write: (attachment) => {
+          written.push(attachment);
+        }
+      }
+    }).then((count) => {
+      const [queryUrl] = fetch.calls.argsFor(0);
+      const queries = fetch.calls
+        .all()
+        .filter(({ args }) => args[0].endsWith("/queryAttachments"))
+        .map(({ args }) => args[1]);
+
+      expect(count).toBe(3);
+      expect(queryUrl).toContain("where=STATUS%20%3D%20'Open'");
+      expect(queryUrl).toContain("returnIdsOnly=true");
+      expect(queries.length).toBe(2);
+      expect(queries[0].method).toBe("POST");
+      expect(queries[0].body).toContain("objectIds=3%2C1");
+      expect(queries[0].body).toContain("attachmentTypes=image%2Fjpeg");
+      expect(queries[1].body).toContain("objectIds=2");
+      expect(written).toEqual([
+        {
+          parentObjectId: 3,
+          parentGlobalId: undefined,
+          attachment: { id: 1, name: "1.jpg" } as any,
+          data: `buffer of ${serviceUrl}/3/attachments/1`
+        },
+        {
+          parentObjectId: 1,
+          parentGlobalId: undefined,
+          attachment: { id: 1, name: "1.jpg" } as any,
+          data: `buffer of ${serviceUrl}/1/attachments/1`
+        },
+        {
+          parentObjectId: 1,
+          parentGlobalId: undefined,
+          attachment: { id: 2, name: "2.jpg" } as any,
+          data: `buffer of ${serviceUrl}/1/attachments/2`
+        }
+      ]);
+    });
+  });
+
+  it("should download the attachments of features by object id as blobs", () => {
+    const fetch = mockFetch({ 1: 1 });
+    const write = jasmine.createSpy("write");
+
+    return downloadAttachments({
+      url: serviceUrl,
+      objectIds: [1],
+      fetch,
+      sink: { write }
+    }).then((count) => {
+      expect(count).toBe(1);
+      expect(fetch.calls.count()).toBe(2);
+      expect(write.calls.argsFor(0)[0].data).toBe(
+        `blob of ${serviceUrl}/1/attachments/1`
+      );
+    });
+  });
+
+  it("should pass the stream of the attachments of features by global id", () => {
+    const fetch = mockFetch({ 1: 1 });
+    const write = jasmine.createSpy("write").and.returnValue(Promise.resolve());
+
+    return downloadAttachments({
+      url: serviceUrl,
+      globalIds: ["{A}"],
+      readAs: "body",
+      fetch,
+      sink: { write }
+    }).then((count) => {
+      expect(count).toBe(1);
+      expect(fetch.calls.argsFor(0)[1].body).toContain("globalIds=%7BA%7D");
+      expect(write.calls.argsFor(0)[0].parentGlobalId).toBe("{A}");
+      expect(write.calls.argsFor(0)[0].data).toBe(
+        `stream of ${serviceUrl}/1/attachments/1`
+      );
+    });
+  });
+
+  it("should not query attachments if no feature matches", () => {
+    const fetch = mockFetch({}, null);
+
+    return downloadAttachments({
+      url: serviceUrl,
+      fetch,
+      sink: { write: fail }
+    }).then((count) => {
+      expect(count).toBe(0);
+      expect(fetch.calls.count()).toBe(1);
+    });
+  });
+
+  ["concurrency", "batchSize"].forEach((option) => {
+    [0, -1, 1.5, NaN].forEach((value) => {
+      it(`should reject a ${option} of ${value}`, () => {
+        const fetch = mockFetch({ 1: 1 });
+
+        return downloadAttachments({
+          url: serviceUrl,
+          objectIds: [1],
+          [option]: value,
+          fetch,
+          sink: { write: fail }
+        }).then(
+          () => fail("downloadAttachments should have rejected"),
+          (e) => {
+            expect(e.message).toBe(`${option} must be a positive integer.`);
+            expect(fetch).not.toHaveBeenCalled();
+          }
+        );
+      });
+    });
+  });
+});
+
+describe("uploadAttachmentFile()", () => {
+  afterEach(fetchMock.restore);
+
+  const uploadsUrl =
+    "https://services.arcgis.com/f8b/arcgis/rest/services/Custom/FeatureServer/uploads";
+
+  it("should upload a file in parts and commit it", () => {
+    const item = { itemID: "i1", itemName: "foo.txt", committed: true };
+    fetchMock.once(`${uploadsUrl}/register`, {
+      item: { itemID: "i1", itemName: "foo.txt" }
+    });
+    fetchMock.mock(`${uploadsUrl}/i1/uploadPart`, { success: true });
+    fetchMock.once(`${uploadsUrl}/i1/commit`, { success: true, item });
+
+    return uploadAttachmentFile({
+      url: serviceUrl,
+      file: attachmentFile(),
+      partSize: 2
+    }).then((response) => {
+      const [, register]: [string, RequestInit] = fetchMock.lastCall(
+        `${uploadsUrl}/register`
+      );
+      const [, commit]: [string, RequestInit] = fetchMock.lastCall(
+        `${uploadsUrl}/i1/commit`
+      );
+
+      expect(response).toEqual(item as any);
+      expect(register.body).toContain("itemName=foo.txt");
+      expect(fetchMock.calls(`${uploadsUrl}/i1/uploadPart`).length).toBe(2);
+      expect(commit.body).toContain("parts=1%2C2");
+    });
+  });
+
+  it("should delete the upload if a part fails", () => {
+    fetchMock.once(`${uploadsUrl}/register`, { item: { itemID: "i2" } });
+    fetchMock.once(`${uploadsUrl}/i2/uploadPart`, genericInvalidResponse);
+    fetchMock.once(`${uploadsUrl}/i2/delete`, { success: true });
+
+    return uploadAttachmentFile({
+      url: serviceUrl,
+      file: attachmentFile(),
+      name: "report.txt"
+    })
+      .then(() => fail())
+      .catch((error) => {
+        const [, register]: [string, RequestInit] = fetchMock.lastCall(
+          `${uploadsUrl}/register`
+        );
+
+        expect(error.code).toBe(400);
+        expect(register.body).toContain("itemName=report.txt");
+        expect(fetchMock.called(`${uploadsUrl}/i2/delete`)).toBe(true);
+      });
+  });
+
+  it("should attach an uploaded file", () => {
+    fetchMock.once("*", addAttachmentResponse);
+
+    return addAttachment({
+      url: serviceUrl,
+      featureId: 42,
+      uploadId: "i1"
+    }).then(() => {
+      const [url, options]: [string, RequestInit] = fetchMock.lastCall("*");
+
+      expect(url).toBe(`${serviceUrl}/42/addAttachment`);
+      expect(options.body).toBe("f=json&uploadId=i1");
+    });
+  });
+});
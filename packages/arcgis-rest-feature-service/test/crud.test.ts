@@ -131,6 +131,80 @@ describe("feature", () => {
       });
   });
 
+  it("should convert GeoJSON features with format geojson", () => {
+    fetchMock.once("*", addFeaturesResponse);
+    fetchMock.once("*", updateFeaturesResponse);
+
+    return addFeatures({
+      url: serviceUrl,
+      format: "geojson",
+      features: [
+        {
+          type: "Feature",
+          geometry: { type: "Point", coordinates: [-120, 45] },
+          properties: { Tree_ID: 102 }
+        }
+      ]
+    })
+      .then(() => {
+        const [, options]: [string, RequestInit] = fetchMock.lastCall("*");
+        expect(options.body).toContain(
+          "features=" +
+            encodeURIComponent(
+              '[{"geometry":{"x":-120,"y":45,"spatialReference":{"wkid":4326}},"attributes":{"Tree_ID":102}}]'
+            )
+        );
+
+        return updateFeatures({
+          url: serviceUrl,
+          format: "geojson",
+          idAttribute: "FID",
+          features: [
+            {
+              type: "Feature",
+              id: 1001,
+              geometry: null,
+              properties: { Crew: "Tom" }
+            }
+          ]
+        });
+      })
+      .then(() => {
+        const [, options]: [string, RequestInit] = fetchMock.lastCall("*");
+        expect(options.body).toContain(
+          "features=" +
+            encodeURIComponent('[{"attributes":{"Crew":"Tom","FID":1001}}]')
+        );
+      });
+  });
+
+  it("should convert GeoJSON adds and updates of applyEdits with format geojson", () => {
+    fetchMock.once("*", applyEditsResponse);
+
+    return applyEdits({
+      url: serviceUrl,
+      format: "geojson",
+      adds: [
+        {
+          type: "Feature",
+          geometry: { type: "Point", coordinates: [-120, 45] },
+          properties: { Tree_ID: 102 }
+        }
+      ],
+      deletes: [455]
+    }).then(() => {
+      const [, options]: [string, RequestInit] = fetchMock.lastCall("*");
+      expect(options.body).toContain(
+        "adds=" +
+          encodeURIComponent(
+            '[{"geometry":{"x":-120,"y":45,"spatialReference":{"wkid":4326}},"attributes":{"Tree_ID":102}}]'
+          )
+      );
+      expect(options.body).not.toContain("updates=");
+      expect(options.body).toContain("deletes=455");
+    });
+  });
+
   it("should return objectId of the added, updated or deleted feature(s) and a truthy success", (done) => {
     const requestOptions = {
       url: serviceUrl,
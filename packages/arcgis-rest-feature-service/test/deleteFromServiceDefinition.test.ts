@@ -0,0 +1,72 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import fetchMock from "fetch-mock";
+import { TOMORROW } from "../../../scripts/test-helpers.js";
+import { ArcGISIdentityManager, encodeParam } from "@esri/arcgis-rest-request";
+import { deleteFromServiceDefinition } from "../src/deleteFromServiceDefinition.js";
+
+describe("delete from service definition", () => {
+  afterEach(fetchMock.restore);
+
+  const MOCK_USER_SESSION = new ArcGISIdentityManager({
+    clientId: "clientId",
+    redirectUri: "https://example-app.com/redirect-uri",
+    token: "fake-token",
+    tokenExpires: TOMORROW,
+    refreshToken: "refreshToken",
+    refreshTokenExpires: TOMORROW,
+    username: "casey",
+    password: "123456",
+    portal: "https://myorg.maps.arcgis.com/sharing/rest"
+  });
+
+  it("should delete layers from a feature service", () => {
+    const deleteFromDefinition = { layers: [{ id: 1 }] };
+
+    fetchMock.once("*", { success: true });
+
+    return deleteFromServiceDefinition(
+      "https://services1.arcgis.com/ORG/arcgis/rest/services/FEATURE_SERVICE/FeatureServer",
+      { deleteFromDefinition, authentication: MOCK_USER_SESSION }
+    ).then((response) => {
+      const [url, options]: [string, RequestInit] = fetchMock.lastCall("*");
+
+      expect(url).toEqual(
+        "https://services1.arcgis.com/ORG/arcgis/rest/admin/services/FEATURE_SERVICE/FeatureServer/deleteFromDefinition"
+      );
+      expect(options.method).toBe("POST");
+      expect(options.body).toContain(encodeParam("token", "fake-token"));
+      expect(options.body).toContain(
+        encodeParam(
+          "deleteFromDefinition",
+          JSON.stringify(deleteFromDefinition)
+        )
+      );
+      expect(response).toEqual({ success: true });
+    });
+  });
+
+  it("should delete fields from a layer (params.deleteFromDefinition)", () => {
+    const deleteFromDefinition = { fields: [{ name: "crew" }] };
+
+    fetchMock.once("*", { success: true });
+
+    return deleteFromServiceDefinition(
+      "https://services1.arcgis.com/ORG/arcgis/rest/services/FEATURE_SERVICE/FeatureServer/0",
+      { params: { deleteFromDefinition }, authentication: MOCK_USER_SESSION }
+    ).then(() => {
+      const [url, options]: [string, RequestInit] = fetchMock.lastCall("*");
+
+      expect(url).toEqual(
+        "https://services1.arcgis.com/ORG/arcgis/rest/admin/services/FEATURE_SERVICE/FeatureServer/0/deleteFromDefinition"
+      );
+      expect(options.body).toContain(
+        encodeParam(
+          "deleteFromDefinition",
+          JSON.stringify(deleteFromDefinition)
+        )
+      );
+    });
+  });
+});
@@ -0,0 +1,267 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import fetchMock from "fetch-mock";
+import {
+  extractChanges,
+  watchLayerChanges,
+  SyncJob,
+  IExtractChangesResponse
+} from "../src/index.js";
+
+const serviceUrl =
+  "https://services.arcgis.com/f8b/arcgis/rest/services/Wildfire/FeatureServer";
+const statusUrl = `${serviceUrl}/jobs/d4e5f6`;
+const resultUrl = `${serviceUrl}/replicafiles/d4e5f6.json`;
+
+/**
+ * Returns the parameters of every POST request to `url`.
+ */
+function getAllParams(url: string) {
+  return fetchMock.calls(url).map(([, options]: [string, RequestInit]) => {
+    const params = new URLSearchParams(options.body as string);
+    const result: { [key: string]: string } = {};
+    params.forEach((value, key) => (result[key] = value));
+    return result;
+  });
+}
+
+/**
+ * Returns a change set of layer 0 at `serverGen`.
+ */
+function changeSet(serverGen: number): IExtractChangesResponse {
+  return {
+    layerServerGens: [{ id: 0, serverGen, minServerGen: 100 }],
+    transportType: "esriTransportTypeEmbedded",
+    edits: [
+      {
+        id: 0,
+        features: {
+          adds: [{ attributes: { OBJECTID: serverGen } }],
+          updates: [],
+          deleteIds: [7]
+        }
+      }
+    ]
+  };
+}
+
+describe("extractChanges()", () => {
+  afterEach(fetchMock.restore);
+
+  it("should extract the changes since a server generation", () => {
+    fetchMock.once(`${serviceUrl}/extractChanges`, changeSet(1600));
+
+    return extractChanges({
+      url: `${serviceUrl}/0`,
+      layers: [0],
+      layerServerGens: [{ id: 0, serverGen: 1520 }],
+      layerQueries: { "0": { where: "STATUS = 'Active'" } },
+      returnDeletes: false
+    }).then((response) => {
+      const [params] = getAllParams(`${serviceUrl}/extractChanges`);
+
+      expect(response.edits[0].features.adds.length).toBe(1);
+      expect(response.layerServerGens[0].serverGen).toBe(1600);
+      expect(params).toEqual({
+        f: "json",
+        layers: "0",
+        layerServerGens: JSON.stringify([{ id: 0, serverGen: 1520 }]),
+        layerQueries: JSON.stringify({ "0": { where: "STATUS = 'Active'" } }),
+        returnInserts: "true",
+        returnUpdates: "true",
+        returnDeletes: "false",
+        transportType: "esriTransportTypeEmbedded"
+      });
+    });
+  });
+
+  it("should return a SyncJob that downloads the changes when async is true", async () => {
+    fetchMock.once(`${serviceUrl}/extractChanges`, { statusUrl });
+    fetchMock.once(`begin:${statusUrl}`, {
+      body: { status: "Completed", resultUrl }
+    });
+    fetchMock.once(`begin:${resultUrl}`, changeSet(1600));
+
+    const job = await extractChanges({
+      url: serviceUrl,
+      layers: [0],
+      serverGens: [1520, 1600],
+      transportType: "esriTransportTypeUrl",
+      async: true,
+      pollingRate: 0
+    });
+
+    expect(job instanceof SyncJob).toBe(true);
+    expect(job.url).toBe(serviceUrl);
+    expect(job.id).toBe("d4e5f6");
+    expect(getAllParams(`${serviceUrl}/extractChanges`)[0].async).toBe("true");
+
+    const changes = await job.downloadResult();
+
+    expect(changes).toEqual(changeSet(1600));
+  });
+});
+
+describe("watchLayerChanges()", () => {
+  afterEach(fetchMock.restore);
+
+  it("should continue from the saved server generations and save them once a change set is processed", async () => {
+    const saved: any[] = [];
+    const store = {
+      get: () => Promise.resolve([{ id: 0, serverGen: 1520 }]),
+      set: (layerServerGens: any) => {
+        saved.push(layerServerGens);
+      }
+    };
+    fetchMock.once(`${serviceUrl}/extractChanges`, changeSet(1600));
+    fetchMock.once(`${serviceUrl}/extractChanges`, changeSet(1700));
+
+    const serverGens = [];
+
+    for await (const changes of watchLayerChanges({
+      url: serviceUrl,
+      layers: [0],
+      layerServerGens: [{ id: 0, serverGen: 1 }],
+      store,
+      interval: 0
+    })) {
+      serverGens.push(changes.layerServerGens[0].serverGen);
+
+      if (serverGens.length === 2) {
+        break;
+      }
+    }
+
+    const params = getAllParams(`${serviceUrl}/extractChanges`);
+
+    expect(serverGens).toEqual([1600, 1700]);
+    expect(params[0].layerServerGens).toBe(
+      JSON.stringify([{ id: 0, serverGen: 1520 }])
+    );
+    expect(params[1].layerServerGens).toBe(
+      JSON.stringify([{ id: 0, serverGen: 1600 }])
+    );
+    // the second change set was not processed before the loop stopped
+    expect(saved).toEqual([[{ id: 0, serverGen: 1600 }]]);
+  });
+
+  it("should start from the current server generation of the service and stop when aborted", async () => {
+    const controller = new AbortController();
+    fetchMock.once(`begin:${serviceUrl}?`, {
+      serverGens: { minServerGen: 100, serverGen: 1500 }
+    });
+    fetchMock.once(`${serviceUrl}/extractChanges`, changeSet(1600));
+
+    const changeSets = [];
+
+    for await (const changes of watchLayerChanges({
+      url: `${serviceUrl}/0`,
+      layers: [0],
+      signal: controller.signal
+    })) {
+      changeSets.push(changes);
+      controller.abort();
+    }
+
+    const [url, options]: [string, RequestInit] = fetchMock.lastCall(
+      `begin:${serviceUrl}?`
+    );
+
+    expect(changeSets).toEqual([changeSet(1600)]);
+    expect(options.method).toBe("GET");
+    expect(url).toBe(`${serviceUrl}?f=json`);
+    expect(
+      getAllParams(`${serviceUrl}/extractChanges`)[0].layerServerGens
+    ).toBe(JSON.stringify([{ id: 0, serverGen: 1500 }]));
+  });
+
+  it("should stop without an error when aborted during a request", async () => {
+    const controller = new AbortController();
+    fetchMock.once(
+      `${serviceUrl}/extractChanges`,
+      (url: string, options: RequestInit) => {
+        expect(options.signal).toBe(controller.signal);
+        controller.abort();
+        const error = new Error("The user aborted a request.");
+        error.name = "AbortError";
+        return { throws: error };
+      }
+    );
+
+    const changeSets = [];
+
+    for await (const changes of watchLayerChanges({
+      url: serviceUrl,
+      layers: [0],
+      layerServerGens: [{ id: 0, serverGen: 1520 }],
+      signal: controller.signal
+    })) {
+      changeSets.push(changes);
+    }
+
+    expect(changeSets).toEqual([]);
+  });
+
+  it("should not yield the changes of a request that completes after the signal is aborted", async () => {
+    const controller = new AbortController();
+    fetchMock.once(`${serviceUrl}/extractChanges`, () => {
+      controller.abort();
+      return changeSet(1600);
+    });
+
+    const changeSets = [];
+
+    for await (const changes of watchLayerChanges({
+      url: serviceUrl,
+      layers: [0],
+      layerServerGens: [{ id: 0, serverGen: 1520 }],
+      signal: controller.signal
+    })) {
+      changeSets.push(changes);
+    }
+
+    expect(changeSets).toEqual([]);
+  });
+
+  it("should throw if a request fails", async () => {
+    fetchMock.once(`${serviceUrl}/extractChanges`, {
+      error: { code: 400, message: "Invalid layerServerGens", details: [] }
+    });
+
+    const changes = watchLayerChanges({
+      url: serviceUrl,
+      layers: [0],
+      layerServerGens: [{ id: 0, serverGen: 1520 }],
+      signal: new AbortController().signal
+    });
+
+    try {
+      await changes.next();
+      fail("should have rejected");
+    } catch (e) {
+      expect((e as Error).message).toBe("400: Invalid layerServerGens");
+    }
+  });
+
+  it("should throw if the service does not track changes", async () => {
+    fetchMock.once(`begin:${serviceUrl}?`, { layers: [] });
+
+    const changes = watchLayerChanges({
+      url: serviceUrl,
+      layers: [0],
+      store: { get: (): undefined => undefined, set: fail }
+    });
+
+    try {
+      await changes.next();
+      fail("should have rejected");
+    } catch (e) {
+      expect((e as Error).message).toBe(
+        `${serviceUrl} does not track changes.`
+      );
+    }
+
+    expect(fetchMock.called(`${serviceUrl}/extractChanges`)).toBe(false);
+  });
+});
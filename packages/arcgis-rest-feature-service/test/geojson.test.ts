@@ -0,0 +1,324 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { IPolygon } from "@esri/arcgis-rest-request";
+import { arcgisToGeoJSON, geojsonToArcGIS } from "../src/index.js";
+
+// outer ring wound clockwise and hole wound counterclockwise as in Esri JSON
+const esriRings = [
+  [
+    [0, 0],
+    [0, 10],
+    [10, 10],
+    [10, 0],
+    [0, 0]
+  ],
+  [
+    [2, 2],
+    [8, 2],
+    [8, 8],
+    [2, 8],
+    [2, 2]
+  ]
+];
+
+// the same rings wound as required by RFC 7946
+const geojsonRings = [
+  [
+    [0, 0],
+    [10, 0],
+    [10, 10],
+    [0, 10],
+    [0, 0]
+  ],
+  [
+    [2, 2],
+    [2, 8],
+    [8, 8],
+    [8, 2],
+    [2, 2]
+  ]
+];
+
+describe("arcgisToGeoJSON() and geojsonToArcGIS()", () => {
+  describe("arcgisToGeoJSON()", () => {
+    it("should convert points and multipoints", () => {
+      expect(
+        arcgisToGeoJSON({ x: -120, y: 45, spatialReference: { wkid: 4326 } })
+      ).toEqual({ type: "Point", coordinates: [-120, 45] });
+      expect(arcgisToGeoJSON({ x: -120, y: 45, z: 100 })).toEqual({
+        type: "Point",
+        coordinates: [-120, 45, 100]
+      });
+      expect(
+        arcgisToGeoJSON({
+          points: [
+            [-120, 45],
+            [-121, 46]
+          ]
+        })
+      ).toEqual({
+        type: "MultiPoint",
+        coordinates: [
+          [-120, 45],
+          [-121, 46]
+        ]
+      });
+    });
+
+    it("should convert polylines", () => {
+      expect(
+        arcgisToGeoJSON({
+          paths: [
+            [
+              [0, 0],
+              [1, 1]
+            ]
+          ]
+        })
+      ).toEqual({
+        type: "LineString",
+        coordinates: [
+          [0, 0],
+          [1, 1]
+        ]
+      });
+      expect(
+        arcgisToGeoJSON({
+          paths: [
+            [
+              [0, 0],
+              [1, 1]
+            ],
+            [
+              [2, 2],
+              [3, 3]
+            ]
+          ]
+        })
+      ).toEqual({
+        type: "MultiLineString",
+        coordinates: [
+          [
+            [0, 0],
+            [1, 1]
+          ],
+          [
+            [2, 2],
+            [3, 3]
+          ]
+        ]
+      });
+    });
+
+    it("should convert polygons with holes and rewind their rings", () => {
+      expect(arcgisToGeoJSON({ rings: esriRings } as IPolygon)).toEqual({
+        type: "Polygon",
+        coordinates: geojsonRings
+      });
+    });
+
+    it("should convert polygons with several outer rings to multipolygons", () => {
+      const geojson = arcgisToGeoJSON({
+        rings: [
+          esriRings[0],
+          [
+            [20, 20],
+            [20, 30],
+            [30, 30],
+            [30, 20],
+            [20, 20]
+          ]
+        ]
+      } as IPolygon);
+
+      expect(geojson.type).toBe("MultiPolygon");
+      expect((geojson as any).coordinates.length).toBe(2);
+    });
+
+    it("should add a crs member for other spatial references", () => {
+      expect(
+        arcgisToGeoJSON({
+          x: -13358338,
+          y: 5621521,
+          spatialReference: { wkid: 102100, latestWkid: 3857 }
+        })
+      ).toEqual({
+        type: "Point",
+        coordinates: [-13358338, 5621521],
+        crs: { type: "name", properties: { name: "EPSG:3857" } }
+      });
+      expect(
+        arcgisToGeoJSON({
+          geometry: { x: 1, y: 2, spatialReference: { wkid: 2927 } },
+          attributes: { OBJECTID: 1 }
+        }).crs
+      ).toEqual({ type: "name", properties: { name: "EPSG:2927" } });
+    });
+
+    it("should convert features", () => {
+      expect(
+        arcgisToGeoJSON({
+          geometry: { x: -120, y: 45 },
+          attributes: { OBJECTID: 1, status: "alive" }
+        })
+      ).toEqual({
+        type: "Feature",
+        id: 1,
+        geometry: { type: "Point", coordinates: [-120, 45] },
+        properties: { OBJECTID: 1, status: "alive" }
+      });
+      expect(
+        arcgisToGeoJSON({ attributes: { FID: 2, status: "alive" } }, "FID")
+      ).toEqual({
+        type: "Feature",
+        id: 2,
+        geometry: null,
+        properties: { FID: 2, status: "alive" }
+      });
+    });
+
+    it("should convert feature sets to feature collections", () => {
+      const geojson = arcgisToGeoJSON({
+        objectIdFieldName: "ID",
+        spatialReference: { wkid: 4326 },
+        features: [
+          {
+            geometry: { x: -120, y: 45, spatialReference: { wkid: 4326 } },
+            attributes: { ID: 7 }
+          }
+        ]
+      });
+
+      expect(geojson).toEqual({
+        type: "FeatureCollection",
+        features: [
+          {
+            type: "Feature",
+            id: 7,
+            geometry: { type: "Point", coordinates: [-120, 45] },
+            properties: { ID: 7 }
+          }
+        ]
+      });
+    });
+  });
+
+  describe("geojsonToArcGIS()", () => {
+    it("should convert points and lines", () => {
+      expect(
+        geojsonToArcGIS({ type: "Point", coordinates: [-120, 45, 100] })
+      ).toEqual({
+        x: -120,
+        y: 45,
+        z: 100,
+        spatialReference: { wkid: 4326 }
+      } as any);
+      expect(
+        geojsonToArcGIS({
+          type: "MultiLineString",
+          coordinates: [
+            [
+              [0, 0],
+              [1, 1]
+            ],
+            [
+              [2, 2],
+              [3, 3]
+            ]
+          ]
+        })
+      ).toEqual({
+        paths: [
+          [
+            [0, 0],
+            [1, 1]
+          ],
+          [
+            [2, 2],
+            [3, 3]
+          ]
+        ],
+        spatialReference: { wkid: 4326 }
+      } as any);
+    });
+
+    it("should convert polygons with holes and rewind their rings", () => {
+      expect(
+        geojsonToArcGIS({ type: "Polygon", coordinates: geojsonRings })
+      ).toEqual({
+        rings: esriRings,
+        spatialReference: { wkid: 4326 }
+      } as any);
+    });
+
+    it("should use the spatial reference of the crs member", () => {
+      expect(
+        geojsonToArcGIS({
+          type: "Point",
+          coordinates: [-13358338, 5621521],
+          crs: { type: "name", properties: { name: "EPSG:3857" } }
+        }).spatialReference
+      ).toEqual({ wkid: 3857 });
+      expect(
+        geojsonToArcGIS({
+          type: "Feature",
+          geometry: { type: "Point", coordinates: [1, 2] },
+          properties: {},
+          crs: {
+            type: "name",
+            properties: { name: "urn:ogc:def:crs:EPSG::2927" }
+          }
+        }).geometry.spatialReference
+      ).toEqual({ wkid: 2927 });
+      expect(
+        geojsonToArcGIS({
+          type: "Point",
+          coordinates: [1, 2],
+          crs: {
+            type: "name",
+            properties: { name: "urn:ogc:def:crs:OGC:1.3:CRS84" }
+          }
+        }).spatialReference
+      ).toEqual({ wkid: 4326 });
+    });
+
+    it("should convert feature collections to arrays of features", () => {
+      expect(
+        geojsonToArcGIS(
+          {
+            type: "FeatureCollection",
+            features: [
+              {
+                type: "Feature",
+                id: 3,
+                geometry: { type: "Point", coordinates: [-120, 45] },
+                properties: { status: "alive" }
+              },
+              {
+                type: "Feature",
+                geometry: null,
+                properties: { status: "dead" }
+              }
+            ]
+          },
+          "FID"
+        )
+      ).toEqual([
+        {
+          geometry: { x: -120, y: 45, spatialReference: { wkid: 4326 } },
+          attributes: { status: "alive", FID: 3 }
+        } as any,
+        { attributes: { status: "dead" } }
+      ]);
+    });
+
+    it("should throw for geometry collections", () => {
+      expect(() =>
+        geojsonToArcGIS({ type: "GeometryCollection", geometries: [] })
+      ).toThrowError(
+        "GeometryCollection geometries cannot be converted to Esri JSON."
+      );
+    });
+  });
+});
@@ -116,6 +116,57 @@ describe("getFeature() and queryFeatures()", () => {
       });
   });
 
+  it("should convert the response to GeoJSON with format geojson", () => {
+    fetchMock.once("*", { ...queryResponse, exceededTransferLimit: true });
+
+    return queryFeatures({
+      url: serviceUrl,
+      format: "geojson",
+      f: "geojson"
+    }).then((response: any) => {
+      const [url]: [string, RequestInit] = fetchMock.lastCall("*");
+      expect(url).toEqual(
+        `${serviceUrl}/query?f=json&where=1%3D1&outFields=*&outSR=4326`
+      );
+      expect(response.type).toBe("FeatureCollection");
+      expect(response.features.length).toBe(queryResponse.features.length);
+      expect(response.features[0].id).toBe(1);
+      expect(response.features[0].properties.Tree_ID).toBe(102);
+      expect(response.crs).toEqual({
+        type: "name",
+        properties: { name: "EPSG:3857" }
+      });
+      expect(response.properties).toEqual({ exceededTransferLimit: true });
+    });
+  });
+
+  it("should keep the outSR and not convert counts with format geojson", () => {
+    fetchMock.once("*", { count: 3 });
+
+    return queryFeatures({
+      url: serviceUrl,
+      format: "geojson",
+      outSR: "3857",
+      returnCountOnly: true
+    }).then((response) => {
+      const [url]: [string, RequestInit] = fetchMock.lastCall("*");
+      expect(url).toContain("outSR=3857");
+      expect(response).toEqual({ count: 3 });
+    });
+  });
+
+  it("should not convert raw responses with format geojson", () => {
+    fetchMock.once("*", queryResponse);
+
+    return queryFeatures({
+      url: serviceUrl,
+      format: "geojson",
+      rawResponse: true
+    }).then((response: any) => {
+      expect(response.status).toBe(200);
+    });
+  });
+
   it("should supply default query related parameters", (done) => {
     const requestOptions: IQueryRelatedOptions = {
       url: serviceUrl
@@ -0,0 +1,380 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import fetchMock from "fetch-mock";
+import {
+  queryAllFeatures,
+  iterateFeatures,
+  ILayerDefinition
+} from "../src/index.js";
+
+const serviceUrl =
+  "https://services.arcgis.com/f8b/arcgis/rest/services/Custom/FeatureServer/0";
+
+const pagedLayer = {
+  objectIdField: "OBJECTID",
+  maxRecordCount: 2,
+  advancedQueryCapabilities: { supportsPagination: true }
+} as ILayerDefinition;
+
+const unpagedLayer = {
+  objectIdField: "OBJECTID",
+  maxRecordCount: 2
+} as ILayerDefinition;
+
+const ids = [5, 1, 4, 2, 3];
+
+/**
+ * Returns the parameters of a request sent with GET or POST.
+ */
+function getParams(url: string, options: RequestInit) {
+  const params = new URLSearchParams(
+    options.method === "POST" ? (options.body as string) : url.split("?")[1]
+  );
+  const result: { [key: string]: string } = {};
+  params.forEach((value, key) => (result[key] = value));
+  return result;
+}
+
+/**
+ * Stands in for a layer with the object ids in `ids` that returns at most `transferLimit` features for each query.
+ */
+function mockLayer(layer: ILayerDefinition, transferLimit = Infinity) {
+  fetchMock.mock(`begin:${serviceUrl}/query`, (url, options) => {
+    const params = getParams(url, options);
+    const sorted = ids.slice().sort((a, b) => a - b);
+    const toFeatures = (objectIds: number[]) =>
+      objectIds.map((OBJECTID) => ({ attributes: { OBJECTID } }));
+
+    if (params.returnCountOnly) {
+      return { count: ids.length };
+    }
+
+    if (params.returnIdsOnly) {
+      return { objectIdFieldName: "OBJECTID", objectIds: ids };
+    }
+
+    const offset = params.objectIds ? 0 : Number(params.resultOffset || 0);
+    const matches = params.objectIds
+      ? params.objectIds.split(",").map(Number)
+      : sorted;
+    const page = matches.slice(
+      offset,
+      offset +
+        Math.min(
+          Number(params.resultRecordCount || matches.length),
+          transferLimit
+        )
+    );
+
+    return {
+      objectIdFieldName: "OBJECTID",
+      fields: [{ name: "OBJECTID", type: "esriFieldTypeOID" }],
+      exceededTransferLimit: offset + page.length < matches.length,
+      features: toFeatures(page)
+    };
+  });
+  fetchMock.get(`begin:${serviceUrl}?`, layer);
+}
+
+describe("queryAllFeatures() and iterateFeatures()", () => {
+  afterEach(fetchMock.restore);
+
+  it("should query every page of a layer that supports pagination", () => {
+    mockLayer(pagedLayer);
+
+    return queryAllFeatures({ url: serviceUrl, where: "1=1" }).then(
+      (response) => {
+        const calls = fetchMock.calls(`begin:${serviceUrl}/query`);
+        const pages = calls
+          .map(([url, options]: [string, RequestInit]) =>
+            getParams(url, options)
+          )
+          .filter((params) => !params.returnCountOnly);
+
+        expect(fetchMock.called(`begin:${serviceUrl}?`)).toBe(true);
+        expect(pages.map((params) => params.resultOffset)).toEqual([
+          "0",
+          "2",
+          "4"
+        ]);
+        pages.forEach((params) => {
+          expect(params.resultRecordCount).toBe("2");
+          expect(params.orderByFields).toBe("OBJECTID");
+          expect(params.where).toBe("1=1");
+        });
+        expect(
+          response.features.map((feature) => feature.attributes.OBJECTID)
+        ).toEqual([1, 2, 3, 4, 5]);
+        expect(response.fields.length).toBe(1);
+        expect(response.exceededTransferLimit).toBe(false);
+      }
+    );
+  });
+
+  it("should keep the orderByFields of the query", () => {
+    mockLayer(pagedLayer);
+
+    return queryAllFeatures({
+      url: serviceUrl,
+      orderByFields: "NAME",
+      layerDefinition: pagedLayer
+    }).then(() => {
+      const [url, options]: [string, RequestInit] = fetchMock.lastCall();
+
+      expect(fetchMock.called(`begin:${serviceUrl}?`)).toBe(false);
+      expect(getParams(url, options).orderByFields).toBe("NAME");
+    });
+  });
+
+  it("should query batches of object ids if the layer does not support pagination", () => {
+    mockLayer(unpagedLayer);
+
+    return queryAllFeatures({
+      url: serviceUrl,
+      layerDefinition: unpagedLayer,
+      concurrency: 2
+    }).then((response) => {
+      const calls = fetchMock.calls(`begin:${serviceUrl}/query`);
+      const [idsUrl] = calls[0];
+      const batches = calls
+        .slice(1)
+        .map(([url, options]: [string, RequestInit]) => {
+          expect(options.method).toBe("POST");
+          return getParams(url, options).objectIds;
+        });
+
+      expect(idsUrl).toContain("returnIdsOnly=true");
+      expect(batches).toEqual(["1,2", "3,4", "5"]);
+      expect(
+        response.features.map((feature) => feature.attributes.OBJECTID)
+      ).toEqual([1, 2, 3, 4, 5]);
+    });
+  });
+
+  it("should use the pageSize option", () => {
+    const layerDefinition = { ...unpagedLayer, maxRecordCount: 1000 };
+    mockLayer(layerDefinition);
+
+    return queryAllFeatures({
+      url: serviceUrl,
+      layerDefinition,
+      pageSize: 3
+    }).then(() => {
+      const batches = fetchMock
+        .calls(`begin:${serviceUrl}/query`)
+        .slice(1)
+        .map(
+          ([url, options]: [string, RequestInit]) =>
+            getParams(url, options).objectIds
+        );
+
+      expect(batches).toEqual(["1,2,3", "4,5"]);
+    });
+  });
+
+  it("should not request more features than the maxRecordCount of the layer", () => {
+    mockLayer(pagedLayer);
+
+    return queryAllFeatures({
+      url: serviceUrl,
+      layerDefinition: pagedLayer,
+      pageSize: 3
+    }).then((response) => {
+      const pages = fetchMock
+        .calls(`begin:${serviceUrl}/query`)
+        .slice(1)
+        .map(([url, options]: [string, RequestInit]) =>
+          getParams(url, options)
+        );
+
+      expect(pages.map((params) => params.resultRecordCount)).toEqual([
+        "2",
+        "2",
+        "2"
+      ]);
+      expect(response.features.length).toBe(5);
+    });
+  });
+
+  it("should query the rest of a page that exceeded the transfer limit", () => {
+    const layerDefinition = { ...pagedLayer, maxRecordCount: 4 };
+    mockLayer(layerDefinition, 3);
+
+    return queryAllFeatures({
+      url: serviceUrl,
+      layerDefinition,
+      concurrency: 1
+    }).then((response) => {
+      const pages = fetchMock
+        .calls(`begin:${serviceUrl}/query`)
+        .slice(1)
+        .map(([url, options]: [string, RequestInit]) => {
+          const params = getParams(url, options);
+          return [params.resultOffset, params.resultRecordCount];
+        });
+
+      expect(pages).toEqual([
+        ["0", "4"],
+        ["3", "1"],
+        ["4", "4"]
+      ]);
+      expect(
+        response.features.map((feature) => feature.attributes.OBJECTID)
+      ).toEqual([1, 2, 3, 4, 5]);
+    });
+  });
+
+  it("should query the rest of a batch of object ids that exceeded the transfer limit", () => {
+    const layerDefinition = { ...unpagedLayer, maxRecordCount: 4 };
+    mockLayer(layerDefinition, 3);
+
+    return queryAllFeatures({
+      url: serviceUrl,
+      layerDefinition,
+      concurrency: 1
+    }).then((response) => {
+      const batches = fetchMock
+        .calls(`begin:${serviceUrl}/query`)
+        .slice(1)
+        .map(
+          ([url, options]: [string, RequestInit]) =>
+            getParams(url, options).objectIds
+        );
+
+      expect(batches).toEqual(["1,2,3,4", "4", "5"]);
+      expect(
+        response.features.map((feature) => feature.attributes.OBJECTID)
+      ).toEqual([1, 2, 3, 4, 5]);
+    });
+  });
+
+  it("should reject if a page that exceeded the transfer limit has no features", () => {
+    fetchMock.once(`begin:${serviceUrl}/query`, { count: 4 });
+    fetchMock.once(`begin:${serviceUrl}/query`, {
+      features: [],
+      exceededTransferLimit: true
+    });
+
+    return queryAllFeatures({
+      url: serviceUrl,
+      layerDefinition: pagedLayer,
+      concurrency: 1
+    }).then(
+      () => fail("queryAllFeatures should have rejected"),
+      (e) => {
+        expect(e.message).toBe(
+          "The server did not return any features for a page that exceeded its transfer limit."
+        );
+      }
+    );
+  });
+
+  it("should query once if no features match", () => {
+    fetchMock.once(`begin:${serviceUrl}/query`, {
+      objectIdFieldName: "OBJECTID",
+      objectIds: null
+    });
+    fetchMock.once(`begin:${serviceUrl}/query`, {
+      objectIdFieldName: "OBJECTID",
+      fields: [],
+      features: []
+    });
+
+    return queryAllFeatures({
+      url: serviceUrl,
+      layerDefinition: { objectIdField: "OBJECTID" } as ILayerDefinition
+    }).then((response) => {
+      expect(fetchMock.calls(`begin:${serviceUrl}/query`).length).toBe(2);
+      expect(response.features).toEqual([]);
+      expect(response.objectIdFieldName).toBe("OBJECTID");
+    });
+  });
+
+  it("should limit the number of requests at the same time", () => {
+    let active = 0;
+    let maxActive = 0;
+
+    fetchMock.mock(`begin:${serviceUrl}/query`, (url, options) => {
+      const params = getParams(url, options);
+
+      if (params.returnCountOnly) {
+        return { count: 10 };
+      }
+
+      active++;
+      maxActive = Math.max(maxActive, active);
+
+      return new Promise((resolve) =>
+        setTimeout(() => {
+          active--;
+          resolve({ features: [{ attributes: params }] });
+        })
+      );
+    });
+
+    return queryAllFeatures({
+      url: serviceUrl,
+      layerDefinition: { ...pagedLayer, maxRecordCount: 1 },
+      concurrency: 3
+    }).then((response) => {
+      expect(maxActive).toBe(3);
+      expect(
+        response.features.map((feature) => feature.attributes.resultOffset)
+      ).toEqual(["0", "1", "2", "3", "4", "5", "6", "7", "8", "9"]);
+    });
+  });
+
+  [0, -1, 1.5, NaN].forEach((concurrency) => {
+    it(`should reject a concurrency of ${concurrency}`, () => {
+      return queryAllFeatures({
+        url: serviceUrl,
+        layerDefinition: pagedLayer,
+        concurrency
+      }).then(
+        () => fail("queryAllFeatures should have rejected"),
+        (e) => {
+          expect(e.message).toBe("concurrency must be a positive integer.");
+          expect(fetchMock.called()).toBe(false);
+        }
+      );
+    });
+  });
+
+  it("should yield each feature", async () => {
+    mockLayer(unpagedLayer);
+
+    const objectIds = [];
+
+    for await (const feature of iterateFeatures({ url: serviceUrl })) {
+      objectIds.push(feature.attributes.OBJECTID);
+    }
+
+    expect(objectIds).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it("should reject if a page cannot be queried", () => {
+    fetchMock.once(`begin:${serviceUrl}/query`, { count: 4 });
+    fetchMock.once(`begin:${serviceUrl}/query`, { features: [] });
+    fetchMock.once(`begin:${serviceUrl}/query`, {
+      error: {
+        code: 400,
+        message: "Unable to perform query. Please check your parameters.",
+        details: []
+      }
+    });
+
+    return queryAllFeatures({
+      url: serviceUrl,
+      layerDefinition: pagedLayer
+    }).then(
+      () => fail("queryAllFeatures should have rejected"),
+      (e) => {
+        expect(e.type).toBe("invalidParameters");
+        expect(e.message).toBe(
+          "400: Unable to perform query. Please check your parameters."
+        );
+      }
+    );
+  });
+});
@@ -0,0 +1,307 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import fetchMock from "fetch-mock";
+import { ApiKeyManager, JOB_STATUSES } from "@esri/arcgis-rest-request";
+import {
+  createReplica,
+  synchronizeReplica,
+  unregisterReplica,
+  downloadReplica,
+  SyncJob,
+  ISyncJobInfo
+} from "../src/index.js";
+
+const serviceUrl =
+  "https://services.arcgis.com/f8b/arcgis/rest/services/Wildfire/FeatureServer";
+const statusUrl = `${serviceUrl}/replicas/jobs/a1b2c3`;
+const resultUrl =
+  "https://services.arcgis.com/f8b/arcgis/rest/services/Wildfire/FeatureServer/replicafiles/a1b2c3.json";
+const replicaID = "{0A4ABF39-8F1A-4B5A-9C4E-5A58C5E1C2D3}";
+
+/**
+ * Returns the parameters of the last POST request to `url`.
+ */
+function getParams(url: string) {
+  const [, options]: [string, RequestInit] = fetchMock.lastCall(url);
+  const params = new URLSearchParams(options.body as string);
+  const result: { [key: string]: string } = {};
+  params.forEach((value, key) => (result[key] = value));
+  return result;
+}
+
+describe("replicas", () => {
+  afterEach(fetchMock.restore);
+
+  describe("createReplica()", () => {
+    it("should create a sync enabled replica", () => {
+      fetchMock.once(`${serviceUrl}/createReplica`, {
+        replicaName: "fieldCrew",
+        replicaID,
+        transportType: "esriTransportTypeUrl",
+        responseUrl: resultUrl,
+        replicaServerGen: 1520
+      });
+
+      return createReplica({
+        url: `${serviceUrl}/0`,
+        replicaName: "fieldCrew",
+        layers: [0, 1],
+        layerQueries: { "1": { queryOption: "none" } },
+        geometry: { xmin: -117.5, ymin: 34, xmax: -117, ymax: 34.5 },
+        geometryType: "esriGeometryEnvelope",
+        returnAttachments: false
+      }).then((response) => {
+        const params = getParams(`${serviceUrl}/createReplica`);
+
+        expect(response.replicaID).toBe(replicaID);
+        expect(response.replicaServerGen).toBe(1520);
+        expect(params).toEqual({
+          f: "json",
+          replicaName: "fieldCrew",
+          layers: "0,1",
+          layerQueries: JSON.stringify({ "1": { queryOption: "none" } }),
+          geometry: JSON.stringify({
+            xmin: -117.5,
+            ymin: 34,
+            xmax: -117,
+            ymax: 34.5
+          }),
+          geometryType: "esriGeometryEnvelope",
+          transportType: "esriTransportTypeUrl",
+          returnAttachments: "false",
+          syncModel: "perReplica",
+          dataFormat: "json"
+        });
+      });
+    });
+
+    it("should return a SyncJob that downloads the replica when async is true", async () => {
+      fetchMock.once(`${serviceUrl}/createReplica`, { statusUrl });
+      fetchMock.once(`begin:${statusUrl}`, {
+        body: { status: "ExportingData", replicaID }
+      });
+      fetchMock.once(`begin:${statusUrl}`, {
+        body: {
+          status: "Completed",
+          replicaID,
+          resultUrl,
+          responseType: "esriReplicaResponseTypeData"
+        }
+      });
+      fetchMock.once(`begin:${resultUrl}`, {
+        layers: [{ id: 0, features: [] }]
+      });
+
+      const job = await createReplica({
+        url: serviceUrl,
+        layers: [0],
+        dataFormat: "sqlite",
+        async: true,
+        pollingRate: 0,
+        authentication: ApiKeyManager.fromKey("KEY")
+      });
+
+      expect(job instanceof SyncJob).toBe(true);
+      expect(job.url).toBe(`${serviceUrl}/replicas`);
+      expect(job.id).toBe("a1b2c3");
+      expect(job.pollingRate).toBe(0);
+      expect(getParams(`${serviceUrl}/createReplica`).async).toBe("true");
+      expect(getParams(`${serviceUrl}/createReplica`).dataFormat).toBe(
+        "sqlite"
+      );
+
+      const statuses: string[] = [];
+      job.on(JOB_STATUSES.Executing, (info) =>
+        statuses.push((info as ISyncJobInfo).syncStatus)
+      );
+
+      const replica = await job.downloadResult({ readAs: "text" });
+      const [url, options]: [string, RequestInit] = fetchMock.lastCall(
+        `begin:${resultUrl}`
+      );
+
+      expect(statuses).toEqual(["ExportingData"]);
+      expect(JSON.parse(replica)).toEqual({
+        layers: [{ id: 0, features: [] }]
+      });
+      expect(options.method).toBe("GET");
+      expect(url).toBe(`${resultUrl}?token=KEY`);
+    });
+  });
+
+  describe("synchronizeReplica()", () => {
+    it("should upload the local edits", () => {
+      const edits = [
+        {
+          id: 0,
+          adds: [
+            {
+              geometry: { x: -117.2, y: 34.1 },
+              attributes: { GlobalID: "{E41DCC6B-9A84-4E07-9C43-B4C67A0A83AD}" }
+            }
+          ],
+          deletes: ["{1E3B1C09-2C8A-4B7B-9C2B-52E5F6E8E4B1}"]
+        }
+      ];
+
+      fetchMock.once(`${serviceUrl}/synchronizeReplica`, {
+        replicaID,
+        replicaServerGen: 1533,
+        edits: [
+          {
+            id: 0,
+            editMoment: 1680000000000,
+            addResults: [
+              {
+                objectId: 7,
+                globalId: "{E41DCC6B-9A84-4E07-9C43-B4C67A0A83AD}",
+                success: true
+              }
+            ],
+            updateResults: [],
+            deleteResults: [
+              {
+                objectId: 3,
+                globalId: "{1E3B1C09-2C8A-4B7B-9C2B-52E5F6E8E4B1}",
+                success: true
+              }
+            ]
+          }
+        ]
+      });
+
+      return synchronizeReplica({
+        url: serviceUrl,
+        replicaID,
+        replicaServerGen: 1520,
+        edits,
+        syncDirection: "upload",
+        returnIdsForAdds: true
+      }).then((response) => {
+        const params = getParams(`${serviceUrl}/synchronizeReplica`);
+
+        expect(response.replicaServerGen).toBe(1533);
+        expect(response.edits[0].addResults[0].objectId).toBe(7);
+        expect(params).toEqual({
+          f: "json",
+          replicaID,
+          edits: JSON.stringify(edits),
+          replicaServerGen: "1520",
+          syncDirection: "upload",
+          transportType: "esriTransportTypeUrl",
+          returnIdsForAdds: "true"
+        });
+      });
+    });
+
+    it("should reject with an ArcGISJobError when the job fails", async () => {
+      fetchMock.once(`${serviceUrl}/synchronizeReplica`, { statusUrl });
+      fetchMock.once(`begin:${statusUrl}`, {
+        body: { status: "Failed", replicaID }
+      });
+
+      const job = await synchronizeReplica({
+        url: serviceUrl,
+        replicaID,
+        syncLayers: [{ id: 0, serverGen: 1520 }],
+        async: true
+      });
+
+      await job.downloadResult().then(
+        () => fail("downloadResult should have rejected"),
+        (e) => {
+          expect(e.name).toBe("ArcGISJobError");
+          expect(e.jobInfo.status).toBe(JOB_STATUSES.Failed);
+          expect(e.jobInfo.syncStatus).toBe("Failed");
+        }
+      );
+      expect(fetchMock.called(`begin:${resultUrl}`)).toBe(false);
+      expect(
+        JSON.parse(getParams(`${serviceUrl}/synchronizeReplica`).syncLayers)
+      ).toEqual([{ id: 0, serverGen: 1520 }]);
+    });
+  });
+
+  describe("unregisterReplica()", () => {
+    it("should unregister a replica", () => {
+      fetchMock.once(`${serviceUrl}/unregisterReplica`, { success: true });
+
+      return unregisterReplica({ url: `${serviceUrl}/2`, replicaID }).then(
+        (response) => {
+          expect(response.success).toBe(true);
+          expect(getParams(`${serviceUrl}/unregisterReplica`)).toEqual({
+            f: "json",
+            replicaID
+          });
+        }
+      );
+    });
+  });
+
+  describe("downloadReplica()", () => {
+    it("should read geodatabases as blobs", () => {
+      const blob = jasmine
+        .createSpy("blob")
+        .and.returnValue(Promise.resolve("SQLite format 3"));
+      const fetch = jasmine
+        .createSpy("fetch")
+        .and.returnValue(Promise.resolve({ ok: true, status: 200, blob }));
+
+      return downloadReplica(resultUrl.replace(".json", ".geodatabase"), {
+        fetch
+      }).then((result) => {
+        expect(blob).toHaveBeenCalled();
+        expect(result).toBe("SQLite format 3");
+      });
+    });
+
+    it("should reject without a url", () => {
+      return downloadReplica(undefined).then(
+        () => fail("downloadReplica should have rejected"),
+        (e) => {
+          expect(e.message).toBe(
+            "The replica does not have a url to download."
+          );
+        }
+      );
+    });
+  });
+
+  describe("SyncJob", () => {
+    it("should be created from a status url", () => {
+      const job = SyncJob.fromStatusUrl(`${statusUrl}/`, { pollingRate: 10 });
+
+      expect(job.url).toBe(`${serviceUrl}/replicas`);
+      expect(job.id).toBe("a1b2c3");
+      expect(job.pollingRate).toBe(10);
+      expect(() => SyncJob.fromStatusUrl(serviceUrl)).toThrowError(
+        `${serviceUrl} is not the status URL of a replica job.`
+      );
+    });
+
+    it("should be deserialized as a SyncJob", () => {
+      fetchMock.mock(`begin:${statusUrl}`, { body: { status: "Pending" } });
+
+      return SyncJob.deserialize(
+        SyncJob.fromStatusUrl(statusUrl).serialize()
+      ).then((job) => {
+        expect(job instanceof SyncJob).toBe(true);
+        return job.getJobInfo().then((jobInfo) => {
+          expect(jobInfo.status).toBe(JOB_STATUSES.Submitted);
+        });
+      });
+    });
+
+    it("should not cancel jobs", () => {
+      return SyncJob.fromStatusUrl(statusUrl)
+        .cancelJob()
+        .then(
+          () => fail("cancelJob should have rejected"),
+          (e) => {
+            expect(e.message).toBe("Replica jobs cannot be cancelled.");
+          }
+        );
+    });
+  });
+});
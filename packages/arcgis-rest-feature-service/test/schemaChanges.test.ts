@@ -0,0 +1,311 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import fetchMock from "fetch-mock";
+import { TOMORROW } from "../../../scripts/test-helpers.js";
+import { ArcGISIdentityManager, IField } from "@esri/arcgis-rest-request";
+import {
+  planSchemaChanges,
+  applySchemaChanges,
+  ILayerDefinition
+} from "../src/index.js";
+
+const serviceUrl =
+  "https://services1.arcgis.com/ORG/arcgis/rest/services/Trees/FeatureServer";
+const adminUrl =
+  "https://services1.arcgis.com/ORG/arcgis/rest/admin/services/Trees/FeatureServer";
+
+const authentication = new ArcGISIdentityManager({
+  clientId: "clientId",
+  token: "fake-token",
+  tokenExpires: TOMORROW,
+  username: "casey",
+  portal: "https://myorg.maps.arcgis.com/sharing/rest"
+});
+
+const systemFields = [
+  { name: "OBJECTID", type: "esriFieldTypeOID" },
+  { name: "GlobalID", type: "esriFieldTypeGlobalID" },
+  { name: "Shape__Area", type: "esriFieldTypeDouble", editable: false }
+] as IField[];
+
+const statusDomain = {
+  type: "codedValue",
+  name: "status",
+  codedValues: [{ name: "Alive", code: "A" }]
+};
+
+const current: { layers: ILayerDefinition[]; tables: ILayerDefinition[] } = {
+  layers: [
+    {
+      id: 0,
+      name: "Trees",
+      fields: [
+        ...systemFields,
+        {
+          name: "status",
+          type: "esriFieldTypeString",
+          length: 10,
+          domain: statusDomain
+        },
+        { name: "crew", type: "esriFieldTypeString" },
+        { name: "height", type: "esriFieldTypeDouble", alias: "Height" }
+      ] as IField[],
+      indexes: [
+        { name: "PK", fields: "OBJECTID", isUnique: true },
+        { name: "idx_status", fields: "status", isUnique: false },
+        { name: "idx_crew", fields: "crew" }
+      ]
+    },
+    { id: 1, name: "Old" }
+  ],
+  tables: [{ id: 2, name: "Inspections", fields: systemFields.slice(0, 1) }]
+};
+
+const desired: { layers: ILayerDefinition[]; tables: ILayerDefinition[] } = {
+  layers: [
+    {
+      id: 0,
+      name: "Trees",
+      fields: [
+        {
+          name: "STATUS",
+          type: "esriFieldTypeString",
+          length: 10,
+          domain: {
+            ...statusDomain,
+            codedValues: [
+              { name: "Alive", code: "A" },
+              { name: "Dead", code: "D" }
+            ]
+          }
+        },
+        { name: "height", alias: "Tree height" },
+        { name: "planted", type: "esriFieldTypeDate" }
+      ] as IField[],
+      indexes: [
+        { name: "idx_status", fields: "status", isUnique: true },
+        { name: "idx_planted", fields: "planted" }
+      ]
+    },
+    { name: "Stumps", type: "Feature Layer" }
+  ],
+  tables: [{ id: 2, name: "Inspections" }]
+};
+
+describe("planSchemaChanges() and applySchemaChanges()", () => {
+  afterEach(fetchMock.restore);
+
+  describe("planSchemaChanges()", () => {
+    it("should plan ordered changes for fields, indexes, domains and layers", () => {
+      expect(planSchemaChanges(desired, current)).toEqual([
+        {
+          operation: "deleteFromDefinition",
+          layerId: 0,
+          definition: {
+            indexes: [{ name: "idx_status" }, { name: "idx_crew" }]
+          },
+          description: "Delete indexes idx_status, idx_crew of layer 0"
+        },
+        {
+          operation: "deleteFromDefinition",
+          layerId: 0,
+          definition: { fields: [{ name: "crew" }] },
+          description: "Delete fields crew of layer 0"
+        },
+        {
+          operation: "deleteFromDefinition",
+          definition: { layers: [{ id: 1 }] },
+          description: "Delete layers 1"
+        },
+        {
+          operation: "addToDefinition",
+          definition: { layers: [desired.layers[1]] },
+          description: "Add layers Stumps"
+        },
+        {
+          operation: "addToDefinition",
+          layerId: 0,
+          definition: { fields: [desired.layers[0].fields[2]] },
+          description: "Add fields planted to layer 0"
+        },
+        {
+          operation: "updateDefinition",
+          layerId: 0,
+          definition: {
+            fields: [
+              { name: "status", domain: desired.layers[0].fields[0].domain },
+              { name: "height", alias: "Tree height" }
+            ]
+          },
+          description: "Update fields status, height of layer 0"
+        },
+        {
+          operation: "addToDefinition",
+          layerId: 0,
+          definition: { indexes: desired.layers[0].indexes },
+          description: "Add indexes idx_status, idx_planted to layer 0"
+        }
+      ]);
+    });
+
+    it("should return no changes for the same definition", () => {
+      expect(planSchemaChanges(current, current)).toEqual([]);
+      expect(
+        planSchemaChanges(
+          {
+            layers: [
+              {
+                ...current.layers[0],
+                fields: [
+                  {
+                    name: "status",
+                    domain: {
+                      codedValues: [{ code: "A", name: "Alive" }],
+                      name: "status",
+                      type: "codedValue"
+                    }
+                  } as IField
+                ],
+                indexes: [
+                  { name: "idx_status", fields: " Status " },
+                  { name: "idx_crew", fields: "crew" }
+                ]
+              },
+              current.layers[1]
+            ]
+          },
+          { layers: current.layers }
+        ).map(({ description }) => description)
+      ).toEqual(["Delete fields crew, height of layer 0"]);
+    });
+
+    it("should remove domains and add and delete tables", () => {
+      const changes = planSchemaChanges(
+        {
+          layers: [
+            {
+              id: 0,
+              fields: [{ name: "status" }, { name: "crew" }, { name: "height" }]
+            } as ILayerDefinition,
+            current.layers[1]
+          ],
+          tables: [{ name: "Visits", type: "Table" }]
+        },
+        current
+      );
+
+      expect(changes.map(({ description }) => description)).toEqual([
+        "Delete indexes idx_status, idx_crew of layer 0",
+        "Delete layers 2",
+        "Add layers Visits",
+        "Update fields status of layer 0"
+      ]);
+      expect(changes[1].definition).toEqual({ tables: [{ id: 2 }] });
+      expect(changes[2].definition).toEqual({
+        tables: [{ name: "Visits", type: "Table" }]
+      });
+      expect(changes[3].definition).toEqual({
+        fields: [{ name: "status", domain: null }]
+      });
+    });
+
+    it("should not delete the layers or tables a partial schema omits", () => {
+      expect(planSchemaChanges({ layers: current.layers }, current)).toEqual(
+        []
+      );
+      expect(planSchemaChanges({ tables: current.tables }, current)).toEqual(
+        []
+      );
+      expect(
+        planSchemaChanges({ tables: [] }, current).map(
+          ({ description }) => description
+        )
+      ).toEqual(["Delete layers 2"]);
+    });
+
+    it("should throw if the type of a field changes", () => {
+      expect(() =>
+        planSchemaChanges(
+          {
+            layers: [
+              {
+                id: 0,
+                fields: [{ name: "height", type: "esriFieldTypeString" }]
+              } as ILayerDefinition
+            ]
+          },
+          current
+        )
+      ).toThrowError(
+        "The type of field height of layer 0 cannot be changed from esriFieldTypeDouble to esriFieldTypeString."
+      );
+    });
+  });
+
+  describe("applySchemaChanges()", () => {
+    const changes = planSchemaChanges(desired, current);
+
+    it("should apply each change in order", () => {
+      fetchMock.post(`begin:${adminUrl}`, { success: true });
+
+      return applySchemaChanges(`${serviceUrl}/0`, {
+        changes,
+        authentication,
+        params: { async: false }
+      }).then((results) => {
+        const calls = fetchMock.calls(`begin:${adminUrl}`);
+
+        expect(calls.map(([url]) => url.replace(adminUrl, ""))).toEqual([
+          "/0/deleteFromDefinition",
+          "/0/deleteFromDefinition",
+          "/deleteFromDefinition",
+          "/addToDefinition",
+          "/0/addToDefinition",
+          "/0/updateDefinition",
+          "/0/addToDefinition"
+        ]);
+        calls.forEach(([, options]: [string, RequestInit], i) => {
+          const params = new URLSearchParams(options.body as string);
+
+          expect(JSON.parse(params.get(changes[i].operation))).toEqual(
+            JSON.parse(JSON.stringify(changes[i].definition))
+          );
+          expect(params.get("async")).toBe("false");
+        });
+        expect(results.map(({ change }) => change)).toEqual(changes);
+        expect(results[0].response).toEqual({ success: true });
+      });
+    });
+
+    it("should not send the changes for a dry run", () => {
+      return applySchemaChanges(serviceUrl, {
+        changes,
+        authentication,
+        dryRun: true
+      }).then((results) => {
+        expect(fetchMock.called()).toBe(false);
+        expect(results).toEqual(changes.map((change) => ({ change })));
+      });
+    });
+
+    it("should stop at the first change that fails", () => {
+      fetchMock.once(`begin:${adminUrl}`, { success: true });
+      fetchMock.once(`begin:${adminUrl}`, {
+        error: {
+          code: 400,
+          message: "Unable to delete field crew.",
+          details: []
+        }
+      });
+
+      return applySchemaChanges(serviceUrl, { changes, authentication }).then(
+        () => fail("applySchemaChanges should have rejected"),
+        (e) => {
+          expect(e.message).toBe("400: Unable to delete field crew.");
+          expect(fetchMock.calls(`begin:${adminUrl}`).length).toBe(2);
+        }
+      );
+    });
+  });
+});
@@ -0,0 +1,403 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import fetchMock from "fetch-mock";
+import { IFeature, IField } from "@esri/arcgis-rest-request";
+import {
+  validateFeatures,
+  encodeValues,
+  addFeatures,
+  updateFeatures,
+  applyEdits,
+  applyEditsInBatches,
+  ArcGISFeatureValidationError,
+  ILayerDefinition
+} from "../src/index.js";
+
+const layerUrl =
+  "https://services.arcgis.com/f8b/arcgis/rest/services/Trees/FeatureServer/0";
+
+const condition = {
+  type: "codedValue" as const,
+  name: "Condition",
+  codedValues: [
+    { name: "Good", code: "G" },
+    { name: "Poor", code: "P" }
+  ]
+};
+
+const layer: ILayerDefinition = {
+  objectIdField: "OBJECTID",
+  typeIdField: "TYPE",
+  fields: [
+    {
+      name: "OBJECTID",
+      type: "esriFieldTypeOID",
+      nullable: false,
+      editable: false
+    },
+    {
+      name: "GlobalID",
+      type: "esriFieldTypeGlobalID",
+      nullable: false
+    },
+    { name: "TYPE", type: "esriFieldTypeSmallInteger", nullable: false },
+    { name: "NAME", type: "esriFieldTypeString", length: 10, nullable: false },
+    {
+      name: "HEIGHT",
+      type: "esriFieldTypeDouble",
+      nullable: true,
+      domain: { type: "range", name: "Height", range: [0, 100] }
+    },
+    { name: "PLANTED", type: "esriFieldTypeDate", nullable: true },
+    { name: "INSPECTED", type: "esriFieldTypeDateOnly", nullable: true },
+    {
+      name: "CONDITION",
+      type: "esriFieldTypeString",
+      domain: condition
+    },
+    {
+      name: "CREW",
+      type: "esriFieldTypeInteger",
+      nullable: false,
+      defaultValue: 1
+    },
+    { name: "UPDATED_BY", type: "esriFieldTypeString", editable: false }
+  ] as IField[],
+  types: [
+    {
+      id: 1,
+      name: "Oak",
+      domains: { HEIGHT: { type: "inherited" }, CONDITION: condition }
+    },
+    {
+      id: 2,
+      name: "Seedling",
+      domains: { HEIGHT: { type: "range", name: "Seedling", range: [0, 2] } }
+    },
+    { id: 3, name: "Unknown" }
+  ]
+};
+
+const validFeature = {
+  geometry: { x: -117.2, y: 34.1 },
+  attributes: {
+    TYPE: 1,
+    name: "Oak 12",
+    HEIGHT: 20.5,
+    PLANTED: 1680000000000,
+    INSPECTED: "2023-04-01",
+    CONDITION: "G",
+    UPDATED_BY: null as string
+  }
+};
+
+describe("validateFeatures()", () => {
+  afterEach(fetchMock.restore);
+
+  it("should return no reports for valid features", () => {
+    expect(validateFeatures([validFeature], layer)).toEqual([]);
+    expect(
+      validateFeatures(
+        [
+          { geometry: validFeature.geometry } as IFeature,
+          { attributes: { HEIGHT: 1 } }
+        ],
+        layer,
+        { partial: true }
+      )
+    ).toEqual([]);
+  });
+
+  it("should report attributes that do not match the type of their field", () => {
+    const feature = {
+      attributes: {
+        TYPE: 1.5,
+        NAME: 5,
+        HEIGHT: "tall",
+        PLANTED: "2023-04-01",
+        INSPECTED: 1680000000000,
+        CREW: 3000000000,
+        COLOR: "red"
+      }
+    };
+
+    expect(validateFeatures([validFeature, feature], layer)).toEqual([
+      {
+        index: 1,
+        feature,
+        errors: [
+          {
+            field: "COLOR",
+            value: "red",
+            reason: "unknownField",
+            message: "COLOR is not a field of the layer."
+          },
+          {
+            field: "TYPE",
+            value: 1.5,
+            reason: "type",
+            message: "TYPE must be an integer."
+          },
+          {
+            field: "NAME",
+            value: 5,
+            reason: "type",
+            message: "NAME must be a string."
+          },
+          {
+            field: "HEIGHT",
+            value: "tall",
+            reason: "type",
+            message: "HEIGHT must be a number."
+          },
+          {
+            field: "PLANTED",
+            value: "2023-04-01",
+            reason: "type",
+            message: "PLANTED must be a date in milliseconds since the epoch."
+          },
+          {
+            field: "INSPECTED",
+            value: 1680000000000,
+            reason: "type",
+            message: "INSPECTED must be a string."
+          },
+          {
+            field: "CREW",
+            value: 3000000000,
+            reason: "type",
+            message: "CREW must be between -2147483648 and 2147483647."
+          }
+        ]
+      }
+    ]);
+  });
+
+  it("should report attributes that are required or cannot be null", () => {
+    const messages = (features: any[], partial?: boolean) =>
+      validateFeatures(features, layer, { partial }).map(({ errors }) =>
+        errors.map(({ reason, message }) => `${reason}: ${message}`)
+      );
+
+    expect(messages([{ attributes: { HEIGHT: null } }])).toEqual([
+      ["nullable: TYPE is required.", "nullable: NAME is required."]
+    ]);
+    expect(messages([{ attributes: { TYPE: 1, NAME: null } }], true)).toEqual([
+      ["nullable: NAME cannot be null."]
+    ]);
+  });
+
+  it("should report values that are too long or not in the domain of their field", () => {
+    const errors = validateFeatures(
+      [
+        {
+          attributes: {
+            ...validFeature.attributes,
+            NAME: "Oak 12 by the river",
+            HEIGHT: 120,
+            CONDITION: "Good"
+          }
+        }
+      ],
+      layer
+    )[0].errors.map(({ reason, message }) => `${reason}: ${message}`);
+
+    expect(errors).toEqual([
+      "length: NAME must not be longer than 10 characters.",
+      "range: HEIGHT must be between 0 and 100.",
+      'codedValue: CONDITION must be one of "G", "P".'
+    ]);
+  });
+
+  it("should use the domains of the subtype of the feature", () => {
+    const messages = (definition: ILayerDefinition, type: number) =>
+      validateFeatures(
+        [{ attributes: { ...validFeature.attributes, TYPE: type, HEIGHT: 5 } }],
+        definition
+      ).map(({ errors }) => errors.map(({ message }) => message));
+
+    expect(messages(layer, 1)).toEqual([]);
+    expect(messages(layer, 2)).toEqual([["HEIGHT must be between 0 and 2."]]);
+    expect(messages(layer, 3)).toEqual([]);
+    expect(messages(layer, 4)).toEqual([]);
+
+    const subtypeLayer = {
+      ...layer,
+      typeIdField: undefined,
+      types: undefined,
+      subtypeField: "TYPE",
+      subtypes: [
+        {
+          code: 4,
+          name: "Sapling",
+          domains: { HEIGHT: { type: "range", range: [1, 4] } }
+        }
+      ]
+    } as ILayerDefinition;
+
+    expect(messages(subtypeLayer, 4)).toEqual([
+      ["HEIGHT must be between 1 and 4."]
+    ]);
+    expect(messages({ ...layer, types: undefined }, 2)).toEqual([]);
+  });
+
+  it("should report every attribute of a layer without fields", () => {
+    expect(
+      validateFeatures([{ attributes: { NAME: "Oak" } }], {})[0].errors
+    ).toEqual([
+      {
+        field: "NAME",
+        value: "Oak",
+        reason: "unknownField",
+        message: "NAME is not a field of the layer."
+      }
+    ]);
+  });
+
+  describe("edits with validate: true", () => {
+    const invalidFeature = { attributes: { TYPE: 1, NAME: "Oak", HEIGHT: -1 } };
+
+    it("should reject invalid adds without sending the request", () => {
+      fetchMock.post(`${layerUrl}/addFeatures`, { addResults: [] });
+
+      return addFeatures({
+        url: layerUrl,
+        features: [validFeature, invalidFeature],
+        validate: true,
+        layerDefinition: layer
+      }).then(
+        () => fail("addFeatures should have rejected"),
+        (e) => {
+          expect(e instanceof ArcGISFeatureValidationError).toBe(true);
+          expect(e.name).toBe("ArcGISFeatureValidationError");
+          expect(e.message).toBe(
+            "Invalid features: adds[1]: HEIGHT must be between 0 and 100."
+          );
+          expect(e.adds[0].index).toBe(1);
+          expect(e.adds[0].errors[0].reason).toBe("range");
+          expect(e.updates).toEqual([]);
+          expect(fetchMock.called()).toBe(false);
+        }
+      );
+    });
+
+    it("should fetch the layer definition and send valid updates", () => {
+      fetchMock.get(`begin:${layerUrl}?`, layer);
+      fetchMock.post(`${layerUrl}/updateFeatures`, {
+        updateResults: [{ objectId: 1, success: true }]
+      });
+
+      return updateFeatures({
+        url: layerUrl,
+        features: [{ attributes: { OBJECTID: 1, HEIGHT: 30 } }],
+        validate: true
+      }).then((response) => {
+        const [, options]: [string, RequestInit] = fetchMock.lastCall(
+          `${layerUrl}/updateFeatures`
+        );
+
+        expect(response.updateResults[0].success).toBe(true);
+        expect(fetchMock.calls(`begin:${layerUrl}?`).length).toBe(1);
+        expect(options.body).toContain("features=");
+        expect(options.body).not.toContain("validate");
+      });
+    });
+
+    it("should reject invalid adds and updates of applyEdits", () => {
+      return applyEdits({
+        url: layerUrl,
+        adds: [invalidFeature],
+        updates: [{ attributes: { OBJECTID: 1, NAME: null } }],
+        deletes: [2],
+        validate: true,
+        layerDefinition: layer
+      }).then(
+        () => fail("applyEdits should have rejected"),
+        (e) => {
+          expect(e.message).toBe(
+            "Invalid features: adds[0]: HEIGHT must be between 0 and 100. updates[0]: NAME cannot be null."
+          );
+          expect(fetchMock.called()).toBe(false);
+        }
+      );
+    });
+
+    it("should validate every edit before sending the first batch", async () => {
+      fetchMock.get(`begin:${layerUrl}?`, layer);
+      fetchMock.post(`${layerUrl}/applyEdits`, {
+        addResults: [
+          { objectId: 3, success: true },
+          { objectId: 4, success: true }
+        ],
+        updateResults: [{ objectId: 1, success: true }],
+        deleteResults: []
+      });
+
+      await applyEditsInBatches({
+        url: layerUrl,
+        adds: [validFeature, validFeature, invalidFeature],
+        batchSize: 1,
+        validate: true
+      }).then(
+        () => fail("applyEditsInBatches should have rejected"),
+        (e) => {
+          expect(e.adds[0].index).toBe(2);
+          expect(fetchMock.called(`${layerUrl}/applyEdits`)).toBe(false);
+        }
+      );
+
+      const result = await applyEditsInBatches({
+        url: layerUrl,
+        adds: [validFeature, validFeature],
+        updates: [{ attributes: { OBJECTID: 1, HEIGHT: 30 } }],
+        batchSize: 3,
+        validate: true
+      });
+
+      expect(result.failures).toEqual([]);
+      expect(fetchMock.calls(`begin:${layerUrl}?`).length).toBe(2);
+    });
+  });
+});
+
+describe("encodeValues()", () => {
+  afterEach(fetchMock.restore);
+
+  const features = [
+    {
+      attributes: { OBJECTID: 1, CONDITION: "Poor", NAME: "Good" }
+    },
+    {
+      attributes: { OBJECTID: 2, CONDITION: "G", NAME: "Oak" }
+    },
+    {
+      attributes: { OBJECTID: 3, CONDITION: "Unknown", NAME: null }
+    }
+  ];
+
+  it("should replace the names of coded values with their codes", () => {
+    return encodeValues({ features, fields: layer.fields }).then((encoded) => {
+      expect(encoded.map(({ attributes }) => attributes)).toEqual([
+        { OBJECTID: 1, CONDITION: "P", NAME: "Good" },
+        { OBJECTID: 2, CONDITION: "G", NAME: "Oak" },
+        { OBJECTID: 3, CONDITION: "Unknown", NAME: null }
+      ]);
+      expect(features[0].attributes.CONDITION).toBe("Poor");
+    });
+  });
+
+  it("should fetch the fields of the layer", () => {
+    fetchMock.once(`begin:${layerUrl}`, layer);
+
+    return encodeValues({ url: layerUrl, features }).then((encoded) => {
+      const [url, options]: [string, RequestInit] = fetchMock.lastCall(
+        `begin:${layerUrl}`
+      );
+
+      expect(options.method).toBe("GET");
+      expect(url).toBe(`${layerUrl}?f=json`);
+      expect(encoded[0].attributes.CONDITION).toBe("P");
+    });
+  });
+});
@@ -46,6 +46,13 @@ export class ApiKeyManager implements IAuthenticationManager {
   public getToken(url: string) {
     return Promise.resolve(this.key);
   }
+
+  /**
+   * Returns the options needed to create a new `ApiKeyManager` with the same key.
+   */
+  public toJSON(): IApiKeyOptions {
+    return { key: this.key };
+  }
 }
 
 /**
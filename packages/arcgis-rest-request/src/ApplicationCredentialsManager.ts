@@ -9,6 +9,11 @@ import {
   ArcGISTokenRequestErrorCodes
 } from "./utils/ArcGISTokenRequestError.js";
 import { ArcGISRequestError } from "./utils/ArcGISRequestError.js";
+import { getRefreshDelay, MAX_TIMEOUT } from "./utils/get-refresh-delay.js";
+import { AUTH_EVENTS, IAutoRefreshOptions } from "./types/auth-events.js";
+import mitt from "mitt";
+
+const DEFAULT_REFRESH_BEFORE = 1000 * 60 * 5;
 
 export interface IApplicationCredentialsManagerOptions {
   /**
@@ -57,6 +62,8 @@ export interface IApplicationCredentialsManagerOptions {
  *   clientSecret: "••••••"
  * })
  * ```
+ *
+ * Use {@linkcode ApplicationCredentialsManager.on} to listen for the `token-refreshed` and `refresh-failed` {@linkcode AUTH_EVENTS} and {@linkcode ApplicationCredentialsManager.startAutoRefresh} to refresh the token before it expires.
  */
 export class ApplicationCredentialsManager implements IAuthenticationManager {
   public portal: string;
@@ -81,6 +88,17 @@ export class ApplicationCredentialsManager implements IAuthenticationManager {
    */
   private _pendingTokenRequest: Promise<string>;
 
+  /**
+   * Internal instance of [`mitt`](https://github.com/developit/mitt) used for event handlers. It is recommended to use {@linkcode ApplicationCredentialsManager.on}, {@linkcode ApplicationCredentialsManager.off} or {@linkcode ApplicationCredentialsManager.once} instead of `emitter.`
+   */
+  private emitter: any;
+
+  /**
+   * Internal handler for the `setTimeout()` of the next automatic refresh.
+   */
+  private _autoRefreshHandler: any;
+  private _refreshBefore: number = DEFAULT_REFRESH_BEFORE;
+
   constructor(options: IApplicationCredentialsManagerOptions) {
     this.clientId = options.clientId;
     this.clientSecret = options.clientSecret;
@@ -88,6 +106,7 @@ export class ApplicationCredentialsManager implements IAuthenticationManager {
     this.expires = options.expires;
     this.portal = options.portal || "https://www.arcgis.com/sharing/rest";
     this.duration = options.duration || 7200;
+    this.emitter = mitt();
   }
 
   // URL is not actually read or passed through.
@@ -124,22 +143,125 @@ export class ApplicationCredentialsManager implements IAuthenticationManager {
         this._pendingTokenRequest = null;
         this.token = response.token;
         this.expires = response.expires;
+        this.emitter.emit(AUTH_EVENTS.TokenRefreshed, {
+          token: this.token,
+          tokenExpires: this.expires
+        });
+
+        if (this._autoRefreshHandler) {
+          this.scheduleAutoRefresh();
+        }
+
         return response.token;
       })
       .catch((e: ArcGISRequestError) => {
-        throw new ArcGISTokenRequestError(
+        const error = new ArcGISTokenRequestError(
           e.message,
           ArcGISTokenRequestErrorCodes.TOKEN_REFRESH_FAILED,
           e.response,
           e.url,
           e.options
         );
+
+        this.stopAutoRefresh();
+        this.emitter.emit(AUTH_EVENTS.RefreshFailed, { error });
+        throw error;
       });
   }
 
   public refreshCredentials() {
     return this.refreshToken().then(() => this);
   }
+
+  /**
+   * Refreshes the token in the background `refreshBefore` milliseconds before it expires. Automatic refreshes stop when a refresh fails.
+   *
+   * In Node.js the pending refresh keeps the process running until {@linkcode ApplicationCredentialsManager.stopAutoRefresh} is called.
+   *
+   * @param options When to refresh the token.
+   */
+  public startAutoRefresh(options: IAutoRefreshOptions = {}) {
+    this._refreshBefore = options.refreshBefore || DEFAULT_REFRESH_BEFORE;
+    this.scheduleAutoRefresh();
+  }
+
+  /**
+   * Stops the automatic refreshes started by {@linkcode ApplicationCredentialsManager.startAutoRefresh}.
+   */
+  public stopAutoRefresh() {
+    clearTimeout(this._autoRefreshHandler);
+    this._autoRefreshHandler = undefined;
+  }
+
+  /**
+   * Returns `true` if the token is being refreshed automatically.
+   */
+  get isAutoRefreshing() {
+    return !!this._autoRefreshHandler;
+  }
+
+  /**
+   * Adds a listener for the `token-refreshed` or `refresh-failed` {@linkcode AUTH_EVENTS}.
+   *
+   * @param eventName The event to listen for.
+   * @param handler A function called with the details of the event.
+   */
+  on(eventName: AUTH_EVENTS | string, handler: (e: any) => void) {
+    this.emitter.on(eventName, handler);
+  }
+
+  /**
+   * Adds a listener that is removed after the event is emitted once.
+   *
+   * @param eventName The event to listen for.
+   * @param handler A function called with the details of the event.
+   */
+  once(eventName: AUTH_EVENTS | string, handler: (e: any) => void) {
+    const fn = (arg: any) => {
+      this.emitter.off(eventName, fn);
+      handler(arg);
+    };
+
+    this.emitter.on(eventName, fn);
+
+    (handler as any).__arcgis_auth_once_original_function__ = fn;
+  }
+
+  /**
+   * Removes a listener added with {@linkcode ApplicationCredentialsManager.on} or {@linkcode ApplicationCredentialsManager.once}.
+   *
+   * @param eventName The event the listener was added for.
+   * @param handler The listener to remove.
+   */
+  off(eventName: AUTH_EVENTS | string, handler: (e: any) => void) {
+    if ((handler as any).__arcgis_auth_once_original_function__) {
+      this.emitter.off(
+        eventName,
+        (handler as any).__arcgis_auth_once_original_function__
+      );
+      return;
+    }
+    this.emitter.off(eventName, handler);
+  }
+
+  /**
+   * Schedules the next automatic refresh `refreshBefore` milliseconds before the token expires.
+   */
+  private scheduleAutoRefresh() {
+    const delay = getRefreshDelay(this.expires, this._refreshBefore);
+
+    clearTimeout(this._autoRefreshHandler);
+    this._autoRefreshHandler = setTimeout(() => {
+      // tokens that expire more than ~24 days from now are past the longest delay setTimeout supports
+      if (delay === MAX_TIMEOUT) {
+        this.scheduleAutoRefresh();
+        return;
+      }
+
+      // failures are reported with the refresh-failed event
+      this.refreshToken().catch((): void => undefined);
+    }, delay);
+  }
 }
 
 /**
@@ -21,8 +21,22 @@ import {
   ArcGISTokenRequestError,
   ArcGISTokenRequestErrorCodes
 } from "./utils/ArcGISTokenRequestError.js";
+import { ICredentialStore } from "./utils/ICredentialStore.js";
+import { getRefreshDelay, MAX_TIMEOUT } from "./utils/get-refresh-delay.js";
+import { AUTH_EVENTS, IAutoRefreshOptions } from "./types/auth-events.js";
+import mitt from "mitt";
 import { NODEJS_DEFAULT_REFERER_HEADER } from "./index.js";
 
+/**
+ * The key credentials are stored at by {@linkcode ArcGISIdentityManager.enableStorage} when no key is passed.
+ */
+const DEFAULT_CREDENTIAL_STORE_KEY = "arcgis-rest-js:credentials";
+
+const DEFAULT_AUTO_REFRESH_OPTIONS: IAutoRefreshOptions = {
+  refreshBefore: 1000 * 60 * 5,
+  refreshTokenWarning: 1000 * 60 * 60 * 24
+};
+
 /**
  * Options for {@linkcode ArcGISIdentityManager.fromToken}.
  */
@@ -274,6 +288,8 @@ export interface IArcGISIdentityManagerOptions {
  * * {@linkcode ArcGISIdentityManager.serialize} can be used to create a JSON object representing an instance of `ArcGISIdentityManager`
  * * {@linkcode ArcGISIdentityManager.deserialize} will create a new `ArcGISIdentityManager` from a JSON object created with {@linkcode ArcGISIdentityManager.serialize}
  * * {@linkcode ArcGISIdentityManager.destroy} or {@linkcode ArcGISIdentityManager.signOut} will invalidate any tokens in use by the  `ArcGISIdentityManager`.
+ * * {@linkcode ArcGISIdentityManager.on} listens for the {@linkcode AUTH_EVENTS} emitted when tokens are refreshed, a refresh fails, the refresh token is about to expire or the user signs out.
+ * * {@linkcode ArcGISIdentityManager.startAutoRefresh} refreshes the token in the background before it expires.
  */
 export class ArcGISIdentityManager implements IAuthenticationManager {
   /**
@@ -853,6 +869,41 @@ export class ArcGISIdentityManager implements IAuthenticationManager {
     });
   }
 
+  /**
+   * Creates an `ArcGISIdentityManager` from credentials saved in an {@linkcode ICredentialStore} by {@linkcode ArcGISIdentityManager.enableStorage}. Resolves with `undefined` if there are no saved credentials. The returned manager keeps saving its credentials to `store` whenever they are refreshed.
+   *
+   * ```js
+   * import { ArcGISIdentityManager, LocalStorageCredentialStore } from "@esri/arcgis-rest-request";
+   *
+   * const store = new LocalStorageCredentialStore();
+   *
+   * ArcGISIdentityManager.fromStorage(store).then((manager) => {
+   *   if (!manager) {
+   *     // sign the user in
+   *   }
+   * });
+   * ```
+   *
+   * @param store The store the credentials were saved in.
+   * @param key The key the credentials were saved at.
+   * @returns A Promise that will resolve with the manager or `undefined`.
+   */
+  public static fromStorage(
+    store: ICredentialStore,
+    key: string = DEFAULT_CREDENTIAL_STORE_KEY
+  ): Promise<ArcGISIdentityManager | undefined> {
+    return Promise.resolve(store.get(key)).then((serialized) => {
+      if (!serialized) {
+        return undefined;
+      }
+
+      const manager = ArcGISIdentityManager.deserialize(serialized);
+      manager._credentialStore = store;
+      manager._credentialStoreKey = key;
+      return manager;
+    });
+  }
+
   /**
    * Translates authentication from the format used in the [`IdentityManager` class in the ArcGIS API for JavaScript](https://developers.arcgis.com/javascript/latest/api-reference/esri-identity-Credential.html).
    *
@@ -920,13 +971,18 @@ export class ArcGISIdentityManager implements IAuthenticationManager {
   }
 
   /**
-   * Revokes all active tokens for a provided {@linkcode ArcGISIdentityManager}. The can be considered the equivalent to signing the user out of your application.
+   * Revokes all active tokens for a provided {@linkcode ArcGISIdentityManager}. The can be considered the equivalent to signing the user out of your application. Stops {@linkcode ArcGISIdentityManager.startAutoRefresh | automatic refreshes} and emits `signed-out` once the tokens are revoked.
    */
   public static destroy(manager: ArcGISIdentityManager) {
+    manager.stopAutoRefresh();
+
     return revokeToken({
       clientId: manager.clientId,
       portal: manager.portal,
       token: manager.refreshToken || manager.token
+    }).then((response) => {
+      manager.emitter.emit(AUTH_EVENTS.SignedOut, {});
+      return response;
     });
   }
 
@@ -1050,6 +1106,26 @@ export class ArcGISIdentityManager implements IAuthenticationManager {
 
   private _hostHandler: any;
 
+  private _credentialStore: ICredentialStore;
+  private _credentialStoreKey: string;
+
+  /**
+   * Internal instance of [`mitt`](https://github.com/developit/mitt) used for event handlers. It is recommended to use {@linkcode ArcGISIdentityManager.on}, {@linkcode ArcGISIdentityManager.off} or {@linkcode ArcGISIdentityManager.once} instead of `emitter.`
+   */
+  private emitter: any;
+
+  /**
+   * Internal handler for the `setTimeout()` of the next automatic refresh.
+   */
+  private _autoRefreshHandler: any;
+  private _autoRefreshOptions: IAutoRefreshOptions =
+    DEFAULT_AUTO_REFRESH_OPTIONS;
+
+  /**
+   * The `refreshTokenExpires` time `refresh-token-expiring` was last emitted for so it is only emitted once for each refresh token.
+   */
+  private _refreshTokenExpiringEmittedFor: number;
+
   constructor(options: IArcGISIdentityManagerOptions) {
     this.clientId = options.clientId;
     this._refreshToken = options.refreshToken;
@@ -1081,6 +1157,7 @@ export class ArcGISIdentityManager implements IAuthenticationManager {
       };
     }
     this._pendingTokenRequests = {};
+    this.emitter = mitt();
   }
 
   /**
@@ -1283,6 +1360,46 @@ export class ArcGISIdentityManager implements IAuthenticationManager {
     win.removeEventListener("message", this._hostHandler, false);
   }
 
+  /**
+   * Saves the credentials of this manager to an {@linkcode ICredentialStore} and saves them again whenever {@linkcode ArcGISIdentityManager.refreshCredentials} gets a new token or refresh token. Use {@linkcode ArcGISIdentityManager.fromStorage} to create a manager from the saved credentials when your app starts.
+   *
+   * ```js
+   * import {
+   *   ArcGISIdentityManager,
+   *   EncryptedCredentialStore,
+   *   FileCredentialStore
+   * } from "@esri/arcgis-rest-request";
+   *
+   * const store = new EncryptedCredentialStore({
+   *   store: new FileCredentialStore({ path: "./credentials.json" }),
+   *   secret: process.env.CREDENTIALS_SECRET
+   * });
+   *
+   * const manager = await ArcGISIdentityManager.signIn({ username, password });
+   * await manager.enableStorage(store);
+   * ```
+   *
+   * @param store The store to save the credentials in.
+   * @param key The key to save the credentials at. Use different keys to save the credentials of several users in the same store.
+   * @returns A Promise that will resolve with this manager once the credentials are saved.
+   */
+  public enableStorage(
+    store: ICredentialStore,
+    key: string = DEFAULT_CREDENTIAL_STORE_KEY
+  ): Promise<this> {
+    this._credentialStore = store;
+    this._credentialStoreKey = key;
+    return this.saveToStorage();
+  }
+
+  /**
+   * Stops saving the credentials of this manager. Credentials that were already saved are kept.
+   */
+  public disableStorage() {
+    this._credentialStore = undefined;
+    this._credentialStoreKey = undefined;
+  }
+
   /**
    * Manually refreshes the current `token` and `tokenExpires`.
    */
@@ -1290,22 +1407,132 @@ export class ArcGISIdentityManager implements IAuthenticationManager {
     // make sure subsequent calls to getUser() don't returned cached metadata
     this._user = null;
 
+    let refresh: Promise<this>;
+
     if (this.username && this.password) {
-      return this.refreshWithUsernameAndPassword(requestOptions);
+      refresh = this.refreshWithUsernameAndPassword(requestOptions);
+    } else if (this.clientId && this.refreshToken) {
+      refresh = this.refreshWithRefreshToken();
+    } else {
+      refresh = Promise.reject(
+        new ArcGISTokenRequestError(
+          "Unable to refresh token. No refresh token or password present.",
+          ArcGISTokenRequestErrorCodes.TOKEN_REFRESH_FAILED
+        )
+      );
     }
 
-    if (this.clientId && this.refreshToken) {
-      return this.refreshWithRefreshToken();
-    }
+    return refresh.then(
+      (manager) => {
+        this.emitter.emit(AUTH_EVENTS.TokenRefreshed, {
+          token: this.token,
+          tokenExpires: this.tokenExpires,
+          refreshToken: this.refreshToken,
+          refreshTokenExpires: this.refreshTokenExpires
+        });
+        this.checkRefreshTokenExpiration();
 
-    return Promise.reject(
-      new ArcGISTokenRequestError(
-        "Unable to refresh token. No refresh token or password present.",
-        ArcGISTokenRequestErrorCodes.TOKEN_REFRESH_FAILED
-      )
+        if (this._autoRefreshHandler) {
+          this.scheduleAutoRefresh();
+        }
+
+        return manager;
+      },
+      (error) => {
+        this.stopAutoRefresh();
+        this.emitter.emit(AUTH_EVENTS.RefreshFailed, { error });
+        throw error;
+      }
     );
   }
 
+  /**
+   * Refreshes the token in the background `refreshBefore` milliseconds before it expires. Listen for `refresh-failed` to ask the user to sign in again before requests start failing. Automatic refreshes stop when a refresh fails and when the user signs out.
+   *
+   * ```js
+   * manager.on("refresh-failed", () => showSignInDialog());
+   * manager.on("refresh-token-expiring", ({ refreshTokenExpires }) => {
+   *   console.log(`Sign in again before ${refreshTokenExpires}`);
+   * });
+   *
+   * manager.startAutoRefresh({ refreshBefore: 60 * 1000 });
+   * ```
+   *
+   * In Node.js the pending refresh keeps the process running until {@linkcode ArcGISIdentityManager.stopAutoRefresh} is called.
+   *
+   * @param options When to refresh the token and to emit `refresh-token-expiring`.
+   */
+  public startAutoRefresh(options: IAutoRefreshOptions = {}) {
+    this._autoRefreshOptions = { ...DEFAULT_AUTO_REFRESH_OPTIONS, ...options };
+    this.checkRefreshTokenExpiration();
+    this.scheduleAutoRefresh();
+  }
+
+  /**
+   * Stops the automatic refreshes started by {@linkcode ArcGISIdentityManager.startAutoRefresh}.
+   */
+  public stopAutoRefresh() {
+    clearTimeout(this._autoRefreshHandler);
+    this._autoRefreshHandler = undefined;
+  }
+
+  /**
+   * Returns `true` if the token is being refreshed automatically.
+   */
+  get isAutoRefreshing() {
+    return !!this._autoRefreshHandler;
+  }
+
+  /**
+   * Adds a listener for one of the {@linkcode AUTH_EVENTS}.
+   *
+   * ```js
+   * manager.on("token-refreshed", ({ token, tokenExpires }) => {
+   *   console.log(`New token expires at ${tokenExpires}`);
+   * });
+   * ```
+   *
+   * @param eventName The event to listen for.
+   * @param handler A function called with the details of the event.
+   */
+  on(eventName: AUTH_EVENTS | string, handler: (e: any) => void) {
+    this.emitter.on(eventName, handler);
+  }
+
+  /**
+   * Adds a listener that is removed after the event is emitted once.
+   *
+   * @param eventName The event to listen for.
+   * @param handler A function called with the details of the event.
+   */
+  once(eventName: AUTH_EVENTS | string, handler: (e: any) => void) {
+    const fn = (arg: any) => {
+      this.emitter.off(eventName, fn);
+      handler(arg);
+    };
+
+    this.emitter.on(eventName, fn);
+
+    (handler as any).__arcgis_auth_once_original_function__ = fn;
+  }
+
+  /**
+   * Removes a listener added with {@linkcode ArcGISIdentityManager.on} or {@linkcode ArcGISIdentityManager.once}.
+   *
+   * @param eventName The event the listener was added for.
+   * @param handler The listener to remove.
+   */
+  off(eventName: AUTH_EVENTS | string, handler: (e: any) => void) {
+    if ((handler as any).__arcgis_auth_once_original_function__) {
+      this.emitter.off(
+        eventName,
+        (handler as any).__arcgis_auth_once_original_function__
+      );
+      return;
+    }
+    this.emitter.off(eventName, handler);
+  }
+
   /**
    * Determines the root of the ArcGIS Server or Portal for a given URL.
    *
@@ -1344,10 +1571,18 @@ export class ArcGISIdentityManager implements IAuthenticationManager {
   }
 
   /**
-   * Convenience method for {@linkcode ArcGISIdentityManager.destroy} for this instance of `ArcGISIdentityManager`
+   * Convenience method for {@linkcode ArcGISIdentityManager.destroy} for this instance of `ArcGISIdentityManager`. Also deletes credentials saved with {@linkcode ArcGISIdentityManager.enableStorage}.
    */
   public signOut() {
-    return ArcGISIdentityManager.destroy(this);
+    return ArcGISIdentityManager.destroy(this).then((response) => {
+      if (!this._credentialStore) {
+        return response;
+      }
+
+      return Promise.resolve(
+        this._credentialStore.delete(this._credentialStoreKey)
+      ).then(() => response);
+    });
   }
 
   /**
@@ -1613,7 +1848,8 @@ export class ArcGISIdentityManager implements IAuthenticationManager {
           e.url,
           e.options
         );
-      });
+      })
+      .then(() => this.saveToStorage());
   }
 
   /**
@@ -1652,7 +1888,8 @@ export class ArcGISIdentityManager implements IAuthenticationManager {
           e.url,
           e.options
         );
-      });
+      })
+      .then(() => this.saveToStorage());
   }
 
   /**
@@ -1701,7 +1938,63 @@ export class ArcGISIdentityManager implements IAuthenticationManager {
           e.url,
           e.options
         );
-      });
+      })
+      .then(() => this.saveToStorage());
+  }
+
+  /**
+   * Schedules the next automatic refresh `refreshBefore` milliseconds before the token expires.
+   */
+  private scheduleAutoRefresh() {
+    const { refreshBefore } = this._autoRefreshOptions;
+    const delay = getRefreshDelay(this.tokenExpires, refreshBefore);
+
+    clearTimeout(this._autoRefreshHandler);
+    this._autoRefreshHandler = setTimeout(() => {
+      // tokens that expire more than ~24 days from now are past the longest delay setTimeout supports
+      if (delay === MAX_TIMEOUT) {
+        this.scheduleAutoRefresh();
+        return;
+      }
+
+      // failures are reported with the refresh-failed event
+      this.refreshCredentials().catch((): void => undefined);
+    }, delay);
+  }
+
+  /**
+   * Emits `refresh-token-expiring` if the refresh token expires within `refreshTokenWarning` milliseconds.
+   */
+  private checkRefreshTokenExpiration() {
+    const { refreshTokenWarning } = this._autoRefreshOptions;
+    const expires =
+      this.refreshTokenExpires && this.refreshTokenExpires.getTime();
+
+    if (
+      !expires ||
+      expires === this._refreshTokenExpiringEmittedFor ||
+      expires - refreshTokenWarning > Date.now()
+    ) {
+      return;
+    }
+
+    this._refreshTokenExpiringEmittedFor = expires;
+    this.emitter.emit(AUTH_EVENTS.RefreshTokenExpiring, {
+      refreshTokenExpires: this.refreshTokenExpires
+    });
+  }
+
+  /**
+   * Saves the credentials to the store passed to {@linkcode ArcGISIdentityManager.enableStorage} if there is one.
+   */
+  private saveToStorage(): Promise<this> {
+    if (!this._credentialStore) {
+      return Promise.resolve(this);
+    }
+
+    return Promise.resolve(
+      this._credentialStore.set(this._credentialStoreKey, this.serialize())
+    ).then(() => this);
   }
 
   /**
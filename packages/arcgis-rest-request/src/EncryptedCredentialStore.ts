@@ -0,0 +1,176 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { ICredentialStore } from "./utils/ICredentialStore.js";
+
+// kept in a variable so bundlers do not try to include the Node.js `crypto` module in browser builds
+const CRYPTO_MODULE = "crypto";
+
+const PBKDF2_ITERATIONS = 100000;
+
+/**
+ * Options for the `EncryptedCredentialStore` constructor.
+ */
+export interface IEncryptedCredentialStoreOptions {
+  /**
+   * The store that holds the encrypted credentials.
+   */
+  store: ICredentialStore;
+
+  /**
+   * The secret the encryption key is derived from. Keep it out of the store, for example in an environment variable or the OS keychain.
+   */
+  secret: string;
+
+  /**
+   * An implementation of the [Web Crypto API](https://developer.mozilla.org/en-US/docs/Web/API/Web_Crypto_API). Defaults to `globalThis.crypto` or the `webcrypto` export of the Node.js `crypto` module. Required on Node.js versions before 15, which do not include the Web Crypto API.
+   */
+  crypto?: Crypto;
+}
+
+function toBase64(bytes: Uint8Array) {
+  /* istanbul ignore if - Node.js < 16 does not have btoa */
+  if (typeof btoa === "undefined") {
+    return Buffer.from(bytes).toString("base64");
+  }
+
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+function fromBase64(value: string) {
+  /* istanbul ignore if - Node.js < 16 does not have atob */
+  if (typeof atob === "undefined") {
+    return new Uint8Array(Buffer.from(value, "base64"));
+  }
+
+  return Uint8Array.from(atob(value), (character) => character.charCodeAt(0));
+}
+
+/**
+ * Encrypts credentials with AES-GCM before passing them to another {@linkcode ICredentialStore}. The key is derived from `secret` with PBKDF2 and a random salt for each value.
+ *
+ * ```js
+ * import {
+ *   ArcGISIdentityManager,
+ *   EncryptedCredentialStore,
+ *   FileCredentialStore
+ * } from "@esri/arcgis-rest-request";
+ *
+ * const store = new EncryptedCredentialStore({
+ *   store: new FileCredentialStore({ path: "./credentials.json" }),
+ *   secret: process.env.CREDENTIALS_SECRET
+ * });
+ *
+ * await manager.enableStorage(store);
+ * ```
+ */
+export class EncryptedCredentialStore implements ICredentialStore {
+  private store: ICredentialStore;
+  private secret: string;
+  private crypto: Crypto;
+
+  constructor(options: IEncryptedCredentialStoreOptions) {
+    this.store = options.store;
+    this.secret = options.secret;
+    this.crypto = options.crypto;
+  }
+
+  get(key: string) {
+    return Promise.resolve(this.store.get(key)).then((value) =>
+      value ? this.decrypt(value) : undefined
+    );
+  }
+
+  set(key: string, value: string) {
+    return this.encrypt(value).then((encrypted) =>
+      this.store.set(key, encrypted)
+    );
+  }
+
+  delete(key: string) {
+    return this.store.delete(key);
+  }
+
+  private getCrypto(): Promise<Crypto> {
+    /* istanbul ignore next - depends on the environment */
+    if (this.crypto || typeof globalThis.crypto !== "undefined") {
+      return Promise.resolve(this.crypto || globalThis.crypto);
+    }
+
+    /* istanbul ignore next - Node.js < 19 does not have a global crypto */
+    return import(CRYPTO_MODULE).then((crypto) => {
+      if (!crypto.webcrypto) {
+        throw new Error(
+          "The Web Crypto API is not available. Pass an implementation as the `crypto` option on Node.js versions before 15."
+        );
+      }
+
+      return crypto.webcrypto;
+    });
+  }
+
+  private deriveKey(crypto: Crypto, salt: Uint8Array) {
+    return crypto.subtle
+      .importKey(
+        "raw",
+        new TextEncoder().encode(this.secret),
+        "PBKDF2",
+        false,
+        ["deriveKey"]
+      )
+      .then((baseKey) =>
+        crypto.subtle.deriveKey(
+          {
+            name: "PBKDF2",
+            salt,
+            iterations: PBKDF2_ITERATIONS,
+            hash: "SHA-256"
+          },
+          baseKey,
+          { name: "AES-GCM", length: 256 },
+          false,
+          ["encrypt", "decrypt"]
+        )
+      );
+  }
+
+  private encrypt(value: string) {
+    return this.getCrypto().then((crypto) => {
+      const salt = crypto.getRandomValues(new Uint8Array(16));
+      const iv = crypto.getRandomValues(new Uint8Array(12));
+
+      return this.deriveKey(crypto, salt)
+        .then((key) =>
+          crypto.subtle.encrypt(
+            { name: "AES-GCM", iv },
+            key,
+            new TextEncoder().encode(value)
+          )
+        )
+        .then((encrypted) =>
+          [salt, iv, new Uint8Array(encrypted)].map(toBase64).join(".")
+        );
+    });
+  }
+
+  private decrypt(value: string) {
+    return this.getCrypto().then((crypto) => {
+      const [salt, iv, encrypted] = value.split(".").map(fromBase64);
+
+      return this.deriveKey(crypto, salt)
+        .then((key) =>
+          crypto.subtle.decrypt({ name: "AES-GCM", iv }, key, encrypted)
+        )
+        .then((decrypted) => new TextDecoder().decode(decrypted))
+        .catch(() => {
+          throw new Error(
+            "Unable to decrypt the stored credentials. The secret may have changed."
+          );
+        });
+    });
+  }
+}
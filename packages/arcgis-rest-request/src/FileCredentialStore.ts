@@ -0,0 +1,103 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { ICredentialStore } from "./utils/ICredentialStore.js";
+
+// kept in a variable so bundlers do not try to include the Node.js `fs` module in browser builds
+const FS_MODULE = "fs";
+
+/**
+ * Options for the `FileCredentialStore` constructor.
+ */
+export interface IFileCredentialStoreOptions {
+  /**
+   * The path of the JSON file credentials are stored in. The file is created with permissions that only allow the current user to read it.
+   */
+  path: string;
+
+  /**
+   * The Node.js `fs` module. Defaults to importing `fs`. Pass a different implementation such as [`memfs`](https://github.com/streamich/memfs) for testing.
+   */
+  fs?: any;
+}
+
+/**
+ * An {@linkcode ICredentialStore} that keeps credentials in a JSON file for Node.js servers, CLI tools and Electron main processes. Combine it with {@linkcode EncryptedCredentialStore} to encrypt the file.
+ *
+ * ```js
+ * import { ArcGISIdentityManager, FileCredentialStore } from "@esri/arcgis-rest-request";
+ *
+ * const store = new FileCredentialStore({ path: "./credentials.json" });
+ *
+ * const manager = await ArcGISIdentityManager.fromStorage(store);
+ * ```
+ */
+export class FileCredentialStore implements ICredentialStore {
+  /**
+   * The path of the file credentials are stored in.
+   */
+  public readonly path: string;
+
+  private fs: any;
+
+  /**
+   * Writes are chained so concurrent calls to `set` and `delete` do not overwrite each other.
+   */
+  private pendingWrite: Promise<void> = Promise.resolve();
+
+  constructor(options: IFileCredentialStoreOptions) {
+    this.path = options.path;
+    this.fs = options.fs;
+  }
+
+  get(key: string) {
+    return this.pendingWrite
+      .then(() => this.read())
+      .then((values) => values[key]);
+  }
+
+  set(key: string, value: string) {
+    return this.write((values) => {
+      values[key] = value;
+    });
+  }
+
+  delete(key: string) {
+    return this.write((values) => {
+      delete values[key];
+    });
+  }
+
+  private getFs(): Promise<any> {
+    /* istanbul ignore next - tests pass in an fs implementation so they also run in browsers */
+    return this.fs ? Promise.resolve(this.fs) : import(FS_MODULE);
+  }
+
+  private read(): Promise<{ [key: string]: string }> {
+    return this.getFs()
+      .then((fs) => fs.promises.readFile(this.path, "utf8"))
+      .then((text: string) => JSON.parse(text))
+      .catch((e: any) => {
+        if (e.code === "ENOENT") {
+          return {};
+        }
+
+        throw e;
+      });
+  }
+
+  private write(update: (values: { [key: string]: string }) => void) {
+    this.pendingWrite = this.pendingWrite
+      .catch((): void => undefined)
+      .then(() => Promise.all([this.getFs(), this.read()]))
+      .then(([fs, values]) => {
+        update(values);
+        return fs.promises.writeFile(this.path, JSON.stringify(values), {
+          encoding: "utf8",
+          mode: 0o600
+        });
+      });
+
+    return this.pendingWrite;
+  }
+}
@@ -0,0 +1,286 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { getFetch } from "@esri/arcgis-rest-fetch";
+
+/**
+ * A recorded request and the response the server returned. Tokens, passwords and other credentials are removed from the request and replaced in the response before a fixture is stored.
+ */
+export interface IFixture {
+  request: {
+    method: string;
+    url: string;
+    /**
+     * The request body if it was sent as a string. Requests with files are matched without their body.
+     */
+    body?: string;
+  };
+  response: {
+    status: number;
+    statusText: string;
+    headers: {
+      [key: string]: string;
+    };
+    /**
+     * The response body as text.
+     */
+    body: string;
+  };
+}
+
+/**
+ * Options for the `FixtureRecorder` constructor.
+ */
+export interface IFixtureRecorderOptions {
+  /**
+   * In `"record"` mode requests are sent to the network and stored as fixtures. In `"replay"` mode requests are answered from the fixtures and never reach the network.
+   */
+  mode: "record" | "replay";
+
+  /**
+   * Fixtures to replay or to add new recordings to.
+   */
+  fixtures?: IFixture[];
+
+  /**
+   * The implementation of `fetch` used to send requests in `"record"` mode. Defaults to the global `fetch`.
+   */
+  fetch?: (input: RequestInfo, init?: RequestInit) => Promise<Response>;
+}
+
+const REDACTED = "REDACTED";
+
+/**
+ * The parameters that carry credentials, for example the `password` sent to `generateToken` or the `refresh_token` and `client_secret` sent to `oauth2/token`.
+ */
+const CREDENTIAL_PARAMS = [
+  "token",
+  "access_token",
+  "refresh_token",
+  "password",
+  "client_secret",
+  "code"
+];
+
+/**
+ * Removes credential parameters from a URL or form encoded body.
+ */
+function removeCredentials(value: string) {
+  const start = value.indexOf("?") + 1;
+  const params = value
+    .slice(start)
+    .split("&")
+    .filter(
+      (param) =>
+        CREDENTIAL_PARAMS.indexOf(param.split("=")[0].toLowerCase()) === -1
+    );
+
+  return `${value.slice(0, start)}${params.join("&")}`.replace(/\?$/, "");
+}
+
+/**
+ * Replaces the credentials in a JSON response, for example the tokens returned by `generateToken` and `oauth2/token`.
+ */
+function redactCredentials(body: string) {
+  return body.replace(
+    /"(token|access_token|refresh_token|password|client_secret)"(\s*):(\s*)"[^"]*"/g,
+    `"$1"$2:$3"${REDACTED}"`
+  );
+}
+
+function getRequestKey(method: string, url: string, body?: string) {
+  return `${method.toUpperCase()} ${url} ${body || ""}`;
+}
+
+/**
+ * Records requests made by `@esri/arcgis-rest-js` and replays them later without a network connection. Pass {@linkcode FixtureRecorder.fetch} as the `fetch` option of a request or set it as a default with {@linkcode setDefaultRequestOptions}.
+ *
+ * ```js
+ * import { writeFileSync } from "fs";
+ * import { FixtureRecorder, setDefaultRequestOptions } from "@esri/arcgis-rest-request";
+ *
+ * const recorder = new FixtureRecorder({ mode: "record" });
+ * setDefaultRequestOptions({ fetch: recorder.fetch });
+ *
+ * await queryFeatures({ url, where: "1=1" });
+ *
+ * writeFileSync("fixtures/query.json", recorder.serialize());
+ * ```
+ *
+ * Later, in a test:
+ *
+ * ```js
+ * import { readFileSync } from "fs";
+ *
+ * const recorder = FixtureRecorder.deserialize(readFileSync("fixtures/query.json", "utf8"));
+ *
+ * // answered from the fixture
+ * queryFeatures({ url, where: "1=1", fetch: recorder.fetch });
+ * ```
+ *
+ * Tokens, passwords, client secrets, refresh tokens and authorization codes are removed from recorded requests and replaced in recorded responses, so fixtures can be committed and replayed requests match regardless of the credentials they use. Identical requests are replayed in the order they were recorded and the last recording is repeated once they run out, which allows polling workflows such as {@linkcode Job} to be replayed. Response bodies are stored as text so binary responses cannot be recorded.
+ */
+export class FixtureRecorder {
+  /**
+   * Creates a `FixtureRecorder` in `"replay"` mode from a string created with {@linkcode FixtureRecorder.serialize}.
+   *
+   * @param serializedFixtures A JSON string of fixtures.
+   * @returns A new `FixtureRecorder` in `"replay"` mode.
+   */
+  static deserialize(serializedFixtures: string) {
+    return new FixtureRecorder({
+      mode: "replay",
+      fixtures: JSON.parse(serializedFixtures)
+    });
+  }
+
+  /**
+   * Whether this recorder is recording or replaying requests.
+   */
+  public readonly mode: "record" | "replay";
+
+  /**
+   * The recorded fixtures.
+   */
+  public readonly fixtures: IFixture[];
+
+  private sourceFetch: (
+    input: RequestInfo,
+    init?: RequestInit
+  ) => Promise<Response>;
+
+  /**
+   * The number of times each request has been replayed.
+   */
+  private replayCounts: { [key: string]: number } = {};
+
+  constructor(options: IFixtureRecorderOptions) {
+    this.mode = options.mode;
+    this.fixtures = options.fixtures ? [...options.fixtures] : [];
+    this.sourceFetch = options.fetch;
+  }
+
+  /**
+   * A `fetch` compatible function that records or replays requests depending on the `mode` of the recorder.
+   */
+  fetch = (input: RequestInfo, init: RequestInit = {}): Promise<Response> => {
+    const method = init.method || "GET";
+    const url = removeCredentials(
+      typeof input === "string" ? input : input.url
+    );
+    const body =
+      typeof init.body === "string" ? removeCredentials(init.body) : undefined;
+
+    return this.mode === "replay"
+      ? this.replay(method, url, body)
+      : this.record(input, init, method, url, body);
+  };
+
+  /**
+   * Converts the fixtures to a JSON string that can be saved to a file and loaded with {@linkcode FixtureRecorder.deserialize}.
+   *
+   * @returns A JSON string of the fixtures.
+   */
+  serialize() {
+    return JSON.stringify(this.fixtures, null, 2);
+  }
+
+  /**
+   * Returns the fixtures as plain JavaScript objects.
+   */
+  toJSON(): IFixture[] {
+    return this.fixtures;
+  }
+
+  private record(
+    input: RequestInfo,
+    init: RequestInit,
+    method: string,
+    url: string,
+    body: string
+  ): Promise<Response> {
+    /* istanbul ignore next - we don't test for the absence of global fetch */
+    const fetchPromise = this.sourceFetch
+      ? this.sourceFetch(input, init)
+      : globalThis.fetch
+      ? globalThis.fetch(input, init)
+      : getFetch().then(({ fetch }) => fetch(input, init));
+
+    return fetchPromise.then((response) => {
+      return response
+        .clone()
+        .text()
+        .then((text) => {
+          const headers: { [key: string]: string } = {};
+          response.headers.forEach((value, key) => {
+            headers[key] = value;
+          });
+
+          this.fixtures.push({
+            request: { method: method.toUpperCase(), url, body },
+            response: {
+              status: response.status,
+              statusText: response.statusText,
+              headers,
+              body: redactCredentials(text)
+            }
+          });
+
+          return response;
+        });
+    });
+  }
+
+  private replay(method: string, url: string, body: string): Promise<Response> {
+    const key = getRequestKey(method, url, body);
+    const matches = this.fixtures.filter(
+      (fixture) =>
+        getRequestKey(
+          fixture.request.method,
+          fixture.request.url,
+          fixture.request.body
+        ) === key
+    );
+
+    if (!matches.length) {
+      return Promise.reject(
+        new Error(`No fixture recorded for ${method.toUpperCase()} ${url}`)
+      );
+    }
+
+    const count = this.replayCounts[key] || 0;
+    this.replayCounts[key] = count + 1;
+
+    return Promise.resolve(
+      createResponse(matches[Math.min(count, matches.length - 1)].response)
+    );
+  }
+}
+
+function createResponse({
+  status,
+  statusText,
+  headers,
+  body
+}: IFixture["response"]): Response {
+  /* istanbul ignore else - Response is available in all supported browsers and in Node.js 18+ */
+  if (typeof Response !== "undefined") {
+    return new Response(body, {
+      status,
+      statusText,
+      headers
+    });
+  }
+
+  /* istanbul ignore next */
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText,
+    headers: {
+      get: (name: string) => headers[name.toLowerCase()] || null
+    },
+    json: () => Promise.resolve(JSON.parse(body)),
+    text: () => Promise.resolve(body)
+  } as any;
+}
@@ -0,0 +1,82 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { ICacheEntry, ICacheStore } from "./utils/ICacheStore.js";
+
+/**
+ * Options for the `MemoryCacheStore` constructor.
+ */
+export interface IMemoryCacheStoreOptions {
+  /**
+   * The maximum number of entries to keep. The least recently used entry is removed when this is exceeded. Defaults to `100`.
+   */
+  maxEntries?: number;
+}
+
+/**
+ * An in-memory least recently used implementation of {@linkcode ICacheStore}. This is the default store of the response cache.
+ *
+ * ```js
+ * import { MemoryCacheStore } from "@esri/arcgis-rest-request";
+ * import { getLayer } from "@esri/arcgis-rest-feature-service";
+ *
+ * const store = new MemoryCacheStore({ maxEntries: 500 });
+ *
+ * getLayer({ url, cache: { store } });
+ * ```
+ */
+export class MemoryCacheStore implements ICacheStore {
+  /**
+   * The maximum number of entries to keep.
+   */
+  public readonly maxEntries: number;
+
+  private entries = new Map<string, ICacheEntry>();
+
+  constructor(options: IMemoryCacheStoreOptions = {}) {
+    this.maxEntries = options.maxEntries || 100;
+  }
+
+  /**
+   * The number of entries in the store.
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  get(key: string) {
+    const entry = this.entries.get(key);
+
+    if (entry) {
+      // move the entry to the end so it is the last to be evicted
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+
+    return entry;
+  }
+
+  set(key: string, entry: ICacheEntry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key: string) {
+    this.entries.delete(key);
+  }
+
+  keys() {
+    return Array.from(this.entries.keys());
+  }
+
+  /**
+   * Removes all entries from the store.
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
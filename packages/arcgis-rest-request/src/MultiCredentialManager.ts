@@ -0,0 +1,300 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { IAuthenticationManager } from "./utils/IAuthenticationManager.js";
+import { ITokenRequestOptions } from "./utils/ITokenRequestOptions.js";
+import { cleanUrl } from "./utils/clean-url.js";
+import { ArcGISIdentityManager } from "./ArcGISIdentityManager.js";
+import { ApiKeyManager } from "./ApiKeyManager.js";
+
+/**
+ * Options for the {@linkcode MultiCredentialManager} constructor.
+ */
+export interface IMultiCredentialManagerOptions {
+  /**
+   * The manager used for URLs that do not match any registered manager. Usually the {@linkcode ArcGISIdentityManager} of the main portal since it also handles the servers federated with the portal. Requests to unmatched URLs are sent without a token if there is no default manager.
+   */
+  defaultManager?: IAuthenticationManager;
+}
+
+/**
+ * A serialized manager in {@linkcode IMultiCredentialManagerJSON}.
+ */
+export interface ISerializedCredential {
+  /**
+   * The URL prefix the manager was registered for. Not set for the default manager.
+   */
+  url?: string;
+  type: "ArcGISIdentityManager" | "ApiKeyManager";
+  options: any;
+}
+
+/**
+ * Returned by {@linkcode MultiCredentialManager.toJSON}.
+ */
+export interface IMultiCredentialManagerJSON {
+  defaultManager?: ISerializedCredential;
+  managers: ISerializedCredential[];
+}
+
+/**
+ * Normalizes a URL for prefix matching by removing the protocol, query string and trailing slashes and lowercasing the domain.
+ */
+function normalizeUrl(url: string) {
+  const [path] = cleanUrl(url)
+    .replace(/^(https?:)?\/\//i, "")
+    .split(/[?#]/);
+  const [domain, ...rest] = path.split("/");
+
+  return [domain.toLowerCase(), ...rest].join("/").replace(/\/+$/, "");
+}
+
+/**
+ * Returns `true` if `url` is `prefix` or is below `prefix`. Both URLs must be normalized.
+ */
+function matchesPrefix(url: string, prefix: string) {
+  return url === prefix || url.indexOf(`${prefix}/`) === 0;
+}
+
+function serializeManager(
+  manager: IAuthenticationManager,
+  url?: string
+): ISerializedCredential {
+  if (manager instanceof ArcGISIdentityManager) {
+    return { url, type: "ArcGISIdentityManager", options: manager.toJSON() };
+  }
+
+  if (manager instanceof ApiKeyManager) {
+    return { url, type: "ApiKeyManager", options: manager.toJSON() };
+  }
+
+  throw new Error(
+    "Only ArcGISIdentityManager and ApiKeyManager can be serialized."
+  );
+}
+
+function deserializeManager({
+  type,
+  options
+}: ISerializedCredential): IAuthenticationManager {
+  if (type === "ApiKeyManager") {
+    return new ApiKeyManager(options);
+  }
+
+  return ArcGISIdentityManager.deserialize(JSON.stringify(options));
+}
+
+/**
+ * Holds several authentication managers and API keys and uses the one registered for the longest matching URL prefix for each request, similar to `registerToken` and `findCredential` of the [`IdentityManager` in the ArcGIS API for JavaScript](https://developers.arcgis.com/javascript/latest/api-reference/esri-identity-IdentityManager.html). Use it when an app talks to standalone ArcGIS Server sites or several portals with different credentials.
+ *
+ * ```js
+ * import {
+ *   ApiKeyManager,
+ *   ArcGISIdentityManager,
+ *   MultiCredentialManager,
+ *   request
+ * } from "@esri/arcgis-rest-request";
+ *
+ * const authentication = new MultiCredentialManager({ defaultManager: portalManager })
+ *   .register(serverManager, "https://gis.example.com/arcgis")
+ *   .register(ApiKeyManager.fromKey(key), "https://basemaps.example.com/arcgis/rest/services");
+ *
+ * // uses the token of serverManager
+ * request("https://gis.example.com/arcgis/rest/services/Parcels/FeatureServer/0", { authentication });
+ * ```
+ *
+ * Matching ignores the protocol, the case of the domain, query strings and trailing slashes. URLs are only matched at path boundaries so `https://gis.example.com/arcgis` does not match `https://gis.example.com/arcgis2`.
+ */
+export class MultiCredentialManager implements IAuthenticationManager {
+  /**
+   * Creates a `MultiCredentialManager` from the JSON returned by {@linkcode MultiCredentialManager.serialize}.
+   */
+  public static deserialize(str: string) {
+    const json: IMultiCredentialManagerJSON = JSON.parse(str);
+
+    const manager = new MultiCredentialManager({
+      defaultManager: json.defaultManager
+        ? deserializeManager(json.defaultManager)
+        : undefined
+    });
+
+    json.managers.forEach((credential) => {
+      manager.register(deserializeManager(credential), credential.url);
+    });
+
+    return manager;
+  }
+
+  /**
+   * The manager used for URLs that do not match any registered manager.
+   */
+  public readonly defaultManager: IAuthenticationManager;
+
+  private managers: Array<{
+    url: string;
+    prefix: string;
+    manager: IAuthenticationManager;
+  }> = [];
+
+  constructor(options: IMultiCredentialManagerOptions = {}) {
+    this.defaultManager = options.defaultManager;
+  }
+
+  /**
+   * The portal of the default manager. Defaults to `https://www.arcgis.com/sharing/rest`.
+   */
+  get portal() {
+    return this.defaultManager
+      ? this.defaultManager.portal
+      : "https://www.arcgis.com/sharing/rest";
+  }
+
+  /**
+   * Returns `true` if any of the managers can be refreshed.
+   */
+  get canRefresh() {
+    return this.getAllManagers().some((manager) => !!manager.canRefresh);
+  }
+
+  /**
+   * Uses `manager` for requests to `url` and any URL below it. A manager can be registered for several URLs. If `url` is not passed the `server` of an {@linkcode ArcGISIdentityManager} or the root of the `portal` of the manager is used. Registering a URL again replaces its manager.
+   *
+   * @param manager The manager to use.
+   * @param url The URL prefix to use the manager for.
+   * @returns This `MultiCredentialManager` so calls can be chained.
+   */
+  public register(manager: IAuthenticationManager, url?: string) {
+    const managerUrl =
+      url ||
+      (manager as any).server ||
+      manager.portal.replace(/\/sharing\/rest\/?$/i, "");
+    const prefix = normalizeUrl(managerUrl);
+
+    this.unregister(managerUrl);
+    this.managers.push({ url: managerUrl, prefix, manager });
+
+    return this;
+  }
+
+  /**
+   * Stops using the manager registered for `url`.
+   *
+   * @param url The URL prefix the manager was registered for.
+   */
+  public unregister(url: string) {
+    const prefix = normalizeUrl(url);
+    this.managers = this.managers.filter((entry) => entry.prefix !== prefix);
+  }
+
+  /**
+   * Returns the manager that will be used for a request to `url`. This is the manager registered for the longest prefix of `url` or the default manager if no prefix matches.
+   *
+   * @param url The URL of the request.
+   */
+  public findManager(url: string): IAuthenticationManager | undefined {
+    const normalized = normalizeUrl(url);
+
+    const match = this.managers
+      .filter(({ prefix }) => matchesPrefix(normalized, prefix))
+      .sort((a, b) => b.prefix.length - a.prefix.length)[0];
+
+    return match ? match.manager : this.defaultManager;
+  }
+
+  /**
+   * Returns a token from the manager for `url`. Resolves with an empty string so the request is sent without a token if there is no manager for `url`.
+   */
+  public getToken(
+    url: string,
+    requestOptions?: ITokenRequestOptions
+  ): Promise<string> {
+    const manager = this.findManager(url);
+
+    return manager
+      ? manager.getToken(url, requestOptions)
+      : Promise.resolve("");
+  }
+
+  /**
+   * Returns the [`credentials`](https://developer.mozilla.org/en-US/docs/Web/API/fetch) option from the manager for `url`.
+   */
+  public getDomainCredentials(url: string): RequestCredentials {
+    const manager = this.findManager(url);
+
+    return manager && manager.getDomainCredentials
+      ? manager.getDomainCredentials(url)
+      : "same-origin";
+  }
+
+  /**
+   * Returns the username of the default manager.
+   */
+  public getUsername(): Promise<string> {
+    const manager = this.defaultManager as any;
+
+    return manager && manager.getUsername
+      ? manager.getUsername()
+      : Promise.reject(
+          new Error("The default manager does not have a username.")
+        );
+  }
+
+  /**
+   * Refreshes the credentials of every manager that can be refreshed. When `url` is passed only the manager for `url` is refreshed. `request` passes the URL of a request that failed because its token expired so sessions on other hosts are left alone.
+   *
+   * @param requestOptions Options for the token requests.
+   * @param url The URL of the request that needs new credentials.
+   */
+  public refreshCredentials(
+    requestOptions?: ITokenRequestOptions,
+    url?: string
+  ): Promise<this> {
+    if (url) {
+      const manager = this.findManager(url);
+
+      // the request is sent again and fails with the original error if its manager cannot be refreshed
+      return manager && manager.canRefresh && manager.refreshCredentials
+        ? manager.refreshCredentials(requestOptions).then(() => this)
+        : Promise.resolve(this);
+    }
+
+    return Promise.all(
+      this.getAllManagers()
+        .filter((manager) => manager.canRefresh && manager.refreshCredentials)
+        .map((manager) => manager.refreshCredentials(requestOptions))
+    ).then(() => this);
+  }
+
+  /**
+   * Returns a JSON object with every manager. Only {@linkcode ArcGISIdentityManager} and {@linkcode ApiKeyManager} can be serialized.
+   */
+  public toJSON(): IMultiCredentialManagerJSON {
+    return {
+      defaultManager: this.defaultManager
+        ? serializeManager(this.defaultManager)
+        : undefined,
+      managers: this.managers.map(({ url, manager }) =>
+        serializeManager(manager, url)
+      )
+    };
+  }
+
+  /**
+   * Serializes every manager to a string that can be passed to {@linkcode MultiCredentialManager.deserialize}. The string contains tokens, refresh tokens, passwords and API keys so store it securely.
+   */
+  public serialize() {
+    return JSON.stringify(this);
+  }
+
+  /**
+   * Returns the default manager and the registered managers without duplicates.
+   */
+  private getAllManagers() {
+    return [this.defaultManager]
+      .concat(this.managers.map(({ manager }) => manager))
+      .filter(
+        (manager, index, managers) =>
+          !!manager && managers.indexOf(manager) === index
+      );
+  }
+}
@@ -0,0 +1,216 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { createAbortError } from "./utils/create-abort-error.js";
+
+/**
+ * Options for the `RequestScheduler` constructor.
+ */
+export interface IRequestSchedulerOptions {
+  /**
+   * The maximum number of requests that can be in flight to a single host. Defaults to `6`.
+   */
+  maxConcurrentPerHost?: number;
+
+  /**
+   * Share one network round-trip between identical GET requests that are in flight at the same time. Defaults to `true`.
+   */
+  dedupe?: boolean;
+}
+
+/**
+ * Options for {@linkcode RequestScheduler.schedule}.
+ */
+export interface IScheduleOptions<T = any> {
+  /**
+   * Tasks with a higher priority leave the queue first. Tasks with the same priority run in the order they were scheduled. Defaults to `0`.
+   */
+  priority?: number;
+
+  /**
+   * Tasks with the same key that are scheduled while a previous one is queued or in flight share its result.
+   */
+  dedupeKey?: string;
+
+  /**
+   * Returns a copy of the result for each task that shares the result of another task.
+   */
+  copy?: (result: T) => T;
+
+  /**
+   * Removes the task from the queue if it is aborted before it starts.
+   */
+  signal?: AbortSignal;
+}
+
+interface IQueuedTask {
+  priority: number;
+  run: () => void;
+}
+
+/**
+ * Limits the number of requests that are in flight to each host and queues the rest. Pass an instance as the `scheduler` option to individual requests or set it as a default with {@linkcode setDefaultRequestOptions} to throttle all requests.
+ *
+ * ```js
+ * import { RequestScheduler, setDefaultRequestOptions } from "@esri/arcgis-rest-request";
+ *
+ * setDefaultRequestOptions({
+ *   scheduler: new RequestScheduler({ maxConcurrentPerHost: 4 })
+ * });
+ *
+ * // at most 4 requests will be sent to www.arcgis.com at a time
+ * Promise.all(itemIds.map((id) => getItem(id)));
+ *
+ * // jump ahead of queued requests
+ * getItem(id, { priority: 10 });
+ * ```
+ *
+ * Identical GET requests for JSON that are in flight at the same time share a single response. Each caller receives its own copy of the response.
+ */
+export class RequestScheduler {
+  /**
+   * The maximum number of requests that can be in flight to a single host.
+   */
+  public readonly maxConcurrentPerHost: number;
+
+  /**
+   * Whether identical GET requests share one network round-trip.
+   */
+  public readonly dedupe: boolean;
+
+  private active: { [host: string]: number } = {};
+  private queues: { [host: string]: IQueuedTask[] } = {};
+  private shared: { [key: string]: Promise<any> } = {};
+
+  constructor(options: IRequestSchedulerOptions = {}) {
+    this.maxConcurrentPerHost = options.maxConcurrentPerHost || 6;
+    this.dedupe = options.dedupe !== false;
+  }
+
+  /**
+   * Returns the number of requests that are in flight to the host of `url`.
+   */
+  getActiveCount(url: string) {
+    return this.active[getHost(url)] || 0;
+  }
+
+  /**
+   * Returns the number of requests that are waiting to be sent to the host of `url`.
+   */
+  getQueueLength(url: string) {
+    const queue = this.queues[getHost(url)];
+    return queue ? queue.length : 0;
+  }
+
+  /**
+   * Runs `task` as soon as fewer than `maxConcurrentPerHost` tasks for the host of `url` are in flight.
+   *
+   * @param url The URL of the request. Only the host is used.
+   * @param task Function that sends the request.
+   * @param options Priority, deduplication and abort options for the task.
+   * @returns A Promise that resolves or rejects with the result of `task`.
+   */
+  schedule<T>(
+    url: string,
+    task: () => Promise<T>,
+    options: IScheduleOptions<T> = {}
+  ): Promise<T> {
+    const { dedupeKey, copy } = options;
+
+    if (this.dedupe && dedupeKey) {
+      if (this.shared[dedupeKey]) {
+        return this.shared[dedupeKey].then((result) =>
+          copy ? copy(result) : result
+        );
+      }
+
+      const promise = this.enqueue(getHost(url), task, options);
+
+      const release = () => {
+        delete this.shared[dedupeKey];
+      };
+
+      this.shared[dedupeKey] = promise;
+      promise.then(release, release);
+
+      return promise;
+    }
+
+    return this.enqueue(getHost(url), task, options);
+  }
+
+  private enqueue<T>(
+    host: string,
+    task: () => Promise<T>,
+    { priority = 0, signal }: IScheduleOptions<T>
+  ): Promise<T> {
+    return new Promise<T>((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(createAbortError());
+        return;
+      }
+
+      const onAbort = () => {
+        this.queues[host] = this.queues[host].filter(
+          (queued) => queued !== queuedTask
+        );
+        reject(createAbortError());
+      };
+
+      const queuedTask: IQueuedTask = {
+        priority,
+        run: () => {
+          if (signal) {
+            signal.removeEventListener("abort", onAbort);
+          }
+
+          this.active[host] = (this.active[host] || 0) + 1;
+
+          const done = () => {
+            this.active[host]--;
+            this.next(host);
+          };
+
+          new Promise<T>((taskResolve) => taskResolve(task())).then(
+            (result) => {
+              done();
+              resolve(result);
+            },
+            (error) => {
+              done();
+              reject(error);
+            }
+          );
+        }
+      };
+
+      if (signal) {
+        signal.addEventListener("abort", onAbort);
+      }
+
+      const queue = this.queues[host] || (this.queues[host] = []);
+
+      // insert after every task with the same or a higher priority
+      const index = queue.findIndex((queued) => queued.priority < priority);
+      queue.splice(index === -1 ? queue.length : index, 0, queuedTask);
+
+      this.next(host);
+    });
+  }
+
+  private next(host: string) {
+    const queue = this.queues[host];
+
+    while (
+      queue.length &&
+      (this.active[host] || 0) < this.maxConcurrentPerHost
+    ) {
+      queue.shift().run();
+    }
+  }
+}
+
+function getHost(url: string) {
+  const match = url.match(/^[a-z][a-z0-9+.-]*:\/\/([^/?#]+)/i);
+  return match ? match[1].toLowerCase() : "";
+}
@@ -0,0 +1,57 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { ICredentialStore } from "./utils/ICredentialStore.js";
+
+/**
+ * An {@linkcode ICredentialStore} backed by a [Web Storage](https://developer.mozilla.org/en-US/docs/Web/API/Web_Storage_API) object. Use {@linkcode LocalStorageCredentialStore} or {@linkcode SessionStorageCredentialStore} in browsers and Electron renderer processes.
+ */
+export class WebStorageCredentialStore implements ICredentialStore {
+  private storage: Storage;
+
+  constructor(storage: Storage) {
+    this.storage = storage;
+  }
+
+  get(key: string) {
+    return this.storage.getItem(key);
+  }
+
+  set(key: string, value: string) {
+    this.storage.setItem(key, value);
+  }
+
+  delete(key: string) {
+    this.storage.removeItem(key);
+  }
+}
+
+/**
+ * Stores credentials in `localStorage` so they are kept after the browser is closed.
+ *
+ * ```js
+ * import { ArcGISIdentityManager, LocalStorageCredentialStore } from "@esri/arcgis-rest-request";
+ *
+ * const store = new LocalStorageCredentialStore();
+ *
+ * const manager =
+ *   (await ArcGISIdentityManager.fromStorage(store)) ||
+ *   (await ArcGISIdentityManager.beginOAuth2(options));
+ *
+ * await manager.enableStorage(store);
+ * ```
+ */
+export class LocalStorageCredentialStore extends WebStorageCredentialStore {
+  constructor(win = window) {
+    super(win.localStorage);
+  }
+}
+
+/**
+ * Stores credentials in `sessionStorage` so they are removed when the browser tab is closed.
+ */
+export class SessionStorageCredentialStore extends WebStorageCredentialStore {
+  constructor(win = window) {
+    super(win.sessionStorage);
+  }
+}
@@ -0,0 +1,244 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { request } from "./request.js";
+import { cleanUrl } from "./utils/clean-url.js";
+import { IRequestOptions } from "./utils/IRequestOptions.js";
+import { ArcGISGPValidationError } from "./utils/ArcGISGPValidationError.js";
+import { encodeGPParameters } from "./utils/gp-parameters.js";
+import { getGPDataTypes } from "./utils/get-gp-data-types.js";
+import { IGPParameterInfo, IGPParameterValue, IGPTask } from "./types/gp.js";
+
+const MULTI_VALUE_PREFIX = "GPMultiValue:";
+
+/**
+ * Parameters accepted by every geoprocessing task in addition to the parameters of the task. Environment settings such as `env:outSR` are also accepted.
+ */
+const COMMON_PARAMETERS = [
+  "context",
+  "returnZ",
+  "returnM",
+  "returnTrueCurves",
+  "returnFeatureCollection",
+  "returnColumnNames"
+];
+
+/**
+ * Options for {@linkcode executeTask}.
+ */
+export interface IExecuteTaskOptions extends IRequestOptions {
+  /**
+   * The URL of the task with or without `/execute`.
+   */
+  url: string;
+
+  /**
+   * The input parameters of the task. Values are encoded with {@linkcode encodeGPParameters}.
+   */
+  params?: { [name: string]: any };
+
+  /**
+   * The task description returned by {@linkcode getGPTask}. When set the parameters are checked with {@linkcode validateGPParameters} and encoded with the data types of the task before the request is sent.
+   */
+  task?: IGPTask;
+}
+
+/**
+ * The response of a synchronous geoprocessing task.
+ */
+export interface IExecuteTaskResponse {
+  results: IGPParameterValue[];
+  messages: Array<{
+    type: string;
+    description: string;
+  }>;
+}
+
+/**
+ * Gets the description of a geoprocessing task including the name, data type, direction, default value and choice list of each of its parameters. See the [GP task](https://developers.arcgis.com/rest/services-reference/enterprise/gp-task.htm) documentation for more information.
+ *
+ * ```js
+ * import { getGPTask } from "@esri/arcgis-rest-request";
+ *
+ * getGPTask("https://sampleserver6.arcgisonline.com/arcgis/rest/services/Elevation/ESRI_Elevation_World/GPServer/Viewshed")
+ *   .then((task) => {
+ *     task.parameters.forEach((parameter) => console.log(parameter.name, parameter.dataType));
+ *   });
+ * ```
+ *
+ * @param url The URL of the task.
+ * @param requestOptions Options for the request.
+ * @returns A Promise that will resolve with the description of the task.
+ */
+export function getGPTask(
+  url: string,
+  requestOptions?: IRequestOptions
+): Promise<IGPTask> {
+  return request(cleanUrl(url), requestOptions);
+}
+
+/**
+ * Returns a description of the problem with the value of a parameter or `undefined` if the value is valid for the data type and choice list of the parameter.
+ */
+function getValueError(parameter: IGPParameterInfo, value: any): string {
+  const { name, dataType, choiceList } = parameter;
+
+  if (dataType.indexOf(MULTI_VALUE_PREFIX) === 0) {
+    if (!Array.isArray(value)) {
+      return `${name} must be an array.`;
+    }
+
+    const itemParameter = {
+      ...parameter,
+      dataType: dataType.slice(MULTI_VALUE_PREFIX.length)
+    } as IGPParameterInfo;
+
+    return value
+      .map((item) => getValueError(itemParameter, item))
+      .filter((error) => !!error)[0];
+  }
+
+  // the choice lists of numeric parameters are returned as strings
+  const choice =
+    dataType === "GPLong" || dataType === "GPDouble" ? String(value) : value;
+
+  if (choiceList && choiceList.length && choiceList.indexOf(choice) === -1) {
+    return `${name} must be one of ${choiceList.join(", ")}.`;
+  }
+
+  const isObject = typeof value === "object" && !Array.isArray(value);
+
+  switch (dataType) {
+    case "GPLong":
+      return Number.isInteger(Number(value)) && value !== ""
+        ? undefined
+        : `${name} must be an integer.`;
+    case "GPDouble":
+      return isNaN(Number(value)) || value === ""
+        ? `${name} must be a number.`
+        : undefined;
+    case "GPBoolean":
+      return typeof value === "boolean" || value === "true" || value === "false"
+        ? undefined
+        : `${name} must be a boolean.`;
+    case "GPDate":
+      return isNaN(new Date(value).getTime())
+        ? `${name} must be a date.`
+        : undefined;
+    case "GPLinearUnit":
+      return isObject && typeof value.distance === "number" && value.units
+        ? undefined
+        : `${name} must have a distance and units.`;
+    case "GPDataFile":
+    case "GPRasterDataLayer":
+      return typeof value === "string" ||
+        (isObject && (value.url || value.itemID))
+        ? undefined
+        : `${name} must be a URL, an item id or an object with a url or itemID.`;
+    case "GPFeatureRecordSetLayer":
+    case "GPRecordSet":
+      return typeof value === "string" ||
+        Array.isArray(value) ||
+        (isObject && (Array.isArray(value.features) || value.url))
+        ? undefined
+        : `${name} must be a URL, an array of features or an object with features or a url.`;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Checks the parameters of a geoprocessing request against the description of the task returned by {@linkcode getGPTask}. Throws an {@linkcode ArcGISGPValidationError} listing every unknown parameter, missing required parameter, value that is not in the choice list of its parameter and value that does not match the data type of its parameter.
+ *
+ * ```js
+ * import { getGPTask, validateGPParameters } from "@esri/arcgis-rest-request";
+ *
+ * const task = await getGPTask(url);
+ *
+ * validateGPParameters(task, { Input_Observation_Point: features });
+ * ```
+ *
+ * @param task The description of the task.
+ * @param params The parameters of the request.
+ */
+export function validateGPParameters(
+  task: IGPTask,
+  params: { [name: string]: any } = {}
+) {
+  const inputs = task.parameters.filter(
+    (parameter) => parameter.direction === "esriGPParameterDirectionInput"
+  );
+  const isMissing = (value: any) =>
+    value === undefined || value === null || value === "";
+
+  const unknownErrors = Object.keys(params)
+    .filter(
+      (name) =>
+        name.indexOf("env:") !== 0 &&
+        COMMON_PARAMETERS.indexOf(name) === -1 &&
+        !inputs.some((parameter) => parameter.name === name)
+    )
+    .map((name) => `${name} is not a parameter of ${task.name}.`);
+
+  const parameterErrors = inputs.map((parameter) => {
+    const value = params[parameter.name];
+
+    if (isMissing(value)) {
+      return parameter.parameterType === "esriGPParameterTypeRequired" &&
+        isMissing(parameter.defaultValue)
+        ? `${parameter.name} is required.`
+        : undefined;
+    }
+
+    return getValueError(parameter, value);
+  });
+
+  const errors = unknownErrors.concat(parameterErrors).filter((e) => !!e);
+
+  if (errors.length) {
+    throw new ArcGISGPValidationError(errors);
+  }
+}
+
+/**
+ * Runs a synchronous geoprocessing task. See the [execute](https://developers.arcgis.com/rest/services-reference/enterprise/execute-gp-task.htm) documentation for more information. Use {@linkcode Job.submitJob} for asynchronous tasks.
+ *
+ * ```js
+ * import { getGPTask, executeTask, decodeGPValue } from "@esri/arcgis-rest-request";
+ *
+ * const task = await getGPTask(url);
+ *
+ * const { results } = await executeTask({
+ *   url,
+ *   task,
+ *   params: { Input_Observation_Point: features, Viewshed_Distance: { distance: 5, units: "esriMiles" } }
+ * });
+ *
+ * const viewshed = decodeGPValue(results[0]);
+ * ```
+ *
+ * When `task` is set an {@linkcode ArcGISGPValidationError} is thrown before the request is sent if the parameters do not match the task.
+ *
+ * @param requestOptions Options for the request including the `url` and `params` of the task.
+ * @returns A Promise that will resolve with the results and messages of the task.
+ */
+export function executeTask(
+  requestOptions: IExecuteTaskOptions
+): Promise<IExecuteTaskResponse> {
+  const { url, params = {}, task, ...options } = requestOptions;
+
+  try {
+    if (task) {
+      validateGPParameters(task, params);
+    }
+  } catch (e) {
+    return Promise.reject(e);
+  }
+
+  const executeUrl = `${cleanUrl(url.replace(/\/execute\/?$/, ""))}/execute`;
+
+  return request(executeUrl, {
+    ...options,
+    params: encodeGPParameters(params, task ? getGPDataTypes(task) : {})
+  });
+}
@@ -7,6 +7,12 @@ export * from "./utils/ArcGISRequestError.js";
 export * from "./utils/ArcGISTokenRequestError.js";
 export * from "./utils/ArcGISAccessDeniedError.js";
 export * from "./utils/ArcGISJobError.js";
+export * from "./utils/ArcGISNotFoundError.js";
+export * from "./utils/ArcGISPermissionDeniedError.js";
+export * from "./utils/ArcGISInvalidParametersError.js";
+export * from "./utils/ArcGISRateLimitError.js";
+export * from "./utils/ArcGISServiceUnavailableError.js";
+export * from "./utils/ArcGISGPValidationError.js";
 export * from "./utils/clean-url.js";
 export * from "./utils/encode-form-data.js";
 export * from "./utils/encode-query-string.js";
@@ -21,14 +27,30 @@ export * from "./utils/IParams.js";
 export * from "./utils/IParamBuilder.js";
 export * from "./utils/IParamsBuilder.js";
 export * from "./utils/IRequestOptions.js";
+export * from "./utils/IRequestInterceptor.js";
 export * from "./utils/ITokenRequestOptions.js";
 export * from "./utils/process-params.js";
 export * from "./utils/ResponseFormats.js";
 export * from "./utils/retryAuthError.js";
+export * from "./utils/IRetryOptions.js";
+export * from "./utils/retry.js";
+export * from "./utils/ICacheStore.js";
+export * from "./utils/cache.js";
+export * from "./utils/proxy-rules.js";
 export * from "./utils/warn.js";
+export * from "./utils/wait.js";
 export * from "./ApplicationCredentialsManager.js";
 export * from "./ApiKeyManager.js";
+export * from "./MemoryCacheStore.js";
+export * from "./utils/ICredentialStore.js";
+export * from "./WebStorageCredentialStore.js";
+export * from "./FileCredentialStore.js";
+export * from "./EncryptedCredentialStore.js";
+export * from "./RequestScheduler.js";
+export * from "./FixtureRecorder.js";
 export * from "./ArcGISIdentityManager.js";
+export * from "./sign-in-with-loopback.js";
+export * from "./MultiCredentialManager.js";
 export * from "./fetch-token.js";
 export * from "./authenticated-request-options.js";
 export * from "./app-tokens.js";
@@ -36,6 +58,8 @@ export * from "./validate-app-access.js";
 export * from "./federation-utils.js";
 export * from "./revoke-token.js";
 export * from "./job.js";
+export * from "./utils/gp-parameters.js";
+export * from "./gp-task.js";
 export * from "./utils/with-options.js";
 
 export * from "./types/feature.js";
@@ -45,6 +69,8 @@ export * from "./types/service.js";
 export * from "./types/group.js";
 export * from "./types/user.js";
 export * from "./types/job-statuses.js";
+export * from "./types/gp.js";
+export * from "./types/auth-events.js";
 
 export * from "@esri/arcgis-rest-fetch";
 export * from "@esri/arcgis-rest-form-data";
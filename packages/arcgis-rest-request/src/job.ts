@@ -1,10 +1,17 @@
 import { request } from "./request.js";
 import { cleanUrl } from "./utils/clean-url.js";
 import { ArcGISJobError } from "./utils/ArcGISJobError.js";
+import { ArcGISRequestError } from "./utils/ArcGISRequestError.js";
 import { JOB_STATUSES } from "./types/job-statuses.js";
 import { IAuthenticationManager } from "./utils/IAuthenticationManager.js";
 import mitt from "mitt";
 import { processJobParams } from "./utils/process-job-params.js";
+import { createAbortError } from "./utils/create-abort-error.js";
+import { wait } from "./utils/wait.js";
+import { decodeGPValue } from "./utils/gp-parameters.js";
+import { validateGPParameters } from "./gp-task.js";
+import { getGPDataTypes } from "./utils/get-gp-data-types.js";
+import { IGPTask } from "./types/gp.js";
 
 /**
  * Options for creating a new {@linkcode Job}.
@@ -26,10 +33,20 @@ export interface IJobOptions {
   startMonitoring?: boolean;
 
   /**
-   * Rate in milliseconds to poll for job status changes. Defaults to `2000`.
+   * Rate in milliseconds to poll for job status changes. Polling slows down by `pollingBackoff` each time the status of the job does not change and returns to this rate when it does. Defaults to `2000`.
    */
   pollingRate?: number;
 
+  /**
+   * The longest time in milliseconds to wait between status checks. Defaults to `30000`.
+   */
+  maxPollingRate?: number;
+
+  /**
+   * The factor the time between status checks is multiplied by when the status of the job does not change. Use `1` to poll at a fixed `pollingRate`. Defaults to `1.5`.
+   */
+  pollingBackoff?: number;
+
   /**
    * Authentication manager or access token to use for all job requests.
    */
@@ -45,6 +62,11 @@ export interface ISubmitJobOptions {
    */
   params: any;
 
+  /**
+   * The task description returned by {@linkcode getGPTask}. When set the parameters are checked with {@linkcode validateGPParameters} and encoded with the data types of the task before the job is submitted.
+   */
+  task?: IGPTask;
+
   /**
    * The base URL of the job without `/submitJob` or a trailing job id.
    */
@@ -56,10 +78,20 @@ export interface ISubmitJobOptions {
   startMonitoring?: boolean;
 
   /**
-   * Rate in milliseconds to poll for job status changes. Defaults to `2000`.
+   * Rate in milliseconds to poll for job status changes. Polling slows down by `pollingBackoff` each time the status of the job does not change and returns to this rate when it does. Defaults to `2000`.
    */
   pollingRate?: number;
 
+  /**
+   * The longest time in milliseconds to wait between status checks. Defaults to `30000`.
+   */
+  maxPollingRate?: number;
+
+  /**
+   * The factor the time between status checks is multiplied by when the status of the job does not change. Use `1` to poll at a fixed `pollingRate`. Defaults to `1.5`.
+   */
+  pollingBackoff?: number;
+
   /**
    * Authentication manager or access token to use for all job requests.
    */
@@ -111,11 +143,65 @@ export interface IJobInfo {
   };
 }
 
+/**
+ * Options for {@linkcode Job.waitForCompletion} and {@linkcode Job.statusUpdates}.
+ */
+export interface IJobWaitOptions {
+  /**
+   * An [`AbortSignal`](https://developer.mozilla.org/en-US/docs/Web/API/AbortSignal) that stops waiting for the job. When the signal is aborted the job is cancelled with {@linkcode Job.cancelJob} and the promise rejects with an `AbortError`.
+   */
+  signal?: AbortSignal;
+
+  /**
+   * The maximum time in milliseconds to wait for the job to finish. When it elapses the promise rejects with an {@linkcode ArcGISJobError} but the job keeps running.
+   */
+  timeout?: number;
+
+  /**
+   * Cancel the job when `signal` is aborted. Defaults to `true`.
+   */
+  cancelOnAbort?: boolean;
+}
+
+/**
+ * Options for {@linkcode Job.getResult} and {@linkcode Job.getAllResults}.
+ */
+export interface IJobResultOptions {
+  /**
+   * Return the `value` of each result converted with {@linkcode decodeGPValue} instead of the raw result. Defaults to `false`.
+   */
+  decode?: boolean;
+}
+
 const DefaultJobOptions: Partial<IJobOptions> = {
   pollingRate: 2000,
+  maxPollingRate: 30000,
+  pollingBackoff: 1.5,
   startMonitoring: false
 };
 
+/**
+ * Statuses after which a job will not change again.
+ */
+const FINISHED_STATUSES = [
+  JOB_STATUSES.Success,
+  JOB_STATUSES.Cancelling,
+  JOB_STATUSES.Cancelled,
+  JOB_STATUSES.Failed,
+  JOB_STATUSES.Failure,
+  JOB_STATUSES.TimedOut
+];
+
+/**
+ * Returns `true` if the status, progress or messages of a job changed between two status checks.
+ */
+function hasProgressed(previous: IJobInfo, next: IJobInfo) {
+  const summarize = ({ status, progress, messages }: IJobInfo) =>
+    JSON.stringify([status, progress, messages && messages.length]);
+
+  return summarize(previous) !== summarize(next);
+}
+
 /**
  * Jobs represent long running processing tasks running on ArcGIS Services. Typically these represent complex analysis tasks such as [geoprocessing tasks](https://developers.arcgis.com/rest/services-reference/enterprise/submit-gp-job.htm), [logistics analysis such as fleet routing](https://developers.arcgis.com/rest/network/api-reference/vehicle-routing-problem-service.htm) or [spatial analysis tasks](https://developers.arcgis.com/rest/analysis/api-reference/tasks-overview.htm).
  *
@@ -135,7 +221,19 @@ const DefaultJobOptions: Partial<IJobOptions> = {
  * job.on("status", ({jobStatus}) => {console.log(job.status)})
  * ```
  *
- * By default event monitoring is started when you call {@linkcode Job.waitForCompletion}, {@linkcode Job.getAllResults} or, {@linkcode Job.getResult} and stops automatically when those promises complete. Use {@linkcode Job.startEventMonitoring} and {@linkcode Job.stopEventMonitoring} to manually start and stop event monitoring outside those methods. Starting monitoring with {@linkcode Job.startEventMonitoring} will not stop monitoring when {@linkcode Job.waitForCompletion}, {@linkcode Job.getAllResults} or, {@linkcode Job.getResult} complete.
+ * {@linkcode Job.waitForCompletion}, {@linkcode Job.getAllResults} and {@linkcode Job.getResult} check the status of the job until it finishes and emit status events while they wait. In server code you can also `await` each status change:
+ *
+ * ```js
+ * const controller = new AbortController();
+ *
+ * for await (const jobInfo of job.statusUpdates({ signal: controller.signal })) {
+ *   console.log(jobInfo.status, jobInfo.progress);
+ * }
+ * ```
+ *
+ * Use {@linkcode Job.startEventMonitoring} and {@linkcode Job.stopEventMonitoring} to start and stop emitting status events outside those methods.
+ *
+ * Status checks start at `pollingRate` and slow down by `pollingBackoff` up to `maxPollingRate` while the status of the job does not change.
  */
 export class Job {
   static deserialize(serializeString: string, options?: IJobOptions) {
@@ -148,7 +246,7 @@ export class Job {
     return request(`${jobOptions.url}/jobs/${jobOptions.id}`, {
       authentication: jobOptions.authentication
     }).then(() => {
-      return new Job(jobOptions);
+      return new this(jobOptions);
     });
   }
 
@@ -167,13 +265,15 @@ export class Job {
     return request(`${baseUrl}/jobs/${jobOptions.id}`, {
       authentication: jobOptions.authentication
     }).then(() => {
-      return new Job(jobOptions);
+      return new this(jobOptions);
     });
   }
 
   /**
    * Submits a job request that will return a new instance of {@linkcode Job}.
    *
+   * When `task` is set the promise rejects with an {@linkcode ArcGISGPValidationError} without submitting the job if the parameters do not match the task.
+   *
    * @param requestOptions Requires url and params from requestOptions.
    * @returns An new instance of Job class with the returned job id from submitJob request and requestOptions;
    */
@@ -183,13 +283,27 @@ export class Job {
       params,
       authentication,
       pollingRate,
-      startMonitoring
+      maxPollingRate,
+      pollingBackoff,
+      startMonitoring,
+      task
     }: Partial<ISubmitJobOptions> = {
       ...DefaultJobOptions,
       ...requestOptions
     };
 
-    const processedParams = processJobParams(params);
+    try {
+      if (task) {
+        validateGPParameters(task, params);
+      }
+    } catch (e) {
+      return Promise.reject(e);
+    }
+
+    const processedParams = processJobParams(
+      params,
+      task ? getGPDataTypes(task) : {}
+    );
     const baseUrl = cleanUrl(url.replace(/\/submitJob\/?/, ""));
     const submitUrl = baseUrl + "/submitJob";
     return request(submitUrl, {
@@ -202,7 +316,9 @@ export class Job {
           authentication,
           id: response.jobId,
           startMonitoring,
-          pollingRate
+          pollingRate,
+          maxPollingRate,
+          pollingBackoff
         })
     );
   }
@@ -219,6 +335,14 @@ export class Job {
    * Authentication manager or access token to use for all job requests.
    */
   readonly authentication: IAuthenticationManager | string;
+  /**
+   * The longest time in milliseconds to wait between status checks.
+   */
+  readonly maxPollingRate: number;
+  /**
+   * The factor the time between status checks is multiplied by when the status of the job does not change.
+   */
+  readonly pollingBackoff: number;
 
   /**
    * Internal instance of [`mitt`](https://github.com/developit/mitt) used for event handlers. It is recommended to use {@linkcode Job.on}, {@linkcode Job.off} or {@linkcode Job.once} instead of `emitter.`
@@ -230,17 +354,19 @@ export class Job {
    */
   private _pollingRate: number;
   /**
-   * Private boolean that checks to see if the user enables startMonitoring.
-   */
-  private didUserEnableMonitoring: any;
-  /**
-   * Internal handler for `setInterval()` used when polling.;
+   * Internal handler for the `setTimeout()` of the next status check while monitoring.
    */
-  private setIntervalHandler: any;
-
+  private pollingHandler: any;
 
   constructor(options: IJobOptions) {
-    const { url, id, pollingRate, authentication }: Partial<IJobOptions> = {
+    const {
+      url,
+      id,
+      pollingRate,
+      maxPollingRate,
+      pollingBackoff,
+      authentication
+    }: Partial<IJobOptions> = {
       ...DefaultJobOptions,
       ...options
     };
@@ -250,6 +376,8 @@ export class Job {
     this.id = id;
     this.authentication = authentication;
     this._pollingRate = pollingRate;
+    this.maxPollingRate = maxPollingRate;
+    this.pollingBackoff = pollingBackoff;
     this.emitter = mitt();
 
     if (options.startMonitoring) {
@@ -268,7 +396,7 @@ export class Job {
    * Returns `true` if the job is polling for status changes.
    */
   get isMonitoring() {
-    return !!this.setIntervalHandler;
+    return !!this.pollingHandler;
   }
 
   /**
@@ -352,18 +480,45 @@ export class Job {
    *
    * Reference https://developers.arcgis.com/rest/services-reference/enterprise/geoanalytics-checking-job-status.htm
    */
-  private executePoll = async () => {
+  private executePoll = (): Promise<IJobInfo> => {
+    return this.checkJobStatus().catch((): IJobInfo => undefined);
+  };
+
+  /**
+   * Calls {@linkcode Job.getJobInfo} and emits the status events for the result. Emits {@linkcode JOB_STATUSES.Error} and rethrows if the status cannot be retrieved.
+   */
+  private async checkJobStatus() {
     let result;
     try {
       result = await this.getJobInfo();
     } catch (error) {
       this.emitter.emit(JOB_STATUSES.Error, error);
-      return;
+      throw error;
     }
 
     this.emitter.emit(JOB_STATUSES.Status, result);
     this.emitter.emit(result.status, result);
-  };
+    return result;
+  }
+
+  /**
+   * Returns the time to wait before the next status check. Polling returns to `pollingRate` when the job changes and slows down by `pollingBackoff` up to `maxPollingRate` when it does not.
+   *
+   * @param delay The time waited before the last status check.
+   * @param previous The job info from the status check before the last one.
+   * @param next The job info from the last status check or `undefined` if it failed.
+   */
+  private getNextPollingDelay(
+    delay: number,
+    previous: IJobInfo,
+    next: IJobInfo
+  ) {
+    if (next && (!previous || hasProgressed(previous, next))) {
+      return this.pollingRate;
+    }
+
+    return Math.min(delay * this.pollingBackoff, this.maxPollingRate);
+  }
 
   /**
    * A handler that listens for an eventName and returns custom handler.
@@ -429,17 +584,27 @@ export class Job {
    *
    *  Will throw a {@linkcode ArcGISJobError} if it encounters a cancelled or failure status in the job.
    *
+   * Pass `{ decode: true }` to get the value of the result as a JavaScript value such as a `Date` for `GPDate` results.
+   *
    * @param result The name of the result that you want to retrieve.
+   * @param options Options for reading the result.
    * @returns An object representing the individual result of the job.
    */
-  async getResult(result: string) {
+  async getResult(result: string, options: IJobResultOptions = {}) {
     return this.waitForCompletion().then((jobInfo: any) => {
-      return request(this.jobUrl + "/" + jobInfo.results[result].paramUrl, {
-        authentication: this.authentication
-      });
+      return this.requestResult(jobInfo.results[result].paramUrl, options);
     });
   }
 
+  /**
+   * Requests a result of the job and decodes it if requested.
+   */
+  private requestResult(paramUrl: string, { decode }: IJobResultOptions) {
+    return request(this.jobUrl + "/" + paramUrl, {
+      authentication: this.authentication
+    }).then((result) => (decode ? decodeGPValue(result) : result));
+  }
+
   /**
    * Formats the requestOptions to JSON format.
    *
@@ -450,7 +615,9 @@ export class Job {
       id: this.id,
       url: this.url,
       startMonitoring: this.isMonitoring,
-      pollingRate: this.pollingRate
+      pollingRate: this.pollingRate,
+      maxPollingRate: this.maxPollingRate,
+      pollingBackoff: this.pollingBackoff
     };
   }
 
@@ -481,52 +648,112 @@ export class Job {
    *  })
    * ```
    *
+   * Pass a `signal` to stop waiting and cancel the job and a `timeout` to stop waiting after a number of milliseconds:
+   *
+   * ```js
+   * const controller = new AbortController();
+   *
+   * const jobInfo = await job.waitForCompletion({
+   *   signal: controller.signal,
+   *   timeout: 5 * 60 * 1000
+   * });
+   * ```
+   *
+   * @param options Options to abort or time out waiting for the job.
    * @returns An object with a successful job status, id, and results.
    */
-  async waitForCompletion(): Promise<IJobInfo> {
-    const jobInfo = await this.getJobInfo();
-    if (jobInfo.status === JOB_STATUSES.Success) {
-      return Promise.resolve(jobInfo);
+  async waitForCompletion(options: IJobWaitOptions = {}): Promise<IJobInfo> {
+    let jobInfo: IJobInfo;
+
+    for await (jobInfo of this.statusUpdates(options)) {
+      // wait for the last status
     }
-    //if jobStatus comes back immediately with one of the statuses
-    if (
-      jobInfo.status === JOB_STATUSES.Cancelling ||
-      jobInfo.status === JOB_STATUSES.Cancelled ||
-      jobInfo.status === JOB_STATUSES.Failed ||
-      jobInfo.status === JOB_STATUSES.Failure ||
-      jobInfo.status === JOB_STATUSES.TimedOut
-    ) {
-      this.stopInternalEventMonitoring();
-
-      return Promise.reject(
-        new ArcGISJobError("Job cancelled or failed.", jobInfo)
-      );
+
+    switch (jobInfo.status) {
+      case JOB_STATUSES.Success:
+        return jobInfo;
+      case JOB_STATUSES.Cancelling:
+      case JOB_STATUSES.Cancelled:
+        throw new ArcGISJobError("Job cancelled.", jobInfo);
+      case JOB_STATUSES.TimedOut:
+        throw new ArcGISJobError("Job timed out.", jobInfo);
+      default:
+        throw new ArcGISJobError("Job failed.", jobInfo);
     }
+  }
+
+  /**
+   * Checks the status of the job until it finishes and yields the job information each time it is checked. The status events are emitted for each check.
+   *
+   * ```js
+   * for await (const jobInfo of job.statusUpdates()) {
+   *   console.log(jobInfo.status);
+   * }
+   * ```
+   *
+   * A status check that fails with a network error or a transient error such as an HTTP `503` is tried again after the next delay, other errors are thrown. Breaking out of the loop stops checking the status without cancelling the job. Aborting `signal` cancels the job and throws an `AbortError`. When `timeout` elapses an {@linkcode ArcGISJobError} is thrown and the job keeps running.
+   *
+   * @param options Options to abort or time out waiting for the job.
+   * @returns An async iterator of the job information.
+   */
+  async *statusUpdates(
+    options: IJobWaitOptions = {}
+  ): AsyncGenerator<IJobInfo, void, undefined> {
+    const { signal, timeout, cancelOnAbort = true } = options;
+    const deadline = timeout === undefined ? Infinity : Date.now() + timeout;
+    let delay = this.pollingRate;
+    let previous: IJobInfo;
 
-    //waits to see what the status is if not immediate
-    return new Promise((resolve, reject) => {
-      this.startInternalEventMonitoring();
+    try {
+      while (true) {
+        if (signal && signal.aborted) {
+          throw createAbortError();
+        }
+
+        // the status is checked again after the next delay unless the error is permanent
+        const jobInfo = await this.checkJobStatus().catch((error): IJobInfo => {
+          if (error instanceof ArcGISRequestError && !error.retryable) {
+            throw error;
+          }
+          return undefined;
+        });
 
-      this.once(JOB_STATUSES.Cancelled, (jobInfo) => {
-        this.stopInternalEventMonitoring();
-        reject(new ArcGISJobError("Job cancelled.", jobInfo));
-      });
+        if (signal && signal.aborted) {
+          throw createAbortError();
+        }
 
-      this.once(JOB_STATUSES.TimedOut, (jobInfo) => {
-        this.stopInternalEventMonitoring();
-        reject(new ArcGISJobError("Job timed out.", jobInfo));
-      });
+        if (jobInfo) {
+          yield jobInfo;
 
-      this.once(JOB_STATUSES.Failed, (jobInfo) => {
-        this.stopInternalEventMonitoring();
-        reject(new ArcGISJobError("Job failed.", jobInfo));
-      });
+          if (FINISHED_STATUSES.indexOf(jobInfo.status) > -1) {
+            return;
+          }
+        }
 
-      this.once(JOB_STATUSES.Success, (jobInfo) => {
-        this.stopInternalEventMonitoring();
-        resolve(jobInfo);
-      });
-    });
+        delay = this.getNextPollingDelay(delay, previous, jobInfo);
+        previous = jobInfo || previous;
+
+        if (signal && signal.aborted) {
+          throw createAbortError();
+        }
+
+        if (Date.now() + delay >= deadline) {
+          await wait(Math.max(0, deadline - Date.now()), signal);
+          throw new ArcGISJobError(
+            "Timed out waiting for the job to finish.",
+            previous || { id: this.id, status: JOB_STATUSES.Unknown }
+          );
+        }
+
+        await wait(delay, signal);
+      }
+    } catch (error: any) {
+      if (error.name === "AbortError" && cancelOnAbort) {
+        await this.cancelJob().catch((): void => undefined);
+      }
+
+      throw error;
+    }
   }
 
   /**
@@ -549,18 +776,15 @@ export class Job {
    *
    * Will throw a {@linkcode ArcGISJobError} if it encounters a cancelled or failure status in the job.
    *
+   * @param options Options for reading the results.
    * @returns An object representing all the results from a job.
    */
-  async getAllResults() {
+  async getAllResults(options: IJobResultOptions = {}) {
     return this.waitForCompletion().then((jobInfo: any) => {
       const keys = Object.keys(jobInfo.results);
 
       const requests = keys.map((key) => {
-        return request(this.jobUrl + "/" + jobInfo.results[key].paramUrl, {
-          authentication: this.authentication
-        }).then((results) => {
-          return results;
-        });
+        return this.requestResult(jobInfo.results[key].paramUrl, options);
       });
 
       return Promise.all(requests).then((resultsArray: any) => {
@@ -588,50 +812,46 @@ export class Job {
   }
 
   /**
-   * An internal monitoring if the user specifies startMonitoring: false, we need to check the status to see when the results are returned.
+   * Schedules the next status check while monitoring. Each check schedules the one after it so the time between checks can change.
    */
-  private startInternalEventMonitoring(
-    pollingRate = DefaultJobOptions.pollingRate
-  ) {
-    this._pollingRate = pollingRate;
-
-    /* istanbul ignore else - if monitoring is already running do nothing */
-    if (!this.isMonitoring) {
-      this.setIntervalHandler = setInterval(this.executePoll, this.pollingRate);
-    }
-  }
+  private scheduleNextPoll(delay: number, previous?: IJobInfo) {
+    const handler = setTimeout(() => {
+      this.executePoll().then((jobInfo) => {
+        // monitoring was not stopped or restarted during the check
+        if (this.pollingHandler === handler) {
+          this.scheduleNextPoll(
+            this.getNextPollingDelay(delay, previous, jobInfo),
+            jobInfo || previous
+          );
+        }
+      });
+    }, delay);
 
-  /**
-   * Stops the internal monitoring once the job has been successfully completed with results.
-   */
-  private stopInternalEventMonitoring() {
-    if (this.isMonitoring && !this.didUserEnableMonitoring) {
-      clearTimeout(this.setIntervalHandler);
-    }
+    this.pollingHandler = handler;
   }
 
   /**
    * Starts the event polling if the user enables the startMonitoring param.
    *
-   * @param pollingRate Able to pass in a specific number or will default to 5000.
+   * @param pollingRate Able to pass in a specific number or will default to 2000.
    */
   startEventMonitoring(pollingRate = DefaultJobOptions.pollingRate) {
     this._pollingRate = pollingRate;
-    this.didUserEnableMonitoring = true;
 
-    /* istanbul ignore else - if not monitoring do nothing */
+    /* istanbul ignore else - if monitoring is already running do nothing */
     if (!this.isMonitoring) {
-      this.setIntervalHandler = setInterval(this.executePoll, this.pollingRate);
+      this.scheduleNextPoll(this.pollingRate);
     }
   }
 
   /**
-   * Stops the event polling rate. This is can only be enabled if the user calls this method directly.
+   * Stops the event polling.
    */
   stopEventMonitoring() {
     /* istanbul ignore else - if not monitoring do nothing */
-    if (this.isMonitoring && this.didUserEnableMonitoring) {
-      clearTimeout(this.setIntervalHandler);
+    if (this.isMonitoring) {
+      clearTimeout(this.pollingHandler);
+      this.pollingHandler = undefined;
     }
   }
 }
@@ -5,10 +5,18 @@ import { encodeFormData } from "./utils/encode-form-data.js";
 import { encodeQueryString } from "./utils/encode-query-string.js";
 import { requiresFormData } from "./utils/process-params.js";
 import { ArcGISRequestError } from "./utils/ArcGISRequestError.js";
+import { createRequestError } from "./utils/create-request-error.js";
 import { IRequestOptions } from "./utils/IRequestOptions.js";
 import { IParams } from "./utils/IParams.js";
+import {
+  IRequestContext,
+  IRequestInterceptor
+} from "./utils/IRequestInterceptor.js";
 import { warn } from "./utils/warn.js";
 import { IRetryAuthError } from "./utils/retryAuthError.js";
+import { withRetry } from "./utils/with-retry.js";
+import { withCache } from "./utils/with-cache.js";
+import { getProxyRule } from "./utils/proxy-rules.js";
 import { getFetch } from "@esri/arcgis-rest-fetch";
 import { IAuthenticationManager } from "./index.js";
 
@@ -145,7 +153,7 @@ export class ArcGISAuthError extends ArcGISRequestError {
 }
 
 /**
- * Checks for errors in a JSON response from the ArcGIS REST API. If there are no errors, it will return the `data` passed in. If there is an error, it will throw an `ArcGISRequestError` or `ArcGISAuthError`.
+ * Checks for errors in a JSON response from the ArcGIS REST API. If there are no errors, it will return the `data` passed in. If there is an error, it will throw an `ArcGISAuthError` or the most specific subclass of `ArcGISRequestError` for the error such as `ArcGISNotFoundError` or `ArcGISRateLimitError`.
  *
  * @param data The response JSON to check for errors.
  * @param url The url of the original request
@@ -163,7 +171,7 @@ export function checkForErrors(
   // this is an error message from billing.arcgis.com backend
   if (response.code >= 400) {
     const { message, code } = response;
-    throw new ArcGISRequestError(message, code, response, url, options);
+    throw createRequestError(message, code, response, url, options);
   }
 
   // error from ArcGIS Online or an ArcGIS Portal or server instance.
@@ -179,7 +187,7 @@ export function checkForErrors(
       }
     }
 
-    throw new ArcGISRequestError(message, errorCode, response, url, options);
+    throw createRequestError(message, errorCode, response, url, options);
   }
 
   // error from a status check
@@ -194,7 +202,7 @@ export function checkForErrors(
       message = response.statusMessage || response.message;
     }
 
-    throw new ArcGISRequestError(message, code, response, url, options);
+    throw createRequestError(message, code, response, url, options);
   }
 
   return response;
@@ -232,11 +240,13 @@ export function internalRequest(
 
   const { httpMethod, rawResponse } = options;
 
-  const params: IParams = {
+  let params: IParams = {
     ...{ f: "json" },
     ...options.params
   };
 
+  const interceptors = getInterceptors(defaults, requestOptions);
+
   let originalAuthError: ArcGISAuthError = null;
 
   const fetchOptions: RequestInit = {
@@ -290,7 +300,16 @@ export function internalRequest(
 
   // for errors in GET requests we want the URL passed to the error to be the URL before
   // query params are applied.
-  const originalUrl = url;
+  let originalUrl = url;
+
+  let token = "";
+
+  let context: IRequestContext = {
+    url,
+    params,
+    headers: { ...options.headers },
+    options
+  };
 
   return (
     authentication
@@ -312,7 +331,9 @@ export function internalRequest(
         })
       : Promise.resolve("")
   )
-    .then((token) => {
+    .then((accessToken) => {
+      token = accessToken;
+
       if (token.length) {
         params.token = token;
       }
@@ -321,6 +342,18 @@ export function internalRequest(
         fetchOptions.credentials = authentication.getDomainCredentials(url);
       }
 
+      return runBeforeSend(interceptors, context);
+    })
+    .then((requestContext) => {
+      // interceptors may have rewritten the url, params or headers of the request
+      context = requestContext;
+      url = originalUrl = context.url;
+      params = context.params;
+
+      const proxyRule = getProxyRule(url);
+      const proxyUrl =
+        options.proxyUrl || (proxyRule ? proxyRule.proxyUrl : undefined);
+
       // Custom headers to add to request. IRequestOptions.headers with merge over requestHeaders.
       const requestHeaders: {
         [key: string]: any;
@@ -333,7 +366,9 @@ export function internalRequest(
           params.token &&
           options.hideToken &&
           // Sharing API does not support preflight check required by modern browsers https://developer.mozilla.org/en-US/docs/Glossary/Preflight_request
-          typeof window === "undefined"
+          typeof window === "undefined" &&
+          // proxies are not guaranteed to forward the header so the token is sent in the POST body instead
+          !proxyUrl
         ) {
           requestHeaders["X-Esri-Authorization"] = `Bearer ${params.token}`;
           delete params.token;
@@ -344,10 +379,14 @@ export function internalRequest(
         const urlWithQueryString =
           queryParams === "" ? url : url + "?" + encodeQueryString(params);
 
+        // when using a proxy the target url is appended to the proxy url
+        const fullUrlLength = proxyUrl
+          ? proxyUrl.length + 1 + urlWithQueryString.length
+          : urlWithQueryString.length;
+
         if (
           // This would exceed the maximum length for URLs specified by the consumer and requires POST
-          (options.maxUrlLength &&
-            urlWithQueryString.length > options.maxUrlLength) ||
+          (options.maxUrlLength && fullUrlLength > options.maxUrlLength) ||
           // Or if the customer requires the token to be hidden and it has not already been hidden in the header (for browsers)
           (params.token && options.hideToken)
         ) {
@@ -376,10 +415,13 @@ export function internalRequest(
         fetchOptions.body = encodeFormData(params, forceFormData) as any;
       }
 
-      // Mixin headers from request options
+      // send the request to the proxy with the target url, including any query string, after the '?'
+      const fetchUrl = proxyUrl ? `${proxyUrl}?${url}` : url;
+
+      // Mixin headers from request options and interceptors
       fetchOptions.headers = {
         ...requestHeaders,
-        ...options.headers
+        ...context.headers
       };
 
       // This should have the same conditional for Node JS as ArcGISIdentityManager.refreshWithUsernameAndPassword()
@@ -399,46 +441,72 @@ export function internalRequest(
           "application/x-www-form-urlencoded";
       }
 
-      /**
-       * Check for a global fetch first and use it if available. This allows us to use the default
-       * configuration of fetch-mock in tests.
-       */
-
-      /* istanbul ignore next coverage is based on browser code and we don't test for the absence of global fetch so we can skip the else here. */
-      return globalThis.fetch
-        ? globalThis.fetch(url, fetchOptions)
-        : getFetch().then(({ fetch }) => {
-            return fetch(url, fetchOptions);
-          });
-    })
-    .then((response: any) => {
-      if (!response.ok) {
-        // server responded w/ an actual error (404, 500, etc)
-        const { status, statusText } = response;
-        throw new ArcGISRequestError(
-          statusText,
-          `HTTP ${status}`,
-          response,
-          url,
-          options
-        );
-      }
-      if (rawResponse) {
-        return response;
-      }
-      switch (params.f) {
-        case "json":
-          return response.json();
-        case "geojson":
-          return response.json();
-        case "html":
-          return response.text();
-        case "text":
-          return response.text();
-        /* istanbul ignore next blob responses are difficult to make cross platform we will just have to trust that isomorphic fetch will do its job */
-        default:
-          return response.blob();
+      const sendRequest = () => {
+        /**
+         * Use the `fetch` option if one was passed. Otherwise check for a global fetch first and use
+         * it if available. This allows us to use the default configuration of fetch-mock in tests.
+         */
+
+        /* istanbul ignore next coverage is based on browser code and we don't test for the absence of global fetch so we can skip the else here. */
+        return (
+          options.fetch
+            ? options.fetch(fetchUrl, fetchOptions)
+            : globalThis.fetch
+            ? globalThis.fetch(fetchUrl, fetchOptions)
+            : getFetch().then(({ fetch }) => {
+                return fetch(fetchUrl, fetchOptions);
+              })
+        ).then((response: any) => {
+          if (!response.ok) {
+            // server responded w/ an actual error (404, 500, etc)
+            const { status, statusText } = response;
+            throw createRequestError(
+              statusText,
+              `HTTP ${status}`,
+              response,
+              url,
+              options
+            );
+          }
+          if (rawResponse) {
+            return response;
+          }
+          switch (params.f) {
+            case "json":
+              return response.json();
+            case "geojson":
+              return response.json();
+            case "html":
+              return response.text();
+            case "text":
+              return response.text();
+            /* istanbul ignore next blob responses are difficult to make cross platform we will just have to trust that isomorphic fetch will do its job */
+            default:
+              return response.blob();
+          }
+        });
+      };
+
+      if (!options.scheduler) {
+        return sendRequest();
       }
+
+      // identical GET requests that are already in flight can share a response as long as
+      // each caller gets its own copy and no caller can abort the shared request
+      const canShare =
+        fetchOptions.method === "GET" &&
+        !rawResponse &&
+        !options.signal &&
+        (params.f === "json" || params.f === "geojson");
+
+      return options.scheduler.schedule(fetchUrl, sendRequest, {
+        priority: options.priority,
+        signal: options.signal,
+        dedupeKey: canShare
+          ? `GET ${fetchUrl} ${JSON.stringify(fetchOptions.headers)}`
+          : undefined,
+        copy: (data) => JSON.parse(JSON.stringify(data))
+      });
     })
     .then((data) => {
       if ((params.f === "json" || params.f === "geojson") && !rawResponse) {
@@ -470,12 +538,84 @@ export function internalRequest(
       } else {
         return data;
       }
+    })
+    .then((data) => {
+      return runAfterResponse(interceptors, data, context);
+    })
+    .catch((error) => {
+      return runOnError(interceptors, error, context);
     });
 }
 
+/**
+ * Combines the default interceptors with the interceptors of a single request. Interceptors are
+ * deduplicated since retried requests pass their already merged options back through `internalRequest`.
+ */
+function getInterceptors(
+  defaults: IRequestOptions,
+  requestOptions: IRequestOptions
+): IRequestInterceptor[] {
+  return [
+    ...(defaults.interceptors || []),
+    ...(requestOptions.interceptors || [])
+  ].filter((interceptor, index, all) => all.indexOf(interceptor) === index);
+}
+
+async function runBeforeSend(
+  interceptors: IRequestInterceptor[],
+  context: IRequestContext
+): Promise<IRequestContext> {
+  for (const interceptor of interceptors) {
+    if (interceptor.beforeSend) {
+      context = (await interceptor.beforeSend(context)) || context;
+    }
+  }
+  return context;
+}
+
+async function runAfterResponse(
+  interceptors: IRequestInterceptor[],
+  response: any,
+  context: IRequestContext
+): Promise<any> {
+  for (const interceptor of interceptors) {
+    if (interceptor.afterResponse) {
+      const result = await interceptor.afterResponse(response, context);
+      response = result === undefined ? response : result;
+    }
+  }
+  return response;
+}
+
+async function runOnError(
+  interceptors: IRequestInterceptor[],
+  error: any,
+  context: IRequestContext
+): Promise<any> {
+  for (const interceptor of interceptors) {
+    if (interceptor.onError) {
+      try {
+        const result = await interceptor.onError(error, context);
+        if (result !== undefined) {
+          return result;
+        }
+      } catch (e) {
+        error = e;
+      }
+    }
+  }
+  throw error;
+}
+
 /**
  * Generic method for making HTTP requests to ArcGIS REST API endpoints.
  *
+ * Requests that fail with a transient error such as an HTTP `503` can be retried automatically with the `retry` option. See {@linkcode IRetryOptions}.
+ *
+ * Responses can be cached by passing the `cache` option. See {@linkcode IRequestCacheOptions} and {@linkcode invalidateCache}.
+ *
+ * Pass a {@linkcode RequestScheduler} as the `scheduler` option to limit the number of requests in flight to each host.
+ *
  * ```js
  * import { request } from '@esri/arcgis-rest-request';
  *
@@ -500,19 +640,44 @@ export function request(
   url: string,
   requestOptions: IRequestOptions = { params: { f: "json" } }
 ): Promise<any> {
-  return internalRequest(url, requestOptions).catch((e) => {
-    if (
-      e instanceof ArcGISAuthError &&
-      requestOptions.authentication &&
-      typeof requestOptions.authentication !== "string" &&
-      requestOptions.authentication.canRefresh &&
-      requestOptions.authentication.refreshCredentials
-    ) {
-      return e.retry(() => {
-        return (requestOptions.authentication as any).refreshCredentials();
-      }, 1);
-    } else {
-      return Promise.reject(e);
-    }
-  });
+  const defaults = getDefaultRequestOptions();
+  const { retry, signal, rawResponse }: IRequestOptions = {
+    ...defaults,
+    ...requestOptions
+  };
+
+  // the cache is only used when it is requested by an individual request so edits are never cached
+  const cache = !rawResponse && requestOptions.cache;
+
+  const params: IParams = {
+    ...{ f: "json" },
+    ...defaults.params,
+    ...requestOptions.params
+  };
+
+  return withCache(url, params, cache, requestOptions.authentication, () =>
+    withRetry(
+      () =>
+        internalRequest(url, requestOptions).catch((e) => {
+          if (
+            e instanceof ArcGISAuthError &&
+            requestOptions.authentication &&
+            typeof requestOptions.authentication !== "string" &&
+            requestOptions.authentication.canRefresh &&
+            requestOptions.authentication.refreshCredentials
+          ) {
+            return e.retry(() => {
+              return (requestOptions.authentication as any).refreshCredentials(
+                undefined,
+                url
+              );
+            }, 1);
+          } else {
+            return Promise.reject(e);
+          }
+        }),
+      retry,
+      signal
+    )
+  );
 }
@@ -0,0 +1,145 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { ArcGISIdentityManager } from "./ArcGISIdentityManager.js";
+import { createAbortError } from "./utils/create-abort-error.js";
+import { listenForLoopbackRedirect } from "./utils/listen-for-loopback-redirect.js";
+import { warn } from "./utils/warn.js";
+
+// kept in variables so bundlers do not try to include Node.js modules in browser builds
+const HTTP_MODULE = "http";
+const CHILD_PROCESS_MODULE = "child_process";
+const CRYPTO_MODULE = "crypto";
+
+/**
+ * Options for {@linkcode signInWithLoopback}.
+ */
+export interface ILoopbackOAuth2Options {
+  /**
+   * Client ID of your application. The application must allow `http://127.0.0.1` (or the `host` you pass) as a redirect URI.
+   */
+  clientId: string;
+
+  /**
+   * The ArcGIS Online or ArcGIS Enterprise portal you want to use for authentication. Defaults to `https://www.arcgis.com/sharing/rest`.
+   */
+  portal?: string;
+
+  /**
+   * The requested validity of the refresh token in minutes. Defaults to 20160 (2 weeks).
+   */
+  expiration?: number;
+
+  /**
+   * The address the temporary server listens on. Defaults to `"127.0.0.1"`.
+   */
+  host?: string;
+
+  /**
+   * The port the temporary server listens on. Defaults to a random free port.
+   */
+  port?: number;
+
+  /**
+   * Opens the authorization page. Defaults to opening the system browser with `open` on macOS, `rundll32` on Windows and `xdg-open` on other platforms. Pass a function that prints the URL for environments without a browser such as SSH sessions.
+   */
+  openBrowser?: (url: string) => void | Promise<void>;
+
+  /**
+   * How many milliseconds to wait for the user to sign in. Defaults to 5 minutes.
+   */
+  timeout?: number;
+
+  /**
+   * An [`AbortSignal`](https://developer.mozilla.org/en-US/docs/Web/API/AbortSignal) that cancels the sign in, for example when the user presses Ctrl+C.
+   */
+  signal?: AbortSignal;
+}
+
+const DEFAULT_LOOPBACK_OPTIONS = {
+  portal: "https://www.arcgis.com/sharing/rest",
+  expiration: 20160,
+  host: "127.0.0.1",
+  port: 0,
+  timeout: 1000 * 60 * 5
+};
+
+/**
+ * Returns the browser globals `generateCodeChallenge` and `generateRandomString` use, backed by the Node.js `crypto` module and `Buffer`, which unlike the Web Crypto API and `btoa` exist on every supported Node.js version.
+ */
+/* istanbul ignore next - Node.js only, karma reports coverage on browser tests only */
+function getNodeWindow() {
+  return import(CRYPTO_MODULE).then(({ createHash, randomFillSync }) => ({
+    isSecureContext: true,
+    crypto: {
+      getRandomValues: (array: Uint8Array) => randomFillSync(array),
+      subtle: {
+        digest: (algorithm: string, data: Uint8Array) =>
+          Promise.resolve(createHash("sha256").update(data).digest())
+      }
+    },
+    TextEncoder,
+    btoa: (value: string) => Buffer.from(value, "binary").toString("base64")
+  }));
+}
+
+/**
+ * Opens `url` in the default browser of the operating system.
+ */
+/* istanbul ignore next - opening a browser cannot be tested */
+function openSystemBrowser(url: string) {
+  return import(CHILD_PROCESS_MODULE).then(({ spawn }) => {
+    const [command, args] =
+      process.platform === "darwin"
+        ? ["open", [url]]
+        : process.platform === "win32"
+        ? ["rundll32", ["url.dll,FileProtocolHandler", url]]
+        : ["xdg-open", [url]];
+
+    const child = spawn(command, args, { detached: true, stdio: "ignore" });
+
+    // the user can still sign in by opening the URL themselves
+    child.on("error", () => {
+      warn(`Unable to open a browser. Open ${url} to sign in.`);
+    });
+    child.unref();
+  });
+}
+
+/**
+ * Signs a user in from a Node.js command line tool or desktop app with the [OAuth 2.0 for native apps](https://www.rfc-editor.org/rfc/rfc8252) flow. A temporary HTTP server is started on `127.0.0.1`, the authorization page is opened in the system browser and the authorization code sent to the server is exchanged for a token with [PKCE](https://www.rfc-editor.org/rfc/rfc7636). The server is closed once the user signs in, cancels, or `timeout` passes.
+ *
+ * ```js
+ * import { signInWithLoopback } from "@esri/arcgis-rest-request";
+ *
+ * const manager = await signInWithLoopback({ clientId: "abc123" });
+ *
+ * console.log(`Signed in as ${manager.username}`);
+ * ```
+ *
+ * The promise rejects with an {@linkcode ArcGISAccessDeniedError} if the user does not authorize the app and with an `AbortError` if `signal` is aborted.
+ *
+ * @nodeOnly
+ * @param options Options for the sign in.
+ * @returns A Promise that will resolve with an `ArcGISIdentityManager` for the user.
+ */
+export function signInWithLoopback(
+  options: ILoopbackOAuth2Options
+): Promise<ArcGISIdentityManager> {
+  const { signal } = options;
+
+  /* istanbul ignore else - browsers can only test a signal that is already aborted, starting the server needs Node.js */
+  if (signal && signal.aborted) {
+    return Promise.reject(createAbortError());
+  }
+
+  /* istanbul ignore next - loading the Node.js modules cannot be tested in browsers */
+  return Promise.all([import(HTTP_MODULE), getNodeWindow()]).then(
+    ([http, win]) =>
+      listenForLoopbackRedirect(http, win, {
+        ...DEFAULT_LOOPBACK_OPTIONS,
+        openBrowser: openSystemBrowser,
+        ...options
+      })
+  );
+}
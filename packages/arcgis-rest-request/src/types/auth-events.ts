@@ -0,0 +1,72 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+/**
+ * The events emitted by {@linkcode ArcGISIdentityManager} and {@linkcode ApplicationCredentialsManager}. Listen to them with `on`, `once` and `off`.
+ *
+ * ```js
+ * manager.on(AUTH_EVENTS.RefreshFailed, ({ error }) => {
+ *   showSignInDialog(error.message);
+ * });
+ * ```
+ */
+export enum AUTH_EVENTS {
+  /**
+   * Emitted with an {@linkcode ITokenRefreshedEvent} after a new token is fetched.
+   */
+  TokenRefreshed = "token-refreshed",
+
+  /**
+   * Emitted with an {@linkcode IRefreshFailedEvent} when a token cannot be refreshed. The user usually needs to sign in again.
+   */
+  RefreshFailed = "refresh-failed",
+
+  /**
+   * Emitted with an {@linkcode IRefreshTokenExpiringEvent} when the refresh token of an {@linkcode ArcGISIdentityManager} is about to expire.
+   */
+  RefreshTokenExpiring = "refresh-token-expiring",
+
+  /**
+   * Emitted when an {@linkcode ArcGISIdentityManager} is signed out with {@linkcode ArcGISIdentityManager.signOut} or {@linkcode ArcGISIdentityManager.destroy}.
+   */
+  SignedOut = "signed-out"
+}
+
+/**
+ * Passed to `token-refreshed` listeners.
+ */
+export interface ITokenRefreshedEvent {
+  token: string;
+  tokenExpires: Date;
+  refreshToken?: string;
+  refreshTokenExpires?: Date;
+}
+
+/**
+ * Passed to `refresh-failed` listeners.
+ */
+export interface IRefreshFailedEvent {
+  error: Error;
+}
+
+/**
+ * Passed to `refresh-token-expiring` listeners.
+ */
+export interface IRefreshTokenExpiringEvent {
+  refreshTokenExpires: Date;
+}
+
+/**
+ * Options for `startAutoRefresh`.
+ */
+export interface IAutoRefreshOptions {
+  /**
+   * How many milliseconds before the token expires it is refreshed. Tokens that expire sooner than this are refreshed halfway to their expiration. Defaults to 5 minutes.
+   */
+  refreshBefore?: number;
+
+  /**
+   * How many milliseconds before the refresh token of an {@linkcode ArcGISIdentityManager} expires the `refresh-token-expiring` event is emitted. Defaults to 1 day.
+   */
+  refreshTokenWarning?: number;
+}
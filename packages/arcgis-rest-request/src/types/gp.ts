@@ -0,0 +1,134 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { IFeature, IFeatureSet } from "./feature.js";
+
+/**
+ * The data types of geoprocessing parameters. See [GP data types](https://developers.arcgis.com/rest/services-reference/enterprise/gp-data-types.htm). Multi-value parameters use `"GPMultiValue:<type>"` such as `"GPMultiValue:GPString"`.
+ */
+export type GPDataType =
+  | "GPString"
+  | "GPLong"
+  | "GPDouble"
+  | "GPBoolean"
+  | "GPDate"
+  | "GPLinearUnit"
+  | "GPFeatureRecordSetLayer"
+  | "GPRecordSet"
+  | "GPRasterDataLayer"
+  | "GPDataFile"
+  | `GPMultiValue:${string}`;
+
+/**
+ * Units of a `GPLinearUnit` parameter.
+ */
+export type GPLinearUnits =
+  | "esriCentimeters"
+  | "esriDecimalDegrees"
+  | "esriDecimeters"
+  | "esriFeet"
+  | "esriInches"
+  | "esriKilometers"
+  | "esriMeters"
+  | "esriMiles"
+  | "esriMillimeters"
+  | "esriNauticalMiles"
+  | "esriPoints"
+  | "esriUnknownUnits"
+  | "esriYards";
+
+/**
+ * The value of a `GPLinearUnit` parameter.
+ */
+export interface IGPLinearUnit {
+  distance: number;
+  units: GPLinearUnits;
+}
+
+/**
+ * The value of a `GPDataFile` parameter. Inputs reference a file by `url` or by the `itemID` of an uploaded item. Outputs have a `url` that can be downloaded with {@linkcode downloadGPDataFile}.
+ */
+export interface IGPDataFile {
+  url?: string;
+  itemID?: string;
+}
+
+/**
+ * The value of a `GPRasterDataLayer` parameter.
+ */
+export interface IGPRasterDataLayer extends IGPDataFile {
+  /**
+   * The format of the raster, for example `"tif"`.
+   */
+  format?: string;
+}
+
+/**
+ * The value of a `GPFeatureRecordSetLayer` or `GPRecordSet` parameter. Inputs can also reference a layer or table by `url`.
+ */
+export type GPFeatureRecordSet =
+  | (IFeatureSet & { exceededTransferLimit?: boolean })
+  | { url: string; filter?: string };
+
+/**
+ * Values that can be passed for geoprocessing parameters. Arrays of features are sent as a feature set and strings are sent as URLs or item ids for `GPDataFile` and `GPRasterDataLayer` parameters.
+ */
+export type GPValue =
+  | string
+  | number
+  | boolean
+  | Date
+  | IGPLinearUnit
+  | IGPDataFile
+  | IGPRasterDataLayer
+  | GPFeatureRecordSet
+  | IFeature[]
+  | GPValue[];
+
+/**
+ * A result of a geoprocessing task returned by `<jobUrl>/results/<paramName>` or in the `results` of `execute`.
+ */
+export interface IGPParameterValue {
+  paramName: string;
+  dataType: GPDataType;
+  value: any;
+}
+
+/**
+ * Describes a parameter of a geoprocessing task.
+ */
+export interface IGPParameterInfo {
+  name: string;
+  dataType: GPDataType;
+  displayName?: string;
+  description?: string;
+  direction: "esriGPParameterDirectionInput" | "esriGPParameterDirectionOutput";
+  /**
+   * `esriGPParameterTypeRequired` parameters must have a value unless they have a `defaultValue`.
+   */
+  parameterType:
+    | "esriGPParameterTypeRequired"
+    | "esriGPParameterTypeOptional"
+    | "esriGPParameterTypeDerived";
+  defaultValue?: any;
+  category?: string;
+  /**
+   * The values allowed for the parameter. Values of `GPMultiValue` parameters must all be in the list.
+   */
+  choiceList?: string[];
+}
+
+/**
+ * Describes a geoprocessing task. Returned by {@linkcode getGPTask}.
+ */
+export interface IGPTask {
+  name: string;
+  displayName?: string;
+  description?: string;
+  category?: string;
+  helpUrl?: string;
+  executionType:
+    | "esriExecutionTypeSynchronous"
+    | "esriExecutionTypeAsynchronous";
+  parameters: IGPParameterInfo[];
+}
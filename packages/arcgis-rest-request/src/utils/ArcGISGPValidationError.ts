@@ -0,0 +1,53 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+/**
+ * This error is thrown by {@linkcode validateGPParameters}, {@linkcode executeTask} and {@linkcode Job.submitJob} when the parameters of a geoprocessing task do not match the parameters described by {@linkcode getGPTask}. The request is not sent.
+ *
+ * ```js
+ * import { getGPTask, executeTask } from "@esri/arcgis-rest-request";
+ *
+ * const task = await getGPTask(url);
+ *
+ * executeTask({ url, task, params }).catch((e) => {
+ *   if (e.name === "ArcGISGPValidationError") {
+ *     console.log(e.errors); // ["Input_Features is required."]
+ *   }
+ * });
+ * ```
+ */
+export class ArcGISGPValidationError extends Error {
+  /**
+   * The name of this error. Will always be `"ArcGISGPValidationError"` to conform with the [`Error`](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error) class.
+   */
+  public name: string;
+
+  /**
+   * Formatted error message. See the [`Error`](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error) class for more details.
+   */
+  public message: string;
+
+  /**
+   * A description of each invalid parameter.
+   */
+  public errors: string[];
+
+  /**
+   * Create a new `ArcGISGPValidationError` object.
+   *
+   * @param errors - A description of each invalid parameter.
+   */
+  constructor(errors: string[] = []) {
+    super(`Invalid geoprocessing parameters: ${errors.join(" ")}`);
+
+    // restore prototype chain, see https://stackoverflow.com/questions/41102060/typescript-extending-error-class
+    // we don't need to check for Object.setPrototypeOf as in the answers because we are ES2017 now.
+    // Also see https://github.com/Microsoft/TypeScript-wiki/blob/main/Breaking-Changes.md#extending-built-ins-like-error-array-and-map-may-no-longer-work
+    // and https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error#custom_error_types
+    const actualProto = new.target.prototype;
+    Object.setPrototypeOf(this, actualProto);
+
+    this.name = "ArcGISGPValidationError";
+    this.errors = errors;
+  }
+}
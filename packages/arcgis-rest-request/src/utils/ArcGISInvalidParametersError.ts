@@ -0,0 +1,46 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { ArcGISRequestError } from "./ArcGISRequestError.js";
+import { IRequestOptions } from "./IRequestOptions.js";
+
+/**
+ * This error is thrown when a request has missing or invalid parameters. The {@linkcode ArcGISRequestError.details} usually explain which parameter was invalid.
+ *
+ * ```js
+ * queryFeatures({ url, where: "NAME = " }).catch(e => {
+ *   if(e instanceof ArcGISInvalidParametersError) {
+ *     console.log(e.details); // ["'where' parameter is invalid"]
+ *   }
+ * })
+ * ```
+ */
+export class ArcGISInvalidParametersError extends ArcGISRequestError {
+  /**
+   * Create a new `ArcGISInvalidParametersError` object.
+   *
+   * @param message - The error message from the API
+   * @param code - The error code from the API
+   * @param response - The original response from the API that caused the error
+   * @param url - The original url of the request
+   * @param options - The original options of the request
+   */
+  constructor(
+    message?: string,
+    code?: string | number,
+    response?: any,
+    url?: string,
+    options?: IRequestOptions
+  ) {
+    super(message, code, response, url, options);
+    this.type = "invalidParameters";
+    this.retryable = false;
+
+    // restore prototype chain, see https://stackoverflow.com/questions/41102060/typescript-extending-error-class
+    // we don't need to check for Object.setPrototypeOf as in the answers because we are ES2017 now.
+    // Also see https://github.com/Microsoft/TypeScript-wiki/blob/main/Breaking-Changes.md#extending-built-ins-like-error-array-and-map-may-no-longer-work
+    // and https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error#custom_error_types
+    const actualProto = new.target.prototype;
+    Object.setPrototypeOf(this, actualProto);
+  }
+}
@@ -0,0 +1,46 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { ArcGISRequestError } from "./ArcGISRequestError.js";
+import { IRequestOptions } from "./IRequestOptions.js";
+
+/**
+ * This error is thrown when a service is rate limiting requests (HTTP `429`). These errors are retryable, see the `retry` option of {@linkcode request}.
+ *
+ * ```js
+ * geocode({ address, authentication }).catch(e => {
+ *   if(e instanceof ArcGISRateLimitError) {
+ *     console.log("Too many requests, try again later.");
+ *   }
+ * })
+ * ```
+ */
+export class ArcGISRateLimitError extends ArcGISRequestError {
+  /**
+   * Create a new `ArcGISRateLimitError` object.
+   *
+   * @param message - The error message from the API
+   * @param code - The error code from the API
+   * @param response - The original response from the API that caused the error
+   * @param url - The original url of the request
+   * @param options - The original options of the request
+   */
+  constructor(
+    message?: string,
+    code?: string | number,
+    response?: any,
+    url?: string,
+    options?: IRequestOptions
+  ) {
+    super(message, code, response, url, options);
+    this.type = "rateLimited";
+    this.retryable = true;
+
+    // restore prototype chain, see https://stackoverflow.com/questions/41102060/typescript-extending-error-class
+    // we don't need to check for Object.setPrototypeOf as in the answers because we are ES2017 now.
+    // Also see https://github.com/Microsoft/TypeScript-wiki/blob/main/Breaking-Changes.md#extending-built-ins-like-error-array-and-map-may-no-longer-work
+    // and https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error#custom_error_types
+    const actualProto = new.target.prototype;
+    Object.setPrototypeOf(this, actualProto);
+  }
+}
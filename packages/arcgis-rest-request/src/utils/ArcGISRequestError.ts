@@ -2,6 +2,19 @@
  * Apache-2.0 */
 
 import { IRequestOptions } from "./IRequestOptions.js";
+import { classifyError } from "./classify-error.js";
+
+/**
+ * The kinds of errors the ArcGIS REST API returns. Set as the `type` of each {@linkcode ArcGISRequestError}. Each kind except `"unknown"` is thrown as its own subclass of `ArcGISRequestError`.
+ */
+export type ArcGISErrorKind =
+  | "auth"
+  | "notFound"
+  | "permissionDenied"
+  | "invalidParameters"
+  | "rateLimited"
+  | "serviceUnavailable"
+  | "unknown";
 
 /**
  * This represents a generic error from an ArcGIS endpoint. There will be details about the error in the {@linkcode ArcGISRequestError.message},  {@linkcode ArcGISRequestError.originalMessage} properties on the error. You
@@ -42,6 +55,21 @@ export class ArcGISRequestError extends Error {
    */
   public response: any;
 
+  /**
+   * Additional details about the error from the `details` of the response. Often explains which parameter was invalid.
+   */
+  public details: string[];
+
+  /**
+   * The kind of the error, for example `"notFound"` or `"rateLimited"`. The `name` of every subclass is `"ArcGISRequestError"`, so check `type` or use `instanceof` to handle a specific kind of error.
+   */
+  public type: ArcGISErrorKind;
+
+  /**
+   * `true` if sending the request again later is likely to succeed, for example when the service is rate limiting requests or temporarily unavailable.
+   */
+  public retryable: boolean;
+
   /**
    * The URL of the original request that caused the error
    */
@@ -89,5 +117,23 @@ export class ArcGISRequestError extends Error {
     this.response = response;
     this.url = url;
     this.options = options;
+    this.details = getDetails(response);
+
+    this.type = classifyError(message, code, response);
+    this.retryable =
+      this.type === "rateLimited" || this.type === "serviceUnavailable";
   }
 }
+
+function getDetails(response: any): string[] {
+  const details =
+    response && response.error
+      ? response.error.details
+      : response && response.details;
+
+  if (!details) {
+    return [];
+  }
+
+  return Array.isArray(details) ? details : [details];
+}
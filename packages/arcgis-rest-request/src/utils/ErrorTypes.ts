@@ -31,5 +31,6 @@ export enum ErrorTypes {
   ArcGISRequestError = "ArcGISRequestError",
   ArcGISAuthError = "ArcGISAuthError",
   ArcGISAccessDeniedError = "ArcGISAccessDeniedError",
-  ArcGISTokenRequestError = "ArcGISTokenRequestError"
+  ArcGISTokenRequestError = "ArcGISTokenRequestError",
+  ArcGISGPValidationError = "ArcGISGPValidationError"
 }
@@ -43,7 +43,10 @@ export interface IAuthenticationManager {
   canRefresh?: boolean;
 
   /**
-   * Optional. Refresh the stored credentials.
+   * Optional. Refresh the stored credentials. `url` is the URL of the request that failed because its token expired, managers that hold credentials for several servers can use it to only refresh the credentials of that server.
    */
-  refreshCredentials?(requestOptions?: ITokenRequestOptions): Promise<this>;
+  refreshCredentials?(
+    requestOptions?: ITokenRequestOptions,
+    url?: string
+  ): Promise<this>;
 }
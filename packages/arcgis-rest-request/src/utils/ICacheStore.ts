@@ -0,0 +1,68 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+/**
+ * A cached response and the time it expires.
+ */
+export interface ICacheEntry {
+  /**
+   * The cached response. Must be serializable to JSON.
+   */
+  value: any;
+
+  /**
+   * The time the entry expires in milliseconds since the epoch.
+   */
+  expires: number;
+}
+
+/**
+ * Storage used by the response cache. Implement this interface to keep cached responses somewhere other than memory such as IndexedDB or Redis. Every method may return a `Promise`.
+ *
+ * ```js
+ * const redisStore = {
+ *   get: (key) => redis.get(key).then((entry) => entry && JSON.parse(entry)),
+ *   set: (key, entry) => redis.set(key, JSON.stringify(entry)),
+ *   delete: (key) => redis.del(key),
+ *   keys: () => redis.keys("*")
+ * };
+ *
+ * getLayer({ url, cache: { store: redisStore } });
+ * ```
+ */
+export interface ICacheStore {
+  /**
+   * Returns the entry stored at `key` or `undefined`.
+   */
+  get(key: string): ICacheEntry | undefined | Promise<ICacheEntry | undefined>;
+
+  /**
+   * Stores `entry` at `key`.
+   */
+  set(key: string, entry: ICacheEntry): void | Promise<void>;
+
+  /**
+   * Removes the entry stored at `key`.
+   */
+  delete(key: string): void | Promise<void>;
+
+  /**
+   * Returns all keys in the store.
+   */
+  keys(): string[] | Promise<string[]>;
+}
+
+/**
+ * Options for caching the response of a request. See {@linkcode IRequestOptions.cache}.
+ */
+export interface IRequestCacheOptions {
+  /**
+   * Where to store responses. Defaults to a shared in-memory {@linkcode MemoryCacheStore}.
+   */
+  store?: ICacheStore;
+
+  /**
+   * How long a response is cached for in milliseconds. Defaults to `300000` (5 minutes).
+   */
+  ttl?: number;
+}
@@ -0,0 +1,34 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+/**
+ * Storage for serialized credentials. Used by {@linkcode ArcGISIdentityManager.enableStorage} and {@linkcode ArcGISIdentityManager.fromStorage}. Implement this interface to keep credentials somewhere other than the built in {@linkcode LocalStorageCredentialStore}, {@linkcode SessionStorageCredentialStore} and {@linkcode FileCredentialStore} such as a database or the OS keychain. Every method may return a `Promise`.
+ *
+ * ```js
+ * const redisStore = {
+ *   get: (key) => redis.get(key),
+ *   set: (key, value) => redis.set(key, value),
+ *   delete: (key) => redis.del(key)
+ * };
+ *
+ * const manager = await ArcGISIdentityManager.fromStorage(redisStore);
+ * ```
+ */
+export interface ICredentialStore {
+  /**
+   * Returns the value stored at `key` or `undefined` or `null` if there is none.
+   */
+  get(
+    key: string
+  ): string | undefined | null | Promise<string | undefined | null>;
+
+  /**
+   * Stores `value` at `key`.
+   */
+  set(key: string, value: string): void | Promise<void>;
+
+  /**
+   * Removes the value stored at `key`.
+   */
+  delete(key: string): void | Promise<void>;
+}
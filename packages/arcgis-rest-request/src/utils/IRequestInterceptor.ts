@@ -0,0 +1,76 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { IParams } from "./IParams.js";
+import { IRequestOptions } from "./IRequestOptions.js";
+
+/**
+ * Describes the outgoing request that is passed to each {@linkcode IRequestInterceptor} hook.
+ */
+export interface IRequestContext {
+  /**
+   * The URL of the request, before any query string is applied.
+   */
+  url: string;
+
+  /**
+   * The parameters that will be encoded into the query string or request body. Includes the `token` if one was added.
+   */
+  params: IParams;
+
+  /**
+   * The headers that will be sent with the request.
+   */
+  headers: {
+    [key: string]: any;
+  };
+
+  /**
+   * The merged options of the request.
+   */
+  options: IRequestOptions;
+}
+
+/**
+ * Hooks into the lifecycle of every request. Interceptors can be registered globally with {@linkcode setDefaultRequestOptions} or per request with the `interceptors` option.
+ *
+ * ```js
+ * import { setDefaultRequestOptions } from "@esri/arcgis-rest-request";
+ *
+ * setDefaultRequestOptions({
+ *   interceptors: [
+ *     {
+ *       beforeSend(context) {
+ *         context.headers["X-Correlation-Id"] = createCorrelationId();
+ *       },
+ *       afterResponse(response, context) {
+ *         console.log(`${context.url} completed`);
+ *       },
+ *       onError(error, context) {
+ *         console.error(`${context.url} failed`, error);
+ *       }
+ *     }
+ *   ]
+ * });
+ * ```
+ *
+ * Default interceptors run before interceptors passed to an individual request. Each hook runs in registration order and may return a `Promise`.
+ */
+export interface IRequestInterceptor {
+  /**
+   * Called once the token has been added and before the request is sent. Modify the `url`, `params` or `headers` of the context directly or return a new context.
+   */
+  beforeSend?(
+    context: IRequestContext
+  ): void | IRequestContext | Promise<void | IRequestContext>;
+
+  /**
+   * Called with the processed response. Return a value to replace the response passed to the next interceptor and to the caller.
+   */
+  afterResponse?(response: any, context: IRequestContext): any;
+
+  /**
+   * Called when the request fails. Return a value to resolve the request with that value instead, or throw to replace the error. Returning `undefined` rethrows the original error.
+   */
+  onError?(error: any, context: IRequestContext): any;
+}
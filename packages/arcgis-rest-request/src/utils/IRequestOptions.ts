@@ -1,6 +1,10 @@
 import { HTTPMethods } from "./HTTPMethods.js";
 import { IParams } from "./IParams.js";
 import { IAuthenticationManager } from "./IAuthenticationManager.js";
+import { IRequestInterceptor } from "./IRequestInterceptor.js";
+import { IRetryOptions } from "./IRetryOptions.js";
+import { IRequestCacheOptions } from "./ICacheStore.js";
+import { RequestScheduler } from "../RequestScheduler.js";
 
 /**
  * Options for the `request()` method.
@@ -34,9 +38,9 @@ export interface IRequestOptions {
    */
   portal?: string;
   /**
-   * The implementation of `fetch` to use. Defaults to a global `fetch`.
+   * The implementation of `fetch` to use. Defaults to a global `fetch`. See {@linkcode FixtureRecorder} for recording and replaying requests.
    */
-  // fetch?: (input: RequestInfo, init?: RequestInit) => Promise<Response>;
+  fetch?: (input: RequestInfo, init?: RequestInit) => Promise<Response>;
   /**
    * A string indicating whether credentials (cookies) will be sent with the request. Used internally for authentication workflows.
    */
@@ -60,4 +64,34 @@ export interface IRequestOptions {
    * Suppress any ArcGIS REST JS related warnings for this request.
    */
   suppressWarnings?: boolean;
+
+  /**
+   * Interceptors that can inspect or modify this request and its response. Interceptors set with {@linkcode setDefaultRequestOptions} run before these. See {@linkcode IRequestInterceptor}.
+   */
+  interceptors?: IRequestInterceptor[];
+
+  /**
+   * Retry the request when it fails with a transient error. Pass `true` to use the default policy or an {@linkcode IRetryOptions} object to customize it. Retries stop when `signal` is aborted.
+   */
+  retry?: IRetryOptions | boolean;
+
+  /**
+   * Cache the response of this request. Pass `true` to use the shared in-memory store or an {@linkcode IRequestCacheOptions} object to customize the store and TTL. Only use this for requests that do not change data. This option is ignored by {@linkcode setDefaultRequestOptions} and when `rawResponse` is `true`. Responses to requests authenticated with an {@linkcode ArcGISIdentityManager} are cached for its user only. Requests authenticated with a token, an API key or another manager are not cached.
+   */
+  cache?: IRequestCacheOptions | boolean;
+
+  /**
+   * Send this request through a {@linkcode RequestScheduler} to limit the number of requests in flight to each host.
+   */
+  scheduler?: RequestScheduler;
+
+  /**
+   * The priority of this request in the queue of the `scheduler`. Requests with a higher priority are sent first. Defaults to `0`.
+   */
+  priority?: number;
+
+  /**
+   * Send this request through a resource proxy. The request is sent to `${proxyUrl}?${url}`. Takes precedence over rules added with {@linkcode addProxyRule}. GET requests that use `hideToken` are sent as POST requests since proxies may not forward the `X-Esri-Authorization` header.
+   */
+  proxyUrl?: string;
 }
@@ -0,0 +1,50 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+/**
+ * Options for automatically retrying requests that fail with a transient error. Pass as the `retry` option to {@linkcode request} or set a default with {@linkcode setDefaultRequestOptions}.
+ *
+ * ```js
+ * import { request } from "@esri/arcgis-rest-request";
+ *
+ * request(url, {
+ *   retry: {
+ *     maxAttempts: 5,
+ *     initialDelay: 500
+ *   }
+ * });
+ * ```
+ *
+ * Delays grow exponentially from `initialDelay` up to `maxDelay`. If the server sends a `Retry-After` header its value is used instead, up to `maxDelay`.
+ */
+export interface IRetryOptions {
+  /**
+   * The maximum number of times to send the request, including the first attempt. Defaults to `3`.
+   */
+  maxAttempts?: number;
+
+  /**
+   * The delay in milliseconds before the first retry. Defaults to `1000`.
+   */
+  initialDelay?: number;
+
+  /**
+   * The maximum delay in milliseconds between attempts. Defaults to `30000`.
+   */
+  maxDelay?: number;
+
+  /**
+   * The multiplier applied to the delay after each attempt. Defaults to `2`.
+   */
+  factor?: number;
+
+  /**
+   * Randomize each delay between `0` and the computed delay to avoid many clients retrying at once. Defaults to `true`.
+   */
+  jitter?: boolean;
+
+  /**
+   * Decides if a failed request should be retried. Receives the `code` of the error (for example `"HTTP 503"` or `504`), the error itself and the number of the attempt that failed. Defaults to {@linkcode isTransientError}.
+   */
+  retryOn?: (code: string | number, error: any, attempt: number) => boolean;
+}
@@ -19,7 +19,14 @@ export function appendCustomParams<T extends IRequestOptions>(
     "portal",
     "fetch",
     "maxUrlLength",
-    "headers"
+    "headers",
+    "interceptors",
+    "retry",
+    "cache",
+    "scheduler",
+    "priority",
+    "proxyUrl",
+    "signal"
   ];
 
   const options: T = {
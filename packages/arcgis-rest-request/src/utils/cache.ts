@@ -0,0 +1,45 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { cleanUrl } from "./clean-url.js";
+import { IRequestCacheOptions } from "./ICacheStore.js";
+import { getStore } from "./with-cache.js";
+
+/**
+ * Removes cached responses for a URL and every URL below it. Call this after making changes that would make cached responses stale.
+ *
+ * ```js
+ * import { invalidateCache } from "@esri/arcgis-rest-request";
+ * import { updateServiceDefinition, getService } from "@esri/arcgis-rest-feature-service";
+ *
+ * getService({ url: serviceUrl, cache: true })
+ *   .then(() => updateServiceDefinition(serviceUrl, { authentication, updateDefinition }))
+ *   .then(() => invalidateCache(serviceUrl))
+ *   .then(() => getService({ url: serviceUrl, cache: true })); // sends a new request
+ * ```
+ *
+ * @param url The URL to invalidate. Invalidating `.../FeatureServer` also removes `.../FeatureServer/0` but not `.../FeatureServer2`.
+ * @param cache The cache options used to make the cached requests. Defaults to the shared in-memory store.
+ * @returns A Promise that resolves once the entries have been removed.
+ */
+export function invalidateCache(
+  url: string,
+  cache?: IRequestCacheOptions | boolean
+): Promise<void> {
+  const store = getStore(cache);
+  const prefix = cleanUrl(url);
+
+  return Promise.resolve(store.keys()).then((keys) => {
+    const staleKeys = keys.filter(
+      (key) =>
+        key === prefix ||
+        key.indexOf(`${prefix}?`) === 0 ||
+        key.indexOf(`${prefix}#`) === 0 ||
+        key.indexOf(`${prefix}/`) === 0
+    );
+
+    return Promise.all(staleKeys.map((key) => store.delete(key))).then(
+      () => undefined
+    );
+  });
+}
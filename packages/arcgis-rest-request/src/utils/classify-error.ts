@@ -0,0 +1,82 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import type { ArcGISErrorKind } from "./ArcGISRequestError.js";
+
+/**
+ * `messageCode` values returned by ArcGIS Online and ArcGIS Enterprise when an item does not exist or the user cannot see it. Groups and users that do not exist are detected from the message.
+ */
+const NOT_FOUND_MESSAGE_CODES = ["CONT_0001"];
+
+/**
+ * `messageCode` values returned when the user is not allowed to perform an operation.
+ */
+const PERMISSION_DENIED_MESSAGE_CODES = ["GWM_0003"];
+
+/**
+ * Returns the numeric status codes of an error from its `code` (which may be an `"HTTP 404"` style code) and the `code` of the error in the response.
+ */
+function getStatusCodes(code: string | number, response: any): number[] {
+  return [code, response && response.error && response.error.code]
+    .map((value) => parseInt(String(value).replace("HTTP ", ""), 10))
+    .filter((value) => !isNaN(value));
+}
+
+/**
+ * Determines the kind of an error from the ArcGIS REST API.
+ *
+ * @param message The error message.
+ * @param code The error code. Either a numeric code, an `"HTTP 404"` style code or a `messageCode`.
+ * @param response The response that caused the error.
+ * @returns The kind of the error.
+ * @internal
+ */
+export function classifyError(
+  message: string,
+  code: string | number,
+  response: any
+): ArcGISErrorKind {
+  const statusCodes = getStatusCodes(code, response);
+  const messageCode =
+    (response && response.error && response.error.messageCode) || code;
+  const hasStatus = (...codes: number[]) =>
+    statusCodes.some((status) => codes.indexOf(status) > -1);
+
+  if (hasStatus(498, 499)) {
+    return "auth";
+  }
+
+  if (hasStatus(429)) {
+    return "rateLimited";
+  }
+
+  // the server also reports permanent 4xx errors, such as an invalid where clause, as "Unable to complete operation"
+  if (
+    hasStatus(502, 503, 504) ||
+    (/unable to complete operation/i.test(message) &&
+      !statusCodes.some((status) => status >= 400 && status < 500))
+  ) {
+    return "serviceUnavailable";
+  }
+
+  if (
+    hasStatus(403) ||
+    PERMISSION_DENIED_MESSAGE_CODES.indexOf(messageCode) > -1
+  ) {
+    return "permissionDenied";
+  }
+
+  if (
+    hasStatus(404) ||
+    NOT_FOUND_MESSAGE_CODES.indexOf(messageCode) > -1 ||
+    (hasStatus(400) && /does not exist|not found/i.test(message))
+  ) {
+    return "notFound";
+  }
+
+  if (hasStatus(400, 422)) {
+    return "invalidParameters";
+  }
+
+  return "unknown";
+}
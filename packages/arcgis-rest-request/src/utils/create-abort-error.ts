@@ -0,0 +1,13 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+/**
+ * Creates an error that matches the `AbortError` thrown by `fetch` when a request is aborted.
+ *
+ * @internal
+ */
+export function createAbortError() {
+  const error = new Error("The request was aborted.");
+  error.name = "AbortError";
+  return error;
+}
@@ -0,0 +1,45 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { ArcGISInvalidParametersError } from "./ArcGISInvalidParametersError.js";
+import { ArcGISNotFoundError } from "./ArcGISNotFoundError.js";
+import { ArcGISPermissionDeniedError } from "./ArcGISPermissionDeniedError.js";
+import { ArcGISRateLimitError } from "./ArcGISRateLimitError.js";
+import { ArcGISRequestError } from "./ArcGISRequestError.js";
+import { ArcGISServiceUnavailableError } from "./ArcGISServiceUnavailableError.js";
+import { classifyError } from "./classify-error.js";
+import { IRequestOptions } from "./IRequestOptions.js";
+
+const ERROR_CLASSES: {
+  [kind: string]: typeof ArcGISRequestError;
+} = {
+  notFound: ArcGISNotFoundError,
+  permissionDenied: ArcGISPermissionDeniedError,
+  invalidParameters: ArcGISInvalidParametersError,
+  rateLimited: ArcGISRateLimitError,
+  serviceUnavailable: ArcGISServiceUnavailableError
+};
+
+/**
+ * Creates the most specific subclass of {@linkcode ArcGISRequestError} for an error returned by the ArcGIS REST API. Authentication errors are handled by {@linkcode checkForErrors} and are not created here.
+ *
+ * @param message - The error message from the API
+ * @param code - The error code from the API
+ * @param response - The original response from the API that caused the error
+ * @param url - The original url of the request
+ * @param options - The original options of the request
+ * @returns An `ArcGISNotFoundError`, `ArcGISPermissionDeniedError`, `ArcGISInvalidParametersError`, `ArcGISRateLimitError`, `ArcGISServiceUnavailableError` or `ArcGISRequestError`.
+ * @internal
+ */
+export function createRequestError(
+  message: string,
+  code: string | number,
+  response: any,
+  url: string,
+  options: IRequestOptions
+): ArcGISRequestError {
+  const ErrorClass =
+    ERROR_CLASSES[classifyError(message, code, response)] || ArcGISRequestError;
+
+  return new ErrorClass(message, code, response, url, options);
+}
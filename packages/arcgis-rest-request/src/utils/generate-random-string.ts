@@ -12,5 +12,5 @@ export function generateRandomString(win?: any) {
   }
 
   const randomBytes = win.crypto.getRandomValues(new Uint8Array(32));
-  return base64UrlEncode(randomBytes);
+  return base64UrlEncode(randomBytes, win);
 }
@@ -0,0 +1,19 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { IGPTask } from "../types/gp.js";
+
+/**
+ * Returns the data types of the parameters of a task by name.
+ *
+ * @internal
+ */
+export function getGPDataTypes(task: IGPTask) {
+  return task.parameters.reduce(
+    (dataTypes: { [name: string]: string }, parameter) => {
+      dataTypes[parameter.name] = parameter.dataType;
+      return dataTypes;
+    },
+    {}
+  );
+}
@@ -0,0 +1,29 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+/**
+ * The longest delay `setTimeout` supports. Longer delays fire immediately.
+ *
+ * @internal
+ */
+export const MAX_TIMEOUT = 2147483647;
+
+/**
+ * Returns how many milliseconds to wait before refreshing a token that expires at `expires`. Tokens without an expiration date are refreshed immediately. Tokens that expire within `refreshBefore` milliseconds are refreshed halfway to their expiration, so tokens with a short lifetime are not refreshed over and over again.
+ *
+ * @param expires When the token expires.
+ * @param refreshBefore How many milliseconds before `expires` to refresh the token.
+ * @internal
+ */
+export function getRefreshDelay(expires: Date, refreshBefore: number) {
+  if (!expires) {
+    return 0;
+  }
+
+  const lifetime = expires.getTime() - Date.now();
+
+  return Math.min(
+    Math.max(lifetime - refreshBefore, lifetime / 2, 0),
+    MAX_TIMEOUT
+  );
+}
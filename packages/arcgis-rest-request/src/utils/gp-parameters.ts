@@ -0,0 +1,181 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { request } from "../request.js";
+import { IRequestOptions } from "./IRequestOptions.js";
+import { GPDataType, IGPDataFile, IGPParameterValue } from "../types/gp.js";
+
+const MULTI_VALUE_PREFIX = "GPMultiValue:";
+
+/**
+ * Converts a value to the JSON representation of a GP data type.
+ */
+function toGPJSON(value: any, dataType?: GPDataType | string): any {
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  if (dataType && dataType.indexOf(MULTI_VALUE_PREFIX) === 0) {
+    const itemType = dataType.slice(MULTI_VALUE_PREFIX.length);
+    return (Array.isArray(value) ? value : [value]).map((item) =>
+      toGPJSON(item, itemType)
+    );
+  }
+
+  switch (dataType) {
+    case "GPDate":
+      return value instanceof Date
+        ? value.getTime()
+        : new Date(value).getTime();
+    case "GPLong":
+    case "GPDouble":
+      return typeof value === "string" ? Number(value) : value;
+    case "GPString":
+      return String(value);
+    case "GPDataFile":
+    case "GPRasterDataLayer":
+      if (typeof value === "string") {
+        return /^https?:\/\//i.test(value) ? { url: value } : { itemID: value };
+      }
+      return value;
+    case "GPFeatureRecordSetLayer":
+    case "GPRecordSet":
+      if (typeof value === "string") {
+        return { url: value };
+      }
+      return Array.isArray(value) ? { features: value } : value;
+  }
+
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+
+  return Array.isArray(value) ? value.map((item) => toGPJSON(item)) : value;
+}
+
+/**
+ * Encodes a value for a geoprocessing parameter. Dates are sent as milliseconds since the epoch and arrays (`GPMultiValue` parameters) are sent as JSON. Other objects are JSON encoded by {@linkcode request}.
+ *
+ * When the `dataType` of the parameter is known, values are converted to that type first. For example strings passed to `GPDataFile` parameters are sent as `{ url }` or `{ itemID }` and arrays of features passed to `GPFeatureRecordSetLayer` parameters are sent as a feature set.
+ *
+ * ```js
+ * import { encodeGPValue } from "@esri/arcgis-rest-request";
+ *
+ * encodeGPValue(new Date(0), "GPDate"); // 0
+ * encodeGPValue(["a", "b"], "GPMultiValue:GPString"); // '["a","b"]'
+ * encodeGPValue("https://example.com/data.zip", "GPDataFile"); // { url: "https://example.com/data.zip" }
+ * ```
+ *
+ * @param value The value of the parameter.
+ * @param dataType The data type of the parameter.
+ * @returns The value to send in the request.
+ */
+export function encodeGPValue(value: any, dataType?: GPDataType | string) {
+  const encoded = toGPJSON(value, dataType);
+  return Array.isArray(encoded) ? JSON.stringify(encoded) : encoded;
+}
+
+/**
+ * Encodes all the parameters of a geoprocessing request with {@linkcode encodeGPValue}.
+ *
+ * @param params The parameters of the request.
+ * @param dataTypes The data types of the parameters by name. Parameters without a data type are encoded based on their value.
+ * @returns The encoded parameters.
+ */
+export function encodeGPParameters(
+  params: { [name: string]: any },
+  dataTypes: { [name: string]: GPDataType | string } = {}
+) {
+  return Object.keys(params).reduce((encoded: any, name) => {
+    encoded[name] = encodeGPValue(params[name], dataTypes[name]);
+    return encoded;
+  }, {});
+}
+
+/**
+ * Converts the value of a geoprocessing result to a JavaScript value based on its `dataType`. `GPDate` values become `Date` objects, `GPMultiValue` values become arrays of their item type and other values are returned as they are.
+ *
+ * ```js
+ * import { decodeGPValue } from "@esri/arcgis-rest-request";
+ *
+ * decodeGPValue({ paramName: "when", dataType: "GPDate", value: 0 }); // new Date(0)
+ * ```
+ *
+ * @param result The result of the geoprocessing task.
+ * @returns The value of the result.
+ */
+export function decodeGPValue(result: IGPParameterValue): any {
+  const { dataType, value } = result;
+
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  if (dataType.indexOf(MULTI_VALUE_PREFIX) === 0) {
+    const itemType = dataType.slice(MULTI_VALUE_PREFIX.length);
+    return (value as any[]).map((item) =>
+      decodeGPValue({
+        ...result,
+        dataType: itemType as GPDataType,
+        value: item
+      })
+    );
+  }
+
+  switch (dataType) {
+    case "GPDate":
+      return new Date(value);
+    case "GPLong":
+    case "GPDouble":
+      return typeof value === "string" ? Number(value) : value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Options for {@linkcode downloadGPDataFile}.
+ */
+export interface IDownloadGPDataFileOptions extends IRequestOptions {
+  /**
+   * How the file should be read, see [Body](https://developer.mozilla.org/en-US/docs/Web/API/Response#instance_methods). Defaults to `"blob"`.
+   */
+  readAs?: "arrayBuffer" | "blob" | "json" | "text";
+}
+
+/**
+ * Downloads the file referenced by a `GPDataFile` or `GPRasterDataLayer` output. Pass `authentication` to download outputs of secured services.
+ *
+ * ```js
+ * import { downloadGPDataFile } from "@esri/arcgis-rest-request";
+ *
+ * const result = await job.getResult("output_file");
+ * const blob = await downloadGPDataFile(result, { authentication });
+ * ```
+ *
+ * @param file The result of the task or its `value`.
+ * @param requestOptions Options for the request.
+ * @returns A Promise that will resolve with the contents of the file.
+ */
+export function downloadGPDataFile(
+  file: IGPParameterValue | IGPDataFile,
+  requestOptions: IDownloadGPDataFileOptions = {}
+): Promise<any> {
+  const value: IGPDataFile =
+    "paramName" in file ? (file as IGPParameterValue).value : file;
+
+  if (!value || !value.url) {
+    return Promise.reject(
+      new Error("The GP data file does not have a url to download.")
+    );
+  }
+
+  const { readAs = "blob", ...options } = requestOptions;
+
+  return request(value.url, {
+    ...options,
+    httpMethod: "GET",
+    rawResponse: true,
+    params: { ...options.params, f: null }
+  }).then((response: Response) => response[readAs]());
+}
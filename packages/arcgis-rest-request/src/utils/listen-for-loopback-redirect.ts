@@ -0,0 +1,178 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import type { ILoopbackOAuth2Options } from "../sign-in-with-loopback.js";
+import { ArcGISIdentityManager } from "../ArcGISIdentityManager.js";
+import { ArcGISAuthError } from "../request.js";
+import { fetchToken } from "../fetch-token.js";
+import { cleanUrl } from "./clean-url.js";
+import { encodeQueryString } from "./encode-query-string.js";
+import { generateCodeChallenge } from "./generate-code-challenge.js";
+import { generateRandomString } from "./generate-random-string.js";
+import { createAbortError } from "./create-abort-error.js";
+import { ArcGISAccessDeniedError } from "./ArcGISAccessDeniedError.js";
+import {
+  ArcGISTokenRequestError,
+  ArcGISTokenRequestErrorCodes
+} from "./ArcGISTokenRequestError.js";
+
+/**
+ * Sends a short HTML page to the browser after the redirect.
+ */
+function respond(response: any, status: number, message: string) {
+  // close the connection so the server can shut down once the user signs in
+  response.writeHead(status, {
+    "Content-Type": "text/html; charset=utf-8",
+    Connection: "close"
+  });
+  response.end(
+    `<!DOCTYPE html><html><head><title>ArcGIS</title></head><body><p>${message}</p></body></html>`
+  );
+}
+
+/**
+ * Starts a server with `http.createServer`, opens the authorization page and exchanges the authorization code the browser is redirected with for a token.
+ *
+ * @param http The Node.js `http` module.
+ * @param win The globals `generateCodeChallenge` and `generateRandomString` use.
+ * @param options The options of the sign in, with the defaults applied.
+ * @returns A Promise that will resolve with an `ArcGISIdentityManager` for the user.
+ * @internal
+ */
+export function listenForLoopbackRedirect(
+  http: any,
+  win: any,
+  options: ILoopbackOAuth2Options
+): Promise<ArcGISIdentityManager> {
+  const {
+    clientId,
+    portal,
+    expiration,
+    host,
+    port,
+    timeout,
+    signal,
+    openBrowser
+  } = options;
+
+  return new Promise<ArcGISIdentityManager>((resolve, reject) => {
+    const state = generateRandomString(win);
+    const codeVerifier = generateRandomString(win);
+    let redirectUri: string;
+    let finished = false;
+
+    const onAbort = () => finish(createAbortError());
+    const timer = setTimeout(
+      () => finish(new Error("Timed out waiting for the user to sign in.")),
+      timeout
+    );
+
+    const server = http.createServer((request: any, response: any) => {
+      const { pathname, searchParams } = new URL(request.url, redirectUri);
+      const params: { [key: string]: string } = {};
+      searchParams.forEach((value, key) => (params[key] = value));
+
+      // ignore requests such as /favicon.ico and requests that were not started by this sign in
+      if (pathname !== "/" || params.state !== state) {
+        respond(response, 400, "Invalid sign in request.");
+        return;
+      }
+
+      if (params.error) {
+        respond(response, 200, "Sign in failed. You can close this window.");
+        finish(
+          params.error === "access_denied"
+            ? new ArcGISAccessDeniedError()
+            : new ArcGISAuthError(params.error_description, params.error)
+        );
+        return;
+      }
+
+      fetchToken(cleanUrl(`${portal}/oauth2/token/`), {
+        httpMethod: "POST",
+        params: {
+          client_id: clientId,
+          code_verifier: codeVerifier,
+          grant_type: "authorization_code",
+          redirect_uri: redirectUri,
+          code: params.code
+        }
+      }).then(
+        (tokenResponse) => {
+          respond(
+            response,
+            200,
+            "You are signed in. You can close this window."
+          );
+          finish(
+            null,
+            new ArcGISIdentityManager({
+              clientId,
+              portal,
+              ssl: tokenResponse.ssl,
+              redirectUri,
+              refreshToken: tokenResponse.refreshToken,
+              refreshTokenExpires: tokenResponse.refreshTokenExpires,
+              token: tokenResponse.token,
+              tokenExpires: tokenResponse.expires,
+              username: tokenResponse.username
+            })
+          );
+        },
+        (e) => {
+          respond(response, 500, "Sign in failed. You can close this window.");
+          finish(
+            new ArcGISTokenRequestError(
+              e.message,
+              ArcGISTokenRequestErrorCodes.REFRESH_TOKEN_EXCHANGE_FAILED,
+              e.response,
+              e.url,
+              e.options
+            )
+          );
+        }
+      );
+    });
+
+    function finish(error: Error, manager?: ArcGISIdentityManager) {
+      if (finished) {
+        return;
+      }
+
+      finished = true;
+      clearTimeout(timer);
+
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
+
+      server.close();
+      return error ? reject(error) : resolve(manager);
+    }
+
+    if (signal) {
+      signal.addEventListener("abort", onAbort);
+    }
+
+    server.on("error", finish);
+    server.listen(port, host, () => {
+      redirectUri = `http://${host}:${server.address().port}/`;
+
+      generateCodeChallenge(codeVerifier, win)
+        .then((codeChallenge) =>
+          openBrowser(
+            `${cleanUrl(portal)}/oauth2/authorize?${encodeQueryString({
+              client_id: clientId,
+              response_type: "code",
+              expiration,
+              redirect_uri: redirectUri,
+              state,
+              code_challenge: codeChallenge,
+              code_challenge_method: "S256"
+            })}`
+          )
+        )
+        .catch(finish);
+    });
+  });
+}
@@ -0,0 +1,86 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { cleanUrl } from "./clean-url.js";
+
+/**
+ * Routes requests for URLs that start with `urlPrefix` through a resource proxy such as [resource-proxy](https://github.com/Esri/resource-proxy).
+ */
+export interface IProxyRule {
+  /**
+   * Requests for URLs that start with this prefix will use the proxy. Matching is case insensitive.
+   */
+  urlPrefix: string;
+
+  /**
+   * The URL of the proxy. Requests are sent to `${proxyUrl}?${url}`.
+   */
+  proxyUrl: string;
+}
+
+function getRules(): IProxyRule[] {
+  const globals = globalThis as any;
+
+  if (!globals.ARCGIS_REST_JS_PROXY_RULES) {
+    globals.ARCGIS_REST_JS_PROXY_RULES = [];
+  }
+
+  return globals.ARCGIS_REST_JS_PROXY_RULES;
+}
+
+/**
+ * Adds a rule that sends **all requests across all `@esri/arcgis-rest-js` modules** for URLs starting with `urlPrefix` through a proxy. If a rule for `urlPrefix` already exists it will be replaced.
+ *
+ * ```js
+ * import { addProxyRule } from "@esri/arcgis-rest-request";
+ *
+ * addProxyRule({
+ *   urlPrefix: "https://myserver.com/arcgis/rest/services",
+ *   proxyUrl: "https://myapp.com/proxy.ashx"
+ * });
+ *
+ * // sent to https://myapp.com/proxy.ashx?https://myserver.com/arcgis/rest/services/Parcels/FeatureServer/0
+ * getLayer({ url: "https://myserver.com/arcgis/rest/services/Parcels/FeatureServer/0" });
+ * ```
+ *
+ * The `proxyUrl` option of a request takes precedence over proxy rules.
+ *
+ * @param rule The rule to add.
+ */
+export function addProxyRule(rule: IProxyRule) {
+  removeProxyRule(rule.urlPrefix);
+  getRules().push({
+    urlPrefix: cleanUrl(rule.urlPrefix),
+    proxyUrl: cleanUrl(rule.proxyUrl)
+  });
+}
+
+/**
+ * Removes the proxy rule for `urlPrefix`.
+ *
+ * @param urlPrefix The `urlPrefix` of the rule to remove.
+ */
+export function removeProxyRule(urlPrefix: string) {
+  const prefix = cleanUrl(urlPrefix).toLowerCase();
+  const rules = getRules();
+
+  rules.splice(
+    0,
+    rules.length,
+    ...rules.filter((rule) => rule.urlPrefix.toLowerCase() !== prefix)
+  );
+}
+
+/**
+ * Returns the proxy rule that matches `url`. When more than one rule matches the rule with the longest `urlPrefix` is returned.
+ *
+ * @param url The URL of a request.
+ * @returns The matching rule or `undefined` if no rule matches.
+ */
+export function getProxyRule(url: string): IProxyRule {
+  const lowerCaseUrl = url.toLowerCase();
+
+  return getRules()
+    .filter((rule) => lowerCaseUrl.indexOf(rule.urlPrefix.toLowerCase()) === 0)
+    .sort((a, b) => b.urlPrefix.length - a.urlPrefix.length)[0];
+}
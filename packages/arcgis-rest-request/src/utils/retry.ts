@@ -0,0 +1,24 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { ArcGISRequestError } from "./ArcGISRequestError.js";
+
+/**
+ * Returns `true` if the error is likely to succeed if the request is sent again. This includes HTTP `429`, `502`, `503` and `504` responses, ArcGIS errors with those codes and the "Unable to complete operation" error that ArcGIS services return when they are temporarily overloaded. These errors are thrown as {@linkcode ArcGISRateLimitError} and {@linkcode ArcGISServiceUnavailableError} and have their `retryable` flag set.
+ *
+ * ```js
+ * import { request, isTransientError } from "@esri/arcgis-rest-request";
+ *
+ * request(url).catch((e) => {
+ *   if (isTransientError(e)) {
+ *     console.log("Try again later.");
+ *   }
+ * });
+ * ```
+ *
+ * @param error The error thrown by a request.
+ * @returns `true` if the error is transient.
+ */
+export function isTransientError(error: any): boolean {
+  return error instanceof ArcGISRequestError && error.retryable;
+}
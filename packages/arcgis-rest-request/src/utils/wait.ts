@@ -0,0 +1,34 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { createAbortError } from "./create-abort-error.js";
+
+/**
+ * Resolves after `delay` milliseconds or rejects with an `AbortError` as soon as `signal` is aborted, or right away if it already is.
+ *
+ * @internal
+ */
+export function wait(delay: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timeout);
+      reject(createAbortError());
+    };
+
+    const timeout = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
+      resolve();
+    }, delay);
+
+    if (signal) {
+      signal.addEventListener("abort", onAbort);
+    }
+  });
+}
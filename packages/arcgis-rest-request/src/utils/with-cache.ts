@@ -0,0 +1,132 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { MemoryCacheStore } from "../MemoryCacheStore.js";
+import { cleanUrl } from "./clean-url.js";
+import { encodeQueryString } from "./encode-query-string.js";
+import { ICacheStore, IRequestCacheOptions } from "./ICacheStore.js";
+import { IParams } from "./IParams.js";
+import { IRequestOptions } from "./IRequestOptions.js";
+
+const DEFAULT_CACHE_TTL = 5 * 60 * 1000;
+
+/**
+ * Response formats that can be safely serialized to a cache store.
+ */
+const CACHEABLE_FORMATS = ["json", "geojson", "text", "html"];
+
+let defaultCacheStore: MemoryCacheStore;
+
+/**
+ * Returns the shared in-memory store used when a request does not pass its own `store`.
+ *
+ * @internal
+ */
+export function getDefaultCacheStore(): MemoryCacheStore {
+  if (!defaultCacheStore) {
+    defaultCacheStore = new MemoryCacheStore();
+  }
+  return defaultCacheStore;
+}
+
+/**
+ * Returns the `store` of the cache options or the shared in-memory store.
+ *
+ * @internal
+ */
+export function getStore(cache?: IRequestCacheOptions | boolean): ICacheStore {
+  return (typeof cache === "object" && cache.store) || getDefaultCacheStore();
+}
+
+/**
+ * Returns the key a response is cached under. Keys are made from the URL and the sorted parameters of the request without the `token` so that refreshing a token does not invalidate the cache. Responses to authenticated requests are only cached for one user at a time, so `identity` is appended to their key.
+ *
+ * @param url The URL of the request.
+ * @param params The parameters of the request.
+ * @param identity Identifies the user the response was requested for.
+ * @returns The cache key.
+ * @internal
+ */
+export function getCacheKey(
+  url: string,
+  params: IParams = {},
+  identity?: string
+): string {
+  const sortedParams = Object.keys(params)
+    .filter((key) => key !== "token")
+    .sort()
+    .reduce((sorted: IParams, key) => {
+      sorted[key] = params[key];
+      return sorted;
+    }, {});
+
+  const queryString = encodeQueryString(sortedParams);
+  const key = queryString ? `${cleanUrl(url)}?${queryString}` : cleanUrl(url);
+  return identity ? `${key}#${identity}` : key;
+}
+
+/**
+ * Returns the identity responses to a request are cached for: an empty string for anonymous requests and the user and portal of an {@linkcode ArcGISIdentityManager}. Returns `undefined` for requests authenticated with a token, an API key or a manager without a user, which are not cached because their responses could be returned to another user.
+ */
+function getIdentity(
+  params: IParams,
+  authentication: IRequestOptions["authentication"]
+): string | undefined {
+  if (!authentication) {
+    return params.token ? undefined : "";
+  }
+
+  const { username, portal } = authentication as any;
+  return typeof username === "string" && username
+    ? `${username}@${cleanUrl(portal)}`
+    : undefined;
+}
+
+/**
+ * Returns a cached response if one exists and has not expired, otherwise calls `makeRequest` and caches its response. Responses are copied so changes made by callers do not alter the cache. Responses to authenticated requests are cached separately for each user, see `getIdentity()`.
+ *
+ * @param url The URL of the request.
+ * @param params The merged parameters of the request.
+ * @param cache The cache options of the request. When falsy the cache is not used.
+ * @param authentication The authentication of the request.
+ * @param makeRequest Function that sends the request.
+ * @returns A Promise that will resolve with the cached or new response.
+ * @internal
+ */
+export function withCache<T>(
+  url: string,
+  params: IParams,
+  cache: IRequestCacheOptions | boolean,
+  authentication: IRequestOptions["authentication"],
+  makeRequest: () => Promise<T>
+): Promise<T> {
+  const identity = getIdentity(params, authentication);
+
+  if (
+    !cache ||
+    identity === undefined ||
+    CACHEABLE_FORMATS.indexOf(params.f) === -1
+  ) {
+    return makeRequest();
+  }
+
+  const store = getStore(cache);
+  const ttl = (typeof cache === "object" && cache.ttl) || DEFAULT_CACHE_TTL;
+  const key = getCacheKey(url, params, identity);
+
+  return Promise.resolve(store.get(key)).then((entry) => {
+    if (entry && entry.expires > Date.now()) {
+      return copy(entry.value);
+    }
+
+    return makeRequest().then((response) => {
+      return Promise.resolve(
+        store.set(key, { value: copy(response), expires: Date.now() + ttl })
+      ).then(() => response);
+    });
+  });
+}
+
+function copy(value: any) {
+  return JSON.parse(JSON.stringify(value));
+}
@@ -0,0 +1,99 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { IRetryOptions } from "./IRetryOptions.js";
+import { isTransientError } from "./retry.js";
+import { wait } from "./wait.js";
+
+const DEFAULT_RETRY_OPTIONS: IRetryOptions = {
+  maxAttempts: 3,
+  initialDelay: 1000,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: true,
+  retryOn: (code, error) => isTransientError(error)
+};
+
+/**
+ * Reads the `Retry-After` header from an HTTP error and returns it in milliseconds.
+ */
+function getRetryAfter(error: any): number {
+  const headers = error && error.response && error.response.headers;
+  const value =
+    headers && typeof headers.get === "function"
+      ? headers.get("Retry-After")
+      : null;
+
+  if (!value) {
+    return undefined;
+  }
+
+  if (!isNaN(Number(value))) {
+    return Number(value) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+function getRetryDelay(
+  attempt: number,
+  options: IRetryOptions,
+  error: any
+): number {
+  const retryAfter = getRetryAfter(error);
+
+  // a server that asks for a long wait should not stall the caller past `maxDelay`
+  if (retryAfter !== undefined) {
+    return Math.min(options.maxDelay, retryAfter);
+  }
+
+  const delay = Math.min(
+    options.maxDelay,
+    options.initialDelay * Math.pow(options.factor, attempt - 1)
+  );
+
+  return options.jitter ? Math.random() * delay : delay;
+}
+
+/**
+ * Calls `makeRequest` until it succeeds, the error is not retryable or `maxAttempts` is reached.
+ *
+ * @param makeRequest Function that sends the request.
+ * @param retry The retry policy. When falsy the request is sent only once.
+ * @param signal Aborting this signal stops any pending retry.
+ * @returns A Promise that will resolve with the data from the first successful attempt.
+ * @internal
+ */
+export function withRetry<T>(
+  makeRequest: () => Promise<T>,
+  retry?: IRetryOptions | boolean,
+  signal?: AbortSignal
+): Promise<T> {
+  if (!retry) {
+    return makeRequest();
+  }
+
+  const options: IRetryOptions = {
+    ...DEFAULT_RETRY_OPTIONS,
+    ...(typeof retry === "object" ? retry : {})
+  };
+
+  const attempt = (count: number): Promise<T> => {
+    return makeRequest().catch((error) => {
+      if (
+        count >= options.maxAttempts ||
+        (signal && signal.aborted) ||
+        !options.retryOn(error && error.code, error, count)
+      ) {
+        throw error;
+      }
+
+      return wait(getRetryDelay(count, options, error), signal).then(() =>
+        attempt(count + 1)
+      );
+    });
+  };
+
+  return attempt(1);
+}
@@ -2,7 +2,7 @@
  * Apache-2.0 */
 
 import fetchMock from "fetch-mock";
-import { ApplicationCredentialsManager } from "../src/index.js";
+import { ApplicationCredentialsManager, AUTH_EVENTS } from "../src/index.js";
 import { YESTERDAY, TOMORROW } from "../../../scripts/test-helpers.js";
 import { ArcGISTokenRequestError } from "../src/utils/ArcGISTokenRequestError.js";
 
@@ -174,4 +174,157 @@ describe("ApplicationCredentialsManager", () => {
       );
     });
   });
+
+  describe("auth events", () => {
+    afterEach(() => {
+      jasmine.clock().uninstall();
+    });
+
+    it("should emit token-refreshed and refresh-failed", () => {
+      const session = new ApplicationCredentialsManager({
+        clientId: "id",
+        clientSecret: "secret"
+      });
+      const refreshed = jasmine.createSpy("refreshed");
+      const failed = jasmine.createSpy("failed");
+      const removed = jasmine.createSpy("removed");
+
+      session.once(AUTH_EVENTS.TokenRefreshed, refreshed);
+      session.on(AUTH_EVENTS.RefreshFailed, failed);
+      session.on(AUTH_EVENTS.TokenRefreshed, removed);
+      session.off(AUTH_EVENTS.TokenRefreshed, removed);
+
+      fetchMock.postOnce("https://www.arcgis.com/sharing/rest/oauth2/token/", {
+        access_token: "token",
+        expires_in: 1800
+      });
+
+      return session
+        .refreshCredentials()
+        .then(() => {
+          expect(refreshed).toHaveBeenCalledWith({
+            token: "token",
+            tokenExpires: jasmine.any(Date)
+          });
+
+          fetchMock.postOnce(
+            "https://www.arcgis.com/sharing/rest/oauth2/token/",
+            { error: { code: 400, message: "Invalid client_secret" } }
+          );
+
+          return session.refreshCredentials();
+        })
+        .then(
+          () => fail("refreshCredentials should have rejected"),
+          (e) => {
+            expect(refreshed).toHaveBeenCalledTimes(1);
+            expect(removed).not.toHaveBeenCalled();
+            expect(failed).toHaveBeenCalledWith({ error: e });
+          }
+        );
+    });
+
+    it("should refresh the token before it expires", (done) => {
+      jasmine.clock().install();
+      jasmine.clock().mockDate();
+
+      const session = new ApplicationCredentialsManager({
+        clientId: "id",
+        clientSecret: "secret",
+        token: "token",
+        expires: new Date(Date.now() + 1000 * 60 * 10)
+      });
+
+      fetchMock.postOnce("https://www.arcgis.com/sharing/rest/oauth2/token/", {
+        access_token: "newToken",
+        expires_in: 1800
+      });
+
+      session.once(AUTH_EVENTS.TokenRefreshed, ({ token }) => {
+        expect(token).toBe("newToken");
+        expect(session.isAutoRefreshing).toBe(true);
+        session.stopAutoRefresh();
+        done();
+      });
+
+      session.startAutoRefresh();
+      jasmine.clock().tick(1000 * 60 * 5 - 1);
+      expect(fetchMock.called()).toBe(false);
+      jasmine.clock().tick(1);
+    });
+
+    it("should refresh tokens that expire sooner than refreshBefore halfway to their expiration", (done) => {
+      jasmine.clock().install();
+      jasmine.clock().mockDate();
+
+      const session = new ApplicationCredentialsManager({
+        clientId: "id",
+        clientSecret: "secret",
+        token: "token",
+        expires: new Date(Date.now() + 1000 * 60 * 2)
+      });
+
+      fetchMock.post("https://www.arcgis.com/sharing/rest/oauth2/token/", {
+        access_token: "newToken",
+        // expires in 2 minutes since 5 minutes are subtracted from expires_in
+        expires_in: 60 * 7
+      });
+
+      const refresh = spyOn(session, "refreshToken").and.callThrough();
+
+      session.once(AUTH_EVENTS.TokenRefreshed, () => {
+        // wait for the next refresh to be scheduled
+        Promise.resolve().then(() => {
+          jasmine.clock().tick(1000 * 60 - 1);
+          expect(refresh).toHaveBeenCalledTimes(1);
+          jasmine.clock().tick(1);
+          expect(refresh).toHaveBeenCalledTimes(2);
+          session.stopAutoRefresh();
+          done();
+        });
+      });
+
+      session.startAutoRefresh();
+      jasmine.clock().tick(1000 * 60 - 1);
+      expect(fetchMock.called()).toBe(false);
+      jasmine.clock().tick(1);
+    });
+
+    it("should wait for tokens that expire after the longest timeout", () => {
+      jasmine.clock().install();
+      jasmine.clock().mockDate();
+
+      const session = new ApplicationCredentialsManager({
+        clientId: "id",
+        clientSecret: "secret",
+        token: "token",
+        expires: new Date(Date.now() + 1000 * 60 * 60 * 24 * 60)
+      });
+
+      session.startAutoRefresh({ refreshBefore: 1000 });
+      jasmine.clock().tick(2147483647);
+
+      expect(fetchMock.called()).toBe(false);
+      expect(session.isAutoRefreshing).toBe(true);
+      session.stopAutoRefresh();
+    });
+
+    it("should stop refreshing automatically after a refresh fails", (done) => {
+      const session = new ApplicationCredentialsManager({
+        clientId: "id",
+        clientSecret: "secret"
+      });
+
+      fetchMock.postOnce("https://www.arcgis.com/sharing/rest/oauth2/token/", {
+        error: { code: 400, message: "Invalid client_secret" }
+      });
+
+      session.once(AUTH_EVENTS.RefreshFailed, () => {
+        expect(session.isAutoRefreshing).toBe(false);
+        done();
+      });
+
+      session.startAutoRefresh();
+    });
+  });
 });
@@ -14,7 +14,8 @@ import {
   ArcGISTokenRequestErrorCodes,
   IServerInfo,
   ITokenRequestOptions,
-  IOAuth2Options
+  IOAuth2Options,
+  AUTH_EVENTS
 } from "../src/index.js";
 import { FormData } from "@esri/arcgis-rest-form-data";
 import {
@@ -3261,4 +3262,422 @@ describe("ArcGISIdentityManager", () => {
       });
     });
   });
+
+  describe("credential storage", () => {
+    function createMockStore() {
+      const values: { [key: string]: string } = {};
+
+      return {
+        values,
+        get: (key: string) => values[key],
+        set: (key: string, value: string) => {
+          values[key] = value;
+        },
+        delete: (key: string) => {
+          delete values[key];
+        }
+      };
+    }
+
+    it("should save credentials when storage is enabled", () => {
+      const store = createMockStore();
+      const session = new ArcGISIdentityManager({
+        clientId: "clientId",
+        token: "token",
+        tokenExpires: TOMORROW
+      });
+
+      return session.enableStorage(store).then((s) => {
+        expect(s).toBe(session);
+        expect(JSON.parse(store.values["arcgis-rest-js:credentials"])).toEqual(
+          JSON.parse(session.serialize())
+        );
+      });
+    });
+
+    it("should create a manager from saved credentials", () => {
+      const store = createMockStore();
+      const session = new ArcGISIdentityManager({
+        clientId: "clientId",
+        token: "token",
+        tokenExpires: TOMORROW,
+        username: "c@sey"
+      });
+
+      return session
+        .enableStorage(store, "casey")
+        .then(() => ArcGISIdentityManager.fromStorage(store, "casey"))
+        .then((s) => {
+          expect(s.token).toBe("token");
+          expect(s.tokenExpires).toEqual(TOMORROW);
+          expect(s.username).toBe("c@sey");
+          return ArcGISIdentityManager.fromStorage(store);
+        })
+        .then((s) => {
+          expect(s).toBeUndefined();
+        });
+    });
+
+    it("should save credentials after refreshing with a username and password", () => {
+      const store = createMockStore();
+      store.values["arcgis-rest-js:credentials"] = new ArcGISIdentityManager({
+        username: "c@sey",
+        password: "123456"
+      }).serialize();
+
+      fetchMock.postOnce("https://www.arcgis.com/sharing/rest/generateToken", {
+        token: "token",
+        expires: TOMORROW.getTime(),
+        username: " c@sey"
+      });
+
+      return ArcGISIdentityManager.fromStorage(store)
+        .then((session) => session.refreshCredentials())
+        .then(() => {
+          const saved = JSON.parse(store.values["arcgis-rest-js:credentials"]);
+          expect(saved.token).toBe("token");
+          expect(new Date(saved.tokenExpires)).toEqual(TOMORROW);
+        });
+    });
+
+    it("should save credentials after refreshing with a refresh token", () => {
+      const store = createMockStore();
+      const session = new ArcGISIdentityManager({
+        clientId: "clientId",
+        token: "token",
+        refreshToken: "refreshToken",
+        refreshTokenExpires: FIVE_DAYS_FROM_NOW
+      });
+
+      fetchMock.postOnce("https://www.arcgis.com/sharing/rest/oauth2/token", {
+        access_token: "newToken",
+        expires_in: 60,
+        username: " c@sey"
+      });
+
+      return session
+        .enableStorage(store)
+        .then(() => session.refreshCredentials())
+        .then(() => {
+          const saved = JSON.parse(store.values["arcgis-rest-js:credentials"]);
+          expect(saved.token).toBe("newToken");
+          expect(saved.refreshToken).toBe("refreshToken");
+        });
+    });
+
+    it("should save credentials after exchanging a refresh token", () => {
+      const store = createMockStore();
+      const session = new ArcGISIdentityManager({
+        clientId: "clientId",
+        token: "token",
+        refreshToken: "refreshToken",
+        refreshTokenExpires: new Date(Date.now() + 1000 * 60 * 60),
+        redirectUri: "https://example-app.com/redirect-uri"
+      });
+
+      fetchMock.postOnce("https://www.arcgis.com/sharing/rest/oauth2/token", {
+        access_token: "newToken",
+        expires_in: 60,
+        username: " c@sey",
+        refresh_token: "newRefreshToken",
+        refresh_token_expires_in: 1209600
+      });
+
+      return session
+        .enableStorage(store)
+        .then(() => session.refreshCredentials())
+        .then(() => {
+          const saved = JSON.parse(store.values["arcgis-rest-js:credentials"]);
+          expect(saved.token).toBe("newToken");
+          expect(saved.refreshToken).toBe("newRefreshToken");
+        });
+    });
+
+    it("should not save credentials after storage is disabled", () => {
+      const store = createMockStore();
+      const session = new ArcGISIdentityManager({
+        username: "c@sey",
+        password: "123456"
+      });
+
+      fetchMock.postOnce("https://www.arcgis.com/sharing/rest/generateToken", {
+        token: "token",
+        expires: TOMORROW.getTime(),
+        username: " c@sey"
+      });
+
+      return session
+        .enableStorage(store)
+        .then(() => {
+          session.disableStorage();
+          return session.refreshCredentials();
+        })
+        .then(() => {
+          const saved = JSON.parse(store.values["arcgis-rest-js:credentials"]);
+          expect(saved.token).toBeUndefined();
+        });
+    });
+
+    it("should delete saved credentials when signing out", () => {
+      fetchMock.once("*", { success: true });
+
+      const store = createMockStore();
+      const session = new ArcGISIdentityManager({
+        clientId: "clientId",
+        token: "token"
+      });
+
+      return session
+        .enableStorage(store)
+        .then(() => session.signOut())
+        .then((response) => {
+          expect(response).toEqual({ success: true });
+          expect(store.values["arcgis-rest-js:credentials"]).toBeUndefined();
+        });
+    });
+  });
+
+  describe("auth events", () => {
+    afterEach(() => {
+      jasmine.clock().uninstall();
+    });
+
+    function mockGenerateToken(token = "newToken") {
+      fetchMock.postOnce("https://www.arcgis.com/sharing/rest/generateToken", {
+        token,
+        expires: TOMORROW.getTime(),
+        username: " c@sey"
+      });
+    }
+
+    it("should emit token-refreshed after refreshing credentials", () => {
+      const session = new ArcGISIdentityManager({
+        username: "c@sey",
+        password: "123456"
+      });
+      const handler = jasmine.createSpy("handler");
+      session.on(AUTH_EVENTS.TokenRefreshed, handler);
+
+      mockGenerateToken();
+
+      return session.refreshCredentials().then(() => {
+        expect(handler).toHaveBeenCalledWith({
+          token: "newToken",
+          tokenExpires: TOMORROW,
+          refreshToken: undefined,
+          refreshTokenExpires: undefined
+        });
+      });
+    });
+
+    it("should emit refresh-failed if credentials cannot be refreshed", () => {
+      const session = new ArcGISIdentityManager({
+        token: "token",
+        tokenExpires: TOMORROW
+      });
+      const handler = jasmine.createSpy("handler");
+      session.on("refresh-failed", handler);
+
+      return session.refreshCredentials().then(
+        () => fail("refreshCredentials should have rejected"),
+        (e) => {
+          expect(e instanceof ArcGISTokenRequestError).toBe(true);
+          expect(handler).toHaveBeenCalledWith({ error: e });
+        }
+      );
+    });
+
+    it("should remove listeners with off() and once()", () => {
+      const session = new ArcGISIdentityManager({
+        username: "c@sey",
+        password: "123456"
+      });
+      const onHandler = jasmine.createSpy("onHandler");
+      const onceHandler = jasmine.createSpy("onceHandler");
+      const removedOnceHandler = jasmine.createSpy("removedOnceHandler");
+
+      session.on(AUTH_EVENTS.TokenRefreshed, onHandler);
+      session.once(AUTH_EVENTS.TokenRefreshed, onceHandler);
+      session.once(AUTH_EVENTS.TokenRefreshed, removedOnceHandler);
+      session.off(AUTH_EVENTS.TokenRefreshed, removedOnceHandler);
+
+      mockGenerateToken("token1");
+      mockGenerateToken("token2");
+
+      return session
+        .refreshCredentials()
+        .then(() => {
+          session.off(AUTH_EVENTS.TokenRefreshed, onHandler);
+          return session.refreshCredentials();
+        })
+        .then(() => {
+          expect(onHandler).toHaveBeenCalledTimes(1);
+          expect(onceHandler).toHaveBeenCalledTimes(1);
+          expect(removedOnceHandler).not.toHaveBeenCalled();
+        });
+    });
+
+    it("should emit refresh-token-expiring once for each refresh token", () => {
+      const session = new ArcGISIdentityManager({
+        clientId: "clientId",
+        token: "token",
+        tokenExpires: TOMORROW,
+        refreshToken: "refreshToken",
+        refreshTokenExpires: new Date(Date.now() + 1000 * 60 * 60)
+      });
+      const handler = jasmine.createSpy("handler");
+      session.on(AUTH_EVENTS.RefreshTokenExpiring, handler);
+
+      session.startAutoRefresh();
+      session.startAutoRefresh();
+      session.stopAutoRefresh();
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler).toHaveBeenCalledWith({
+        refreshTokenExpires: session.refreshTokenExpires
+      });
+    });
+
+    it("should not emit refresh-token-expiring before the warning period", () => {
+      const session = new ArcGISIdentityManager({
+        clientId: "clientId",
+        token: "token",
+        tokenExpires: TOMORROW,
+        refreshToken: "refreshToken",
+        refreshTokenExpires: FIVE_DAYS_FROM_NOW
+      });
+      const handler = jasmine.createSpy("handler");
+      session.on(AUTH_EVENTS.RefreshTokenExpiring, handler);
+
+      session.startAutoRefresh({ refreshTokenWarning: 1000 * 60 * 60 });
+      session.stopAutoRefresh();
+
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it("should refresh the token before it expires", (done) => {
+      jasmine.clock().install();
+      jasmine.clock().mockDate();
+
+      const session = new ArcGISIdentityManager({
+        username: "c@sey",
+        password: "123456",
+        token: "token",
+        tokenExpires: new Date(Date.now() + 1000 * 60 * 10)
+      });
+
+      mockGenerateToken();
+
+      session.once(AUTH_EVENTS.TokenRefreshed, () => {
+        expect(session.token).toBe("newToken");
+        // the next refresh is scheduled for the new token
+        expect(session.isAutoRefreshing).toBe(true);
+        session.stopAutoRefresh();
+        expect(session.isAutoRefreshing).toBe(false);
+        done();
+      });
+
+      session.startAutoRefresh({ refreshBefore: 1000 * 60 * 5 });
+      expect(session.isAutoRefreshing).toBe(true);
+
+      jasmine.clock().tick(1000 * 60 * 5 - 1);
+      expect(fetchMock.called()).toBe(false);
+      jasmine.clock().tick(1);
+    });
+
+    it("should refresh tokens that expire sooner than refreshBefore halfway to their expiration", (done) => {
+      jasmine.clock().install();
+      jasmine.clock().mockDate();
+
+      const session = new ArcGISIdentityManager({
+        username: "c@sey",
+        password: "123456",
+        token: "token",
+        tokenExpires: new Date(Date.now() + 1000 * 60 * 2)
+      });
+
+      fetchMock.post("https://www.arcgis.com/sharing/rest/generateToken", {
+        token: "newToken",
+        expires: Date.now() + 1000 * 60 * 3,
+        username: " c@sey"
+      });
+
+      const refresh = spyOn(session, "refreshCredentials").and.callThrough();
+
+      session.once(AUTH_EVENTS.TokenRefreshed, () => {
+        // wait for the next refresh to be scheduled
+        Promise.resolve().then(() => {
+          jasmine.clock().tick(1000 * 60 - 1);
+          expect(refresh).toHaveBeenCalledTimes(1);
+          jasmine.clock().tick(1);
+          expect(refresh).toHaveBeenCalledTimes(2);
+          session.stopAutoRefresh();
+          done();
+        });
+      });
+
+      session.startAutoRefresh();
+      jasmine.clock().tick(1000 * 60 - 1);
+      expect(fetchMock.called()).toBe(false);
+      jasmine.clock().tick(1);
+    });
+
+    it("should wait for tokens that expire after the longest timeout", () => {
+      jasmine.clock().install();
+      jasmine.clock().mockDate();
+
+      const session = new ArcGISIdentityManager({
+        username: "c@sey",
+        password: "123456",
+        token: "token",
+        tokenExpires: new Date(Date.now() + 1000 * 60 * 60 * 24 * 60)
+      });
+
+      session.startAutoRefresh();
+      jasmine.clock().tick(2147483647);
+
+      expect(fetchMock.called()).toBe(false);
+      expect(session.isAutoRefreshing).toBe(true);
+      session.stopAutoRefresh();
+    });
+
+    it("should stop refreshing automatically after a refresh fails", (done) => {
+      jasmine.clock().install();
+      jasmine.clock().mockDate();
+
+      const session = new ArcGISIdentityManager({
+        token: "token",
+        tokenExpires: new Date(Date.now() + 1000 * 60 * 10)
+      });
+
+      session.once(AUTH_EVENTS.RefreshFailed, ({ error }) => {
+        expect(error.message).toBe(
+          "TOKEN_REFRESH_FAILED: Unable to refresh token. No refresh token or password present."
+        );
+        expect(session.isAutoRefreshing).toBe(false);
+        done();
+      });
+
+      session.startAutoRefresh();
+      jasmine.clock().tick(1000 * 60 * 5);
+    });
+
+    it("should emit signed-out and stop refreshing after signing out", () => {
+      fetchMock.once("*", { success: true });
+
+      const session = new ArcGISIdentityManager({
+        clientId: "clientId",
+        token: "token",
+        tokenExpires: TOMORROW
+      });
+      const handler = jasmine.createSpy("handler");
+      session.on(AUTH_EVENTS.SignedOut, handler);
+      session.startAutoRefresh();
+
+      return session.signOut().then(() => {
+        expect(handler).toHaveBeenCalledWith({});
+        expect(session.isAutoRefreshing).toBe(false);
+      });
+    });
+  });
 });
@@ -0,0 +1,130 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { EncryptedCredentialStore, ICredentialStore } from "../src/index.js";
+import { isNode } from "../../../scripts/test-helpers.js";
+
+function createMockStore(): ICredentialStore & {
+  values: { [key: string]: string };
+} {
+  const values: { [key: string]: string } = {};
+
+  return {
+    values,
+    get: (key) => values[key],
+    set: (key, value) => {
+      values[key] = value;
+    },
+    delete: (key) => {
+      delete values[key];
+    }
+  };
+}
+
+describe("EncryptedCredentialStore", () => {
+  it("should encrypt credentials before storing them", () => {
+    const inner = createMockStore();
+    const store = new EncryptedCredentialStore({
+      store: inner,
+      secret: "secret"
+    });
+
+    return store
+      .set("a", '{"token":"token"}')
+      .then(() => {
+        expect(inner.values.a).toMatch(/^[^.]+\.[^.]+\.[^.]+$/);
+        expect(inner.values.a).not.toContain("token");
+        return store.get("a");
+      })
+      .then((value) => {
+        expect(value).toBe('{"token":"token"}');
+      });
+  });
+
+  it("should use a different salt for each value", () => {
+    const inner = createMockStore();
+    const store = new EncryptedCredentialStore({
+      store: inner,
+      secret: "secret"
+    });
+
+    return store
+      .set("a", "credentials")
+      .then(() => store.set("b", "credentials"))
+      .then(() => {
+        expect(inner.values.a).not.toBe(inner.values.b);
+      });
+  });
+
+  it("should return undefined if there are no credentials", () => {
+    const store = new EncryptedCredentialStore({
+      store: createMockStore(),
+      secret: "secret"
+    });
+
+    return store.get("a").then((value) => {
+      expect(value).toBeUndefined();
+    });
+  });
+
+  it("should reject if the credentials were encrypted with another secret", () => {
+    const inner = createMockStore();
+
+    return new EncryptedCredentialStore({ store: inner, secret: "secret" })
+      .set("a", "credentials")
+      .then(() =>
+        new EncryptedCredentialStore({ store: inner, secret: "other" }).get("a")
+      )
+      .then(
+        () => fail("get should have rejected"),
+        (e) => {
+          expect(e.message).toBe(
+            "Unable to decrypt the stored credentials. The secret may have changed."
+          );
+        }
+      );
+  });
+
+  it("should delete credentials from the store", () => {
+    const inner = createMockStore();
+    inner.values.a = "encrypted";
+
+    return Promise.resolve(
+      new EncryptedCredentialStore({ store: inner, secret: "secret" }).delete(
+        "a"
+      )
+    ).then(() => {
+      expect(inner.values.a).toBeUndefined();
+    });
+  });
+
+  if (isNode) {
+    it("should encode with Buffer on Node.js versions without btoa and atob", () => {
+      const { btoa, atob } = globalThis;
+      const inner = createMockStore();
+      const store = new EncryptedCredentialStore({
+        store: inner,
+        secret: "secret"
+      });
+
+      delete globalThis.btoa;
+      delete globalThis.atob;
+
+      return store
+        .set("a", "credentials")
+        .then(() => store.get("a"))
+        .then(
+          (value) => {
+            globalThis.btoa = btoa;
+            globalThis.atob = atob;
+            expect(value).toBe("credentials");
+          },
+          (e) => {
+            globalThis.btoa = btoa;
+            globalThis.atob = atob;
+            throw e;
+          }
+        );
+    });
+  }
+});
@@ -0,0 +1,89 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { FileCredentialStore } from "../src/index.js";
+
+function createMockFs(files: { [path: string]: string } = {}) {
+  return {
+    files,
+    promises: {
+      readFile: jasmine
+        .createSpy("readFile")
+        .and.callFake((path: string) =>
+          path in files
+            ? Promise.resolve(files[path])
+            : Promise.reject(
+                Object.assign(new Error("not found"), { code: "ENOENT" })
+              )
+        ),
+      writeFile: jasmine
+        .createSpy("writeFile")
+        .and.callFake((path: string, data: string) => {
+          files[path] = data;
+          return Promise.resolve();
+        })
+    }
+  };
+}
+
+describe("FileCredentialStore", () => {
+  it("should return undefined if the file does not exist", () => {
+    const store = new FileCredentialStore({
+      path: "credentials.json",
+      fs: createMockFs()
+    });
+
+    return store.get("a").then((value) => {
+      expect(value).toBeUndefined();
+    });
+  });
+
+  it("should store credentials in the file only the user can read", () => {
+    const fs = createMockFs();
+    const store = new FileCredentialStore({ path: "credentials.json", fs });
+
+    return store
+      .set("a", "credentials")
+      .then(() => {
+        expect(JSON.parse(fs.files["credentials.json"])).toEqual({
+          a: "credentials"
+        });
+        expect(fs.promises.writeFile.calls.mostRecent().args[2]).toEqual({
+          encoding: "utf8",
+          mode: 0o600
+        });
+        return store.get("a");
+      })
+      .then((value) => {
+        expect(value).toBe("credentials");
+      });
+  });
+
+  it("should keep all the values of concurrent writes", () => {
+    const fs = createMockFs({ "credentials.json": '{"c":"3"}' });
+    const store = new FileCredentialStore({ path: "credentials.json", fs });
+
+    return Promise.all([
+      store.set("a", "1"),
+      store.set("b", "2"),
+      store.delete("c")
+    ]).then(() => {
+      expect(JSON.parse(fs.files["credentials.json"])).toEqual({
+        a: "1",
+        b: "2"
+      });
+    });
+  });
+
+  it("should reject if the file cannot be read", () => {
+    const fs = createMockFs({ "credentials.json": "not json" });
+    const store = new FileCredentialStore({ path: "credentials.json", fs });
+
+    return store.get("a").then(
+      () => fail("get should have rejected"),
+      (e) => {
+        expect(e instanceof SyntaxError).toBe(true);
+      }
+    );
+  });
+});
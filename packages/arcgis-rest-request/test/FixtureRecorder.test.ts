@@ -0,0 +1,239 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import fetchMock from "fetch-mock";
+import { request, FixtureRecorder, IFixture } from "../src/index.js";
+import { SharingRestInfo } from "./mocks/sharing-rest-info.js";
+
+const url = "https://www.arcgis.com/sharing/rest/info";
+const tokenUrl = "https://www.arcgis.com/sharing/rest/generateToken";
+
+describe("FixtureRecorder", () => {
+  afterEach(() => {
+    fetchMock.restore();
+  });
+
+  it("should record requests and scrub tokens", () => {
+    fetchMock.once(`begin:${url}`, SharingRestInfo);
+    fetchMock.once(tokenUrl, { token: "SECRET", expires: 1 });
+
+    const recorder = new FixtureRecorder({ mode: "record" });
+
+    return request(url, {
+      httpMethod: "GET",
+      authentication: "AAPKtoken",
+      params: { foo: "bar" },
+      fetch: recorder.fetch
+    })
+      .then((response) => {
+        expect(response).toEqual(SharingRestInfo);
+        return request(tokenUrl, {
+          authentication: "AAPKtoken",
+          fetch: recorder.fetch
+        });
+      })
+      .then((response) => {
+        // the caller still receives the real token
+        expect(response.token).toBe("SECRET");
+
+        const [info, token] = JSON.parse(recorder.serialize());
+        expect(info.request).toEqual({
+          method: "GET",
+          url: `${url}?f=json&foo=bar`
+        });
+        expect(info.response.status).toBe(200);
+        expect(JSON.parse(info.response.body)).toEqual(SharingRestInfo);
+        expect(token.request).toEqual({
+          method: "POST",
+          url: tokenUrl,
+          body: "f=json"
+        });
+        expect(JSON.parse(token.response.body).token).toBe("REDACTED");
+        expect(recorder.toJSON()).toBe(recorder.fixtures);
+      });
+  });
+
+  [
+    "token",
+    "access_token",
+    "refresh_token",
+    "password",
+    "client_secret",
+    "code"
+  ].forEach((param) => {
+    it(`should remove ${param} from recorded URLs and bodies`, () => {
+      const fetch = jasmine
+        .createSpy("fetch")
+        .and.callFake(() => Promise.resolve(new Response("{}")));
+      const recorder = new FixtureRecorder({ mode: "record", fetch });
+
+      return recorder
+        .fetch(`${url}?${param}=SECRET&f=json&${param}=SECRET`)
+        .then(() =>
+          recorder.fetch(tokenUrl, {
+            method: "POST",
+            body: `grant_type=refresh_token&${param}=SECRET&client_id=app`
+          })
+        )
+        .then(() => {
+          expect(recorder.serialize()).not.toContain("SECRET");
+          expect(recorder.fixtures[0].request.url).toBe(`${url}?f=json`);
+          expect(recorder.fixtures[1].request.body).toBe(
+            "grant_type=refresh_token&client_id=app"
+          );
+        });
+    });
+  });
+
+  [
+    "token",
+    "access_token",
+    "refresh_token",
+    "password",
+    "client_secret"
+  ].forEach((key) => {
+    it(`should redact ${key} in recorded JSON responses`, () => {
+      const fetch = jasmine
+        .createSpy("fetch")
+        .and.callFake(() =>
+          Promise.resolve(
+            new Response(JSON.stringify({ [key]: "SECRET", expires_in: 1 }))
+          )
+        );
+      const recorder = new FixtureRecorder({ mode: "record", fetch });
+
+      return recorder.fetch(tokenUrl, { method: "POST" }).then((response) =>
+        response.json().then((json) => {
+          // the caller still receives the real credential
+          expect(json[key]).toBe("SECRET");
+          expect(JSON.parse(recorder.fixtures[0].response.body)).toEqual({
+            [key]: "REDACTED",
+            expires_in: 1
+          });
+        })
+      );
+    });
+  });
+
+  it("should replay requests regardless of their credentials", () => {
+    const recorder = new FixtureRecorder({
+      mode: "replay",
+      fixtures: [
+        {
+          request: {
+            method: "POST",
+            url: tokenUrl,
+            body: "username=casey&f=json"
+          },
+          response: {
+            status: 200,
+            statusText: "OK",
+            headers: {},
+            body: '{"token":"REDACTED"}'
+          }
+        }
+      ]
+    });
+
+    return recorder
+      .fetch(tokenUrl, {
+        method: "POST",
+        body: "username=casey&password=hunter2&f=json"
+      })
+      .then((response) => response.json())
+      .then((json) => {
+        expect(json.token).toBe("REDACTED");
+      });
+  });
+
+  it("should record with a custom fetch", () => {
+    const fetch = jasmine
+      .createSpy("fetch")
+      .and.callFake(() => Promise.resolve(new Response("{}")));
+
+    const recorder = new FixtureRecorder({ mode: "record", fetch });
+
+    return recorder.fetch(url).then(() => {
+      expect(fetch).toHaveBeenCalledWith(url, {});
+      expect(recorder.fixtures[0].request.method).toBe("GET");
+    });
+  });
+
+  it("should replay fixtures without the network", () => {
+    const fixtures: IFixture[] = [
+      {
+        request: { method: "POST", url, body: "f=json" },
+        response: {
+          status: 200,
+          statusText: "OK",
+          headers: { "content-type": "application/json" },
+          body: JSON.stringify({ attempt: 1 })
+        }
+      },
+      {
+        request: { method: "POST", url, body: "f=json" },
+        response: {
+          status: 200,
+          statusText: "OK",
+          headers: {},
+          body: JSON.stringify({ attempt: 2 })
+        }
+      }
+    ];
+
+    const recorder = FixtureRecorder.deserialize(JSON.stringify(fixtures));
+    const options = { fetch: recorder.fetch, authentication: "AAPKother" };
+
+    expect(recorder.mode).toBe("replay");
+
+    return Promise.all([
+      request(url, options),
+      request(url, options),
+      request(url, options)
+    ]).then((responses) => {
+      expect(responses).toEqual([
+        { attempt: 1 },
+        { attempt: 2 },
+        { attempt: 2 }
+      ]);
+      expect(fetchMock.called()).toBe(false);
+    });
+  });
+
+  it("should replay HTTP errors", () => {
+    const recorder = new FixtureRecorder({
+      mode: "replay",
+      fixtures: [
+        {
+          request: { method: "GET", url: `${url}?f=json` },
+          response: {
+            status: 404,
+            statusText: "Not Found",
+            headers: {},
+            body: ""
+          }
+        }
+      ]
+    });
+
+    return request(url, { httpMethod: "GET", fetch: recorder.fetch })
+      .then(() => {
+        fail("request should have been rejected");
+      })
+      .catch((e) => {
+        expect(e.message).toBe("HTTP 404: Not Found");
+      });
+  });
+
+  it("should reject requests that were not recorded", () => {
+    const recorder = new FixtureRecorder({ mode: "replay" });
+
+    return request(url, { fetch: recorder.fetch })
+      .then(() => {
+        fail("request should have been rejected");
+      })
+      .catch((e) => {
+        expect(e.message).toBe(`No fixture recorded for POST ${url}`);
+      });
+  });
+});
@@ -0,0 +1,47 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { MemoryCacheStore } from "../src/index.js";
+
+describe("MemoryCacheStore", () => {
+  it("should store, return and delete entries", () => {
+    const store = new MemoryCacheStore();
+    const entry = { value: { foo: "bar" }, expires: 1 };
+
+    store.set("a", entry);
+    expect(store.get("a")).toBe(entry);
+    expect(store.keys()).toEqual(["a"]);
+    expect(store.size).toBe(1);
+
+    store.delete("a");
+    expect(store.get("a")).toBeUndefined();
+    expect(store.size).toBe(0);
+  });
+
+  it("should default to 100 entries", () => {
+    expect(new MemoryCacheStore().maxEntries).toBe(100);
+  });
+
+  it("should evict the least recently used entry", () => {
+    const store = new MemoryCacheStore({ maxEntries: 2 });
+
+    store.set("a", { value: "a", expires: 1 });
+    store.set("b", { value: "b", expires: 1 });
+
+    // reading "a" makes "b" the least recently used entry
+    store.get("a");
+    store.set("c", { value: "c", expires: 1 });
+
+    expect(store.keys()).toEqual(["a", "c"]);
+  });
+
+  it("should clear all entries", () => {
+    const store = new MemoryCacheStore();
+
+    store.set("a", { value: "a", expires: 1 });
+    store.set("b", { value: "b", expires: 1 });
+    store.clear();
+
+    expect(store.keys()).toEqual([]);
+  });
+});
@@ -0,0 +1,324 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import fetchMock from "fetch-mock";
+import {
+  ApiKeyManager,
+  ApplicationCredentialsManager,
+  ArcGISIdentityManager,
+  MultiCredentialManager,
+  request
+} from "../src/index.js";
+import { TOMORROW } from "../../../scripts/test-helpers.js";
+
+describe("MultiCredentialManager", () => {
+  afterEach(fetchMock.restore);
+
+  const portalManager = new ArcGISIdentityManager({
+    clientId: "clientId",
+    token: "portalToken",
+    tokenExpires: TOMORROW,
+    username: "c@sey",
+    portal: "https://gis.example.com/portal/sharing/rest"
+  });
+
+  const serverManager = new ArcGISIdentityManager({
+    server: "https://server.example.com/arcgis",
+    token: "serverToken",
+    tokenExpires: TOMORROW
+  });
+
+  const apiKey = ApiKeyManager.fromKey("apiKey");
+
+  describe(".findManager()", () => {
+    it("should use the manager of the longest matching prefix", () => {
+      const manager = new MultiCredentialManager({
+        defaultManager: portalManager
+      })
+        .register(serverManager, "https://server.example.com/arcgis")
+        .register(
+          apiKey,
+          "https://server.example.com/arcgis/rest/services/Basemaps"
+        );
+
+      expect(
+        manager.findManager(
+          "https://server.example.com/arcgis/rest/services/Parcels/FeatureServer/0"
+        )
+      ).toBe(serverManager);
+      expect(
+        manager.findManager(
+          "https://server.example.com/arcgis/rest/services/Basemaps/Streets/MapServer"
+        )
+      ).toBe(apiKey);
+      expect(
+        manager.findManager(
+          "https://gis.example.com/server/rest/services/Hosted/FeatureServer"
+        )
+      ).toBe(portalManager);
+    });
+
+    it("should ignore the protocol, domain case, query strings and trailing slashes", () => {
+      const manager = new MultiCredentialManager().register(
+        serverManager,
+        "https://Server.Example.com/arcgis/"
+      );
+
+      expect(
+        manager.findManager("http://server.example.com/arcgis?f=json")
+      ).toBe(serverManager);
+      expect(manager.findManager("https://server.example.com/arcgis2")).toBe(
+        undefined
+      );
+    });
+
+    it("should default to the server or portal of the manager", () => {
+      const manager = new MultiCredentialManager()
+        .register(serverManager)
+        .register(portalManager);
+
+      expect(
+        manager.findManager(
+          "https://server.example.com/arcgis/rest/services/Parcels/FeatureServer"
+        )
+      ).toBe(serverManager);
+      expect(
+        manager.findManager(
+          "https://gis.example.com/portal/sharing/rest/content/items/abc"
+        )
+      ).toBe(portalManager);
+    });
+
+    it("should replace and remove managers", () => {
+      const manager = new MultiCredentialManager()
+        .register(serverManager, "https://server.example.com/arcgis")
+        .register(apiKey, "https://server.example.com/arcgis/");
+
+      expect(manager.findManager("https://server.example.com/arcgis")).toBe(
+        apiKey
+      );
+
+      manager.unregister("https://server.example.com/arcgis");
+
+      expect(manager.findManager("https://server.example.com/arcgis")).toBe(
+        undefined
+      );
+    });
+  });
+
+  describe("IAuthenticationManager", () => {
+    it("should authenticate requests with the token for the URL", () => {
+      fetchMock.mock("*", { success: true });
+
+      const authentication = new MultiCredentialManager({
+        defaultManager: portalManager
+      }).register(apiKey, "https://basemaps.example.com/arcgis");
+
+      return Promise.all([
+        request(
+          "https://basemaps.example.com/arcgis/rest/services/Streets/MapServer",
+          { authentication }
+        ),
+        request("https://gis.example.com/portal/sharing/rest/portals/self", {
+          authentication
+        })
+      ]).then(() => {
+        const bodies = fetchMock.calls("*").map(([, options]) => options.body);
+        expect(bodies[0]).toContain("token=apiKey");
+        expect(bodies[1]).toContain("token=portalToken");
+      });
+    });
+
+    it("should not send a token if no manager matches", () => {
+      const manager = new MultiCredentialManager();
+
+      expect(manager.portal).toBe("https://www.arcgis.com/sharing/rest");
+      expect(manager.getDomainCredentials("https://example.com")).toBe(
+        "same-origin"
+      );
+
+      return manager.getToken("https://example.com").then((token) => {
+        expect(token).toBe("");
+      });
+    });
+
+    it("should use the portal, domain credentials and username of the managers", () => {
+      const manager = new MultiCredentialManager({
+        defaultManager: portalManager
+      });
+
+      expect(manager.portal).toBe(
+        "https://gis.example.com/portal/sharing/rest"
+      );
+      expect(manager.getDomainCredentials("https://example.com")).toBe(
+        "same-origin"
+      );
+
+      return manager.getUsername().then((username) => {
+        expect(username).toBe("c@sey");
+      });
+    });
+
+    it("should reject if the default manager does not have a username", () => {
+      return new MultiCredentialManager({ defaultManager: apiKey })
+        .getUsername()
+        .then(
+          () => fail("getUsername should have rejected"),
+          (e) => {
+            expect(e.message).toBe(
+              "The default manager does not have a username."
+            );
+          }
+        );
+    });
+
+    it("should refresh every manager that can be refreshed", () => {
+      const first = new ArcGISIdentityManager({
+        username: "c@sey",
+        password: "123456"
+      });
+      const second = new ArcGISIdentityManager({
+        username: "jsmith",
+        password: "123456",
+        portal: "https://gis.example.com/portal/sharing/rest"
+      });
+      spyOn(first, "refreshCredentials").and.returnValue(
+        Promise.resolve(first)
+      );
+      spyOn(second, "refreshCredentials").and.returnValue(
+        Promise.resolve(second)
+      );
+
+      const manager = new MultiCredentialManager({ defaultManager: first })
+        .register(first, "https://www.arcgis.com")
+        .register(second)
+        .register(apiKey, "https://basemaps.example.com");
+
+      expect(manager.canRefresh).toBe(true);
+      expect(new MultiCredentialManager().canRefresh).toBe(false);
+
+      return manager.refreshCredentials().then((refreshed) => {
+        expect(refreshed).toBe(manager);
+        expect(first.refreshCredentials).toHaveBeenCalledTimes(1);
+        expect(second.refreshCredentials).toHaveBeenCalledTimes(1);
+      });
+    });
+
+    it("should only refresh the manager for the url of an expired token", () => {
+      const first = new ArcGISIdentityManager({
+        username: "c@sey",
+        password: "123456",
+        token: "firstToken",
+        tokenExpires: TOMORROW
+      });
+      const second = new ArcGISIdentityManager({
+        username: "jsmith",
+        password: "123456",
+        token: "secondToken",
+        tokenExpires: TOMORROW,
+        portal: "https://gis.example.com/portal/sharing/rest"
+      });
+      spyOn(first, "refreshCredentials").and.returnValue(
+        Promise.resolve(first)
+      );
+      spyOn(second, "refreshCredentials").and.callFake(() =>
+        Promise.reject(new Error("Unable to refresh"))
+      );
+
+      const manager = new MultiCredentialManager({ defaultManager: first })
+        .register(first, "https://www.arcgis.com")
+        .register(second);
+
+      fetchMock.once("begin:https://www.arcgis.com/sharing/rest/portals/self", {
+        error: { code: 498, message: "Invalid token.", details: [] }
+      });
+      fetchMock.once("begin:https://www.arcgis.com/sharing/rest/portals/self", {
+        id: "self"
+      });
+
+      return request("https://www.arcgis.com/sharing/rest/portals/self", {
+        authentication: manager
+      }).then((response) => {
+        expect(response).toEqual({ id: "self" });
+        expect(first.refreshCredentials).toHaveBeenCalledTimes(1);
+        expect(second.refreshCredentials).not.toHaveBeenCalled();
+      });
+    });
+
+    it("should not refresh anything if the manager for the url cannot be refreshed", () => {
+      const refreshable = new ArcGISIdentityManager({
+        username: "c@sey",
+        password: "123456"
+      });
+      spyOn(refreshable, "refreshCredentials").and.returnValue(
+        Promise.resolve(refreshable)
+      );
+
+      const manager = new MultiCredentialManager({
+        defaultManager: refreshable
+      }).register(apiKey, "https://basemaps.example.com");
+
+      return manager
+        .refreshCredentials(undefined, "https://basemaps.example.com/tiles")
+        .then((refreshed) => {
+          expect(refreshed).toBe(manager);
+          expect(refreshable.refreshCredentials).not.toHaveBeenCalled();
+          return new MultiCredentialManager().refreshCredentials(
+            undefined,
+            "https://basemaps.example.com/tiles"
+          );
+        })
+        .then((refreshed) => {
+          expect(refreshed instanceof MultiCredentialManager).toBe(true);
+        });
+    });
+  });
+
+  describe(".serialize() and MultiCredentialManager.deserialize()", () => {
+    it("should serialize and deserialize every manager", () => {
+      const manager = MultiCredentialManager.deserialize(
+        new MultiCredentialManager({ defaultManager: portalManager })
+          .register(serverManager)
+          .register(apiKey, "https://basemaps.example.com/arcgis")
+          .serialize()
+      );
+
+      const defaultManager = manager.defaultManager as ArcGISIdentityManager;
+      const server = manager.findManager(
+        "https://server.example.com/arcgis/rest/services"
+      ) as ArcGISIdentityManager;
+
+      expect(defaultManager.token).toBe("portalToken");
+      expect(defaultManager.tokenExpires).toEqual(TOMORROW);
+      expect(server.token).toBe("serverToken");
+
+      return manager
+        .findManager("https://basemaps.example.com/arcgis/rest/services")
+        .getToken("https://basemaps.example.com/arcgis/rest/services")
+        .then((token) => {
+          expect(token).toBe("apiKey");
+        });
+    });
+
+    it("should serialize a manager without a default manager", () => {
+      const manager = MultiCredentialManager.deserialize(
+        new MultiCredentialManager().serialize()
+      );
+
+      expect(manager.defaultManager).toBeUndefined();
+    });
+
+    it("should throw if a manager cannot be serialized", () => {
+      const manager = new MultiCredentialManager({
+        defaultManager: new ApplicationCredentialsManager({
+          clientId: "clientId",
+          clientSecret: "clientSecret"
+        })
+      });
+
+      expect(() => manager.serialize()).toThrowError(
+        "Only ArcGISIdentityManager and ApiKeyManager can be serialized."
+      );
+    });
+  });
+});
@@ -0,0 +1,265 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import fetchMock from "fetch-mock";
+import { request, RequestScheduler } from "../src/index.js";
+import { SharingRestInfo } from "./mocks/sharing-rest-info.js";
+
+function defer() {
+  let resolve: (value?: any) => void;
+  let reject: (error: any) => void;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+function tick() {
+  return new Promise((resolve) => setTimeout(resolve));
+}
+
+describe("RequestScheduler", () => {
+  const url = "https://www.arcgis.com/sharing/rest/content/items/abc";
+
+  it("should default to 6 requests per host with deduplication", () => {
+    const scheduler = new RequestScheduler();
+    expect(scheduler.maxConcurrentPerHost).toBe(6);
+    expect(scheduler.dedupe).toBe(true);
+  });
+
+  it("should limit the number of tasks in flight per host", () => {
+    const scheduler = new RequestScheduler({ maxConcurrentPerHost: 2 });
+    const tasks = [defer(), defer(), defer()];
+    const otherHost = defer();
+
+    const results = tasks.map((task) =>
+      scheduler.schedule(url, () => task.promise)
+    );
+    scheduler.schedule(
+      "https://services.arcgis.com/query",
+      () => otherHost.promise
+    );
+
+    expect(scheduler.getActiveCount(url)).toBe(2);
+    expect(scheduler.getQueueLength(url)).toBe(1);
+    expect(scheduler.getActiveCount("https://services.arcgis.com")).toBe(1);
+
+    tasks[0].resolve("a");
+
+    return results[0]
+      .then((result) => {
+        expect(result).toBe("a");
+        expect(scheduler.getActiveCount(url)).toBe(2);
+        expect(scheduler.getQueueLength(url)).toBe(0);
+        tasks[1].reject(new Error("b"));
+        return results[1];
+      })
+      .catch((e) => {
+        expect(e.message).toBe("b");
+        tasks[2].resolve("c");
+        return results[2];
+      })
+      .then((result) => {
+        expect(result).toBe("c");
+        expect(scheduler.getActiveCount(url)).toBe(0);
+      });
+  });
+
+  it("should run queued tasks by priority", () => {
+    const scheduler = new RequestScheduler({ maxConcurrentPerHost: 1 });
+    const blocker = defer();
+    const order: string[] = [];
+
+    scheduler.schedule(url, () => blocker.promise);
+
+    const results = [
+      scheduler.schedule(url, () => Promise.resolve(order.push("low"))),
+      scheduler.schedule(url, () => Promise.resolve(order.push("high")), {
+        priority: 10
+      }),
+      scheduler.schedule(url, () => Promise.resolve(order.push("low 2")))
+    ];
+
+    blocker.resolve();
+
+    return Promise.all(results).then(() => {
+      expect(order).toEqual(["high", "low", "low 2"]);
+    });
+  });
+
+  it("should share the result of tasks with the same dedupe key", () => {
+    const scheduler = new RequestScheduler();
+    const task = jasmine
+      .createSpy("task")
+      .and.returnValue(Promise.resolve({ id: "abc" }));
+    const copy = (result: any) => ({ ...result });
+
+    const first = scheduler.schedule(url, task, { dedupeKey: "abc", copy });
+    const second = scheduler.schedule(url, task, { dedupeKey: "abc", copy });
+    const third = scheduler.schedule(url, task, { dedupeKey: "abc" });
+
+    return Promise.all([first, second, third])
+      .then(([a, b, c]) => {
+        expect(task).toHaveBeenCalledTimes(1);
+        expect(a).toEqual({ id: "abc" });
+        expect(b).toEqual(a);
+        expect(b).not.toBe(a);
+        expect(c).toBe(a);
+        // once the task has finished the key can be used again
+        return scheduler.schedule(url, task, { dedupeKey: "abc" });
+      })
+      .then(() => {
+        expect(task).toHaveBeenCalledTimes(2);
+      });
+  });
+
+  it("should not share results when dedupe is disabled", () => {
+    const scheduler = new RequestScheduler({ dedupe: false });
+    const task = jasmine.createSpy("task").and.returnValue(Promise.resolve());
+
+    return Promise.all([
+      scheduler.schedule(url, task, { dedupeKey: "abc" }),
+      scheduler.schedule(url, task, { dedupeKey: "abc" })
+    ]).then(() => {
+      expect(task).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  it("should reject tasks that throw", () => {
+    const scheduler = new RequestScheduler();
+
+    return scheduler
+      .schedule(url, () => {
+        throw new Error("oops");
+      })
+      .then(() => {
+        fail("task should have been rejected");
+      })
+      .catch((e) => {
+        expect(e.message).toBe("oops");
+        expect(scheduler.getActiveCount(url)).toBe(0);
+      });
+  });
+
+  it("should remove aborted tasks from the queue", () => {
+    const scheduler = new RequestScheduler({ maxConcurrentPerHost: 1 });
+    const blocker = defer();
+    const controller = new AbortController();
+    const task = jasmine.createSpy("task");
+
+    scheduler.schedule(url, () => blocker.promise);
+    const aborted = scheduler.schedule(url, task, {
+      signal: controller.signal
+    });
+
+    expect(scheduler.getQueueLength(url)).toBe(1);
+    controller.abort();
+    expect(scheduler.getQueueLength(url)).toBe(0);
+    blocker.resolve();
+
+    return aborted
+      .then(() => {
+        fail("task should have been rejected");
+      })
+      .catch((e) => {
+        expect(e.name).toBe("AbortError");
+        expect(task).not.toHaveBeenCalled();
+      });
+  });
+
+  it("should reject tasks that are already aborted", () => {
+    const scheduler = new RequestScheduler();
+    const controller = new AbortController();
+    controller.abort();
+
+    return scheduler
+      .schedule(url, () => Promise.resolve(), { signal: controller.signal })
+      .catch((e) => {
+        expect(e.name).toBe("AbortError");
+        expect(scheduler.getQueueLength("not a url")).toBe(0);
+      });
+  });
+
+  it("should stop listening for aborts once a task starts", () => {
+    const scheduler = new RequestScheduler();
+    const controller = new AbortController();
+
+    return scheduler
+      .schedule(url, () => Promise.resolve("done"), {
+        signal: controller.signal
+      })
+      .then((result) => {
+        controller.abort();
+        expect(result).toBe("done");
+      });
+  });
+});
+
+describe("request() with a scheduler", () => {
+  const matcher = "https://www.arcgis.com/sharing/rest/info";
+
+  afterEach(() => {
+    fetchMock.restore();
+  });
+
+  it("should share identical GET requests that are in flight", () => {
+    fetchMock.mock(`begin:${matcher}`, SharingRestInfo);
+
+    const scheduler = new RequestScheduler();
+    const options = { httpMethod: "GET" as const, scheduler };
+
+    return Promise.all([
+      request("https://www.arcgis.com/sharing/rest/info", options),
+      request("https://www.arcgis.com/sharing/rest/info", options)
+    ]).then(([a, b]) => {
+      expect(fetchMock.calls(`begin:${matcher}`).length).toBe(1);
+      expect(a).toEqual(SharingRestInfo);
+      expect(b).toEqual(SharingRestInfo);
+      expect(a).not.toBe(b);
+    });
+  });
+
+  it("should not share POST requests", () => {
+    fetchMock.mock(`begin:${matcher}`, SharingRestInfo);
+
+    const scheduler = new RequestScheduler({ maxConcurrentPerHost: 1 });
+    spyOn(scheduler, "schedule").and.callThrough();
+
+    return Promise.all([
+      request("https://www.arcgis.com/sharing/rest/info", {
+        scheduler,
+        priority: 1
+      }),
+      request("https://www.arcgis.com/sharing/rest/info", { scheduler })
+    ]).then(() => {
+      expect(fetchMock.calls(`begin:${matcher}`).length).toBe(2);
+      expect((scheduler.schedule as any).calls.argsFor(0)[2]).toEqual(
+        jasmine.objectContaining({ priority: 1, dedupeKey: undefined })
+      );
+    });
+  });
+
+  it("should send requests once the queue has room", () => {
+    fetchMock.mock(`begin:${matcher}`, SharingRestInfo);
+
+    const scheduler = new RequestScheduler({ maxConcurrentPerHost: 1 });
+    const blocker = defer();
+    scheduler.schedule("https://www.arcgis.com", () => blocker.promise);
+
+    const pending = request("https://www.arcgis.com/sharing/rest/info", {
+      scheduler
+    });
+
+    return tick()
+      .then(() => {
+        expect(fetchMock.called(`begin:${matcher}`)).toBe(false);
+        blocker.resolve();
+        return pending;
+      })
+      .then((response) => {
+        expect(response).toEqual(SharingRestInfo);
+        expect(fetchMock.calls(`begin:${matcher}`).length).toBe(1);
+      });
+  });
+});
@@ -0,0 +1,51 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import {
+  LocalStorageCredentialStore,
+  SessionStorageCredentialStore
+} from "../src/index.js";
+
+function createMockStorage() {
+  const values: { [key: string]: string } = {};
+
+  return {
+    getItem: (key: string) => (key in values ? values[key] : null),
+    setItem: (key: string, value: string) => {
+      values[key] = value;
+    },
+    removeItem: (key: string) => {
+      delete values[key];
+    }
+  } as Storage;
+}
+
+describe("WebStorageCredentialStore", () => {
+  it("should store, return and delete credentials in localStorage", () => {
+    const win: any = {
+      localStorage: createMockStorage(),
+      sessionStorage: createMockStorage()
+    };
+    const store = new LocalStorageCredentialStore(win);
+
+    store.set("a", "credentials");
+    expect(store.get("a")).toBe("credentials");
+    expect(win.localStorage.getItem("a")).toBe("credentials");
+    expect(win.sessionStorage.getItem("a")).toBeNull();
+
+    store.delete("a");
+    expect(store.get("a")).toBeNull();
+  });
+
+  it("should store credentials in sessionStorage", () => {
+    const win: any = {
+      localStorage: createMockStorage(),
+      sessionStorage: createMockStorage()
+    };
+    const store = new SessionStorageCredentialStore(win);
+
+    store.set("a", "credentials");
+    expect(win.sessionStorage.getItem("a")).toBe("credentials");
+    expect(win.localStorage.getItem("a")).toBeNull();
+  });
+});
@@ -0,0 +1,270 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import fetchMock from "fetch-mock";
+import {
+  getGPTask,
+  executeTask,
+  validateGPParameters,
+  ArcGISGPValidationError,
+  ErrorTypes,
+  Job
+} from "../src/index.js";
+import { mockViewshedTask } from "./mocks/job-mock-fetches.js";
+
+const taskUrl =
+  "https://sampleserver6.arcgisonline.com/arcgis/rest/services/Elevation/ESRI_Elevation_World/GPServer/Viewshed";
+
+const point = {
+  geometry: { x: -13044000, y: 4036000 },
+  attributes: {}
+} as any;
+
+function getErrors(params: any) {
+  try {
+    validateGPParameters(mockViewshedTask, params);
+  } catch (e: any) {
+    return e.errors;
+  }
+
+  return [];
+}
+
+describe("getGPTask", () => {
+  afterEach(() => {
+    fetchMock.restore();
+  });
+
+  it("should get the description of a task", () => {
+    fetchMock.once("*", mockViewshedTask);
+
+    return getGPTask(`${taskUrl}/`).then((task) => {
+      const [url, options] = fetchMock.lastCall("*");
+      expect(url).toBe(taskUrl);
+      expect(options.body).toContain("f=json");
+      expect(task.parameters[2].choiceList).toEqual([
+        "FINEST",
+        "10m",
+        "30m",
+        "90m"
+      ]);
+    });
+  });
+});
+
+describe("validateGPParameters", () => {
+  it("should accept valid parameters", () => {
+    expect(
+      getErrors({
+        Input_Observation_Point: [point],
+        DEM_Resolution: "30m",
+        Analysis_Types: ["Frequency"],
+        Max_Points: "5",
+        Offset: 1.5,
+        Use_Curvature: "true",
+        Start_Date: new Date(0),
+        Surface: { url: "https://example.com/dem.tif" },
+        "env:outSR": 102100,
+        returnZ: true
+      })
+    ).toEqual([]);
+  });
+
+  it("should report required parameters without a default value", () => {
+    expect(getErrors({})).toEqual(["DEM_Resolution is required."]);
+  });
+
+  it("should report unknown parameters", () => {
+    expect(getErrors({ DEM_Resolution: "30m", Distance: 5 })).toEqual([
+      "Distance is not a parameter of Viewshed."
+    ]);
+  });
+
+  it("should report values that are not in the choice list", () => {
+    expect(
+      getErrors({ DEM_Resolution: "5m", Analysis_Types: ["Frequency", "All"] })
+    ).toEqual([
+      "DEM_Resolution must be one of FINEST, 10m, 30m, 90m.",
+      "Analysis_Types must be one of Frequency, Observers."
+    ]);
+  });
+
+  it("should compare numbers with the choice lists of numeric parameters", () => {
+    const task = {
+      ...mockViewshedTask,
+      parameters: [
+        {
+          name: "Zoom_Level",
+          dataType: "GPLong",
+          direction: "esriGPParameterDirectionInput",
+          parameterType: "esriGPParameterTypeOptional",
+          choiceList: ["1", "2", "4"]
+        },
+        {
+          name: "Scale",
+          dataType: "GPDouble",
+          direction: "esriGPParameterDirectionInput",
+          parameterType: "esriGPParameterTypeOptional",
+          choiceList: ["0.5", "1.5"]
+        }
+      ]
+    } as any;
+
+    expect(() =>
+      validateGPParameters(task, { Zoom_Level: 2, Scale: 1.5 })
+    ).not.toThrow();
+    expect(() => validateGPParameters(task, { Zoom_Level: "4" })).not.toThrow();
+    expect(() =>
+      validateGPParameters(task, { Zoom_Level: 3, Scale: 1 })
+    ).toThrowError(
+      ArcGISGPValidationError,
+      "Invalid geoprocessing parameters: Zoom_Level must be one of 1, 2, 4. Scale must be one of 0.5, 1.5."
+    );
+  });
+
+  it("should report values that do not match the data type", () => {
+    expect(
+      getErrors({
+        Input_Observation_Point: 5,
+        Viewshed_Distance: 5,
+        DEM_Resolution: "30m",
+        Analysis_Types: "Frequency",
+        Max_Points: 1.5,
+        Offset: "far",
+        Use_Curvature: "yes",
+        Start_Date: "someday",
+        Surface: {}
+      })
+    ).toEqual([
+      "Input_Observation_Point must be a URL, an array of features or an object with features or a url.",
+      "Viewshed_Distance must have a distance and units.",
+      "Analysis_Types must be an array.",
+      "Max_Points must be an integer.",
+      "Offset must be a number.",
+      "Use_Curvature must be a boolean.",
+      "Start_Date must be a date.",
+      "Surface must be a URL, an item id or an object with a url or itemID."
+    ]);
+  });
+
+  it("should throw an ArcGISGPValidationError", () => {
+    expect(() => validateGPParameters(mockViewshedTask, {})).toThrowError(
+      ArcGISGPValidationError,
+      "Invalid geoprocessing parameters: DEM_Resolution is required."
+    );
+
+    const error = new ArcGISGPValidationError();
+    expect(error instanceof Error).toBe(true);
+    expect(error.name).toBe(ErrorTypes.ArcGISGPValidationError);
+    expect(error.errors).toEqual([]);
+  });
+});
+
+describe("executeTask", () => {
+  afterEach(() => {
+    fetchMock.restore();
+  });
+
+  it("should execute a task", () => {
+    fetchMock.once("*", { results: [], messages: [] });
+
+    return executeTask({
+      url: `${taskUrl}/execute`,
+      params: { Input_Observation_Point: { features: [point] } }
+    }).then((response) => {
+      const [url, options] = fetchMock.lastCall("*");
+      expect(url).toBe(`${taskUrl}/execute`);
+      expect(options.body).toContain(
+        `Input_Observation_Point=${encodeURIComponent(
+          JSON.stringify({ features: [point] })
+        )}`
+      );
+      expect(response).toEqual({ results: [], messages: [] });
+    });
+  });
+
+  it("should encode the parameters with the data types of the task", () => {
+    fetchMock.once("*", { results: [], messages: [] });
+
+    return executeTask({
+      url: taskUrl,
+      task: mockViewshedTask,
+      params: {
+        Input_Observation_Point: [point],
+        DEM_Resolution: "30m",
+        Surface: "https://example.com/dem.tif"
+      }
+    }).then(() => {
+      const [url, options] = fetchMock.lastCall("*");
+      expect(url).toBe(`${taskUrl}/execute`);
+      expect(options.body).toContain(
+        `Input_Observation_Point=${encodeURIComponent(
+          JSON.stringify({ features: [point] })
+        )}`
+      );
+      expect(options.body).toContain(
+        `Surface=${encodeURIComponent(
+          JSON.stringify({ url: "https://example.com/dem.tif" })
+        )}`
+      );
+    });
+  });
+
+  it("should reject without sending the request if the parameters are invalid", () => {
+    fetchMock.once("*", { results: [], messages: [] });
+
+    return executeTask({ url: taskUrl, task: mockViewshedTask }).then(
+      () => fail("executeTask should have rejected"),
+      (e) => {
+        expect(e.name).toBe("ArcGISGPValidationError");
+        expect(fetchMock.called()).toBe(false);
+      }
+    );
+  });
+});
+
+describe("Job.submitJob with a task", () => {
+  afterEach(() => {
+    fetchMock.restore();
+  });
+
+  it("should encode the parameters with the data types of the task", () => {
+    fetchMock.once(`${taskUrl}/submitJob`, {
+      jobId: "j1",
+      jobStatus: "esriJobSubmitted"
+    });
+
+    return Job.submitJob({
+      url: taskUrl,
+      task: mockViewshedTask,
+      params: { Input_Observation_Point: [point], DEM_Resolution: "30m" }
+    }).then((job) => {
+      const [, options] = fetchMock.lastCall(`${taskUrl}/submitJob`);
+      expect(job.id).toBe("j1");
+      expect(options.body).toContain(
+        `Input_Observation_Point=${encodeURIComponent(
+          JSON.stringify({ features: [point] })
+        )}`
+      );
+    });
+  });
+
+  it("should reject without submitting the job if the parameters are invalid", () => {
+    fetchMock.once("*", { jobId: "j1", jobStatus: "esriJobSubmitted" });
+
+    return Job.submitJob({
+      url: taskUrl,
+      task: mockViewshedTask,
+      params: { DEM_Resolution: "5m" }
+    }).then(
+      () => fail("submitJob should have rejected"),
+      (e) => {
+        expect(e.name).toBe("ArcGISGPValidationError");
+        expect(e.errors).toEqual([
+          "DEM_Resolution must be one of FINEST, 10m, 30m, 90m."
+        ]);
+        expect(fetchMock.called()).toBe(false);
+      }
+    );
+  });
+});
@@ -1,5 +1,10 @@
 import fetchMock, { done } from "fetch-mock";
-import { Job, JOB_STATUSES, ArcGISRequestError } from "../src/index.js";
+import {
+  Job,
+  JOB_STATUSES,
+  ArcGISRequestError,
+  ArcGISJobError
+} from "../src/index.js";
 import { processJobParams } from "../src/utils/process-job-params.js";
 import {
   GPJobIdResponse,
@@ -780,4 +785,302 @@ describe("Job", () => {
       (job as any).executePoll();
     });
   });
+
+  describe("waiting for completion", () => {
+    const baseUrl =
+      "https://sampleserver6.arcgisonline.com/arcgis/rest/services/911CallsHotspot/GPServer/911%20Calls%20Hotspot";
+    const jobUrl = `${baseUrl}/jobs/WAIT_TEST`;
+
+    const mockStatuses = (...jobStatuses: string[]) => {
+      jobStatuses.forEach((jobStatus) => {
+        fetchMock.once(jobUrl, { jobId: "WAIT_TEST", jobStatus });
+      });
+    };
+
+    const createJob = (options = {}) =>
+      new Job({ url: baseUrl, id: "WAIT_TEST", pollingRate: 10, ...options });
+
+    it("should yield each status until the job finishes", async () => {
+      mockStatuses("esriJobSubmitted", "esriJobExecuting", "esriJobSucceeded");
+
+      const job = createJob();
+      const statusSpy = jasmine.createSpy("status");
+      job.on(JOB_STATUSES.Status, statusSpy);
+
+      const statuses: JOB_STATUSES[] = [];
+      for await (const jobInfo of job.statusUpdates()) {
+        statuses.push(jobInfo.status);
+      }
+
+      expect(statuses).toEqual([
+        JOB_STATUSES.Submitted,
+        JOB_STATUSES.Executing,
+        JOB_STATUSES.Success
+      ]);
+      expect(statusSpy).toHaveBeenCalledTimes(3);
+    });
+
+    it("should stop checking the status without cancelling the job when the loop exits early", async () => {
+      mockStatuses("esriJobExecuting");
+
+      const job = createJob();
+
+      for await (const jobInfo of job.statusUpdates()) {
+        expect(jobInfo.status).toEqual(JOB_STATUSES.Executing);
+        break;
+      }
+
+      expect(fetchMock.calls(jobUrl).length).toBe(1);
+      expect(fetchMock.called(`${jobUrl}/cancel`)).toBe(false);
+    });
+
+    it("should resolve with the job info when the job succeeds", async () => {
+      mockStatuses("esriJobWaiting", "esriJobWaiting", "esriJobSucceeded");
+
+      const jobInfo = await createJob().waitForCompletion();
+
+      expect(jobInfo.status).toEqual(JOB_STATUSES.Success);
+      expect(fetchMock.calls(jobUrl).length).toBe(3);
+    });
+
+    it("should reject with an ArcGISJobError when the job is cancelled", async () => {
+      mockStatuses("esriJobExecuting", "esriJobCancelled");
+
+      try {
+        await createJob().waitForCompletion();
+        fail("waitForCompletion should have rejected");
+      } catch (e: any) {
+        expect(e instanceof ArcGISJobError).toBe(true);
+        expect(e.message).toBe("Cancelled: Job cancelled.");
+      }
+    });
+
+    it("should reject when the status cannot be retrieved", async () => {
+      fetchMock.once(jobUrl, {
+        error: { code: 500, message: "Error getting job status" }
+      });
+
+      const job = createJob();
+      const errorSpy = jasmine.createSpy("error");
+      job.on(JOB_STATUSES.Error, errorSpy);
+
+      try {
+        await job.waitForCompletion();
+        fail("waitForCompletion should have rejected");
+      } catch (e: any) {
+        expect(e instanceof ArcGISRequestError).toBe(true);
+        expect(errorSpy).toHaveBeenCalledWith(e);
+      }
+    });
+
+    it("should check the status again after a transient error", async () => {
+      mockStatuses("esriJobExecuting");
+      fetchMock.once(jobUrl, {
+        error: { code: 503, message: "Service Unavailable" }
+      });
+      fetchMock.once(jobUrl, { throws: new TypeError("Failed to fetch") });
+      mockStatuses("esriJobSucceeded");
+
+      const job = createJob();
+      const errorSpy = jasmine.createSpy("error");
+      job.on(JOB_STATUSES.Error, errorSpy);
+
+      const jobInfo = await job.waitForCompletion();
+
+      expect(jobInfo.status).toEqual(JOB_STATUSES.Success);
+      expect(errorSpy).toHaveBeenCalledTimes(2);
+      expect(fetchMock.calls(jobUrl).length).toBe(4);
+    });
+
+    it("should time out if the status can never be retrieved", async () => {
+      fetchMock.mock(jobUrl, {
+        error: { code: 503, message: "Service Unavailable" }
+      });
+
+      try {
+        await createJob().waitForCompletion({ timeout: 50 });
+        fail("waitForCompletion should have rejected");
+      } catch (e: any) {
+        expect(e instanceof ArcGISJobError).toBe(true);
+        expect(e.status).toEqual(JOB_STATUSES.Unknown);
+        expect(e.id).toBe("WAIT_TEST");
+      }
+    });
+
+    it("should cancel the job when the signal is aborted", async () => {
+      fetchMock.mock(jobUrl, {
+        jobId: "WAIT_TEST",
+        jobStatus: "esriJobExecuting"
+      });
+      fetchMock.once(`${jobUrl}/cancel`, mockCancelledState);
+
+      const job = createJob();
+      const controller = new AbortController();
+      job.once(JOB_STATUSES.Executing, () => controller.abort());
+
+      try {
+        await job.waitForCompletion({ signal: controller.signal });
+        fail("waitForCompletion should have rejected");
+      } catch (e: any) {
+        expect(e.name).toBe("AbortError");
+        expect(fetchMock.called(`${jobUrl}/cancel`)).toBe(true);
+      }
+    });
+
+    it("should cancel the job when the signal is aborted between status checks", async () => {
+      fetchMock.mock(jobUrl, {
+        jobId: "WAIT_TEST",
+        jobStatus: "esriJobExecuting"
+      });
+      fetchMock.once(`${jobUrl}/cancel`, mockCancelledState);
+
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(), 25);
+
+      try {
+        await createJob().waitForCompletion({ signal: controller.signal });
+        fail("waitForCompletion should have rejected");
+      } catch (e: any) {
+        expect(e.name).toBe("AbortError");
+        expect(fetchMock.called(`${jobUrl}/cancel`)).toBe(true);
+      }
+    });
+
+    it("should reject without checking the status or cancelling if the signal is already aborted and cancelOnAbort is false", async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      try {
+        await createJob().waitForCompletion({
+          signal: controller.signal,
+          cancelOnAbort: false
+        });
+        fail("waitForCompletion should have rejected");
+      } catch (e: any) {
+        expect(e.name).toBe("AbortError");
+        expect(fetchMock.called()).toBe(false);
+      }
+    });
+
+    it("should cancel the job when the signal is aborted while the loop body runs", async () => {
+      mockStatuses("esriJobExecuting");
+      fetchMock.once(`${jobUrl}/cancel`, mockCancelledState);
+
+      const controller = new AbortController();
+
+      try {
+        for await (const jobInfo of createJob().statusUpdates({
+          signal: controller.signal
+        })) {
+          expect(jobInfo.status).toEqual(JOB_STATUSES.Executing);
+          controller.abort();
+        }
+        fail("statusUpdates should have thrown");
+      } catch (e: any) {
+        expect(e.name).toBe("AbortError");
+        expect(fetchMock.called(`${jobUrl}/cancel`)).toBe(true);
+      }
+    });
+
+    it("should reject with an ArcGISJobError when the timeout elapses and leave the job running", async () => {
+      fetchMock.mock(jobUrl, {
+        jobId: "WAIT_TEST",
+        jobStatus: "esriJobExecuting"
+      });
+
+      try {
+        await createJob().waitForCompletion({ timeout: 35 });
+        fail("waitForCompletion should have rejected");
+      } catch (e: any) {
+        expect(e instanceof ArcGISJobError).toBe(true);
+        expect(e.message).toBe(
+          "Executing: Timed out waiting for the job to finish."
+        );
+        expect(e.jobInfo.status).toEqual(JOB_STATUSES.Executing);
+        expect(fetchMock.called(`${jobUrl}/cancel`)).toBe(false);
+      }
+    });
+
+    it("should decode results", async () => {
+      fetchMock.mock(jobUrl, {
+        jobId: "WAIT_TEST",
+        jobStatus: "esriJobSucceeded",
+        results: {
+          when: { paramUrl: "results/when" },
+          names: { paramUrl: "results/names" }
+        }
+      });
+      fetchMock.mock(`${jobUrl}/results/when`, {
+        paramName: "when",
+        dataType: "GPDate",
+        value: 1000
+      });
+      fetchMock.mock(`${jobUrl}/results/names`, {
+        paramName: "names",
+        dataType: "GPMultiValue:GPString",
+        value: ["a", "b"]
+      });
+
+      const job = createJob();
+
+      expect(await job.getResult("when", { decode: true })).toEqual(
+        new Date(1000)
+      );
+      expect(await job.getAllResults({ decode: true })).toEqual({
+        when: new Date(1000),
+        names: ["a", "b"]
+      });
+    });
+
+    it("should back off while the status does not change", () => {
+      const job = createJob({ maxPollingRate: 40, pollingBackoff: 2 });
+      const getNextPollingDelay = (job as any).getNextPollingDelay.bind(job);
+      const executing: any = { status: JOB_STATUSES.Executing };
+      const progressed: any = {
+        status: JOB_STATUSES.Executing,
+        progress: { type: "", message: "", percentage: 50 }
+      };
+
+      expect(getNextPollingDelay(10, undefined, executing)).toBe(10);
+      expect(getNextPollingDelay(10, executing, executing)).toBe(20);
+      expect(getNextPollingDelay(30, executing, executing)).toBe(40);
+      expect(getNextPollingDelay(40, executing, progressed)).toBe(10);
+      expect(getNextPollingDelay(10, executing, undefined)).toBe(20);
+    });
+
+    it("should serialize the polling options", () => {
+      const json = createJob({
+        maxPollingRate: 60000,
+        pollingBackoff: 2
+      }).toJSON();
+
+      expect(json.pollingRate).toBe(10);
+      expect(json.maxPollingRate).toBe(60000);
+      expect(json.pollingBackoff).toBe(2);
+    });
+
+    it("should keep checking the status while monitoring", (done) => {
+      fetchMock.mock(jobUrl, {
+        jobId: "WAIT_TEST",
+        jobStatus: "esriJobExecuting"
+      });
+
+      const job = createJob({ startMonitoring: true });
+      let checks = 0;
+
+      job.on(JOB_STATUSES.Executing, () => {
+        checks++;
+
+        if (checks === 3) {
+          job.stopEventMonitoring();
+          expect(job.isMonitoring).toBe(false);
+
+          setTimeout(() => {
+            expect(checks).toBe(3);
+            done();
+          }, 50);
+        }
+      });
+    });
+  });
 });
@@ -43,6 +43,50 @@ export const ArcGISServerTokenRequired: any = {
   }
 };
 
+export const ItemDoesNotExistError: any = {
+  error: {
+    code: 400,
+    messageCode: "CONT_0001",
+    message:
+      "Item does not exist or is inaccessible: 43a8e51789044d9480a20089a84129ad",
+    details: []
+  }
+};
+
+export const UserDoesNotExistError: any = {
+  error: {
+    code: 400,
+    message: "User 'casey' does not exist",
+    details: []
+  }
+};
+
+export const PermissionDeniedError: any = {
+  error: {
+    code: 400,
+    messageCode: "GWM_0003",
+    message:
+      "You do not have permissions to access this resource or perform this operation.",
+    details: []
+  }
+};
+
+export const RateLimitError: any = {
+  error: {
+    code: 429,
+    message: "Too many requests.",
+    details: "Rate limit exceeded. Try again in 60 seconds."
+  }
+};
+
+export const ServiceUnavailableError: any = {
+  error: {
+    code: 500,
+    message: "Unable to complete operation.",
+    details: ["The service is busy."]
+  }
+};
+
 export const BillingError: any = {
   code: 500,
   message: "Error getting subscription info",
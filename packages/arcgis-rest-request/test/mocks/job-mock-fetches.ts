@@ -106,3 +106,103 @@ export const mockAllResultsRequest = {
     }
   }
 };
+
+export const mockViewshedTask: any = {
+  name: "Viewshed",
+  displayName: "Viewshed",
+  category: "",
+  helpUrl: "",
+  executionType: "esriExecutionTypeSynchronous",
+  parameters: [
+    {
+      name: "Input_Observation_Point",
+      dataType: "GPFeatureRecordSetLayer",
+      displayName: "Input Observation Point",
+      direction: "esriGPParameterDirectionInput",
+      defaultValue: {
+        geometryType: "esriGeometryPoint",
+        spatialReference: { wkid: 54003 },
+        fields: [],
+        features: []
+      },
+      parameterType: "esriGPParameterTypeRequired",
+      category: ""
+    },
+    {
+      name: "Viewshed_Distance",
+      dataType: "GPLinearUnit",
+      displayName: "Viewshed Distance",
+      direction: "esriGPParameterDirectionInput",
+      defaultValue: { distance: 15000, units: "esriMeters" },
+      parameterType: "esriGPParameterTypeRequired",
+      category: ""
+    },
+    {
+      name: "DEM_Resolution",
+      dataType: "GPString",
+      displayName: "DEM Resolution",
+      direction: "esriGPParameterDirectionInput",
+      defaultValue: "",
+      parameterType: "esriGPParameterTypeRequired",
+      category: "",
+      choiceList: ["FINEST", "10m", "30m", "90m"]
+    },
+    {
+      name: "Analysis_Types",
+      dataType: "GPMultiValue:GPString",
+      displayName: "Analysis Types",
+      direction: "esriGPParameterDirectionInput",
+      parameterType: "esriGPParameterTypeOptional",
+      category: "",
+      choiceList: ["Frequency", "Observers"]
+    },
+    {
+      name: "Max_Points",
+      dataType: "GPLong",
+      displayName: "Max Points",
+      direction: "esriGPParameterDirectionInput",
+      parameterType: "esriGPParameterTypeOptional",
+      category: ""
+    },
+    {
+      name: "Offset",
+      dataType: "GPDouble",
+      displayName: "Offset",
+      direction: "esriGPParameterDirectionInput",
+      parameterType: "esriGPParameterTypeOptional",
+      category: ""
+    },
+    {
+      name: "Use_Curvature",
+      dataType: "GPBoolean",
+      displayName: "Use Curvature",
+      direction: "esriGPParameterDirectionInput",
+      parameterType: "esriGPParameterTypeOptional",
+      category: ""
+    },
+    {
+      name: "Start_Date",
+      dataType: "GPDate",
+      displayName: "Start Date",
+      direction: "esriGPParameterDirectionInput",
+      parameterType: "esriGPParameterTypeOptional",
+      category: ""
+    },
+    {
+      name: "Surface",
+      dataType: "GPRasterDataLayer",
+      displayName: "Surface",
+      direction: "esriGPParameterDirectionInput",
+      parameterType: "esriGPParameterTypeOptional",
+      category: ""
+    },
+    {
+      name: "Viewshed_Result",
+      dataType: "GPFeatureRecordSetLayer",
+      displayName: "Viewshed Result",
+      direction: "esriGPParameterDirectionOutput",
+      parameterType: "esriGPParameterTypeRequired",
+      category: ""
+    }
+  ]
+};
@@ -568,6 +568,149 @@ describe("request()", () => {
       });
   });
 
+  describe("interceptors", () => {
+    afterEach(() => {
+      setDefaultRequestOptions({
+        httpMethod: "POST",
+        params: {
+          f: "json"
+        }
+      });
+    });
+
+    it("should allow interceptors to modify the url, params and headers before sending", () => {
+      fetchMock.once("*", SharingRestInfo);
+
+      return request("https://www.arcgis.com/sharing/rest/info", {
+        httpMethod: "GET",
+        interceptors: [
+          {
+            beforeSend(context) {
+              context.headers["X-Correlation-Id"] = "abc123";
+              context.params.foo = "bar";
+            }
+          },
+          {
+            beforeSend(context) {
+              return Promise.resolve({
+                ...context,
+                url: "https://www.arcgis.com/sharing/rest/portals/self"
+              });
+            }
+          }
+        ]
+      }).then((response) => {
+        const [url, options]: [string, RequestInit] = fetchMock.lastCall("*");
+        expect(url).toEqual(
+          "https://www.arcgis.com/sharing/rest/portals/self?f=json&foo=bar"
+        );
+        expect((options.headers as any)["X-Correlation-Id"]).toBe("abc123");
+        expect(response).toEqual(SharingRestInfo);
+      });
+    });
+
+    it("should pass responses through afterResponse interceptors in order", () => {
+      fetchMock.once("*", SharingRestInfo);
+
+      const seen: string[] = [];
+
+      return request("https://www.arcgis.com/sharing/rest/info", {
+        interceptors: [
+          {
+            afterResponse(response, context) {
+              seen.push(context.url);
+              return { ...response, normalized: true };
+            }
+          },
+          {
+            afterResponse(response) {
+              expect(response.normalized).toBe(true);
+            }
+          }
+        ]
+      }).then((response) => {
+        expect(seen).toEqual(["https://www.arcgis.com/sharing/rest/info"]);
+        expect(response).toEqual({ ...SharingRestInfo, normalized: true });
+      });
+    });
+
+    it("should run default interceptors before request interceptors", () => {
+      fetchMock.once("*", SharingRestInfo);
+
+      const order: string[] = [];
+
+      const defaultInterceptor = {
+        beforeSend() {
+          order.push("default");
+        }
+      };
+
+      setDefaultRequestOptions({
+        interceptors: [defaultInterceptor]
+      });
+
+      return request("https://www.arcgis.com/sharing/rest/info", {
+        interceptors: [
+          defaultInterceptor,
+          {
+            beforeSend() {
+              order.push("request");
+            }
+          }
+        ]
+      }).then(() => {
+        expect(order).toEqual(["default", "request"]);
+      });
+    });
+
+    it("should call onError interceptors and rethrow the error", () => {
+      fetchMock.once("*", ArcGISOnlineError);
+
+      const onError = jasmine.createSpy("onError");
+
+      return request("https://www.arcgis.com/sharing/rest/info", {
+        interceptors: [{ onError }]
+      })
+        .then(() => {
+          fail("request should have been rejected");
+        })
+        .catch((error) => {
+          expect(error.name).toBe(ErrorTypes.ArcGISRequestError);
+          expect(onError).toHaveBeenCalledTimes(1);
+          expect(onError.calls.argsFor(0)[0]).toBe(error);
+          expect(onError.calls.argsFor(0)[1].url).toBe(
+            "https://www.arcgis.com/sharing/rest/info"
+          );
+        });
+    });
+
+    it("should allow onError interceptors to replace or recover from errors", () => {
+      fetchMock.once("*", 404);
+
+      return request("https://www.arcgis.com/sharing/rest/info", {
+        interceptors: [
+          {
+            onError(error) {
+              throw new Error(`Replaced ${error.message}`);
+            }
+          },
+          {
+            onError(error) {
+              return { recovered: error.message };
+            }
+          },
+          {
+            onError() {
+              fail("onError should not be called after recovering");
+            }
+          }
+        ]
+      }).then((response) => {
+        expect(response).toEqual({ recovered: "Replaced HTTP 404: Not Found" });
+      });
+    });
+  });
+
   describe("automatic retry", () => {
     it("should retry requests that fail with an invalid token error, by refreshing the token", () => {
       fetchMock.getOnce(
@@ -0,0 +1,217 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import fetchMock from "fetch-mock";
+import {
+  signInWithLoopback,
+  ArcGISAccessDeniedError,
+  ArcGISTokenRequestError
+} from "../src/index.js";
+import { decodeQueryString } from "../src/utils/decode-query-string.js";
+import { isNode } from "../../../scripts/test-helpers.js";
+
+const HTTP_MODULE = "http";
+
+/**
+ * Sends a request to the loopback server like the browser does after the user signs in.
+ */
+function get(url: string): Promise<{ status: number; body: string }> {
+  return import(HTTP_MODULE).then(
+    (http) =>
+      new Promise((resolve, reject) => {
+        http
+          .get(url, (response: any) => {
+            let body = "";
+            response.on("data", (chunk: string) => (body += chunk));
+            response.on("end", () =>
+              resolve({ status: response.statusCode, body })
+            );
+          })
+          .on("error", reject);
+      })
+  );
+}
+
+/**
+ * Stands in for the authorize endpoint by redirecting to `redirect_uri` with `params` and the `state` of the request.
+ */
+function authorize(params: { [key: string]: string }) {
+  return (url: string) => {
+    const query = decodeQueryString(url.split("?")[1]);
+    return get(
+      `${query.redirect_uri}?${new URLSearchParams({
+        ...params,
+        state: query.state
+      })}`
+    ).then(() => undefined);
+  };
+}
+
+describe("signInWithLoopback", () => {
+  afterEach(fetchMock.restore);
+
+  if (isNode) {
+    it("should sign in with an authorization code and PKCE", () => {
+      let authorizeUrl: string;
+      let redirectResponse: Promise<{ status: number; body: string }>;
+
+      fetchMock.postOnce("https://www.arcgis.com/sharing/rest/oauth2/token", {
+        access_token: "token",
+        expires_in: 1800,
+        username: "c@sey",
+        ssl: true,
+        refresh_token: "refreshToken",
+        refresh_token_expires_in: 1209600
+      });
+
+      return signInWithLoopback({
+        clientId: "clientId",
+        openBrowser: (url) => {
+          authorizeUrl = url;
+          const { redirect_uri, state } = decodeQueryString(url.split("?")[1]);
+          redirectResponse = get(`${redirect_uri}?code=abc&state=${state}`);
+        }
+      })
+        .then((manager) => {
+          const [path, query] = authorizeUrl.split("?");
+          const params = decodeQueryString(query);
+
+          expect(path).toBe(
+            "https://www.arcgis.com/sharing/rest/oauth2/authorize"
+          );
+          expect(params.client_id).toBe("clientId");
+          expect(params.response_type).toBe("code");
+          expect(params.expiration).toBe("20160");
+          expect(params.code_challenge_method).toBe("S256");
+          expect(params.code_challenge).toMatch(/^[\w-]{43}$/);
+          expect(params.redirect_uri).toMatch(/^http:\/\/127\.0\.0\.1:\d+\/$/);
+
+          const [url, options]: [string, RequestInit] = fetchMock.lastCall();
+          expect(url).toBe("https://www.arcgis.com/sharing/rest/oauth2/token");
+          expect(options.body).toContain("code=abc");
+          expect(options.body).toContain("grant_type=authorization_code");
+          expect(options.body).toContain("code_verifier=");
+          expect(options.body).toContain(
+            `redirect_uri=${encodeURIComponent(params.redirect_uri)}`
+          );
+
+          expect(manager.clientId).toBe("clientId");
+          expect(manager.token).toBe("token");
+          expect(manager.refreshToken).toBe("refreshToken");
+          expect(manager.username).toBe("c@sey");
+          expect(manager.redirectUri).toBe(params.redirect_uri);
+
+          return redirectResponse;
+        })
+        .then(({ status, body }) => {
+          expect(status).toBe(200);
+          expect(body).toContain("You are signed in.");
+        });
+    });
+
+    it("should ignore requests without the state of the sign in", () => {
+      let invalidResponse: Promise<{ status: number; body: string }>;
+
+      return signInWithLoopback({
+        clientId: "clientId",
+        openBrowser: (url) => {
+          const { redirect_uri } = decodeQueryString(url.split("?")[1]);
+          invalidResponse = get(`${redirect_uri}?code=abc&state=other`).then(
+            (response) =>
+              authorize({ error: "access_denied" })(url).then(() => response)
+          );
+        }
+      }).then(
+        () => fail("signInWithLoopback should have rejected"),
+        (e) =>
+          invalidResponse.then(({ status }) => {
+            expect(status).toBe(400);
+            expect(fetchMock.called()).toBe(false);
+            expect(e instanceof ArcGISAccessDeniedError).toBe(true);
+          })
+      );
+    });
+
+    it("should reject with other authorization errors", () => {
+      return signInWithLoopback({
+        clientId: "clientId",
+        openBrowser: authorize({
+          error: "invalid_request",
+          error_description: "Invalid redirect_uri"
+        })
+      }).then(
+        () => fail("signInWithLoopback should have rejected"),
+        (e) => {
+          expect(e.name).toBe("ArcGISAuthError");
+          expect(e.code).toBe("invalid_request");
+          expect(e.message).toBe("invalid_request: Invalid redirect_uri");
+        }
+      );
+    });
+
+    it("should reject if the authorization code cannot be exchanged", () => {
+      fetchMock.postOnce("https://www.arcgis.com/sharing/rest/oauth2/token", {
+        error: {
+          code: 400,
+          error: "invalid_request",
+          message: "Invalid authorization code",
+          details: []
+        }
+      });
+
+      return signInWithLoopback({
+        clientId: "clientId",
+        openBrowser: authorize({ code: "abc" })
+      }).then(
+        () => fail("signInWithLoopback should have rejected"),
+        (e) => {
+          expect(e instanceof ArcGISTokenRequestError).toBe(true);
+          expect(e.code).toBe("REFRESH_TOKEN_EXCHANGE_FAILED");
+        }
+      );
+    });
+
+    it("should reject if the user does not sign in before the timeout", () => {
+      return signInWithLoopback({
+        clientId: "clientId",
+        timeout: 10,
+        openBrowser: () => undefined
+      }).then(
+        () => fail("signInWithLoopback should have rejected"),
+        (e) => {
+          expect(e.message).toBe("Timed out waiting for the user to sign in.");
+        }
+      );
+    });
+
+    it("should reject when the signal is aborted", () => {
+      const controller = new AbortController();
+
+      return signInWithLoopback({
+        clientId: "clientId",
+        signal: controller.signal,
+        openBrowser: () => controller.abort()
+      }).then(
+        () => fail("signInWithLoopback should have rejected"),
+        (e) => {
+          expect(e.name).toBe("AbortError");
+        }
+      );
+    });
+  }
+
+  it("should reject if the signal is already aborted", () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    return signInWithLoopback({
+      clientId: "clientId",
+      signal: controller.signal
+    }).then(
+      () => fail("signInWithLoopback should have rejected"),
+      (e) => {
+        expect(e.name).toBe("AbortError");
+      }
+    );
+  });
+});
@@ -1,8 +1,16 @@
 /* Copyright (c) 2018 Environmental Systems Research Institute, Inc.
  * Apache-2.0 */
 
-import { ArcGISRequestError } from "../../src/index.js";
-import { ArcGISOnlineError } from "../mocks/errors.js";
+import {
+  ArcGISRequestError,
+  ArcGISNotFoundError,
+  ArcGISPermissionDeniedError,
+  ArcGISInvalidParametersError,
+  ArcGISRateLimitError,
+  ArcGISServiceUnavailableError,
+  isTransientError
+} from "../../src/index.js";
+import { ArcGISOnlineError, GenerateTokenError } from "../mocks/errors.js";
 
 describe("ArcGISRequestError", () => {
   it("should be an instanceof Error", () => {
@@ -48,4 +56,53 @@ describe("ArcGISRequestError", () => {
     expect(error.originalMessage).toBe("UNKNOWN_ERROR");
     expect(error.response).toEqual(undefined);
   });
+
+  it("should parse details from the response", () => {
+    const error = new ArcGISRequestError(
+      GenerateTokenError.error.message,
+      GenerateTokenError.error.code,
+      GenerateTokenError
+    );
+
+    expect(error.details).toEqual(["Invalid username or password."]);
+    expect(new ArcGISRequestError().details).toEqual([]);
+  });
+
+  it("should be retryable for HTTP 429, 502, 503 and 504 errors", () => {
+    ["HTTP 429", "HTTP 502", "HTTP 503", "HTTP 504"].forEach((code) => {
+      const error = new ArcGISRequestError("Error", code);
+      expect(error.retryable).toBe(true);
+      expect(isTransientError(error)).toBe(true);
+    });
+
+    expect(new ArcGISRequestError("Not Found", "HTTP 404").retryable).toBe(
+      false
+    );
+  });
+
+  it("should set the type of the error from its code and message", () => {
+    expect(new ArcGISRequestError("Not Found", "HTTP 404").type).toBe(
+      "notFound"
+    );
+    expect(new ArcGISRequestError("Error", 429).type).toBe("rateLimited");
+    expect(new ArcGISRequestError().type).toBe("unknown");
+  });
+
+  it("should set the type and retryable flag of each subclass", () => {
+    const errors: Array<[ArcGISRequestError, string, boolean]> = [
+      [new ArcGISNotFoundError(), "notFound", false],
+      [new ArcGISPermissionDeniedError(), "permissionDenied", false],
+      [new ArcGISInvalidParametersError(), "invalidParameters", false],
+      [new ArcGISRateLimitError(), "rateLimited", true],
+      [new ArcGISServiceUnavailableError(), "serviceUnavailable", true]
+    ];
+
+    errors.forEach(([error, type, retryable]) => {
+      expect(error instanceof ArcGISRequestError).toBe(true);
+      expect(error instanceof Error).toBe(true);
+      expect(error.name).toBe("ArcGISRequestError");
+      expect(error.type).toBe(type);
+      expect(error.retryable).toBe(retryable);
+    });
+  });
 });
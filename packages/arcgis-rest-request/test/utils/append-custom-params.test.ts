@@ -0,0 +1,53 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { appendCustomParams, IRequestOptions } from "../../src/index.js";
+
+interface ICustomOptions extends IRequestOptions {
+  where?: string;
+  returnGeometry?: boolean;
+  resultOffset?: number;
+}
+
+describe("appendCustomParams", () => {
+  it("should move custom options into params", () => {
+    const options = appendCustomParams<ICustomOptions>(
+      {
+        where: "1=1",
+        returnGeometry: false,
+        resultOffset: 0,
+        params: { f: "json" }
+      },
+      ["where", "returnGeometry", "resultOffset"],
+      { httpMethod: "GET" }
+    );
+
+    expect(options).toEqual({
+      httpMethod: "GET",
+      params: {
+        f: "json",
+        where: "1=1",
+        returnGeometry: false,
+        resultOffset: 0
+      }
+    });
+  });
+
+  it("should keep the request options", () => {
+    const controller = new AbortController();
+    const options = appendCustomParams<ICustomOptions>(
+      {
+        where: "1=1",
+        signal: controller.signal,
+        proxyUrl: "https://proxy.com/proxy",
+        maxUrlLength: 1000
+      },
+      ["where"]
+    );
+
+    expect(options.signal).toBe(controller.signal);
+    expect(options.proxyUrl).toBe("https://proxy.com/proxy");
+    expect(options.maxUrlLength).toBe(1000);
+    expect((options as any).where).toBeUndefined();
+  });
+});
@@ -0,0 +1,259 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import fetchMock from "fetch-mock";
+import {
+  request,
+  invalidateCache,
+  MemoryCacheStore,
+  ICacheStore,
+  ArcGISIdentityManager
+} from "../../src/index.js";
+import {
+  getCacheKey,
+  getDefaultCacheStore,
+  withCache
+} from "../../src/utils/with-cache.js";
+import { SharingRestInfo } from "./../mocks/sharing-rest-info.js";
+import { WebMapAsText } from "./../mocks/webmap.js";
+
+const layerUrl =
+  "https://services.arcgis.com/ORG/arcgis/rest/services/Trees/FeatureServer/0";
+const matcher = `begin:${layerUrl}`;
+
+describe("getCacheKey", () => {
+  it("should sort params and remove the token", () => {
+    expect(
+      getCacheKey(`${layerUrl}/`, { where: "1=1", f: "json", token: "abc" })
+    ).toBe(`${layerUrl}?f=json&where=1%3D1`);
+  });
+
+  it("should return the url when there are no params", () => {
+    expect(getCacheKey(layerUrl)).toBe(layerUrl);
+  });
+
+  it("should append the identity", () => {
+    expect(getCacheKey(layerUrl, { f: "json" }, "casey@portal")).toBe(
+      `${layerUrl}?f=json#casey@portal`
+    );
+  });
+});
+
+describe("invalidateCache", () => {
+  it("should remove entries for a url and the urls below it", () => {
+    const store = new MemoryCacheStore();
+    const serviceUrl = layerUrl.replace("/0", "");
+
+    [
+      serviceUrl,
+      `${serviceUrl}?f=json`,
+      `${serviceUrl}/0?f=json`,
+      `${serviceUrl}#casey@portal`,
+      `${serviceUrl}2?f=json`
+    ].forEach((key) => store.set(key, { value: {}, expires: Infinity }));
+
+    return invalidateCache(`${serviceUrl}/`, { store }).then(() => {
+      expect(store.keys()).toEqual([`${serviceUrl}2?f=json`]);
+    });
+  });
+
+  it("should default to the shared store", () => {
+    getDefaultCacheStore().set(`${layerUrl}?f=json`, {
+      value: {},
+      expires: Infinity
+    });
+
+    return invalidateCache(layerUrl).then(() => {
+      expect(getDefaultCacheStore().get(`${layerUrl}?f=json`)).toBeUndefined();
+    });
+  });
+});
+
+describe("request() cache", () => {
+  afterEach(() => {
+    fetchMock.restore();
+    getDefaultCacheStore().clear();
+  });
+
+  it("should return cached responses without sending a request", () => {
+    fetchMock.mock(matcher, SharingRestInfo);
+
+    return request(layerUrl, { cache: true })
+      .then((response) => {
+        expect(response).toEqual(SharingRestInfo);
+        // changes made by callers should not alter the cache
+        response.changed = true;
+        return request(layerUrl, { cache: true });
+      })
+      .then((response) => {
+        expect(response).toEqual(SharingRestInfo);
+        expect(fetchMock.calls(matcher).length).toBe(1);
+      });
+  });
+
+  it("should not use the cache unless requested", () => {
+    fetchMock.mock(matcher, SharingRestInfo);
+
+    return request(layerUrl, { cache: true })
+      .then(() => request(layerUrl))
+      .then(() => {
+        expect(fetchMock.calls(matcher).length).toBe(2);
+      });
+  });
+
+  it("should send a new request once the ttl expires", () => {
+    fetchMock.mock(matcher, SharingRestInfo);
+
+    const store = new MemoryCacheStore();
+
+    return request(layerUrl, { cache: { store, ttl: 1 } })
+      .then(() => {
+        store.set(store.keys()[0], {
+          ...store.get(store.keys()[0]),
+          expires: Date.now() - 1
+        });
+        return request(layerUrl, { cache: { store } });
+      })
+      .then(() => {
+        expect(fetchMock.calls(matcher).length).toBe(2);
+      });
+  });
+
+  it("should cache with params as part of the key", () => {
+    fetchMock.mock(matcher, SharingRestInfo);
+
+    return request(`${layerUrl}/query`, {
+      cache: true,
+      params: { where: "1=1" }
+    })
+      .then(() =>
+        request(`${layerUrl}/query`, {
+          cache: true,
+          params: { where: "2=2" }
+        })
+      )
+      .then(() => {
+        expect(fetchMock.calls(matcher).length).toBe(2);
+        expect(getDefaultCacheStore().keys()).toEqual([
+          `${layerUrl}/query?f=json&where=1%3D1`,
+          `${layerUrl}/query?f=json&where=2%3D2`
+        ]);
+      });
+  });
+
+  it("should support asynchronous stores", () => {
+    fetchMock.mock(matcher, WebMapAsText);
+
+    const entries: any = {};
+    const store: ICacheStore = {
+      get: (key) => Promise.resolve(entries[key]),
+      set: (key, entry) => {
+        entries[key] = entry;
+        return Promise.resolve();
+      },
+      delete: (key) => {
+        delete entries[key];
+        return Promise.resolve();
+      },
+      keys: () => Promise.resolve(Object.keys(entries))
+    };
+
+    const options = {
+      cache: { store },
+      params: { f: "text" as const }
+    };
+
+    return request(layerUrl, options)
+      .then(() => request(layerUrl, options))
+      .then((response) => {
+        expect(response).toEqual(WebMapAsText);
+        expect(fetchMock.calls(matcher).length).toBe(1);
+        return invalidateCache(layerUrl, options.cache);
+      })
+      .then(() => {
+        expect(Object.keys(entries)).toEqual([]);
+      });
+  });
+
+  it("should cache the responses of authenticated requests for each user", () => {
+    fetchMock.mock(matcher, SharingRestInfo);
+
+    const createManager = (username: string) =>
+      new ArcGISIdentityManager({
+        clientId: "clientId",
+        username,
+        token: `${username}-token`,
+        tokenExpires: new Date(Date.now() + 60 * 60 * 1000)
+      });
+    const casey = createManager("casey");
+
+    return request(layerUrl, { cache: true, authentication: casey })
+      .then(() =>
+        request(layerUrl, {
+          cache: true,
+          authentication: createManager("casey")
+        })
+      )
+      .then(() =>
+        request(layerUrl, {
+          cache: true,
+          authentication: createManager("jsmith")
+        })
+      )
+      .then(() => request(layerUrl, { cache: true }))
+      .then(() => {
+        expect(fetchMock.calls(matcher).length).toBe(3);
+        expect(getDefaultCacheStore().keys()).toEqual([
+          `${layerUrl}?f=json#casey@https://www.arcgis.com/sharing/rest`,
+          `${layerUrl}?f=json#jsmith@https://www.arcgis.com/sharing/rest`,
+          `${layerUrl}?f=json`
+        ]);
+      });
+  });
+
+  it("should not cache requests authenticated without a user", () => {
+    fetchMock.mock(matcher, SharingRestInfo);
+
+    return request(layerUrl, { cache: true, authentication: "AAPKtoken" })
+      .then(() =>
+        request(layerUrl, { cache: true, params: { token: "token" } })
+      )
+      .then(() =>
+        request(layerUrl, {
+          cache: true,
+          authentication: {
+            portal: "https://www.arcgis.com/sharing/rest",
+            getToken: () => Promise.resolve("token")
+          }
+        })
+      )
+      .then(() => {
+        expect(fetchMock.calls(matcher).length).toBe(3);
+        expect(getDefaultCacheStore().keys()).toEqual([]);
+      });
+  });
+
+  it("should not cache raw responses", () => {
+    fetchMock.mock(matcher, SharingRestInfo);
+
+    return request(layerUrl, { cache: true, rawResponse: true })
+      .then(() => request(layerUrl, { cache: true, rawResponse: true }))
+      .then(() => {
+        expect(fetchMock.calls(matcher).length).toBe(2);
+        expect(getDefaultCacheStore().keys()).toEqual([]);
+      });
+  });
+
+  it("should not cache binary formats", () => {
+    const makeRequest = jasmine
+      .createSpy("makeRequest")
+      .and.returnValue(Promise.resolve({}));
+
+    return withCache(layerUrl, { f: "zip" }, true, undefined, makeRequest).then(
+      () => {
+        expect(makeRequest).toHaveBeenCalledTimes(1);
+        expect(getDefaultCacheStore().keys()).toEqual([]);
+      }
+    );
+  });
+});
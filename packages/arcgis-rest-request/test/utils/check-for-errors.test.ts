@@ -5,7 +5,12 @@ import {
   checkForErrors,
   warn,
   ArcGISRequestError,
-  ArcGISAuthError
+  ArcGISAuthError,
+  ArcGISNotFoundError,
+  ArcGISPermissionDeniedError,
+  ArcGISInvalidParametersError,
+  ArcGISRateLimitError,
+  ArcGISServiceUnavailableError
 } from "../../src/index.js";
 import { SharingRestInfo } from "./../mocks/sharing-rest-info.js";
 import {
@@ -17,7 +22,12 @@ import {
   ArcGISOnlineErrorNoCode,
   ArcGISServerTokenRequired,
   ArcGISOnlineAuthError,
-  BillingErrorWithCode200
+  BillingErrorWithCode200,
+  ItemDoesNotExistError,
+  UserDoesNotExistError,
+  PermissionDeniedError,
+  RateLimitError,
+  ServiceUnavailableError
 } from "./../mocks/errors.js";
 
 describe("checkForErrors", () => {
@@ -90,6 +100,123 @@ describe("checkForErrors", () => {
       checkForErrors(ArcGISServerTokenRequired);
     }).toThrowError(ArcGISAuthError, "GWM_0003: Token Required");
   });
+
+  it("should throw an ArcGISInvalidParametersError for a 400 error", () => {
+    expect(() => {
+      checkForErrors(ArcGISOnlineError);
+    }).toThrowError(
+      ArcGISInvalidParametersError,
+      "400: 'type' and 'title' property required."
+    );
+  });
+
+  it("should throw an ArcGISInvalidParametersError for a 422 error", () => {
+    expect(() => {
+      checkForErrors({ error: { code: 422, message: "Invalid layer id." } });
+    }).toThrowError(ArcGISInvalidParametersError, "422: Invalid layer id.");
+  });
+
+  it("should throw an ArcGISNotFoundError for messageCode=CONT_0001", () => {
+    expect(() => {
+      checkForErrors(ItemDoesNotExistError);
+    }).toThrowError(
+      ArcGISNotFoundError,
+      "CONT_0001: Item does not exist or is inaccessible: 43a8e51789044d9480a20089a84129ad"
+    );
+  });
+
+  it("should throw an ArcGISNotFoundError for a 400 error that says something does not exist", () => {
+    expect(() => {
+      checkForErrors(UserDoesNotExistError);
+    }).toThrowError(ArcGISNotFoundError, "400: User 'casey' does not exist");
+  });
+
+  it("should throw an ArcGISNotFoundError for a 404 error", () => {
+    expect(() => {
+      checkForErrors({ error: { code: 404, message: "Not found." } });
+    }).toThrowError(ArcGISNotFoundError, "404: Not found.");
+  });
+
+  it("should throw an ArcGISPermissionDeniedError for a 403 error", () => {
+    expect(() => {
+      checkForErrors(ArcGISOnlineErrorNoMessageCode);
+    }).toThrowError(
+      ArcGISPermissionDeniedError,
+      "403: You do not have permissions to access this resource or perform this operation."
+    );
+  });
+
+  it("should throw an ArcGISPermissionDeniedError for messageCode=GWM_0003 without a token error code", () => {
+    expect(() => {
+      checkForErrors(PermissionDeniedError);
+    }).toThrowError(
+      ArcGISPermissionDeniedError,
+      "GWM_0003: You do not have permissions to access this resource or perform this operation."
+    );
+  });
+
+  it("should throw an ArcGISRateLimitError for a 429 error", () => {
+    try {
+      checkForErrors(RateLimitError);
+      fail("checkForErrors should have thrown");
+    } catch (e: any) {
+      expect(e instanceof ArcGISRateLimitError).toBe(true);
+      expect(e.message).toBe("429: Too many requests.");
+      expect(e.details).toEqual([
+        "Rate limit exceeded. Try again in 60 seconds."
+      ]);
+      expect(e.retryable).toBe(true);
+    }
+  });
+
+  it("should throw an ArcGISServiceUnavailableError for an unable to complete operation error", () => {
+    try {
+      checkForErrors(ServiceUnavailableError);
+      fail("checkForErrors should have thrown");
+    } catch (e: any) {
+      expect(e instanceof ArcGISServiceUnavailableError).toBe(true);
+      expect(e.message).toBe("500: Unable to complete operation.");
+      expect(e.details).toEqual(["The service is busy."]);
+      expect(e.retryable).toBe(true);
+    }
+  });
+
+  it("should throw an ArcGISInvalidParametersError for an unable to complete operation error with a 400 code", () => {
+    try {
+      checkForErrors({
+        error: {
+          code: 400,
+          message: "Unable to complete operation.",
+          details: ["Unable to perform query operation."]
+        }
+      });
+      fail("checkForErrors should have thrown");
+    } catch (e: any) {
+      expect(e instanceof ArcGISInvalidParametersError).toBe(true);
+      expect(e.type).toBe("invalidParameters");
+      expect(e.retryable).toBe(false);
+    }
+  });
+
+  it("should throw an ArcGISServiceUnavailableError for a failed status with a 503 code", () => {
+    expect(() => {
+      checkForErrors({
+        status: "failed",
+        statusMessage: '{"code":503,"message":"Service Unavailable"}'
+      });
+    }).toThrowError(ArcGISServiceUnavailableError, "503: Service Unavailable");
+  });
+
+  it("should throw an ArcGISRequestError for an unknown error", () => {
+    try {
+      checkForErrors(BillingError);
+      fail("checkForErrors should have thrown");
+    } catch (e: any) {
+      expect(e.name).toBe("ArcGISRequestError");
+      expect(e.details).toEqual([]);
+      expect(e.retryable).toBe(false);
+    }
+  });
 });
 
 describe("warn", () => {
@@ -0,0 +1,208 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import fetchMock from "fetch-mock";
+import {
+  encodeGPValue,
+  encodeGPParameters,
+  decodeGPValue,
+  downloadGPDataFile,
+  ApiKeyManager
+} from "../../src/index.js";
+
+describe("encodeGPValue", () => {
+  it("should encode values without a data type based on their value", () => {
+    expect(encodeGPValue("text")).toBe("text");
+    expect(encodeGPValue(5)).toBe(5);
+    expect(encodeGPValue(new Date(1000))).toBe(1000);
+    expect(encodeGPValue([new Date(1000), "a"])).toBe('[1000,"a"]');
+    expect(encodeGPValue({ distance: 5, units: "esriMiles" })).toEqual({
+      distance: 5,
+      units: "esriMiles"
+    });
+    expect(encodeGPValue(null)).toBe(null);
+  });
+
+  it("should encode GPDate values as milliseconds", () => {
+    expect(encodeGPValue(new Date(1000), "GPDate")).toBe(1000);
+    expect(encodeGPValue("1970-01-01T00:00:01.000Z", "GPDate")).toBe(1000);
+    expect(encodeGPValue(1000, "GPDate")).toBe(1000);
+  });
+
+  it("should encode GPString, GPLong and GPDouble values", () => {
+    expect(encodeGPValue(5, "GPString")).toBe("5");
+    expect(encodeGPValue("5", "GPLong")).toBe(5);
+    expect(encodeGPValue(2.5, "GPDouble")).toBe(2.5);
+  });
+
+  it("should encode GPLinearUnit values", () => {
+    expect(
+      encodeGPValue({ distance: 5, units: "esriMiles" }, "GPLinearUnit")
+    ).toEqual({ distance: 5, units: "esriMiles" });
+  });
+
+  it("should encode GPDataFile and GPRasterDataLayer values", () => {
+    expect(encodeGPValue("https://example.com/data.zip", "GPDataFile")).toEqual(
+      { url: "https://example.com/data.zip" }
+    );
+    expect(encodeGPValue("c6a8a5d8b8a0", "GPDataFile")).toEqual({
+      itemID: "c6a8a5d8b8a0"
+    });
+    expect(
+      encodeGPValue(
+        { url: "https://example.com/dem.tif", format: "tif" },
+        "GPRasterDataLayer"
+      )
+    ).toEqual({ url: "https://example.com/dem.tif", format: "tif" });
+  });
+
+  it("should encode GPFeatureRecordSetLayer and GPRecordSet values", () => {
+    const features = [
+      { attributes: { name: "a" }, geometry: { x: 1, y: 2 } as any }
+    ];
+
+    expect(encodeGPValue(features, "GPFeatureRecordSetLayer")).toEqual({
+      features
+    });
+    expect(
+      encodeGPValue(
+        "https://example.com/FeatureServer/0",
+        "GPFeatureRecordSetLayer"
+      )
+    ).toEqual({ url: "https://example.com/FeatureServer/0" });
+    expect(encodeGPValue({ features: [] }, "GPRecordSet")).toEqual({
+      features: []
+    });
+  });
+
+  it("should encode GPMultiValue values as JSON arrays of their item type", () => {
+    expect(encodeGPValue(["a", "b"], "GPMultiValue:GPString")).toBe(
+      '["a","b"]'
+    );
+    expect(encodeGPValue("a", "GPMultiValue:GPString")).toBe('["a"]');
+    expect(
+      encodeGPValue(
+        ["https://example.com/a.zip", "c6a8a5d8b8a0"],
+        "GPMultiValue:GPDataFile"
+      )
+    ).toBe('[{"url":"https://example.com/a.zip"},{"itemID":"c6a8a5d8b8a0"}]');
+  });
+});
+
+describe("encodeGPParameters", () => {
+  it("should encode each parameter with its data type", () => {
+    expect(
+      encodeGPParameters(
+        {
+          when: new Date(1000),
+          names: ["a", "b"],
+          input: "https://example.com/data.zip"
+        },
+        { input: "GPDataFile" }
+      )
+    ).toEqual({
+      when: 1000,
+      names: '["a","b"]',
+      input: { url: "https://example.com/data.zip" }
+    });
+  });
+});
+
+describe("decodeGPValue", () => {
+  it("should decode GPDate values to dates", () => {
+    expect(
+      decodeGPValue({ paramName: "when", dataType: "GPDate", value: 1000 })
+    ).toEqual(new Date(1000));
+  });
+
+  it("should decode GPLong and GPDouble values to numbers", () => {
+    expect(
+      decodeGPValue({ paramName: "count", dataType: "GPLong", value: "5" })
+    ).toBe(5);
+    expect(
+      decodeGPValue({ paramName: "area", dataType: "GPDouble", value: 2.5 })
+    ).toBe(2.5);
+  });
+
+  it("should decode GPMultiValue values to arrays of their item type", () => {
+    expect(
+      decodeGPValue({
+        paramName: "dates",
+        dataType: "GPMultiValue:GPDate",
+        value: [0, 1000]
+      })
+    ).toEqual([new Date(0), new Date(1000)]);
+  });
+
+  it("should return other values as they are", () => {
+    const value = { features: [] as any[], exceededTransferLimit: false };
+
+    expect(
+      decodeGPValue({
+        paramName: "output",
+        dataType: "GPFeatureRecordSetLayer",
+        value
+      })
+    ).toBe(value);
+    expect(
+      decodeGPValue({
+        paramName: "distance",
+        dataType: "GPLinearUnit",
+        value: { distance: 5, units: "esriMiles" }
+      })
+    ).toEqual({ distance: 5, units: "esriMiles" });
+    expect(
+      decodeGPValue({ paramName: "empty", dataType: "GPDate", value: null })
+    ).toBe(null);
+  });
+});
+
+describe("downloadGPDataFile", () => {
+  const fileUrl =
+    "https://example.com/arcgis/rest/directories/arcgisjobs/task/j123/scratch/output.csv";
+
+  afterEach(() => {
+    fetchMock.restore();
+  });
+
+  it("should download the file of a result", () => {
+    fetchMock.once("*", { body: "a,b\n1,2", sendAsJson: false });
+
+    return downloadGPDataFile(
+      {
+        paramName: "output_file",
+        dataType: "GPDataFile",
+        value: { url: fileUrl }
+      },
+      { readAs: "text", authentication: ApiKeyManager.fromKey("KEY") }
+    ).then((text) => {
+      const [url, options] = fetchMock.lastCall("*");
+      expect(url).toBe(`${fileUrl}?token=KEY`);
+      expect(options.method).toBe("GET");
+      expect(text).toBe("a,b\n1,2");
+    });
+  });
+
+  it("should download a file from its value", () => {
+    fetchMock.once("*", { body: '{"a":1}', sendAsJson: false });
+
+    return downloadGPDataFile({ url: fileUrl }, { readAs: "json" }).then(
+      (json) => {
+        expect(fetchMock.lastUrl("*")).toBe(fileUrl);
+        expect(json).toEqual({ a: 1 });
+      }
+    );
+  });
+
+  it("should reject if the file does not have a url", () => {
+    return downloadGPDataFile({ itemID: "c6a8a5d8b8a0" }).then(
+      () => fail("downloadGPDataFile should have rejected"),
+      (e) => {
+        expect(e.message).toBe(
+          "The GP data file does not have a url to download."
+        );
+        expect(fetchMock.called()).toBe(false);
+      }
+    );
+  });
+});
@@ -0,0 +1,274 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import fetchMock from "fetch-mock";
+import {
+  ArcGISAccessDeniedError,
+  ArcGISTokenRequestError
+} from "../../src/index.js";
+import { listenForLoopbackRedirect } from "../../src/utils/listen-for-loopback-redirect.js";
+import { decodeQueryString } from "../../src/utils/decode-query-string.js";
+
+const TOKEN_URL = "https://www.arcgis.com/sharing/rest/oauth2/token";
+
+const OPTIONS = {
+  clientId: "clientId",
+  portal: "https://www.arcgis.com/sharing/rest",
+  expiration: 20160,
+  host: "127.0.0.1",
+  port: 0,
+  timeout: 60000
+};
+
+const win = {
+  isSecureContext: true,
+  crypto: globalThis.crypto,
+  TextEncoder,
+  btoa
+};
+
+/**
+ * Stands in for the Node.js `http` module with a server that calls `handler` only when a test sends a request.
+ */
+function createHttp() {
+  const server = {
+    handler: undefined as (request: any, response: any) => void,
+    listeners: {} as { [event: string]: (error: Error) => void },
+    listen: jasmine
+      .createSpy("listen")
+      .and.callFake((port: number, host: string, callback: () => void) =>
+        callback()
+      ),
+    address: () => ({ port: 3000 }),
+    close: jasmine.createSpy("close"),
+    on: (event: string, listener: (error: Error) => void) => {
+      server.listeners[event] = listener;
+    }
+  };
+
+  const http = {
+    createServer: (handler: (request: any, response: any) => void) => {
+      server.handler = handler;
+      return server;
+    }
+  };
+
+  return { http, server };
+}
+
+/**
+ * Sends a request to the stub server and resolves with the response once it ends.
+ */
+function get(
+  server: ReturnType<typeof createHttp>["server"],
+  url: string
+): Promise<{ status: number; body: string }> {
+  return new Promise((resolve) => {
+    let status: number;
+    server.handler(
+      { url },
+      {
+        writeHead: (code: number) => (status = code),
+        end: (body: string) => resolve({ status, body })
+      }
+    );
+  });
+}
+
+describe("listenForLoopbackRedirect", () => {
+  afterEach(fetchMock.restore);
+
+  it("should exchange the authorization code for a token", () => {
+    const { http, server } = createHttp();
+    let authorizeUrl: string;
+    let redirectResponse: Promise<{ status: number; body: string }>;
+
+    fetchMock.postOnce(TOKEN_URL, {
+      access_token: "token",
+      expires_in: 1800,
+      username: "c@sey",
+      ssl: true,
+      refresh_token: "refreshToken",
+      refresh_token_expires_in: 1209600
+    });
+
+    return listenForLoopbackRedirect(http, win, {
+      ...OPTIONS,
+      openBrowser: (url) => {
+        authorizeUrl = url;
+        const { state } = decodeQueryString(url.split("?")[1]);
+        redirectResponse = get(server, `/?code=abc&state=${state}`);
+      }
+    })
+      .then((manager) => {
+        const params = decodeQueryString(authorizeUrl.split("?")[1]);
+
+        expect(server.listen.calls.argsFor(0)[0]).toBe(0);
+        expect(server.listen.calls.argsFor(0)[1]).toBe("127.0.0.1");
+        expect(params.redirect_uri).toBe("http://127.0.0.1:3000/");
+        expect(params.code_challenge).toMatch(/^[\w-]{43}$/);
+
+        const [, options]: [string, RequestInit] =
+          fetchMock.lastCall(TOKEN_URL);
+        expect(options.body).toContain("code=abc");
+        expect(options.body).toContain(
+          `redirect_uri=${encodeURIComponent("http://127.0.0.1:3000/")}`
+        );
+
+        expect(manager.token).toBe("token");
+        expect(manager.username).toBe("c@sey");
+        expect(manager.redirectUri).toBe("http://127.0.0.1:3000/");
+        expect(server.close).toHaveBeenCalledTimes(1);
+
+        return redirectResponse;
+      })
+      .then(({ status, body }) => {
+        expect(status).toBe(200);
+        expect(body).toContain("You are signed in.");
+      });
+  });
+
+  it("should ignore requests for other paths or without the state of the sign in", () => {
+    const { http, server } = createHttp();
+    let invalidResponses: Promise<{ status: number; body: string }[]>;
+
+    return listenForLoopbackRedirect(http, win, {
+      ...OPTIONS,
+      openBrowser: (url) => {
+        const { state } = decodeQueryString(url.split("?")[1]);
+        invalidResponses = Promise.all([
+          get(server, `/favicon.ico?state=${state}`),
+          get(server, "/?code=abc&state=other")
+        ]).then((responses) =>
+          get(server, `/?error=access_denied&state=${state}`).then(
+            () => responses
+          )
+        );
+      }
+    }).then(
+      () => fail("listenForLoopbackRedirect should have rejected"),
+      (e) =>
+        invalidResponses.then((responses) => {
+          expect(responses.map(({ status }) => status)).toEqual([400, 400]);
+          expect(fetchMock.called()).toBe(false);
+          expect(e instanceof ArcGISAccessDeniedError).toBe(true);
+        })
+    );
+  });
+
+  it("should reject with other authorization errors", () => {
+    const { http, server } = createHttp();
+
+    return listenForLoopbackRedirect(http, win, {
+      ...OPTIONS,
+      openBrowser: (url) => {
+        const { state } = decodeQueryString(url.split("?")[1]);
+        get(
+          server,
+          `/?error=invalid_request&error_description=Invalid%20redirect_uri&state=${state}`
+        );
+      }
+    }).then(
+      () => fail("listenForLoopbackRedirect should have rejected"),
+      (e) => {
+        expect(e.name).toBe("ArcGISAuthError");
+        expect(e.code).toBe("invalid_request");
+        expect(server.close).toHaveBeenCalledTimes(1);
+      }
+    );
+  });
+
+  it("should reject if the authorization code cannot be exchanged", () => {
+    const { http, server } = createHttp();
+    let redirectResponse: Promise<{ status: number; body: string }>;
+
+    fetchMock.postOnce(TOKEN_URL, {
+      error: {
+        code: 400,
+        error: "invalid_request",
+        message: "Invalid authorization code",
+        details: []
+      }
+    });
+
+    return listenForLoopbackRedirect(http, win, {
+      ...OPTIONS,
+      openBrowser: (url) => {
+        const { state } = decodeQueryString(url.split("?")[1]);
+        redirectResponse = get(server, `/?code=abc&state=${state}`);
+      }
+    }).then(
+      () => fail("listenForLoopbackRedirect should have rejected"),
+      (e) =>
+        redirectResponse.then(({ status }) => {
+          expect(status).toBe(500);
+          expect(e instanceof ArcGISTokenRequestError).toBe(true);
+          expect(e.code).toBe("REFRESH_TOKEN_EXCHANGE_FAILED");
+        })
+    );
+  });
+
+  it("should reject if the user does not sign in before the timeout", () => {
+    const { http, server } = createHttp();
+
+    return listenForLoopbackRedirect(http, win, {
+      ...OPTIONS,
+      timeout: 10,
+      openBrowser: () => undefined
+    }).then(
+      () => fail("listenForLoopbackRedirect should have rejected"),
+      (e) => {
+        expect(e.message).toBe("Timed out waiting for the user to sign in.");
+        expect(server.close).toHaveBeenCalledTimes(1);
+      }
+    );
+  });
+
+  it("should reject when the signal is aborted and ignore later errors", () => {
+    const { http, server } = createHttp();
+    const controller = new AbortController();
+
+    return listenForLoopbackRedirect(http, win, {
+      ...OPTIONS,
+      signal: controller.signal,
+      openBrowser: () => controller.abort()
+    }).then(
+      () => fail("listenForLoopbackRedirect should have rejected"),
+      (e) => {
+        expect(e.name).toBe("AbortError");
+
+        server.listeners.error(new Error("Server error"));
+        expect(server.close).toHaveBeenCalledTimes(1);
+      }
+    );
+  });
+
+  it("should reject if the server or the browser cannot be started", () => {
+    const { http, server } = createHttp();
+    server.listen.and.callFake(() =>
+      server.listeners.error(new Error("listen EADDRINUSE"))
+    );
+
+    return listenForLoopbackRedirect(http, win, {
+      ...OPTIONS,
+      openBrowser: () => undefined
+    })
+      .then(
+        () => fail("listenForLoopbackRedirect should have rejected"),
+        (e) => {
+          expect(e.message).toBe("listen EADDRINUSE");
+
+          return listenForLoopbackRedirect(createHttp().http, win, {
+            ...OPTIONS,
+            openBrowser: () => Promise.reject(new Error("No browser"))
+          });
+        }
+      )
+      .then(
+        () => fail("listenForLoopbackRedirect should have rejected"),
+        (e) => {
+          expect(e.message).toBe("No browser");
+        }
+      );
+  });
+});
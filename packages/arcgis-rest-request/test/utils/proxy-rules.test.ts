@@ -0,0 +1,131 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import fetchMock from "fetch-mock";
+import {
+  request,
+  addProxyRule,
+  removeProxyRule,
+  getProxyRule
+} from "../../src/index.js";
+import { SharingRestInfo } from "./../mocks/sharing-rest-info.js";
+
+const serverUrl = "https://myserver.com/arcgis/rest/services";
+const layerUrl = `${serverUrl}/Parcels/FeatureServer/0`;
+const proxyUrl = "https://myapp.com/proxy.ashx";
+
+describe("proxy rules", () => {
+  afterEach(() => {
+    removeProxyRule(serverUrl);
+    removeProxyRule(layerUrl);
+  });
+
+  it("should return the rule with the longest matching prefix", () => {
+    addProxyRule({ urlPrefix: `${serverUrl}/`, proxyUrl });
+    addProxyRule({ urlPrefix: layerUrl, proxyUrl: "https://other.com/proxy" });
+
+    expect(getProxyRule(`${serverUrl}/Roads/FeatureServer`)).toEqual({
+      urlPrefix: serverUrl,
+      proxyUrl
+    });
+    expect(getProxyRule(`${layerUrl.toUpperCase()}/query`).proxyUrl).toBe(
+      "https://other.com/proxy"
+    );
+    expect(getProxyRule("https://www.arcgis.com/sharing/rest")).toBeUndefined();
+  });
+
+  it("should replace and remove rules", () => {
+    addProxyRule({ urlPrefix: serverUrl, proxyUrl: "https://old.com/proxy" });
+    addProxyRule({ urlPrefix: serverUrl, proxyUrl });
+
+    expect(getProxyRule(layerUrl).proxyUrl).toBe(proxyUrl);
+
+    removeProxyRule(`${serverUrl.toUpperCase()}/`);
+
+    expect(getProxyRule(layerUrl)).toBeUndefined();
+  });
+});
+
+describe("request() with a proxy", () => {
+  const proxyMatcher = `begin:${proxyUrl}`;
+
+  afterEach(() => {
+    fetchMock.restore();
+    removeProxyRule(serverUrl);
+  });
+
+  it("should send GET requests matching a rule through the proxy", () => {
+    fetchMock.once(proxyMatcher, SharingRestInfo);
+    addProxyRule({ urlPrefix: serverUrl, proxyUrl });
+
+    return request(layerUrl, {
+      httpMethod: "GET",
+      params: { where: "1=1" }
+    }).then((response) => {
+      const [url, options]: [string, RequestInit] =
+        fetchMock.lastCall(proxyMatcher);
+      expect(url).toBe(`${proxyUrl}?${layerUrl}?f=json&where=1%3D1`);
+      expect(options.method).toBe("GET");
+      expect(response).toEqual(SharingRestInfo);
+    });
+  });
+
+  it("should send POST requests through the proxy with params in the body", () => {
+    fetchMock.once(proxyMatcher, SharingRestInfo);
+
+    return request(layerUrl, {
+      proxyUrl,
+      authentication: "AAPKtoken"
+    }).then(() => {
+      const [url, options]: [string, RequestInit] =
+        fetchMock.lastCall(proxyMatcher);
+      expect(url).toBe(`${proxyUrl}?${layerUrl}`);
+      expect(options.method).toBe("POST");
+      expect(options.body).toContain("f=json");
+      expect(options.body).toContain("token=AAPKtoken");
+    });
+  });
+
+  it("should prefer the proxyUrl option over rules", () => {
+    fetchMock.once(proxyMatcher, SharingRestInfo);
+    addProxyRule({ urlPrefix: serverUrl, proxyUrl: "https://other.com/proxy" });
+
+    return request(layerUrl, { proxyUrl }).then(() => {
+      expect(fetchMock.called(proxyMatcher)).toBe(true);
+    });
+  });
+
+  it("should send the token in the body of proxied requests that hide the token", () => {
+    fetchMock.once(proxyMatcher, SharingRestInfo);
+
+    return request(layerUrl, {
+      proxyUrl,
+      httpMethod: "GET",
+      hideToken: true,
+      authentication: "AAPKtoken"
+    }).then(() => {
+      const [url, options]: [string, RequestInit] =
+        fetchMock.lastCall(proxyMatcher);
+      expect(url).toBe(`${proxyUrl}?${layerUrl}`);
+      expect(options.method).toBe("POST");
+      expect(options.body).toContain("token=AAPKtoken");
+      expect((options.headers as any)["X-Esri-Authorization"]).toBeUndefined();
+    });
+  });
+
+  it("should include the proxy url when checking maxUrlLength", () => {
+    fetchMock.once(proxyMatcher, SharingRestInfo);
+
+    return request(layerUrl, {
+      proxyUrl,
+      httpMethod: "GET",
+      // long enough for the layer url and query string but not the proxy url
+      maxUrlLength: `${layerUrl}?f=json`.length
+    }).then(() => {
+      const [url, options]: [string, RequestInit] =
+        fetchMock.lastCall(proxyMatcher);
+      expect(url).toBe(`${proxyUrl}?${layerUrl}`);
+      expect(options.method).toBe("POST");
+    });
+  });
+});
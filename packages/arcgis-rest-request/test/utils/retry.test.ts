@@ -0,0 +1,232 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import fetchMock from "fetch-mock";
+import {
+  request,
+  isTransientError,
+  ArcGISRequestError
+} from "../../src/index.js";
+import { SharingRestInfo } from "./../mocks/sharing-rest-info.js";
+import { ArcGISOnlineError } from "./../mocks/errors.js";
+
+const url = "https://www.arcgis.com/sharing/rest/info";
+
+describe("isTransientError", () => {
+  it("should identify transient HTTP errors", () => {
+    expect(isTransientError(new ArcGISRequestError("", "HTTP 503"))).toBe(true);
+    expect(isTransientError(new ArcGISRequestError("", "HTTP 429"))).toBe(true);
+    expect(isTransientError(new ArcGISRequestError("", "HTTP 404"))).toBe(
+      false
+    );
+  });
+
+  it("should identify transient ArcGIS errors", () => {
+    expect(
+      isTransientError(
+        new ArcGISRequestError("Unable to complete operation.", 500)
+      )
+    ).toBe(true);
+    expect(
+      isTransientError(
+        new ArcGISRequestError("Service unavailable", "SVC_UNAVAILABLE", {
+          error: { code: 504, messageCode: "SVC_UNAVAILABLE" }
+        })
+      )
+    ).toBe(true);
+    expect(isTransientError(new ArcGISRequestError("Bad request", 400))).toBe(
+      false
+    );
+  });
+
+  it("should not treat other errors as transient", () => {
+    expect(isTransientError(new Error("Failed to fetch"))).toBe(false);
+    expect(isTransientError(undefined)).toBe(false);
+  });
+});
+
+describe("request() retry", () => {
+  afterEach(() => {
+    fetchMock.restore();
+  });
+
+  it("should not retry by default", () => {
+    fetchMock.once(url, 503);
+
+    return request(url)
+      .then(() => {
+        fail("request should have been rejected");
+      })
+      .catch((e) => {
+        expect(e.code).toBe("HTTP 503");
+        expect(fetchMock.calls(url).length).toBe(1);
+      });
+  });
+
+  it("should retry transient errors until the request succeeds", () => {
+    fetchMock
+      .once(url, 503)
+      .once(url, {
+        error: { code: 500, message: "Unable to complete operation." }
+      })
+      .once(url, SharingRestInfo);
+
+    return request(url, {
+      retry: { initialDelay: 1, jitter: false }
+    }).then((response) => {
+      expect(response).toEqual(SharingRestInfo);
+      expect(fetchMock.calls(url).length).toBe(3);
+    });
+  });
+
+  it("should use a jittered delay with the default policy", () => {
+    fetchMock.once(url, 502).once(url, SharingRestInfo);
+
+    spyOn(Math, "random").and.returnValue(0);
+
+    return request(url, {
+      retry: true
+    }).then((response) => {
+      expect(response).toEqual(SharingRestInfo);
+      expect(Math.random).toHaveBeenCalled();
+    });
+  });
+
+  it("should stop after maxAttempts", () => {
+    fetchMock.mock(url, 504);
+
+    return request(url, {
+      retry: { maxAttempts: 2, initialDelay: 1, jitter: false }
+    })
+      .then(() => {
+        fail("request should have been rejected");
+      })
+      .catch((e) => {
+        expect(e.code).toBe("HTTP 504");
+        expect(fetchMock.calls(url).length).toBe(2);
+      });
+  });
+
+  it("should not retry errors that are not transient", () => {
+    fetchMock.mock(url, ArcGISOnlineError);
+
+    return request(url, {
+      retry: { initialDelay: 1 }
+    })
+      .then(() => {
+        fail("request should have been rejected");
+      })
+      .catch((e) => {
+        expect(e.code).toBe(400);
+        expect(fetchMock.calls(url).length).toBe(1);
+      });
+  });
+
+  it("should use a custom retryOn predicate", () => {
+    fetchMock.once(url, ArcGISOnlineError).once(url, SharingRestInfo);
+
+    const retryOn = jasmine
+      .createSpy("retryOn")
+      .and.callFake((code: number) => code === 400);
+
+    return request(url, {
+      retry: { initialDelay: 1, retryOn }
+    }).then((response) => {
+      expect(response).toEqual(SharingRestInfo);
+      expect(retryOn).toHaveBeenCalledWith(400, jasmine.any(Error), 1);
+    });
+  });
+
+  it("should honor a Retry-After header in seconds", () => {
+    fetchMock
+      .once(url, { status: 429, headers: { "Retry-After": "0" } })
+      .once(url, SharingRestInfo);
+
+    return request(url, {
+      // this delay would time out the test if Retry-After was ignored
+      retry: { initialDelay: 60000, jitter: false }
+    }).then((response) => {
+      expect(response).toEqual(SharingRestInfo);
+    });
+  });
+
+  it("should honor a Retry-After header with a date", () => {
+    fetchMock
+      .once(url, {
+        status: 503,
+        headers: { "Retry-After": new Date(Date.now() - 1000).toUTCString() }
+      })
+      .once(url, SharingRestInfo);
+
+    return request(url, {
+      retry: { initialDelay: 60000, jitter: false }
+    }).then((response) => {
+      expect(response).toEqual(SharingRestInfo);
+    });
+  });
+
+  it("should not wait longer than maxDelay for a Retry-After header", () => {
+    fetchMock
+      .once(url, { status: 429, headers: { "Retry-After": "3600" } })
+      .once(url, SharingRestInfo);
+
+    return request(url, {
+      // waiting for the header would time out the test
+      retry: { maxDelay: 1, jitter: false }
+    }).then((response) => {
+      expect(response).toEqual(SharingRestInfo);
+    });
+  });
+
+  it("should ignore an invalid Retry-After header", () => {
+    fetchMock
+      .once(url, { status: 503, headers: { "Retry-After": "soon" } })
+      .once(url, SharingRestInfo);
+
+    return request(url, {
+      retry: { initialDelay: 1, jitter: false }
+    }).then((response) => {
+      expect(response).toEqual(SharingRestInfo);
+    });
+  });
+
+  it("should stop retrying when the signal is aborted", () => {
+    fetchMock.mock(url, 503);
+
+    const controller = new AbortController();
+
+    setTimeout(() => {
+      controller.abort();
+    }, 10);
+
+    return request(url, {
+      signal: controller.signal,
+      retry: { initialDelay: 60000, jitter: false }
+    })
+      .then(() => {
+        fail("request should have been rejected");
+      })
+      .catch((e) => {
+        expect(e.name).toBe("AbortError");
+        expect(fetchMock.calls(url).length).toBe(1);
+      });
+  });
+
+  it("should not retry if the signal was already aborted", () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    const retryOn = jasmine.createSpy("retryOn");
+
+    return request(url, {
+      signal: controller.signal,
+      retry: { retryOn }
+    })
+      .then(() => {
+        fail("request should have been rejected");
+      })
+      .catch(() => {
+        expect(retryOn).not.toHaveBeenCalled();
+      });
+  });
+});
@@ -0,0 +1,39 @@
+/* Copyright (c) 2023 Environmental Systems Research Institute, Inc.
+ * Apache-2.0 */
+
+import { wait } from "../../src/index.js";
+
+describe("wait", () => {
+  it("should resolve after the delay", async () => {
+    const controller = new AbortController();
+
+    await wait(0, controller.signal);
+    // aborting after the wait has no effect
+    controller.abort();
+  });
+
+  it("should reject when the signal is aborted", async () => {
+    const controller = new AbortController();
+    const waiting = wait(60000, controller.signal);
+    controller.abort();
+
+    try {
+      await waiting;
+      fail("should have rejected");
+    } catch (e) {
+      expect((e as Error).name).toBe("AbortError");
+    }
+  });
+
+  it("should reject right away if the signal is already aborted", async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    try {
+      await wait(60000, controller.signal);
+      fail("should have rejected");
+    } catch (e) {
+      expect((e as Error).name).toBe("AbortError");
+    }
+  });
+});